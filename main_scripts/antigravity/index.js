@@ -9,10 +9,26 @@
 const { AntigravityClient } = require('./client');
 const { ProcessFinder } = require('./process-finder');
 const { WindowsStrategy, UnixStrategy } = require('./strategies');
+const { normalizeModelLabel, findQuotaModel, getQuotaState } = require('./models');
+const { DEFAULT_ALERT_THRESHOLDS, normalizeThresholds, getModelThresholds, checkQuotaAlerts, getLowQuotaAction } = require('./quota-alerts');
+const { QuotaHistory, QUOTA_HISTORY_FILE_NAME, forecastExhaustion, formatDurationShort, describeForecast } = require('./quota-history');
 
 module.exports = {
     AntigravityClient,
     ProcessFinder,
     WindowsStrategy,
-    UnixStrategy
+    UnixStrategy,
+    normalizeModelLabel,
+    findQuotaModel,
+    getQuotaState,
+    DEFAULT_ALERT_THRESHOLDS,
+    normalizeThresholds,
+    getModelThresholds,
+    checkQuotaAlerts,
+    getLowQuotaAction,
+    QuotaHistory,
+    QUOTA_HISTORY_FILE_NAME,
+    forecastExhaustion,
+    formatDurationShort,
+    describeForecast
 };
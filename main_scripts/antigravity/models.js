@@ -0,0 +1,57 @@
+/**
+ * Quota Models - Tie quota decisions to the model selected in the chat
+ *
+ * The agent panel's model picker and the quota API label models the same way
+ * give or take case, punctuation and a suffix ("Claude Sonnet 4.5" vs
+ * "Claude Sonnet 4.5 (Thinking)"). When the selected model cannot be read or
+ * matched, any exhausted model counts, as before.
+ */
+
+'use strict';
+
+/**
+ * @param {string} label
+ * @returns {string} Lowercase words and digits only
+ */
+function normalizeModelLabel(label) {
+    return String(label || '').toLowerCase().replace(/[^a-z0-9.]+/g, ' ').trim();
+}
+
+/**
+ * Quota entry of the selected model: an exact match, else the closest label
+ * that contains the other
+ * @param {Object[]} models - QuotaSnapshot models
+ * @param {string} selected - Label read from the model picker
+ * @returns {Object|null}
+ */
+function findQuotaModel(models, selected) {
+    const wanted = normalizeModelLabel(selected);
+    if (!wanted || !Array.isArray(models)) return null;
+    const labelled = models
+        .map(model => ({ model, label: normalizeModelLabel(model.label) }))
+        .filter(entry => entry.label);
+    const exact = labelled.find(entry => entry.label === wanted);
+    if (exact) return exact.model;
+    const partial = labelled
+        .filter(entry => entry.label.includes(wanted) || wanted.includes(entry.label))
+        .sort((a, b) => Math.abs(a.label.length - wanted.length) - Math.abs(b.label.length - wanted.length));
+    return partial.length > 0 ? partial[0].model : null;
+}
+
+/**
+ * @param {Object|null} snapshot - QuotaSnapshot
+ * @param {string} selected - Label read from the model picker ('' = unknown)
+ * @returns {{exhausted: boolean, model: Object|null}} `model` is the quota entry the decision was keyed to, null for the any-model fallback
+ */
+function getQuotaState(snapshot, selected) {
+    const models = (snapshot && snapshot.models) || [];
+    const model = findQuotaModel(models, selected);
+    if (model) return { exhausted: model.isExhausted === true, model };
+    return { exhausted: models.some(m => m.isExhausted === true), model: null };
+}
+
+module.exports = {
+    normalizeModelLabel,
+    findQuotaModel,
+    getQuotaState
+};
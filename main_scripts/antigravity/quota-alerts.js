@@ -0,0 +1,125 @@
+/**
+ * Quota Alerts - Warn once per reset cycle as a model's quota runs low
+ *
+ * Each model has thresholds in percent remaining (50/20/5 by default, or its
+ * own from `modelThresholds`). Crossing one raises a single alert; a quota that
+ * drops past several thresholds at once raises only the lowest. Alerts are keyed
+ * to the model's `resetTime`, so the next reset cycle starts with a clean slate.
+ * Separately, the model in use running out (or reaching `pauseQueueAt`) either
+ * pauses queues or swaps the chat to a fallback model, and back after the reset.
+ */
+
+'use strict';
+
+const { normalizeModelLabel, findQuotaModel } = require('./models');
+
+const DEFAULT_ALERT_THRESHOLDS = [50, 20, 5];
+
+/**
+ * @typedef {Object} QuotaAlert
+ * @property {string} model - Model label
+ * @property {number} threshold - Percent crossed
+ * @property {number} percent - Percent remaining
+ * @property {string|null} resetTime - ISO reset time of the cycle
+ */
+
+/**
+ * Valid percentages, highest first
+ * @param {Array} raw
+ * @returns {number[]}
+ */
+function normalizeThresholds(raw) {
+    if (!Array.isArray(raw)) return DEFAULT_ALERT_THRESHOLDS.slice();
+    const values = raw.map(Number).filter(value => Number.isFinite(value) && value > 0 && value < 100);
+    return [...new Set(values)].sort((a, b) => b - a);
+}
+
+/**
+ * @param {string} label - Model label
+ * @param {Object} config - { thresholds, modelThresholds }
+ * @returns {number[]}
+ */
+function getModelThresholds(label, config = {}) {
+    const overrides = config.modelThresholds && typeof config.modelThresholds === 'object' ? config.modelThresholds : {};
+    const wanted = normalizeModelLabel(label);
+    const key = Object.keys(overrides).find(name => normalizeModelLabel(name) === wanted);
+    return normalizeThresholds(key ? overrides[key] : config.thresholds);
+}
+
+// Rounded to the minute, so a reset time that wobbles by a few seconds between polls stays one cycle
+function getResetIso(model) {
+    const resetAt = model.resetTime ? new Date(model.resetTime).getTime() : NaN;
+    return Number.isNaN(resetAt) ? null : new Date(Math.round(resetAt / 60000) * 60000).toISOString();
+}
+
+/**
+ * New alerts in a snapshot. `fired` (cycle key → thresholds already alerted)
+ * is updated in place; cycles no longer in the snapshot are dropped from it.
+ * @param {Object|null} snapshot - QuotaSnapshot
+ * @param {Object<string, number[]>} fired
+ * @param {Object} [config] - { thresholds, modelThresholds }
+ * @returns {QuotaAlert[]}
+ */
+function checkQuotaAlerts(snapshot, fired, config = {}) {
+    const alerts = [];
+    const current = new Set();
+    for (const model of (snapshot && snapshot.models) || []) {
+        if (!model.label || typeof model.remainingFraction !== 'number') continue;
+        const resetTime = getResetIso(model);
+        const key = `${model.label}|${resetTime || 'none'}`;
+        current.add(key);
+        const percent = model.remainingFraction * 100;
+        const done = fired[key] || [];
+        const crossed = getModelThresholds(model.label, config).filter(threshold => percent <= threshold && !done.includes(threshold));
+        if (crossed.length === 0) continue;
+        fired[key] = done.concat(crossed);
+        alerts.push({
+            model: model.label,
+            threshold: crossed[crossed.length - 1],
+            percent,
+            resetTime
+        });
+    }
+    for (const key of Object.keys(fired)) {
+        if (!current.has(key)) delete fired[key];
+    }
+    return alerts;
+}
+
+/**
+ * What to do about the quota of the model in use. It is low when exhausted or
+ * at `pauseQueueAt` percent or less. A low model is swapped for the model used
+ * before the last fallback once its quota is back, else for the first model in
+ * `fallbackModels` that is not low; with neither, queues pause. A model that
+ * is fine while the one it replaced has recovered is swapped back.
+ * @param {Object|null} snapshot - QuotaSnapshot
+ * @param {Object|null} inUse - Quota entry of the model in use (null = unknown: every model counts, no switching)
+ * @param {Object} config - { pauseQueueAt, fallbackModels }
+ * @param {string|null} [restoreTo] - Quota label of the model in use before the last fallback
+ * @returns {{action: 'none'|'pause'|'fallback'|'restore', model: Object|null, fallback: Object|null, exhausted: boolean}}
+ *   `model` is the low model (the one to restore for 'restore'), `exhausted` whether it has no quota left at all
+ */
+function getLowQuotaAction(snapshot, inUse, config = {}, restoreTo = null) {
+    const pauseAt = Math.max(0, Number(config.pauseQueueAt) || 0);
+    const models = (snapshot && snapshot.models) || [];
+    const isExhausted = model => model.isExhausted === true || model.remainingFraction === 0;
+    const isLow = model => isExhausted(model) || model.remainingFraction * 100 <= pauseAt;
+    const original = inUse && restoreTo ? findQuotaModel(models, restoreTo) : null;
+
+    const low = inUse ? (isLow(inUse) ? inUse : null) : models.find(isLow);
+    if (!low) {
+        if (original && original !== inUse && !isLow(original)) return { action: 'restore', model: original, fallback: null, exhausted: false };
+        return { action: 'none', model: null, fallback: null, exhausted: false };
+    }
+    const candidates = inUse ? [original, ...(config.fallbackModels || []).map(label => findQuotaModel(models, label))] : [];
+    const fallback = candidates.find(model => model && model !== low && !isLow(model)) || null;
+    return { action: fallback ? 'fallback' : 'pause', model: low, fallback, exhausted: isExhausted(low) };
+}
+
+module.exports = {
+    DEFAULT_ALERT_THRESHOLDS,
+    normalizeThresholds,
+    getModelThresholds,
+    checkQuotaAlerts,
+    getLowQuotaAction
+};
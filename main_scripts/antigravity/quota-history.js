@@ -0,0 +1,299 @@
+/**
+ * Quota History - Per-model quota time series with an exhaustion forecast
+ *
+ * Every `getUserStatus()` snapshot is kept as a sample of each model's
+ * `remainingFraction` plus the available prompt credits. The burn rate is the
+ * least-squares slope over the recent samples since the last refill, and the
+ * forecast extends it to zero. Samples live in memory and are written to a
+ * JSON file in the extension's global storage shortly after each change.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const QUOTA_HISTORY_FILE_NAME = 'quota-history.json';
+const MAX_SAMPLE_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_SAMPLE_INTERVAL_MS = 2 * 60 * 1000; // Closer samples replace the latest one
+const BURN_WINDOW_MS = 3 * 60 * 60 * 1000; // Samples older than this do not count towards the burn rate
+const MIN_BURN_SPAN_MS = 10 * 60 * 1000; // Less data than this gives no forecast
+const SAVE_DELAY_MS = 1000;
+const REFILL_EPSILON = 1e-6;
+
+/**
+ * @typedef {Object} QuotaSample
+ * @property {number} t - When the snapshot was taken (ms timestamp)
+ * @property {number|null} credits - Available prompt credits
+ * @property {Object<string, number>} models - remainingFraction by model label
+ */
+
+/**
+ * @typedef {Object} QuotaForecast
+ * @property {number} remaining - Latest value
+ * @property {number} ratePerHour - Units used per hour (0 = not draining)
+ * @property {number|null} exhaustsAt - When it reaches zero at this rate (null = never)
+ * @property {number|null} msLeft - Time from now until then
+ * @property {boolean} resetsFirst - The quota resets before it would run out
+ */
+
+/**
+ * Burn rate over the recent points since the last refill
+ * @param {{t: number, value: number}[]} points - Oldest first
+ * @param {number} [windowMs]
+ * @returns {number|null} Units used per ms (0 = not draining); null when there is too little data
+ */
+function getBurnRate(points, windowMs = BURN_WINDOW_MS) {
+    if (!Array.isArray(points) || points.length < 2) return null;
+    let start = 0;
+    for (let i = points.length - 1; i > 0; i--) {
+        if (points[i].value > points[i - 1].value + REFILL_EPSILON) {
+            start = i;
+            break;
+        }
+    }
+    const last = points[points.length - 1];
+    const recent = points.slice(start).filter(point => point.t >= last.t - windowMs);
+    if (recent.length < 2 || last.t - recent[0].t < MIN_BURN_SPAN_MS) return null;
+
+    const meanT = recent.reduce((sum, point) => sum + point.t, 0) / recent.length;
+    const meanValue = recent.reduce((sum, point) => sum + point.value, 0) / recent.length;
+    let covariance = 0;
+    let variance = 0;
+    for (const point of recent) {
+        covariance += (point.t - meanT) * (point.value - meanValue);
+        variance += (point.t - meanT) * (point.t - meanT);
+    }
+    const slope = variance > 0 ? covariance / variance : 0;
+    return slope < 0 ? -slope : 0;
+}
+
+/**
+ * @param {{t: number, value: number}[]} points - Oldest first
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number|null} [options.resetAt] - Next quota reset (ms timestamp)
+ * @returns {QuotaForecast|null} null when there is too little data
+ */
+function forecastExhaustion(points, options = {}) {
+    const rate = getBurnRate(points);
+    if (rate === null) return null;
+    const now = options.now || Date.now();
+    const last = points[points.length - 1];
+    const remaining = Math.max(0, last.value);
+    let exhaustsAt = null;
+    if (remaining === 0) exhaustsAt = last.t;
+    else if (rate > 0) exhaustsAt = Math.round(last.t + remaining / rate);
+    return {
+        remaining,
+        ratePerHour: rate * 3600000,
+        exhaustsAt,
+        msLeft: exhaustsAt === null ? null : Math.max(0, exhaustsAt - now),
+        resetsFirst: exhaustsAt !== null && !!options.resetAt && options.resetAt > now && options.resetAt < exhaustsAt
+    };
+}
+
+/**
+ * Short duration: `3d4h`, `2h15m`, `45m`, `<1m`
+ * @param {number} ms
+ */
+function formatDurationShort(ms) {
+    const minutes = Math.floor(Math.max(0, ms) / 60000);
+    if (minutes < 1) return '<1m';
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+    return `${Math.floor(minutes / 1440)}d${Math.floor((minutes % 1440) / 60)}h`;
+}
+
+/**
+ * @param {QuotaForecast|null} forecast
+ * @returns {string|null} e.g. "~2h15m left at current rate"; null when there is nothing to say
+ */
+function describeForecast(forecast) {
+    if (!forecast || forecast.remaining === 0) return null;
+    if (forecast.exhaustsAt === null) return 'not draining';
+    if (forecast.resetsFirst) return `~${formatDurationShort(forecast.msLeft)} left at current rate (resets first)`;
+    return `~${formatDurationShort(forecast.msLeft)} left at current rate`;
+}
+
+class QuotaHistory {
+    /**
+     * @param {string|null} filePath - JSON file (null = memory only)
+     * @param {Function} [log] - Logger function
+     * @param {number} [maxAgeMs] - Older samples are dropped
+     */
+    constructor(filePath, log = () => { }, maxAgeMs = MAX_SAMPLE_AGE_MS) {
+        this.filePath = filePath;
+        this.log = log;
+        this.maxAgeMs = maxAgeMs;
+        this.saveTimer = null;
+        this.saveChain = Promise.resolve();
+        const data = this._load();
+        this.samples = data.samples;
+        this.resets = data.resets; // Next reset by model label, from the latest snapshot
+    }
+
+    /**
+     * Add a QuotaSnapshot from AntigravityClient
+     * @param {Object} snapshot
+     * @returns {QuotaSample|null} The stored sample; null when the snapshot has no quota data
+     */
+    record(snapshot) {
+        const models = {};
+        const resets = {};
+        for (const model of (snapshot && snapshot.models) || []) {
+            if (!model.label || typeof model.remainingFraction !== 'number') continue;
+            models[model.label] = model.remainingFraction;
+            const resetAt = model.resetTime ? new Date(model.resetTime).getTime() : NaN;
+            if (!Number.isNaN(resetAt)) resets[model.label] = resetAt;
+        }
+        const credits = snapshot && snapshot.promptCredits ? snapshot.promptCredits.available : null;
+        if (Object.keys(models).length === 0 && credits === null) return null;
+
+        const t = snapshot.timestamp ? new Date(snapshot.timestamp).getTime() : Date.now();
+        const sample = { t, credits, models };
+        const count = this.samples.length;
+        if (count > 0 && t < this.samples[count - 1].t) return null;
+        // Keep one sample per interval: the latest replaces the previous one until the interval has passed
+        if (count >= 2 && t - this.samples[count - 2].t < MIN_SAMPLE_INTERVAL_MS) {
+            this.samples[count - 1] = sample;
+        } else {
+            this.samples.push(sample);
+        }
+        this.resets = resets;
+        this.prune(t);
+        this.scheduleSave();
+        return sample;
+    }
+
+    prune(now = Date.now()) {
+        const cutoff = now - this.maxAgeMs;
+        const firstKept = this.samples.findIndex(sample => sample.t >= cutoff);
+        if (firstKept > 0) this.samples.splice(0, firstKept);
+        else if (firstKept === -1) this.samples = [];
+    }
+
+    /**
+     * @param {string} label - Model label
+     * @param {number} [since] - ms timestamp
+     * @returns {{t: number, value: number}[]} Oldest first
+     */
+    getSeries(label, since = 0) {
+        return this.samples
+            .filter(sample => sample.t >= since && typeof sample.models[label] === 'number')
+            .map(sample => ({ t: sample.t, value: sample.models[label] }));
+    }
+
+    /**
+     * @param {number} [since] - ms timestamp
+     * @returns {{t: number, value: number}[]} Available prompt credits, oldest first
+     */
+    getCreditSeries(since = 0) {
+        return this.samples
+            .filter(sample => sample.t >= since && typeof sample.credits === 'number')
+            .map(sample => ({ t: sample.t, value: sample.credits }));
+    }
+
+    /**
+     * @param {string} label - Model label
+     * @param {number} [now]
+     * @returns {QuotaForecast|null}
+     */
+    forecast(label, now = Date.now()) {
+        return forecastExhaustion(this.getSeries(label), { now, resetAt: this.resets[label] || null });
+    }
+
+    /**
+     * Every model seen in the last `hours`, with its series and forecast
+     * @param {Object} [options]
+     * @param {number} [options.hours] - How far back (default 24)
+     * @param {number} [options.now]
+     * @returns {{now: number, since: number, models: Object[], credits: Object|null}}
+     */
+    getSummary(options = {}) {
+        const now = options.now || Date.now();
+        const since = now - Math.max(1, Number(options.hours) || 24) * 3600000;
+        const labels = new Set();
+        for (const sample of this.samples) {
+            if (sample.t >= since) Object.keys(sample.models).forEach(label => labels.add(label));
+        }
+        const models = [...labels].map(label => {
+            const forecast = this.forecast(label, now);
+            return {
+                label,
+                points: this.getSeries(label, since),
+                resetAt: this.resets[label] || null,
+                forecast,
+                forecastText: describeForecast(forecast)
+            };
+        });
+        const creditPoints = this.getCreditSeries(since);
+        const creditForecast = forecastExhaustion(this.getCreditSeries(), { now });
+        return {
+            now,
+            since,
+            models,
+            credits: creditPoints.length > 0 ? { points: creditPoints, forecast: creditForecast, forecastText: describeForecast(creditForecast) } : null
+        };
+    }
+
+    clear() {
+        this.samples = [];
+        this.resets = {};
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write pending changes now
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (!this.filePath) return Promise.resolve();
+        const data = JSON.stringify({ samples: this.samples, resets: this.resets });
+        this.saveChain = this.saveChain.then(async () => {
+            try {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(this.filePath, data, 'utf8');
+            } catch (e) {
+                this.log(`QuotaHistory: Failed to persist quota history: ${e.message}`);
+            }
+        });
+        return this.saveChain;
+    }
+
+    _load() {
+        const empty = { samples: [], resets: {} };
+        if (!this.filePath) return empty;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return {
+                samples: Array.isArray(data.samples) ? data.samples : [],
+                resets: data.resets && typeof data.resets === 'object' ? data.resets : {}
+            };
+        } catch (e) {
+            if (e.code !== 'ENOENT') this.log(`QuotaHistory: Could not read ${this.filePath}: ${e.message}`);
+            return empty;
+        }
+    }
+}
+
+module.exports = {
+    QuotaHistory,
+    QUOTA_HISTORY_FILE_NAME,
+    getBurnRate,
+    forecastExhaustion,
+    formatDurationShort,
+    describeForecast
+};
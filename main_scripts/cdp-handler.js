@@ -12,6 +12,8 @@ class CDPHandler {
         this.connections = new Map(); // port:pageId -> {ws, injected}
         this.isEnabled = false;
         this.msgId = 1;
+        this.sendLock = Promise.resolve(); // Serializes prompt delivery across queues
+        this.lastSendError = null;         // Why the current delivery sent nothing (set inside sendLock)
     }
 
     log(msg) {
@@ -188,6 +190,90 @@ class CDPHandler {
         return stats;
     }
 
+    /**
+     * Probe what the agent is doing across connections.
+     * Connections hosting the agent panel win over the rest; among the chosen
+     * connections a busy state outranks idle so one quiet webview cannot mask work.
+     * @returns {Promise<{state: string, hasAgentPanel: boolean, conversation: string, signals: Object|null}>}
+     */
+    async getAgentState() {
+        const results = [];
+        for (const [id] of this.connections) {
+            try {
+                const res = await this._evaluate(id, 'JSON.stringify(window.__autoAcceptGetAgentState ? window.__autoAcceptGetAgentState() : { state: "unknown" })');
+                if (res?.result?.value) {
+                    results.push(JSON.parse(res.result.value));
+                }
+            } catch (e) { }
+        }
+
+        const known = results.filter(r => r && r.state && r.state !== 'unknown');
+        const panelResults = known.filter(r => r.hasAgentPanel);
+        const candidates = panelResults.length > 0 ? panelResults : known;
+
+        const priority = ['waiting-for-approval', 'generating', 'error', 'idle'];
+        for (const state of priority) {
+            const match = candidates.find(r => r.state === state);
+            if (match) return { state, hasAgentPanel: !!match.hasAgentPanel, conversation: match.conversation || '', signals: match.signals || null };
+        }
+        return { state: 'unknown', hasAgentPanel: false, conversation: '', signals: null };
+    }
+
+    /**
+     * Text of the newest agent reply, preferring connections hosting the agent panel
+     * @returns {Promise<string>} '' when no reply could be found
+     */
+    async getLastResponse() {
+        let fallback = '';
+        for (const [id] of this.connections) {
+            try {
+                const res = await this._evaluate(id, 'JSON.stringify(window.__autoAcceptGetLastResponse ? window.__autoAcceptGetLastResponse() : { found: false })');
+                const result = res?.result?.value ? JSON.parse(res.result.value) : null;
+                if (!result || !result.found) continue;
+                if (result.hasAgentPanel) return result.text;
+                if (!fallback) fallback = result.text;
+            } catch (e) { }
+        }
+        return fallback;
+    }
+
+    /**
+     * Label of the model selected in the agent panel, preferring connections hosting the panel
+     * @returns {Promise<string>} '' when no model picker could be read
+     */
+    async getSelectedModel() {
+        let fallback = '';
+        for (const [id] of this.connections) {
+            try {
+                const res = await this._evaluate(id, 'JSON.stringify(window.__autoAcceptGetSelectedModel ? window.__autoAcceptGetSelectedModel() : { found: false })');
+                const result = res?.result?.value ? JSON.parse(res.result.value) : null;
+                if (!result || !result.found) continue;
+                if (result.hasAgentPanel) return result.label;
+                if (!fallback) fallback = result.label;
+            } catch (e) { }
+        }
+        return fallback;
+    }
+
+    /**
+     * Pick a model in the agent panel's model picker
+     * @param {string} label - Model label (a quota label works: matching ignores case, punctuation and suffixes)
+     * @returns {Promise<{switched: boolean, label?: string, previous?: string, error?: string}>}
+     */
+    async selectModel(label) {
+        let fallback = { switched: false, error: 'Model picker not found' };
+        for (const [id] of this.connections) {
+            try {
+                const res = await this._evaluate(id, `(async () => JSON.stringify(window.__autoAcceptSelectModel ? await window.__autoAcceptSelectModel(${JSON.stringify(label)}) : { switched: false, error: 'Payload not injected' }))()`, 5000);
+                const result = res?.result?.value ? JSON.parse(res.result.value) : null;
+                if (!result) continue;
+                if (result.hasAgentPanel) return result;
+                if (result.switched || result.label) fallback = result;
+            } catch (e) { }
+        }
+        return fallback;
+    }
+
     async getSessionSummary() { return this.getStats(); } // Compatibility
     async setFocusState(isFocused) {
         for (const [id] of this.connections) {
@@ -199,12 +285,38 @@ class CDPHandler {
 
     getConnectionCount() { return this.connections.size; }
 
+    /**
+     * Deliver a prompt. Deliveries are serialized: sending to a conversation
+     * clicks its tab first, so two queues sending at once would otherwise
+     * switch tabs under each other.
+     * @returns {Promise<number>} Number of connections the prompt was sent to
+     */
     async sendPrompt(text, targetConversation = '') {
+        const result = await this.deliverPrompt(text, targetConversation);
+        return result.sent;
+    }
+
+    /**
+     * Like sendPrompt, but also reports why nothing was delivered
+     * @returns {Promise<{sent: number, error: string|null}>}
+     */
+    async deliverPrompt(text, targetConversation = '') {
+        const delivery = this.sendLock.then(async () => {
+            this.lastSendError = null;
+            const sent = await this._deliverPrompt(text, targetConversation);
+            return { sent, error: sent ? null : (this.lastSendError || 'Prompt not delivered') };
+        });
+        this.sendLock = delivery.catch(() => { });
+        return delivery;
+    }
+
+    async _deliverPrompt(text, targetConversation = '') {
         if (!text) return 0;
 
         const connCount = this.connections.size;
         if (connCount === 0) {
             this.log(`ERROR: No CDP connections available! Cannot send prompt.`);
+            this.lastSendError = 'No CDP connections available';
             return 0;
         }
 
@@ -216,6 +328,7 @@ class CDPHandler {
             return await this._sendPromptV2(text, targetConversation);
         } catch (e) {
             this.log(`Prompt send (v2) failed: ${e?.message || String(e)}`);
+            this.lastSendError = e?.message || String(e);
             return 0;
         }
 
@@ -337,7 +450,10 @@ class CDPHandler {
         if (!text) return 0;
 
         const connCount = this.connections.size;
-        if (connCount === 0) return 0;
+        if (connCount === 0) {
+            this.lastSendError = 'No CDP connections available';
+            return 0;
+        }
 
         // Probe each connection for the best prompt input target
         const connectionResults = [];
@@ -395,6 +511,7 @@ class CDPHandler {
 
         if (targetsWithInput.length === 0) {
             this.log('Prompt send (v2): No connection reports a prompt input.');
+            this.lastSendError = 'No connection reports a prompt input';
             return 0;
         }
 
@@ -445,9 +562,11 @@ class CDPHandler {
             }
 
             this.log(`Prompt send (v2): NOT sent: ${parsed?.error || raw || 'unknown error'}`);
+            this.lastSendError = parsed?.error || raw || 'unknown error';
             return 0;
         } catch (e) {
             this.log(`Prompt send (v2): Failed to send: ${e.message}`);
+            this.lastSendError = e.message;
             return 0;
         }
     }
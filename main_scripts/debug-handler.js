@@ -2,6 +2,8 @@ const vscode = require('vscode');
 const http = require('http');
 const path = require('path');
 const fs = require('fs');
+const { normalizeQueueItems, normalizeNamedQueues, DEFAULT_QUEUE_NAME, validateTemplate, normalizeRetryPolicy, DEFAULT_RETRY_POLICY, buildRunReport, runTestCommand, trimOutput, snapshotDiagnostics } = require('./queue');
+const { validateCron, getNextFireTimes } = require('./schedule');
 
 const GLOBAL_STATE_KEY = 'auto-accept-enabled-global';
 const FREQ_STATE_KEY = 'auto-accept-frequency';
@@ -48,27 +50,69 @@ class DebugHandler {
                 case 'startQueue':
                     // DEFENSIVE CHECK: Don't start if prompts are empty
                     if (scheduler) {
-                        const configPrompts = vscode.workspace.getConfiguration('auto-accept.schedule').get('prompts', []);
-                        if (!configPrompts || configPrompts.length === 0) {
-                            return { success: false, error: 'Queue is empty' };
+                        if (params.queue && params.queue !== DEFAULT_QUEUE_NAME) {
+                            const namedQueue = normalizeNamedQueues(vscode.workspace.getConfiguration('auto-accept.schedule').get('queues', []))
+                                .find(q => q.name === params.queue);
+                            if (!namedQueue) return { success: false, error: `Unknown queue: ${params.queue}` };
+                            if (namedQueue.prompts.length === 0) return { success: false, error: 'Queue is empty' };
+                        } else {
+                            const configPrompts = vscode.workspace.getConfiguration('auto-accept.schedule').get('prompts', []);
+                            const filePending = scheduler.queueFile ? scheduler.queueFile.getItems().length : 0;
+                            if ((!configPrompts || configPrompts.length === 0) && filePending === 0) {
+                                return { success: false, error: 'Queue is empty' };
+                            }
                         }
                     }
-                    await vscode.commands.executeCommand('auto-accept.startQueue', { source: 'manual' });
+                    await vscode.commands.executeCommand('auto-accept.startQueue', { source: 'manual', queue: params.queue });
                     return { success: true };
                 case 'pauseQueue':
-                    if (scheduler) { scheduler.pauseQueue(); return { success: true }; }
+                    if (scheduler) { scheduler.pauseQueue(params.queue); return { success: true }; }
                     return { success: false, error: 'Scheduler not initialized' };
                 case 'resumeQueue':
-                    if (scheduler) { scheduler.resumeQueue(); return { success: true }; }
+                    if (scheduler) { scheduler.resumeQueue(params.queue); return { success: true }; }
                     return { success: false, error: 'Scheduler not initialized' };
                 case 'skipPrompt':
-                    if (scheduler) { await scheduler.skipPrompt(); return { success: true }; }
+                    if (scheduler) { await scheduler.skipPrompt(params.queue); return { success: true }; }
                     return { success: false, error: 'Scheduler not initialized' };
                 case 'stopQueue':
-                    if (scheduler) { scheduler.stopQueue(); return { success: true }; }
+                    if (scheduler) { scheduler.stopQueue(params.queue); return { success: true }; }
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'deferQueueStart':
+                    // { queue, at: 'quotaReset' (default) | ms timestamp | 'HH:MM' | 'YYYY-MM-DD HH:MM' }
+                    if (scheduler) {
+                        const deferred = await vscode.commands.executeCommand('auto-accept.startQueueAtQuotaReset', params.queue, params.at !== undefined ? params.at : 'quotaReset');
+                        return deferred ? { success: true, deferredStart: deferred } : { success: false, error: 'Start not scheduled (see log)' };
+                    }
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'cancelDeferredStart':
+                    if (scheduler) return { success: true, cancelled: await scheduler.cancelDeferredStart(params.queue) };
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'editQueue':
+                    // Live edit by item id: { op, id, item, changes, beforeId, toIndex }
+                    if (scheduler) {
+                        const { queue: editQueueName, ...queueEdit } = params;
+                        const editedItem = await scheduler.editQueue(queueEdit, editQueueName);
+                        return { success: true, item: editedItem };
+                    }
                     return { success: false, error: 'Scheduler not initialized' };
                 case 'resetQueue':
-                    if (scheduler) { await scheduler.resetQueue(); return { success: true }; }
+                    // Archives the cleared prompts unless archive is false (no confirmation dialog)
+                    if (scheduler) { await scheduler.resetQueue({ archive: params.archive !== false }); return { success: true }; }
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'getArchive':
+                    if (scheduler) {
+                        const archived = scheduler.getArchive(params.query);
+                        return { success: true, count: archived.length, entries: archived.slice(0, params.limit || 100) };
+                    }
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'requeueArchived':
+                    if (scheduler) {
+                        const requeued = await scheduler.requeueArchived(params.id, { queue: params.queue, duplicate: !!params.duplicate });
+                        return { success: true, item: requeued };
+                    }
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'deleteArchived':
+                    if (scheduler) return { success: true, deleted: await scheduler.deleteArchived(params.ids) };
                     return { success: false, error: 'Scheduler not initialized' };
                 case 'sendPrompt':
                     // Send prompt via scheduler (ensures history is updated)
@@ -87,6 +131,62 @@ class DebugHandler {
                         return { success: true, status: scheduler.getStatus() };
                     }
                     return { success: true, status: { enabled: false, isRunningQueue: false, queueLength: 0, queueIndex: 0 } };
+                case 'getRunJournal':
+                    if (scheduler) {
+                        const journalQueue = scheduler.getQueue(params.queue);
+                        if (!journalQueue) return { success: false, error: `Unknown queue: ${params.queue}` };
+                        return { success: true, run: journalQueue.journal.getRun(), interrupted: !!journalQueue.journal.getInterrupted() };
+                    }
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'getRunReport':
+                    // Report of the last completed run, or a preview of the current run
+                    if (scheduler) {
+                        const reportRunner = scheduler.getQueue(params.queue || DEFAULT_QUEUE_NAME);
+                        if (!reportRunner) return { success: false, error: `Unknown queue: ${params.queue}` };
+                        if (reportRunner.lastReport) return { success: true, ...reportRunner.lastReport };
+                        const journalRun = reportRunner.journal.getRun();
+                        if (!journalRun) return { success: false, error: 'No run recorded' };
+                        return { success: true, preview: true, report: buildRunReport(journalRun, { queueName: reportRunner.name }) };
+                    }
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'getDiagnostics':
+                    // Problems panel entries as the diagnostics gate sees them
+                    const diagnosticsSeverity = params.minSeverity || vscode.workspace.getConfiguration('auto-accept.schedule').get('diagnosticsGate.minSeverity', 'error');
+                    const diagnostics = snapshotDiagnostics(vscode.languages.getDiagnostics(), diagnosticsSeverity);
+                    return { success: true, minSeverity: diagnosticsSeverity, count: diagnostics.length, diagnostics: diagnostics.slice(0, 200) };
+                case 'runTestGate':
+                    // Run the test gate command once, outside of a queue run
+                    const gateFolder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+                    if (!gateFolder) return { success: false, error: 'No workspace folder open' };
+                    const gateConfig = vscode.workspace.getConfiguration('auto-accept.schedule');
+                    const gateCommand = params.command || gateConfig.get('testGate.command', 'npm test');
+                    const gateResult = await runTestCommand(gateCommand, {
+                        cwd: gateFolder.uri.fsPath,
+                        timeoutMs: (params.timeout || gateConfig.get('testGate.timeout', 300)) * 1000
+                    });
+                    return { success: true, command: gateCommand, ...gateResult, output: trimOutput(gateResult.output) };
+                case 'getQueues':
+                    if (scheduler) {
+                        return { success: true, queues: scheduler.getStatus().queues };
+                    }
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'getQueueFile':
+                    if (scheduler) {
+                        const queueFile = scheduler.queueFile;
+                        return {
+                            success: true,
+                            path: queueFile ? queueFile.filePath : null,
+                            entries: queueFile ? queueFile.getEntries().map(e => ({ ...e.item, done: e.done, line: e.line + 1 })) : []
+                        };
+                    }
+                    return { success: false, error: 'Scheduler not initialized' };
+                case 'resumeInterruptedRun':
+                    if (scheduler) {
+                        const interrupted = scheduler.getInterruptedRuns().find(entry => !params.queue || entry.queue === params.queue);
+                        if (!interrupted) return { success: false, error: 'No interrupted run' };
+                        return { success: await scheduler.resumeInterruptedRun(interrupted.run, interrupted.queue) };
+                    }
+                    return { success: false, error: 'Scheduler not initialized' };
 
                 // === Schedule Configuration ===
                 case 'updateSchedule':
@@ -95,11 +195,55 @@ class DebugHandler {
                     if (params.enabled !== undefined) await schedConfig.update('enabled', params.enabled, vscode.ConfigurationTarget.Global);
                     if (params.mode !== undefined) await schedConfig.update('mode', params.mode, vscode.ConfigurationTarget.Global);
                     if (params.value !== undefined) await schedConfig.update('value', params.value, vscode.ConfigurationTarget.Global);
+                    if (params.cronExpression !== undefined) await schedConfig.update('cronExpression', params.cronExpression, vscode.ConfigurationTarget.Global);
+                    if (params.catchUpMissed !== undefined) await schedConfig.update('catchUpMissed', params.catchUpMissed, vscode.ConfigurationTarget.Global);
+                    if (params.executionWindows !== undefined) await schedConfig.update('executionWindows', params.executionWindows, vscode.ConfigurationTarget.Global);
                     if (params.prompt !== undefined) await schedConfig.update('prompt', params.prompt, vscode.ConfigurationTarget.Global);
-                    if (params.prompts !== undefined) await schedConfig.update('prompts', params.prompts, vscode.ConfigurationTarget.Global);
+                    // Accepts legacy string[] or QueueItem objects; stored in the structured shape
+                    if (params.prompts !== undefined) await schedConfig.update('prompts', normalizeQueueItems(params.prompts), vscode.ConfigurationTarget.Global);
+                    if (params.queues !== undefined) await schedConfig.update('queues', normalizeNamedQueues(params.queues), vscode.ConfigurationTarget.Global);
                     if (params.queueMode !== undefined) await schedConfig.update('queueMode', params.queueMode, vscode.ConfigurationTarget.Global);
                     if (params.silenceTimeout !== undefined) await schedConfig.update('silenceTimeout', params.silenceTimeout, vscode.ConfigurationTarget.Global);
+                    if (params.maxDuration !== undefined) await schedConfig.update('maxDuration', params.maxDuration, vscode.ConfigurationTarget.Global);
+                    if (params.completionDetection !== undefined) await schedConfig.update('completionDetection', params.completionDetection, vscode.ConfigurationTarget.Global);
+                    // Run reports: { enabled, location, openOnComplete }
+                    if (params.report) {
+                        for (const reportKey of ['enabled', 'location', 'openOnComplete']) {
+                            if (params.report[reportKey] !== undefined) await schedConfig.update(`report.${reportKey}`, params.report[reportKey], vscode.ConfigurationTarget.Global);
+                        }
+                    }
+                    // Diagnostics gate: { enabled, minSeverity, maxIterations, settleDelay, prompt }
+                    if (params.diagnosticsGate) {
+                        for (const diagnosticsKey of ['enabled', 'minSeverity', 'maxIterations', 'settleDelay', 'prompt']) {
+                            if (params.diagnosticsGate[diagnosticsKey] !== undefined) await schedConfig.update(`diagnosticsGate.${diagnosticsKey}`, params.diagnosticsGate[diagnosticsKey], vscode.ConfigurationTarget.Global);
+                        }
+                    }
+                    // Loop until done: { marker, maxIterations, maxMinutes }
+                    if (params.loopUntil) {
+                        for (const loopKey of ['marker', 'maxIterations', 'maxMinutes']) {
+                            if (params.loopUntil[loopKey] !== undefined) await schedConfig.update(`loopUntil.${loopKey}`, params.loopUntil[loopKey], vscode.ConfigurationTarget.Global);
+                        }
+                    }
+                    // Time budget escalation: { steps, interval, nudgePrompt, continuePrompt, carryOver }
+                    if (params.escalation) {
+                        for (const escalationKey of ['steps', 'interval', 'nudgePrompt', 'continuePrompt', 'carryOver']) {
+                            if (params.escalation[escalationKey] !== undefined) await schedConfig.update(`escalation.${escalationKey}`, params.escalation[escalationKey], vscode.ConfigurationTarget.Global);
+                        }
+                    }
+                    // Test gate: { enabled, command, timeout, maxIterations, fixPrompt }
+                    if (params.testGate) {
+                        for (const gateKey of ['enabled', 'command', 'timeout', 'maxIterations', 'fixPrompt']) {
+                            if (params.testGate[gateKey] !== undefined) await schedConfig.update(`testGate.${gateKey}`, params.testGate[gateKey], vscode.ConfigurationTarget.Global);
+                        }
+                    }
+                    // Delivery retry policy: { maxAttempts, initialDelay, maxDelay, onFailure }
+                    if (params.retry) {
+                        for (const retryKey of Object.keys(DEFAULT_RETRY_POLICY)) {
+                            if (params.retry[retryKey] !== undefined) await schedConfig.update(`retry.${retryKey}`, params.retry[retryKey], vscode.ConfigurationTarget.Global);
+                        }
+                    }
                     if (params.checkPromptEnabled !== undefined) await schedConfig.update('checkPrompt.enabled', params.checkPromptEnabled, vscode.ConfigurationTarget.Global);
+                    if (params.gitCheckpointEnabled !== undefined) await schedConfig.update('gitCheckpoint.enabled', params.gitCheckpointEnabled, vscode.ConfigurationTarget.Global);
                     if (params.checkPromptText !== undefined) await schedConfig.update('checkPrompt.text', params.checkPromptText, vscode.ConfigurationTarget.Global);
                     return { success: true };
 
@@ -111,14 +255,82 @@ class DebugHandler {
                             enabled: sched.get('enabled'),
                             mode: sched.get('mode'),
                             value: sched.get('value'),
+                            cronExpression: sched.get('cronExpression', '0 9 * * 1-5'),
+                            catchUpMissed: sched.get('catchUpMissed', true),
+                            executionWindows: sched.get('executionWindows', []),
                             prompt: sched.get('prompt'),
-                            prompts: sched.get('prompts', []),
+                            prompts: normalizeQueueItems(sched.get('prompts', [])),
+                            queues: normalizeNamedQueues(sched.get('queues', [])),
                             queueMode: sched.get('queueMode', 'consume'),
                             silenceTimeout: sched.get('silenceTimeout', 30),
+                            maxDuration: sched.get('maxDuration', 0),
+                            completionDetection: sched.get('completionDetection', 'agentState'),
+                            report: {
+                                enabled: sched.get('report.enabled', true),
+                                location: sched.get('report.location', 'storage'),
+                                openOnComplete: sched.get('report.openOnComplete', true)
+                            },
+                            retry: normalizeRetryPolicy({
+                                maxAttempts: sched.get('retry.maxAttempts', 5),
+                                initialDelay: sched.get('retry.initialDelay', 5),
+                                maxDelay: sched.get('retry.maxDelay', 300),
+                                onFailure: sched.get('retry.onFailure', 'pause')
+                            }),
                             checkPromptEnabled: sched.get('checkPrompt.enabled', false),
-                            checkPromptText: sched.get('checkPrompt.text', '')
+                            checkPromptText: sched.get('checkPrompt.text', ''),
+                            gitCheckpointEnabled: sched.get('gitCheckpoint.enabled', false),
+                            diagnosticsGate: {
+                                enabled: sched.get('diagnosticsGate.enabled', false),
+                                minSeverity: sched.get('diagnosticsGate.minSeverity', 'error'),
+                                maxIterations: sched.get('diagnosticsGate.maxIterations', 5),
+                                settleDelay: sched.get('diagnosticsGate.settleDelay', 5),
+                                prompt: sched.get('diagnosticsGate.prompt', '')
+                            },
+                            testGate: {
+                                enabled: sched.get('testGate.enabled', false),
+                                command: sched.get('testGate.command', 'npm test'),
+                                timeout: sched.get('testGate.timeout', 300),
+                                maxIterations: sched.get('testGate.maxIterations', 3),
+                                fixPrompt: sched.get('testGate.fixPrompt', '')
+                            },
+                            loopUntil: {
+                                marker: sched.get('loopUntil.marker', 'ALL TASKS COMPLETE'),
+                                maxIterations: sched.get('loopUntil.maxIterations', 10),
+                                maxMinutes: sched.get('loopUntil.maxMinutes', 0)
+                            },
+                            escalation: {
+                                steps: sched.get('escalation.steps', ['nudge', 'continue', 'skip', 'stop']),
+                                interval: sched.get('escalation.interval', 120),
+                                nudgePrompt: sched.get('escalation.nudgePrompt', ''),
+                                continuePrompt: sched.get('escalation.continuePrompt', 'Continue'),
+                                carryOver: sched.get('escalation.carryOver', false)
+                            }
                         }
                     };
+                case 'previewCron':
+                    const cronExpression = params.expression !== undefined
+                        ? params.expression
+                        : vscode.workspace.getConfiguration('auto-accept.schedule').get('cronExpression', '0 9 * * 1-5');
+                    const cronCheck = validateCron(cronExpression);
+                    if (!cronCheck.valid) return { success: false, error: cronCheck.error };
+                    const fireTimes = getNextFireTimes(cronExpression, params.count || 5).map(d => d.toISOString());
+                    return { success: true, expression: cronExpression, times: fireTimes };
+
+                case 'renderPrompt':
+                    // Render a prompt template the way the queue would right before sending it
+                    if (scheduler) {
+                        const templateRunner = scheduler.getQueue(params.queue || DEFAULT_QUEUE_NAME);
+                        if (!templateRunner) return { success: false, error: `Unknown queue: ${params.queue}` };
+                        const templateCheck = validateTemplate(params.text || '');
+                        if (!templateCheck.valid) return { success: false, errors: templateCheck.errors };
+                        try {
+                            const rendered = await templateRunner.renderPrompt({ type: 'task', id: null, text: params.text || '' });
+                            return { success: true, text: rendered };
+                        } catch (e) {
+                            return { success: false, error: e.message };
+                        }
+                    }
+                    return { success: false, error: 'Scheduler not initialized' };
 
                 // === Conversations ===
                 case 'getConversations':
@@ -131,10 +343,19 @@ class DebugHandler {
                     await vscode.commands.executeCommand('auto-accept.setTargetConversation', params.conversationId);
                     return { success: true };
                 case 'getPromptHistory':
+                    // Paged and filtered: { text, status, kind, queue, conversation, runId, since, until, offset, limit }
+                    if (scheduler) {
+                        const historyPage = scheduler.getHistory(params);
+                        // The page is picked newest first; `history` lists it oldest first like before paging existed
+                        return { success: true, total: historyPage.total, offset: historyPage.offset, limit: historyPage.limit, cost: historyPage.cost, costText: historyPage.costText, history: historyPage.entries.reverse() };
+                    }
+                    return { success: true, total: 0, offset: 0, limit: 0, cost: null, costText: '', history: [] };
+                case 'exportHistory':
                     if (scheduler) {
-                        return { success: true, history: scheduler.getHistory() };
+                        const { format: historyFormat = 'json', ...historyFilter } = params;
+                        return { success: true, format: historyFormat, content: scheduler.exportHistory(historyFormat, historyFilter) };
                     }
-                    return { success: true, history: [] };
+                    return { success: false, error: 'Scheduler not initialized' };
 
                 // === Banned Commands (Safety) ===
                 case 'updateBannedCommands':
@@ -155,6 +376,10 @@ class DebugHandler {
                 case 'refreshAntigravityQuota':
                     const snapshot = await vscode.commands.executeCommand('auto-accept.getAntigravityQuota');
                     return { success: true, snapshot };
+                case 'getQuotaHistory':
+                    // Per-model series with burn-rate forecasts: { hours }
+                    const quotaHistory = await vscode.commands.executeCommand('auto-accept.getQuotaHistory', params);
+                    return { success: true, history: quotaHistory };
                 case 'setResumeEnabled':
                     const resumeConf = vscode.workspace.getConfiguration('auto-accept.antigravityQuota.resume');
                     await resumeConf.update('enabled', params.value, vscode.ConfigurationTarget.Global);
@@ -243,6 +468,37 @@ class DebugHandler {
                     }
                     return { success: false, error: 'CDPHandler not available' };
 
+                case 'getAgentState':
+                    // Probe the agent panel (generating / waiting-for-approval / error / idle)
+                    if (scheduler && scheduler.cdpHandler) {
+                        return { success: true, agent: await scheduler.cdpHandler.getAgentState() };
+                    }
+                    return { success: false, error: 'CDPHandler not available' };
+
+                case 'getLastResponse':
+                    // Last agent reply as used by ${previousResponse}
+                    if (scheduler && scheduler.cdpHandler) {
+                        const lastResponse = await scheduler.cdpHandler.getLastResponse();
+                        return { success: true, found: !!lastResponse, text: lastResponse };
+                    }
+                    return { success: false, error: 'CDPHandler not available' };
+
+                case 'getSelectedModel':
+                    // Model picked in the agent panel, and the quota entry exhaustion is keyed to
+                    if (scheduler && scheduler.cdpHandler) {
+                        const selectedModel = await scheduler.cdpHandler.getSelectedModel();
+                        return { success: true, found: !!selectedModel, label: selectedModel, quotaModel: scheduler.quotaModel, isQuotaExhausted: scheduler.isQuotaExhausted };
+                    }
+                    return { success: false, error: 'CDPHandler not available' };
+
+                case 'selectModel':
+                    // Pick a model in the agent panel's model picker: { model }
+                    if (scheduler && scheduler.cdpHandler) {
+                        const selection = await scheduler.cdpHandler.selectModel(params.model);
+                        return { success: !!(selection.switched || selection.label), ...selection };
+                    }
+                    return { success: false, error: 'CDPHandler not available' };
+
                 case 'listChatCommands':
                     // List all available commands that might be chat-related
                     try {
@@ -437,10 +693,12 @@ class DebugHandler {
                     enabled: scheduleConfig.get('enabled'),
                     mode: scheduleConfig.get('mode'),
                     value: scheduleConfig.get('value'),
+                    cronExpression: scheduleConfig.get('cronExpression', '0 9 * * 1-5'),
                     prompt: scheduleConfig.get('prompt'),
-                    prompts: scheduleConfig.get('prompts', []),
+                    prompts: normalizeQueueItems(scheduleConfig.get('prompts', [])),
                     queueMode: scheduleConfig.get('queueMode', 'consume'),
-                    silenceTimeout: scheduleConfig.get('silenceTimeout', 30)
+                    silenceTimeout: scheduleConfig.get('silenceTimeout', 30),
+                    completionDetection: scheduleConfig.get('completionDetection', 'agentState')
                 },
                 quota: {
                     enabled: quotaConfig.get('enabled', true),
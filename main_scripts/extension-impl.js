@@ -2,6 +2,25 @@ const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
 const { DebugHandler } = require('./debug-handler');
+const { getQuotaState } = require('./antigravity/models');
+const { checkQuotaAlerts, getLowQuotaAction } = require('./antigravity/quota-alerts');
+const { QuotaHistory, QUOTA_HISTORY_FILE_NAME, describeForecast } = require('./antigravity/quota-history');
+const { getNextFireTime, countFireTimesBetween, dailyToCron, parseExecutionWindows, isWithinWindows, getNextWindowStart, getEarliestQuotaReset, parseStartTime, formatCountdown } = require('./schedule');
+const {
+    RunJournal, QueueFile, QUEUE_FILE_NAMES, QUEUE_FILE_TEMPLATE, findQueueFile, normalizeQueueItems, needsMigration, resolveCheckPrompt, getItemLabel, applyQueueEdit,
+    PromptArchive, createArchiveEntry, HistoryStore, HISTORY_FILE_NAME,
+    DEFAULT_QUEUE_NAME, normalizeNamedQueues, namedQueuesNeedMigration, getQueueJournalKey, matchesConversation,
+    parseTemplate, validateTemplate, renderTemplate, readGitBranch, readWorkspaceFile, formatDate, formatTime,
+    normalizeRetryPolicy, getMaxAttempts, getRetryDelay,
+    WORKSPACE_REPORT_DIR, summarizeQuotaSnapshot, buildRunReport, writeRunReport,
+    buildCheckpointMessage, commitCheckpoint,
+    runTestCommand, buildFixPrompt,
+    snapshotDiagnostics, findNewDiagnostics, buildDiagnosticsPrompt,
+    isLoopingMode, compileCompletionMarker, getLoopStopReason,
+    DEFAULT_ESCALATION_STEPS, DEFAULT_NUDGE_PROMPT, normalizeEscalationSteps, getDueEscalation,
+    getTaskCost, sumTaskCosts, formatTaskCost,
+    normalizeBudget, isBudgetEnabled, trackDailySpend, getBudgetState, formatBudgetAmount, describeBudgetRemaining, describeBudgetStop
+} = require('./queue');
 
 
 // Lazy load SettingsPanel to avoid blocking activation
@@ -20,6 +39,7 @@ function getSettingsPanel() {
 // Lazy load AntigravityClient for direct backend connection
 let AntigravityClient = null;
 let antigravityClient = null;
+let quotaHistory = null; // Every quota snapshot, for burn rates and forecasts
 function getAntigravityClient() {
     if (!AntigravityClient) {
         try {
@@ -39,7 +59,14 @@ const BANNED_COMMANDS_KEY = 'auto-accept-banned-commands';
 const ROI_STATS_KEY = 'auto-accept-roi-stats';
 const CDP_SETUP_COMPLETED_KEY = 'cdp-setup-completed';
 const EXTENSION_VERSION_KEY = 'extension-version'; // Track version to detect reinstall
+const DEFERRED_STARTS_KEY = 'auto-accept-deferred-starts'; // Pending "start later" queue starts
+const QUOTA_ALERTS_KEY = 'auto-accept-quota-alerts'; // Thresholds already alerted, per model and reset cycle
+const FALLBACK_ORIGIN_KEY = 'auto-accept-fallback-origin'; // Model in use before a quota fallback switch
+const BUDGET_DAY_KEY = 'auto-accept-budget-day'; // Quota used today while queues ran, for the daily budget
 const SECONDS_PER_CLICK = 5; // Conservative estimate: 5 seconds saved per auto-accept
+const AGENT_IDLE_CONFIRMATIONS = 2; // Consecutive idle polls (5s apart) before a task counts as finished
+const MAX_FIRE_TIMER_MS = 5 * 60 * 1000; // Re-read the wall clock at least this often (sleep, clock changes)
+const DEFERRED_RESTORE_DELAY_MS = 10000; // Deferred starts restored on activation wait for CDP to connect
 
 let isEnabled = false;
 let isLockedOut = false; // Local tracking
@@ -49,6 +76,7 @@ let bannedCommands = []; // List of command patterns to block
 let pollTimer;
 let statsCollectionTimer; // For periodic stats collection
 let quotaPollingTimer; // For Antigravity quota polling
+let queueStatusTimer; // Refreshes the queue status bar item (progress, countdowns)
 let statusBarItem;
 let statusSettingsItem;
 let statusQuotaItem; // Antigravity Quota display
@@ -93,6 +121,1414 @@ function log(message) {
     }
 }
 
+// --- Queue Runner ---
+// One runner per prompt queue: 'default' (prompts setting / queue file) plus one
+// per entry of auto-accept.schedule.queues. A runner owns its runtime queue,
+// progress, pause/stop state, silence tracking and run journal; the Scheduler
+// owns the shared timers, config, CDP handler and prompt history.
+class QueueRunner {
+    constructor(scheduler, name) {
+        this.scheduler = scheduler;
+        this.name = name;
+        this.isDefault = name === DEFAULT_QUEUE_NAME;
+        this.title = this.isDefault ? 'Queue' : `Queue "${name}"`;
+        this.promptQueue = Promise.resolve();
+        this.storedItemsLock = Promise.resolve(); // Serializes writes to this queue's stored items
+
+        this.runtimeQueue = [];
+        this.queueIndex = 0;
+        this.isRunningQueue = false;
+        this.isStopped = false; // Flag to cancel pending prompts
+        this.queueRunId = 0;
+        this.taskStartTime = 0;
+        this.hasSentCurrentItem = false;
+        this.lastClickTime = 0;
+        this.lastClickCount = 0;
+        this.lastActivityTime = 0;
+        this.lastStartTime = 0;
+
+        this.targetConversation = '';  // '' = current active tab
+        this.conversationStatus = 'idle'; // 'idle'|'running'|'waiting'|'testing'
+        this.isPaused = false;         // User-initiated pause
+        this.windowHold = false;       // Current item waits for the next execution window
+        this.deliveryFailed = false;   // Paused because the current item could not be delivered
+        this.deliveryRetry = null;     // { attempt, maxAttempts, nextAttemptAt, error } while backing off
+        this.itemStatsBaseline = null; // { clicks, blocked } when the current item was delivered
+        this.itemQuotaBaseline = null; // Promise of the QuotaSnapshotSummary from when the current item was sent
+        this.budgetState = null;       // getBudgetState() result of the last budget check, null = no budget
+        this.lastReport = null;        // { markdownPath, jsonPath, report } of the last completed run
+        this.taskHistory = [];         // History entries of the current task (task, check and fix prompts)
+        this.currentHistoryEntry = null; // History entry of the delivered current entry, finished when the queue moves on
+        this.testGateAbort = null;     // AbortController of the running test gate command
+        this.diagnosticsBaseline = null; // { since, diagnostics } when the current task was sent
+        this.escalationLevel = 0;      // Escalation steps taken for the current item
+        this.lastEscalationTime = 0;
+        this.escalationCarry = 0;      // Level the next item starts at after a skip (escalation.carryOver)
+
+        // Agent state completion detection (reset whenever a queue item is delivered)
+        this.agentState = 'unknown';   // Last probed state
+        this.agentBusySeen = false;    // Saw generating/waiting since the item was sent
+        this.agentIdlePolls = 0;       // Consecutive idle polls after busy
+
+        // Persistent journal so an interrupted run can be resumed after reload
+        const context = scheduler.context;
+        this.journal = new RunJournal(context && context.globalState, scheduler.log, getQueueJournalKey(name));
+    }
+
+    log(message) {
+        this.scheduler.log(`Scheduler${this.isDefault ? '' : ` [${this.name}]`}: ${message}`);
+    }
+
+    /**
+     * Queue items from config: the prompts setting (or queue file) for the
+     * default queue, the matching `queues` entry otherwise
+     * @returns {Object[]} QueueItem[]
+     */
+    getItems() {
+        if (this.isDefault) return this.scheduler.config.prompts;
+        const definition = this.getDefinition();
+        return definition ? definition.prompts : [];
+    }
+
+    getDefinition() {
+        if (this.isDefault) return null;
+        return (this.scheduler.config.queues || []).find(q => q.name === this.name) || null;
+    }
+
+    getQueueMode() {
+        const definition = this.getDefinition();
+        return (definition && definition.queueMode) || this.scheduler.config.queueMode;
+    }
+
+    /**
+     * @returns {'settings'|'file'} Only the default queue can be driven by the queue file
+     */
+    getSource() {
+        return this.isDefault ? this.scheduler.queueSource : 'settings';
+    }
+
+    buildRuntimeQueue() {
+        const items = this.getItems();
+        if (items.length === 0) return [];
+
+        const { checkPromptEnabled, checkPromptText } = this.scheduler.config;
+        const queue = [];
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (!item.enabled) continue;
+            queue.push({ type: 'task', id: item.id, text: item.text, index: i, item });
+            const checkText = resolveCheckPrompt(item, checkPromptEnabled, checkPromptText);
+            if (checkText) {
+                queue.push({ type: 'check', id: item.id, text: checkText, afterIndex: i, item });
+            }
+        }
+        return queue;
+    }
+
+    /**
+     * Reconcile a running queue with its edited source: entries already run and
+     * the current item stay, everything after them is rebuilt from the source.
+     */
+    async syncRuntimeQueue() {
+        const current = this.runtimeQueue[this.queueIndex];
+        let keep = Math.min(this.queueIndex + 1, this.runtimeQueue.length);
+        while (current && keep < this.runtimeQueue.length && this.runtimeQueue[keep].id === current.id) keep++;
+
+        const kept = this.runtimeQueue.slice(0, keep);
+        const keptIds = new Set(kept.map(e => e.id));
+        const next = kept.concat(this.buildRuntimeQueue().filter(e => !keptIds.has(e.id)));
+
+        const signature = queue => queue.map(e => `${e.type}:${e.id}:${e.text}:${JSON.stringify(e.item || null)}`).join('|');
+        if (signature(next) === signature(this.runtimeQueue)) return;
+
+        this.runtimeQueue = next;
+        await this.journal.syncItems(next, keep);
+        this.log(`Queue synced with source, ${next.length - keep} items pending`);
+    }
+
+    /**
+     * Whether the current entry is the last runtime entry of its item
+     * (check and fix prompts share the task's id)
+     */
+    isTaskFinished() {
+        const entry = this.runtimeQueue[this.queueIndex];
+        const next = this.runtimeQueue[this.queueIndex + 1];
+        return !!entry && !(next && next.id === entry.id);
+    }
+
+    /**
+     * Check the current item off in the queue file once all of its runtime
+     * entries (task, check and fix prompts) have completed.
+     */
+    async checkOffQueueFileItem() {
+        const queueFile = this.scheduler.queueFile;
+        const entry = this.runtimeQueue[this.queueIndex];
+        if (!entry || !queueFile || !this.isTaskFinished()) return;
+
+        if (await queueFile.setDone(entry.id)) {
+            this.log(`Checked off "${getItemLabel(entry.item, 40)}" in ${path.basename(queueFile.filePath)}`);
+        }
+    }
+
+    /**
+     * Silence timeout (ms) for the current queue item, falling back to the global setting
+     */
+    getCurrentSilenceTimeout() {
+        const entry = this.getCurrentPrompt();
+        const seconds = entry && entry.item ? entry.item.silenceTimeout : null;
+        return seconds ? seconds * 1000 : this.scheduler.config.silenceTimeout;
+    }
+
+    async checkSilence() {
+        // Queue advancement only requires: running queue + CDP connection + queue mode
+        // Note: scheduler.enabled is for scheduled runs; manual "Run Queue" doesn't need it
+        const { cdpHandler, config } = this.scheduler;
+        if (!cdpHandler || !this.isRunningQueue) return;
+        if (config.mode !== 'queue') return;
+        if (this.isPaused) return; // User paused - wait for resume
+        if (this.scheduler.isQuotaExhausted) return; // Don't advance if quota exhausted
+
+        // Get current click count from CDP. Clicks are not attributed to a
+        // conversation, so activity anywhere holds every running queue.
+        try {
+            const stats = await cdpHandler.getStats();
+            const currentClicks = stats?.clicks || 0;
+
+            // If clicks happened, update last click time
+            if (currentClicks > this.lastClickCount) {
+                this.lastClickTime = Date.now();
+                this.lastActivityTime = this.lastClickTime;
+                this.lastClickCount = currentClicks;
+                this.log(`Activity detected (${currentClicks} clicks)`);
+            }
+
+            // Check if silence timeout reached (only after we've successfully sent the current queue item)
+            const silenceDuration = Date.now() - (this.lastActivityTime || this.lastClickTime || Date.now());
+            const taskDuration = Date.now() - this.taskStartTime;
+
+            // Time budget: escalate even if the agent keeps clicking
+            if (this.hasSentCurrentItem && await this.escalate(taskDuration)) return;
+
+            // Agent state detection: advance on a confirmed busy -> idle transition.
+            // While the agent is busy, silence does not count; silence detection
+            // below is only the fallback when the state cannot be read.
+            if (config.completionDetection === 'agentState' && this.hasSentCurrentItem) {
+                const agentState = await this.probeAgentState();
+                if (agentState === 'generating' || agentState === 'waiting-for-approval') {
+                    this.agentBusySeen = true;
+                    this.agentIdlePolls = 0;
+                    this.lastActivityTime = Date.now();
+                    return;
+                }
+                if (agentState === 'idle' && this.agentBusySeen) {
+                    this.agentIdlePolls++;
+                    if (this.agentIdlePolls >= AGENT_IDLE_CONFIRMATIONS) {
+                        this.log(`Agent idle after ${Math.round(taskDuration / 1000)}s, advancing queue`);
+                        await this.advanceQueue();
+                    }
+                    return;
+                }
+                this.agentIdlePolls = 0;
+            }
+
+            // Silence fallback - only advance if:
+            // 1. We've been running this task for at least 10 seconds
+            // 2. We successfully sent the current queue item
+            // 3. Silence duration exceeds timeout
+            if (taskDuration > 10000 && this.hasSentCurrentItem && silenceDuration > this.getCurrentSilenceTimeout()) {
+                this.log(`Silence detected (${Math.round(silenceDuration / 1000)}s), advancing queue`);
+                await this.advanceQueue();
+            }
+        } catch (e) {
+            this.log(`Error checking silence: ${e.message}`);
+        }
+    }
+
+    /**
+     * Read the agent state from the browser payload, logging transitions.
+     * The panel shows one conversation at a time, so the state only counts when
+     * it belongs to this queue's conversation (or when no other queue is running).
+     * @returns {Promise<string>} 'generating' | 'waiting-for-approval' | 'error' | 'idle' | 'unknown'
+     */
+    async probeAgentState() {
+        const cdpHandler = this.scheduler.cdpHandler;
+        let state = 'unknown';
+        if (typeof cdpHandler.getAgentState === 'function') {
+            const result = await cdpHandler.getAgentState();
+            const current = this.getCurrentPrompt();
+            const target = (current && current.item && current.item.targetConversation) || this.targetConversation;
+            const observable = result?.conversation
+                ? matchesConversation(result.conversation, target)
+                : this.scheduler.getRunningQueues().length <= 1;
+            if (observable) state = result?.state || 'unknown';
+        }
+        if (state !== this.agentState) {
+            this.log(`Agent state ${this.agentState} -> ${state}`);
+            this.agentState = state;
+        }
+        return state;
+    }
+
+    resetCompletionDetection() {
+        this.agentBusySeen = false;
+        this.agentIdlePolls = 0;
+    }
+
+    resetProgress() {
+        this.lastClickCount = 0;
+        this.lastClickTime = Date.now();
+        this.lastActivityTime = Date.now();
+        this.taskStartTime = Date.now();
+        this.hasSentCurrentItem = false;
+        this.escalationLevel = this.escalationCarry;
+        this.escalationCarry = 0;
+        this.lastEscalationTime = 0;
+    }
+
+    /**
+     * Time budget (ms) for the current queue item, falling back to the global setting
+     * @returns {number|null} null = unlimited
+     */
+    getCurrentMaxDuration() {
+        const entry = this.getCurrentPrompt();
+        const seconds = (entry && entry.item && entry.item.maxDuration) || this.scheduler.config.maxDuration;
+        return seconds ? seconds * 1000 : null;
+    }
+
+    /**
+     * Take the escalation step that is due for an item over its time budget
+     * @param {number} taskDuration - ms since the item was started
+     * @returns {Promise<boolean>} true when the item was skipped or the queue stopped
+     */
+    async escalate(taskDuration) {
+        const { escalation } = this.scheduler.config;
+        const budgetMs = this.getCurrentMaxDuration();
+        const step = getDueEscalation(escalation.steps, {
+            durationMs: taskDuration,
+            budgetMs,
+            level: this.escalationLevel,
+            lastEscalationAt: this.lastEscalationTime,
+            intervalMs: escalation.interval * 1000
+        });
+        if (!step) return false;
+
+        const previousEscalation = this.lastEscalationTime;
+        this.escalationLevel++;
+        this.lastEscalationTime = Date.now();
+        const reason = `Time budget of ${Math.round(budgetMs / 1000)}s exceeded`;
+        const entry = this.getCurrentPrompt();
+        const target = (entry && entry.item && entry.item.targetConversation) || this.targetConversation;
+
+        if (step === 'nudge' || step === 'continue') {
+            // "Continue" is for a stalled agent: skip it if there was activity since the nudge
+            if (step === 'continue' && previousEscalation && this.lastActivityTime > previousEscalation) {
+                this.log(`Escalation: ${reason}, agent still active, not sending Continue`);
+                await this.recordEscalation(step, false);
+                return false;
+            }
+            const text = step === 'nudge' ? (escalation.nudgePrompt || DEFAULT_NUDGE_PROMPT) : escalation.continuePrompt;
+            this.log(`Escalation: ${reason}, sending ${step} prompt`);
+            // Sent directly: queuePrompt would treat it as a new delivery of the item
+            const result = await this.deliverOnce(text, target, false);
+            this.addHistory(text, target, { kind: 'escalation', status: result.sent > 0 ? 'sent' : 'failed', error: result.error });
+            await this.recordEscalation(step, result.sent > 0);
+            return false;
+        }
+
+        await this.recordEscalation(step, true);
+        if (step === 'skip') {
+            this.log(`Escalation: ${reason}, skipping the item`);
+            vscode.window.showWarningMessage(`${this.title}: ${reason}, skipping to the next item.`);
+            // Opt-in: a later step (stop) applies if the next item runs out of time too
+            if (escalation.carryOver) this.escalationCarry = this.escalationLevel;
+            await this.advanceQueue('failed', `${reason} (skipped by escalation)`);
+            return true;
+        }
+
+        this.log(`Escalation: ${reason}, stopping the queue`);
+        await this.recordItemStats();
+        await this.journal.markItem(this.queueIndex, 'failed', `${reason} (queue stopped by escalation)`);
+        this.finishHistoryEntry('failed', reason);
+        await this.journal.finish('stopped', `escalation: ${reason}`);
+        await this.scheduler.reportRun(this);
+        this.clearRunState();
+        this.isStopped = true;
+        vscode.window.showWarningMessage(`${this.title} stopped: ${reason}.`);
+        return true;
+    }
+
+    /**
+     * Stop the run before the next item is sent once the spending budget is used up
+     * @param {Object|null} quota - QuotaSnapshotSummary taken just now
+     * @returns {Promise<boolean>} true when the queue was stopped
+     */
+    async stopIfOverBudget(quota) {
+        const state = await this.scheduler.checkBudget(this, quota);
+        if (!state || !state.exceeded) return false;
+        await this.stopForBudget(state);
+        return true;
+    }
+
+    /**
+     * Stop the run because its spending budget is used up. An item in progress
+     * is marked failed; the agent may still finish it in the chat.
+     * @param {Object} state - getBudgetState() result with `exceeded` set
+     */
+    async stopForBudget(state) {
+        const reason = describeBudgetStop(state);
+        this.log(`${reason}, stopping the queue`);
+        if (this.hasSentCurrentItem) {
+            await this.recordItemStats();
+            await this.journal.markItem(this.queueIndex, 'failed', `${reason} (queue stopped by budget)`);
+            this.finishHistoryEntry('failed', reason);
+        }
+        await this.journal.finish('stopped', `budget: ${reason}`);
+        await this.scheduler.reportRun(this);
+        this.clearRunState();
+        this.isStopped = true;
+        vscode.window.showWarningMessage(`${this.title} stopped: ${reason}. Raise auto-accept.schedule.budget to let it run further.`);
+    }
+
+    /**
+     * Append an escalation step to the current item's journal entry
+     * @param {string} step
+     * @param {boolean} sent - Whether a prompt was delivered for the step
+     */
+    async recordEscalation(step, sent) {
+        const run = this.journal.getRun();
+        const item = run && run.items[this.queueIndex];
+        const escalations = (item && item.escalations) || [];
+        await this.journal.recordItem(this.queueIndex, { escalations: [...escalations, { step, at: Date.now(), sent }] });
+    }
+
+    /**
+     * Build the runtime queue from config and send the first item
+     * @param {string} source - startQueue source (empty queue warnings are for manual starts only)
+     */
+    async start(source) {
+        // Ensure we have fresh CDP connections and injected helpers (chat webviews may not exist at activation time).
+        await this.scheduler.ensureCdpReadyNow('startQueue', true);
+
+        this.runtimeQueue = this.buildRuntimeQueue();
+        this.queueIndex = 0;
+        this.isRunningQueue = true;
+        this.isStopped = false; // Clear stopped flag when starting
+        this.resetProgress();
+
+        this.log(`Starting queue with ${this.runtimeQueue.length} items`);
+
+        if (this.runtimeQueue.length === 0) {
+            this.log('Queue is empty, nothing to run');
+            if (source === 'manual') {
+                // Warning Dampener: Prevent spamming warnings loop
+                const now = Date.now();
+                if (this.queueWarningDampener && (now - this.queueWarningDampener < 5000)) {
+                    this.log('Suppressed empty queue warning (dampener active)');
+                } else {
+                    vscode.window.showWarningMessage(`Multi Purpose: ${this.isDefault ? 'Prompt queue' : this.title} is empty. Add prompts first.`);
+                    this.queueWarningDampener = now;
+                }
+            } else {
+                this.log('Suppressing empty queue warning (auto-start or no source)');
+            }
+            this.isRunningQueue = false;
+            this.hasSentCurrentItem = false;
+            return;
+        }
+
+        // Catch template typos before anything is sent
+        const templateErrors = this.getTemplateErrors();
+        if (templateErrors.length > 0) {
+            this.log(`Not starting, invalid prompt templates: ${templateErrors.join('; ')}`);
+            vscode.window.showErrorMessage(`Multi Purpose: ${this.title} not started. ${templateErrors.join('; ')}`);
+            this.isRunningQueue = false;
+            return;
+        }
+        if (this.getQueueMode() === 'loopUntil') {
+            try {
+                compileCompletionMarker(this.scheduler.config.loopUntil.marker);
+            } catch (e) {
+                this.log(`Not starting, ${e.message}`);
+                vscode.window.showErrorMessage(`Multi Purpose: ${this.title} not started. ${e.message}`);
+                this.isRunningQueue = false;
+                return;
+            }
+        }
+
+        // Quota snapshot for the run report; fetched alongside the first send
+        const quotaBefore = this.scheduler.captureQuota();
+        await this.journal.begin(this.runtimeQueue, {
+            queueMode: this.getQueueMode(),
+            targetConversation: this.targetConversation
+        });
+        quotaBefore.then(snapshot => snapshot && this.journal.setQuotaBefore(snapshot));
+
+        await this.executeCurrentQueueItem();
+    }
+
+    /**
+     * Resume a run recorded by the journal before the window went away.
+     * An item that was already delivered is not re-sent; silence detection
+     * simply continues waiting for it to finish.
+     * @param {Object} run - Interrupted JournalRun
+     */
+    async resumeInterruptedRun(run) {
+        if (!run || !run.items || run.queueIndex >= run.items.length) return false;
+        if (this.isRunningQueue) {
+            this.log('Queue already running, ignoring interrupted run resume');
+            return false;
+        }
+
+        this.scheduler.loadConfig();
+        if (this.scheduler.config.mode !== 'queue') {
+            vscode.window.showWarningMessage('Multi Purpose: Set mode to "Queue" first.');
+            return false;
+        }
+
+        await this.scheduler.ensureCdpReadyNow('resumeInterruptedRun', true);
+
+        // A reload can land between marking an item finished and moving the index
+        let index = run.queueIndex;
+        while (index < run.items.length && !['pending', 'sent'].includes(run.items[index].status)) {
+            index++;
+        }
+        if (index >= run.items.length) {
+            this.log(`Interrupted run ${run.runId} has no remaining items`);
+            await this.journal.finish('completed');
+            return false;
+        }
+
+        this.runtimeQueue = run.items.map(entry => ({ ...entry.item }));
+        this.queueIndex = index;
+        // Named queues keep the conversation from their definition
+        if (this.isDefault) this.targetConversation = run.targetConversation || '';
+        this.isRunningQueue = true;
+        this.isStopped = false;
+        this.isPaused = false;
+        this.resetProgress();
+
+        await this.journal.adopt({ ...run, queueIndex: index });
+
+        const current = run.items[index];
+        this.log(`Resuming ${run.runId} at item ${index + 1}/${run.items.length} (${current.status})`);
+
+        if (current.status === 'sent') {
+            // Already delivered before the interruption - wait for it instead of sending twice
+            this.hasSentCurrentItem = true;
+            this.resetCompletionDetection();
+            this.conversationStatus = 'running';
+            return true;
+        }
+
+        await this.executeCurrentQueueItem();
+        return true;
+    }
+
+    /**
+     * Move to the next queue item
+     * @param {string} [outcome] - Journal status for the item being left ('completed' | 'failed')
+     * @param {string} [reason] - Failure reason
+     */
+    async advanceQueue(outcome = 'completed', reason) {
+        if (!this.isRunningQueue) return;
+        // Silence checks must not advance the same item again while the gates run
+        this.hasSentCurrentItem = false;
+
+        await this.recordItemStats();
+        if (outcome === 'completed' && this.isTaskFinished()) {
+            const runId = this.queueRunId;
+            const index = this.queueIndex;
+            const interrupted = () => this.isStopped || runId !== this.queueRunId || index !== this.queueIndex;
+            // Concrete problems first; the tests run once their follow-up is done
+            const followUp = await this.runDiagnosticsGate();
+            if (interrupted()) return;
+            if (!followUp && this.scheduler.config.testGate.enabled) {
+                const gate = await this.runTestGate();
+                if (interrupted()) return;
+                if (gate === 'failed') {
+                    outcome = 'failed';
+                    const fixes = this.scheduler.config.testGate.maxIterations;
+                    reason = `Tests still failing after ${fixes} fix prompt${fixes === 1 ? '' : 's'}`;
+                }
+            }
+        }
+        await this.journal.markItem(this.queueIndex, outcome, reason);
+        this.finishHistoryEntry(outcome, outcome === 'completed' ? null : reason);
+        await this.checkpointTask(outcome, reason);
+
+        if (this.getQueueMode() === 'loopUntil' && await this.checkLoopStop()) return;
+
+        if (this.getSource() === 'file') {
+            // Queue file items are checked off in place, in both consume and loop mode
+            if (outcome === 'completed') await this.checkOffQueueFileItem();
+        } else if (this.getQueueMode() === 'consume') {
+            // In consume mode, remove the completed prompt from config immediately
+            await this.consumeCurrentPrompt();
+            await this.archiveTask(outcome, reason);
+        }
+
+        this.queueIndex++;
+        this.resetProgress();
+
+        if (this.queueIndex >= this.runtimeQueue.length) {
+            if (isLoopingMode(this.getQueueMode()) && this.runtimeQueue.length > 0) {
+                this.log('Queue completed, looping...');
+                this.queueIndex = 0;
+                // A new cycle starts from an unchecked queue file
+                if (this.getSource() === 'file' && this.scheduler.queueFile) await this.scheduler.queueFile.resetDone();
+                // Rebuild queue to respect any config changes
+                this.scheduler.loadConfig();
+                this.runtimeQueue = this.buildRuntimeQueue();
+                if (this.runtimeQueue.length === 0) {
+                    this.log('Queue source is empty, stopping loop');
+                    this.isRunningQueue = false;
+                    await this.completeRun();
+                    return;
+                }
+                await this.journal.nextCycle(this.runtimeQueue);
+            } else {
+                this.log('Queue completed, stopping');
+                this.isRunningQueue = false;
+                this.conversationStatus = 'idle';
+                await this.completeRun();
+                vscode.window.showInformationMessage(`Multi Purpose: ${this.isDefault ? 'Prompt queue' : this.title} completed!`);
+                return;
+            }
+        } else {
+            await this.journal.setIndex(this.queueIndex);
+        }
+
+        await this.executeCurrentQueueItem();
+    }
+
+    async executeCurrentQueueItem() {
+        const runId = this.queueRunId;
+        if (!this.isRunningQueue || this.isStopped) return;
+        if (this.queueIndex >= this.runtimeQueue.length) return;
+
+        const item = this.runtimeQueue[this.queueIndex];
+        const itemType = item.type === 'check' ? 'Check Prompt'
+            : item.type === 'fix' ? `Fix Prompt ${item.iteration}`
+                : item.type === 'diagnostics' ? `Diagnostics Prompt ${item.iteration}` : `Task ${item.index + 1}`;
+        const options = item.item || {};
+
+        if (!this.scheduler.isWithinExecutionWindow()) {
+            // Sent by Scheduler.check() once the next window opens
+            if (!this.windowHold) {
+                const resumeAt = this.scheduler.getWindowResumeTime();
+                const until = resumeAt ? formatResumeTime(resumeAt) : 'a window opens';
+                this.log(`Outside execution windows, holding ${itemType} until ${until}`);
+                vscode.window.showInformationMessage(`Multi Purpose: ${this.title} paused until ${until} (outside execution windows).`);
+            }
+            this.windowHold = true;
+            this.conversationStatus = 'idle';
+            return;
+        }
+        this.windowHold = false;
+
+        await this.scheduler.applyModelSwitch();
+
+        const quota = this.scheduler.captureQuota({ connectedOnly: true });
+        if (await this.stopIfOverBudget(await quota) || runId !== this.queueRunId) return;
+        // Kept across retries, so a retried item is charged from its first attempt
+        if (!this.itemQuotaBaseline) this.itemQuotaBaseline = quota;
+
+        this.log(`Executing ${itemType}: "${item.text.substring(0, 50)}..."`);
+        this.conversationStatus = 'running';
+
+        let text;
+        try {
+            text = await this.renderPrompt(item);
+        } catch (e) {
+            // Fail visibly instead of sending a half-rendered prompt
+            this.log(`${itemType} not sent: ${e.message}`);
+            vscode.window.showErrorMessage(`${this.isDefault ? 'Queue' : this.title} Error: ${e.message}`);
+            await this.journal.markItem(this.queueIndex, 'failed', e.message);
+            this.stopQueue();
+            return;
+        }
+
+        vscode.window.showInformationMessage(`Multi Purpose: ${this.isDefault ? '' : `[${this.name}] `}Sending ${itemType}${options.title ? `: ${getItemLabel(options, 40)}` : ''}`);
+
+        if (this.isStopped || runId !== this.queueRunId) return;
+        await this.queuePrompt(text, {
+            targetConversation: options.targetConversation,
+            retryCount: options.retryCount
+        });
+        // Note: addToHistory is called inside queuePrompt after successful send
+    }
+
+    /**
+     * Template errors across the runtime queue
+     * @returns {string[]}
+     */
+    getTemplateErrors() {
+        const errors = [];
+        for (const entry of this.runtimeQueue) {
+            const label = entry.type === 'check' ? `Check prompt ${entry.afterIndex + 1}` : `Task ${entry.index + 1}`;
+            for (const error of validateTemplate(entry.text).errors) errors.push(`${label}: ${error}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Resolve the template variables in a runtime queue entry
+     * @param {Object} entry - Runtime queue entry
+     * @returns {Promise<string>}
+     * @throws {Error} On unknown variables or values that cannot be resolved
+     */
+    async renderPrompt(entry) {
+        // Fix and diagnostics prompts carry raw tool output, which may contain `${...}`
+        if (entry.type === 'fix' || entry.type === 'diagnostics' || parseTemplate(entry.text).length === 0) return entry.text;
+
+        const cdpHandler = this.scheduler.cdpHandler;
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        const getRoot = () => {
+            if (!folder) throw new Error('Prompt template: no workspace folder is open');
+            return folder.uri.fsPath;
+        };
+        const tasks = this.runtimeQueue.filter(e => e.type === 'task');
+
+        return renderTemplate(entry.text, {
+            workspaceName: () => vscode.workspace.name || (folder ? folder.name : ''),
+            date: () => formatDate(),
+            time: () => formatTime(),
+            gitBranch: () => {
+                const branch = readGitBranch(getRoot());
+                if (!branch) throw new Error('Prompt template: ${gitBranch} used outside a git repository');
+                return branch;
+            },
+            // Check entries share their task's id
+            taskIndex: () => tasks.findIndex(e => e.id === entry.id) + 1,
+            taskCount: () => tasks.length,
+            taskTitle: () => (entry.item && entry.item.title) || '',
+            queueName: () => this.name,
+            file: arg => readWorkspaceFile(getRoot(), arg),
+            previousResponse: async () => {
+                const text = cdpHandler && typeof cdpHandler.getLastResponse === 'function' ? await cdpHandler.getLastResponse() : '';
+                if (!text) throw new Error('Prompt template: ${previousResponse} could not be read from the chat');
+                return text;
+            }
+        });
+    }
+
+    /**
+     * Aggregated click/blocked counters from the browser payload
+     * @returns {Promise<Object|null>}
+     */
+    async readStats() {
+        const { cdpHandler } = this.scheduler;
+        if (!cdpHandler) return null;
+        try {
+            return await cdpHandler.getStats();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Store the clicks, blocked commands and quota cost since the current item was delivered
+     */
+    async recordItemStats() {
+        const baseline = this.itemStatsBaseline;
+        const quotaBaseline = this.itemQuotaBaseline;
+        const index = this.queueIndex;
+        const entry = this.currentHistoryEntry;
+        this.itemStatsBaseline = null;
+        this.itemQuotaBaseline = null;
+        const metrics = {};
+        const stats = baseline ? await this.readStats() : null;
+        if (stats) {
+            // Counters can be reset mid-run (toggle off/on), never report negative values
+            metrics.clicks = Math.max(0, (stats.clicks || 0) - (baseline.clicks || 0));
+            metrics.blocked = Math.max(0, (stats.blocked || 0) - (baseline.blocked || 0));
+        }
+        const cost = quotaBaseline ? getTaskCost(await quotaBaseline, await this.scheduler.captureQuota({ connectedOnly: true })) : null;
+        if (cost) metrics.cost = cost;
+        if (Object.keys(metrics).length === 0) return;
+        await this.journal.recordItem(index, metrics);
+        this.scheduler.history.update(entry, metrics);
+    }
+
+    /**
+     * History entry, linked to this queue's run and current item while one runs
+     * @param {string} text
+     * @param {string} target - Target conversation
+     * @param {Object} [options] - addToHistory() options
+     * @returns {Object} The history entry
+     */
+    addHistory(text, target, options = {}) {
+        const current = this.getCurrentPrompt();
+        const run = current ? this.journal.getRun() : null;
+        return this.scheduler.addToHistory(text, target, {
+            queue: current ? this.name : null,
+            runId: run ? run.runId : null,
+            itemId: current ? current.id : null,
+            ...options
+        });
+    }
+
+    /**
+     * Give the current entry's history entry its final status
+     * @param {string} status - 'completed' | 'failed' | 'skipped' | 'cancelled'
+     * @param {string} [error]
+     */
+    finishHistoryEntry(status, error) {
+        this.scheduler.history.finish(this.currentHistoryEntry, status, error ? { error } : {});
+        this.currentHistoryEntry = null;
+    }
+
+    /**
+     * Commit the workspace once a task is finished (after its check prompt, if any)
+     * and link the commit to the journal item and the task's history entries
+     * @param {string} outcome - 'completed' | 'failed'
+     * @param {string} [reason]
+     */
+    async checkpointTask(outcome, reason) {
+        if (!this.scheduler.config.gitCheckpoint.enabled || !this.isTaskFinished()) return;
+        const entry = this.runtimeQueue[this.queueIndex];
+
+        const tasks = this.runtimeQueue.filter(e => e.type === 'task');
+        const run = this.journal.getRun();
+        const message = buildCheckpointMessage({
+            item: entry.item || { text: entry.text },
+            taskNumber: tasks.findIndex(e => e.id === entry.id) + 1,
+            taskCount: tasks.length,
+            queueName: this.name,
+            runId: run ? run.runId : null,
+            outcome,
+            reason
+        });
+
+        const sha = await this.scheduler.commitCheckpoint(message);
+        if (!sha) return;
+        this.log(`Checkpoint commit ${sha.substring(0, 7)}: ${message.split('\n')[0]}`);
+        // The task and its check prompt share the commit
+        for (let i = this.queueIndex; i >= 0 && this.runtimeQueue[i].id === entry.id; i--) {
+            await this.journal.recordItem(i, { commit: sha });
+        }
+        for (const historyEntry of this.taskHistory) this.scheduler.history.update(historyEntry, { commit: sha });
+        this.taskHistory = [];
+    }
+
+    /**
+     * Run the test command once the current task is finished. A failure queues
+     * a fix prompt with the command output right after the current entry,
+     * until the task's fix prompts are used up.
+     * @returns {Promise<'passed'|'failed'|'fix'|null>} null when the gate did not run or was cancelled
+     */
+    async runTestGate() {
+        const { testGate } = this.scheduler.config;
+        const entry = this.runtimeQueue[this.queueIndex];
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        if (!entry || !folder) {
+            this.log('Test gate skipped: no workspace folder is open');
+            return null;
+        }
+
+        // Fix prompts already sent for this task
+        const iteration = this.runtimeQueue.slice(0, this.queueIndex + 1).filter(e => e.type === 'fix' && e.id === entry.id).length;
+        this.log(`Test gate: running "${testGate.command}"`);
+        this.conversationStatus = 'testing';
+        this.testGateAbort = new AbortController();
+        const result = await runTestCommand(testGate.command, {
+            cwd: folder.uri.fsPath,
+            timeoutMs: testGate.timeout * 1000,
+            signal: this.testGateAbort.signal
+        });
+        this.testGateAbort = null;
+        if (result.aborted) {
+            this.log('Test gate cancelled');
+            return null;
+        }
+        this.conversationStatus = 'running';
+
+        const error = result.passed ? null
+            : result.timedOut ? `Timed out after ${testGate.timeout}s`
+                : result.exitCode === null ? 'Command could not be run' : `Exit code ${result.exitCode}`;
+        this.log(`Test gate ${result.passed ? 'passed' : `failed (${error})`} in ${Math.round(result.durationMs / 1000)}s`);
+        await this.journal.recordItem(this.queueIndex, {
+            testGate: { passed: result.passed, exitCode: result.exitCode, timedOut: result.timedOut, durationMs: result.durationMs, iteration }
+        });
+        const target = (entry.item && entry.item.targetConversation) || this.targetConversation;
+        this.taskHistory.push(this.addHistory(`Test gate: ${testGate.command}`, target, {
+            kind: 'testGate',
+            status: result.passed ? 'passed' : 'failed',
+            error
+        }));
+        if (result.passed) return 'passed';
+
+        if (iteration >= testGate.maxIterations) {
+            const fixes = testGate.maxIterations;
+            vscode.window.showWarningMessage(`${this.title}: tests still failing after ${fixes} fix prompt${fixes === 1 ? '' : 's'}. Moving on.`);
+            return 'failed';
+        }
+
+        const fix = {
+            type: 'fix',
+            id: entry.id,
+            text: buildFixPrompt({
+                command: testGate.command,
+                result,
+                intro: testGate.fixPrompt,
+                iteration: iteration + 1,
+                maxIterations: testGate.maxIterations
+            }),
+            afterIndex: entry.type === 'task' ? entry.index : entry.afterIndex,
+            iteration: iteration + 1,
+            item: entry.item
+        };
+        this.runtimeQueue.splice(this.queueIndex + 1, 0, fix);
+        await this.journal.syncItems(this.runtimeQueue, this.queueIndex + 1);
+        return 'fix';
+    }
+
+    /**
+     * Compare the Problems panel with the snapshot taken when the task was
+     * sent. New diagnostics in files changed since then are sent back as a
+     * follow-up prompt, up to `maxIterations` follow-ups per run.
+     * @returns {Promise<boolean>} true when a follow-up prompt was queued
+     */
+    async runDiagnosticsGate() {
+        const { diagnosticsGate } = this.scheduler.config;
+        const baseline = this.diagnosticsBaseline;
+        const entry = this.runtimeQueue[this.queueIndex];
+        if (!diagnosticsGate.enabled || !entry) return false;
+        if (!baseline) {
+            this.log('Diagnostics gate skipped: no snapshot from when the task was sent');
+            return false;
+        }
+
+        // Language servers report a moment after the last edit
+        if (diagnosticsGate.settleDelay > 0) {
+            const settled = await this.waitForRetry(diagnosticsGate.settleDelay * 1000, this.queueRunId, this.queueIndex);
+            if (!settled) return false;
+        }
+
+        const changedFiles = this.scheduler.getChangedFiles(baseline.since);
+        const current = snapshotDiagnostics(vscode.languages.getDiagnostics(), diagnosticsGate.minSeverity);
+        const added = findNewDiagnostics(baseline.diagnostics, current, changedFiles);
+        const iteration = this.runtimeQueue.filter(e => e.type === 'diagnostics').length;
+        this.log(`Diagnostics gate: ${added.length} new in ${changedFiles.length} changed files`);
+        await this.journal.recordItem(this.queueIndex, { diagnostics: { count: added.length, iteration } });
+
+        const target = (entry.item && entry.item.targetConversation) || this.targetConversation;
+        const label = `Diagnostics: ${added.length} new problem${added.length === 1 ? '' : 's'}`;
+        if (added.length === 0) {
+            this.taskHistory.push(this.addHistory(label, target, { kind: 'diagnostics', status: 'passed' }));
+            return false;
+        }
+        if (iteration >= diagnosticsGate.maxIterations) {
+            this.log(`Diagnostics gate: follow-up limit (${diagnosticsGate.maxIterations}) reached for this run`);
+            this.taskHistory.push(this.addHistory(label, target, { kind: 'diagnostics', status: 'failed', error: 'Follow-up limit reached' }));
+            return false;
+        }
+        this.taskHistory.push(this.addHistory(label, target, { kind: 'diagnostics', status: 'failed' }));
+
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        const followUp = {
+            type: 'diagnostics',
+            id: entry.id,
+            text: buildDiagnosticsPrompt({
+                diagnostics: added,
+                root: folder ? folder.uri.fsPath : '',
+                intro: diagnosticsGate.prompt,
+                iteration: iteration + 1,
+                maxIterations: diagnosticsGate.maxIterations
+            }),
+            afterIndex: entry.type === 'task' ? entry.index : entry.afterIndex,
+            iteration: iteration + 1,
+            item: entry.item
+        };
+        this.runtimeQueue.splice(this.queueIndex + 1, 0, followUp);
+        await this.journal.syncItems(this.runtimeQueue, this.queueIndex + 1);
+        return true;
+    }
+
+    /**
+     * Close the journal run and write its report
+     */
+    async completeRun(stopReason) {
+        await this.journal.finish('completed', stopReason);
+        await this.scheduler.reportRun(this);
+    }
+
+    /**
+     * End a 'loopUntil' run when the agent's latest reply matches the
+     * completion marker or the iteration or time limit is reached.
+     * Called as each entry finishes, before the queue moves on.
+     * @returns {Promise<boolean>} true when the run was ended
+     */
+    async checkLoopStop() {
+        const { loopUntil } = this.scheduler.config;
+        const run = this.journal.getRun();
+        let marker = loopUntil.marker;
+        try {
+            compileCompletionMarker(marker);
+        } catch (e) {
+            // Edited into an invalid pattern mid-run; the limits still apply
+            this.log(e.message);
+            marker = '';
+        }
+
+        const cdpHandler = this.scheduler.cdpHandler;
+        let response = '';
+        if (marker && cdpHandler && typeof cdpHandler.getLastResponse === 'function') {
+            try {
+                response = await cdpHandler.getLastResponse();
+            } catch (e) {
+                this.log(`Loop check: could not read the last response: ${e.message}`);
+            }
+        }
+
+        // The last entry of a cycle completes that cycle
+        const lastEntry = this.queueIndex >= this.runtimeQueue.length - 1;
+        const reason = getLoopStopReason({ ...loopUntil, marker }, {
+            response,
+            cycle: (run ? run.cycle : 0) + (lastEntry ? 1 : 0),
+            startedAt: run ? run.startedAt : this.taskStartTime
+        });
+        if (!reason) return false;
+
+        this.log(`Loop stopped: ${reason}`);
+        const entry = this.runtimeQueue[this.queueIndex];
+        const target = (entry && entry.item && entry.item.targetConversation) || this.targetConversation;
+        this.addHistory(`Loop stopped: ${reason}`, target, { kind: 'loop', status: 'completed' });
+        this.isRunningQueue = false;
+        this.conversationStatus = 'idle';
+        await this.completeRun(reason);
+        vscode.window.showInformationMessage(`Multi Purpose: ${this.isDefault ? 'Prompt queue' : this.title} stopped looping: ${reason}.`);
+        return true;
+    }
+
+    /**
+     * Re-send the current item after quota became available again
+     */
+    async resumeAfterQuota() {
+        // An undeliverable item waits for the user's Retry/Skip instead
+        if (!this.isRunningQueue || this.deliveryFailed) return;
+        this.log('Quota reset, resuming queue task');
+        this.lastClickTime = Date.now();
+        this.lastActivityTime = this.lastClickTime;
+        this.taskStartTime = Date.now();
+        this.lastClickCount = 0;
+        this.hasSentCurrentItem = false;
+        await this.executeCurrentQueueItem();
+    }
+
+    async consumeCurrentPrompt() {
+        // Only task entries map to a stored item; check and fix prompts share its id
+        const entry = this.runtimeQueue[this.queueIndex];
+        if (!entry || entry.type !== 'task') return;
+
+        try {
+            let remaining = null;
+            await this.updateStoredItems(items => {
+                const next = items.filter(item => item.id !== entry.id);
+                if (next.length === items.length) return items;
+                remaining = next.length;
+                return next;
+            });
+            if (remaining !== null) this.log(`Consumed prompt, ${remaining} remaining`);
+        } catch (e) {
+            this.log(`Error consuming prompt: ${e.message}`);
+        }
+    }
+
+    /**
+     * Keep a consumed task in the prompt archive once it is finished (after
+     * its check and fix prompts), with the outcome of its last entry
+     * @param {string} outcome - 'completed' | 'failed'
+     * @param {string} [reason]
+     */
+    async archiveTask(outcome, reason) {
+        if (!this.isTaskFinished()) return;
+        const entry = this.runtimeQueue[this.queueIndex];
+        let taskIndex = this.queueIndex;
+        while (taskIndex > 0 && this.runtimeQueue[taskIndex].type !== 'task' && this.runtimeQueue[taskIndex - 1].id === entry.id) taskIndex--;
+
+        const run = this.journal.getRun();
+        const journalItem = run && run.items[taskIndex];
+        const item = entry.item || { id: entry.id, text: entry.text };
+        await this.scheduler.archive.add([createArchiveEntry(item, {
+            queue: this.name,
+            conversation: item.targetConversation || this.targetConversation,
+            outcome,
+            error: outcome === 'completed' ? null : reason,
+            runId: run ? run.runId : null,
+            sentAt: journalItem ? journalItem.sentAt : null,
+            commit: journalItem ? journalItem.commit : null
+        })]);
+    }
+
+    /**
+     * Read-modify-write this queue's stored items (the prompts setting or its
+     * `queues` entry). Serialized so consumption and live edits never
+     * overwrite each other's changes.
+     * @param {function(Object[]): Object[]} transform - Returns the new list (the same array = unchanged)
+     * @returns {Promise<boolean>} false when the named queue no longer exists
+     */
+    updateStoredItems(transform) {
+        const update = async () => {
+            const config = vscode.workspace.getConfiguration('auto-accept.schedule');
+            if (this.isDefault) {
+                const items = normalizeQueueItems(config.get('prompts', []));
+                const next = transform(items);
+                if (next !== items) await config.update('prompts', next, vscode.ConfigurationTarget.Global);
+                return true;
+            }
+
+            const queues = normalizeNamedQueues(config.get('queues', []));
+            const definition = queues.find(q => q.name === this.name);
+            if (!definition) return false;
+            const next = transform(definition.prompts);
+            if (next !== definition.prompts) {
+                definition.prompts = next;
+                await config.update('queues', queues, vscode.ConfigurationTarget.Global);
+            }
+            return true;
+        };
+        const result = this.storedItemsLock.then(update);
+        this.storedItemsLock = result.catch(() => { });
+        return result;
+    }
+
+    /**
+     * Apply a live edit (insertNext, append, move, update, delete) to the
+     * stored items and reconcile a running queue right away. The item being
+     * run stays as it was sent; edits to it apply to later cycles.
+     * @param {Object} edit - QueueEdit
+     * @returns {Promise<Object>} The affected QueueItem
+     */
+    async editItems(edit) {
+        if (this.getSource() === 'file') {
+            throw new Error(`${this.title} comes from ${path.basename(this.scheduler.queueFile.filePath)}, edit the file instead`);
+        }
+        const current = this.getCurrentPrompt();
+        let result = null;
+        const exists = await this.updateStoredItems(items => {
+            result = applyQueueEdit(items, edit, { currentId: current ? current.id : null });
+            return result.items;
+        });
+        if (!exists) throw new Error(`${this.title} no longer exists`);
+
+        this.log(`Queue edit: ${edit.op} "${getItemLabel(result.item, 40)}"`);
+        this.scheduler.loadConfig();
+        if (this.isRunningQueue) await this.syncRuntimeQueue();
+        return result.item;
+    }
+
+    /**
+     * Serialize a prompt send through this queue's promise chain. Queues send
+     * independently; CDPHandler serializes the actual delivery. Undelivered
+     * prompts are retried with backoff per `auto-accept.schedule.retry.*`.
+     * @param {string} text - Prompt text
+     * @param {Object} [options] - { targetConversation, retryCount } per-item overrides
+     */
+    async queuePrompt(text, options = {}) {
+        const scheduler = this.scheduler;
+        const runId = this.queueRunId;
+        const index = this.queueIndex;
+        const target = options.targetConversation || this.targetConversation;
+        const policy = scheduler.config.retryPolicy || normalizeRetryPolicy();
+        const maxAttempts = getMaxAttempts(policy, options.retryCount);
+        this.promptQueue = this.promptQueue.then(async () => {
+            // Check if queue was stopped before we could send
+            if (this.isStopped || runId !== this.queueRunId) {
+                this.log('Prompt cancelled (queue stopped)');
+                return;
+            }
+
+            scheduler.lastRunTime = Date.now();
+            if (!text) return;
+
+            this.log(`Sending prompt "${text.substring(0, 50)}..."`);
+
+            let result = null;
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                if (result) {
+                    const delay = getRetryDelay(policy, attempt - 1);
+                    this.log(`Prompt not delivered (${result.error}), retrying in ${Math.round(delay / 1000)}s (${attempt}/${maxAttempts})...`);
+                    this.deliveryRetry = { attempt, maxAttempts, nextAttemptAt: Date.now() + delay, error: result.error };
+                    const proceed = await this.waitForRetry(delay, runId, index);
+                    this.deliveryRetry = null;
+                    if (!proceed) {
+                        this.log('Retry cancelled (queue stopped or item skipped)');
+                        return;
+                    }
+                }
+                // Retries force a resync (chat webview can spawn or reload after we started the queue)
+                result = await this.deliverOnce(text, target, attempt > 1);
+                result.attempts = attempt;
+                if (this.isStopped || runId !== this.queueRunId) return;
+                if (result.sent > 0) break;
+            }
+
+            const isQueueItem = this.isRunningQueue && scheduler.config.mode === 'queue';
+            if (result.sent === 0) {
+                if (isQueueItem) await this.journal.recordItem(this.queueIndex, { attempts: maxAttempts });
+                this.handleDeliveryFailure(text, target, result.error, maxAttempts, policy);
+                return;
+            }
+
+            const historyEntry = this.addHistory(text, target, { attempts: result.attempts });
+            if (isQueueItem) {
+                const current = this.getCurrentPrompt();
+                if (current && current.type === 'task') {
+                    this.taskHistory = [];
+                    this.diagnosticsBaseline = scheduler.config.diagnosticsGate.enabled ? {
+                        since: Date.now(),
+                        diagnostics: snapshotDiagnostics(vscode.languages.getDiagnostics(), scheduler.config.diagnosticsGate.minSeverity)
+                    } : null;
+                }
+                this.taskHistory.push(historyEntry);
+                this.currentHistoryEntry = historyEntry;
+                this.hasSentCurrentItem = true;
+                this.lastActivityTime = Date.now();
+                this.resetCompletionDetection();
+                await this.journal.markItem(this.queueIndex, 'sent');
+                await this.journal.recordItem(this.queueIndex, { attempts: result.attempts });
+                this.itemStatsBaseline = await this.readStats();
+            }
+            this.log(`Prompt sent via CDP (${result.sent} tabs)`);
+        }).catch(err => {
+            this.log(`Error: ${err.message}`);
+        });
+        return this.promptQueue;
+    }
+
+    /**
+     * One delivery attempt
+     * @param {string} text
+     * @param {string} target - Target conversation
+     * @param {boolean} forceResync - Force a CDP rescan before sending
+     * @returns {Promise<{sent: number, error: string|null}>}
+     */
+    async deliverOnce(text, target, forceResync) {
+        const { cdpHandler } = this.scheduler;
+        if (!cdpHandler) return { sent: 0, error: 'CDP handler not available' };
+        try {
+            // Ensure CDP has scanned/injected latest chat surfaces before attempting to send.
+            await this.scheduler.ensureCdpReadyNow(forceResync ? 'queuePrompt-retry' : 'queuePrompt', forceResync);
+            if (typeof cdpHandler.deliverPrompt === 'function') {
+                return await cdpHandler.deliverPrompt(text, target);
+            }
+            const rawSentCount = await cdpHandler.sendPrompt(text, target);
+            const sent = typeof rawSentCount === 'number' ? rawSentCount : (rawSentCount ? 1 : 0);
+            return { sent, error: sent ? null : 'Prompt not delivered (no active chat input / send function found).' };
+        } catch (e) {
+            return { sent: 0, error: e.message };
+        }
+    }
+
+    /**
+     * Sleep until the next delivery attempt (or until diagnostics have settled)
+     * @returns {Promise<boolean>} false when the queue was stopped or the item skipped meanwhile
+     */
+    async waitForRetry(delay, runId, index) {
+        const until = Date.now() + delay;
+        const cancelled = () => this.isStopped || runId !== this.queueRunId || (this.isRunningQueue && this.queueIndex !== index);
+        while (Date.now() < until) {
+            if (cancelled()) return false;
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000, until - Date.now())));
+        }
+        return !cancelled();
+    }
+
+    /**
+     * Apply the failure policy after the last delivery attempt. Runs inside the
+     * prompt chain, so nothing here may wait for another queuePrompt.
+     */
+    handleDeliveryFailure(text, target, error, attempts, policy) {
+        const scheduler = this.scheduler;
+        const message = `Prompt not delivered after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${error}`;
+        this.log(message);
+        this.addHistory(text, target, { status: 'failed', error, attempts });
+
+        if (!this.isRunningQueue || scheduler.config.mode !== 'queue') {
+            vscode.window.showErrorMessage(`Multi Purpose: ${message}`);
+            return;
+        }
+
+        if (policy.onFailure === 'skip') {
+            vscode.window.showWarningMessage(`${this.title}: ${message}. Skipping to the next item.`);
+            this.advanceQueue('failed', error).catch(e => this.log(`Error advancing queue: ${e.message}`));
+            return;
+        }
+
+        // Pause and keep the item current; Resume re-sends it
+        this.isPaused = true;
+        this.deliveryFailed = true;
+        this.hasSentCurrentItem = false;
+        this.journal.markItem(this.queueIndex, 'failed', error);
+        Promise.resolve(vscode.window.showWarningMessage(`${this.title} paused. ${message}`, 'Retry', 'Skip', 'Stop'))
+            .then(choice => {
+                if (choice === 'Retry') this.resumeQueue();
+                else if (choice === 'Skip') this.skipPrompt();
+                else if (choice === 'Stop') this.stopQueue();
+            })
+            .catch(e => this.log(`Error handling delivery failure choice: ${e.message}`));
+    }
+
+    // Queue control methods
+    pauseQueue() {
+        if (!this.isRunningQueue || this.isPaused) return false;
+        this.isPaused = true;
+        this.log('Queue paused by user');
+        vscode.window.showInformationMessage(`${this.title} paused.`);
+        return true;
+    }
+
+    resumeQueue() {
+        if (!this.isRunningQueue || !this.isPaused) return false;
+        this.isPaused = false;
+        this.log('Queue resumed by user');
+        vscode.window.showInformationMessage(`${this.title} resumed.`);
+        if (this.deliveryFailed) {
+            // Paused after the delivery attempts ran out - send the item again
+            this.deliveryFailed = false;
+            this.resetProgress();
+            this.executeCurrentQueueItem().catch(e => this.log(`Error re-sending item: ${e.message}`));
+            return true;
+        }
+        if (this.windowHold) {
+            // Still held when outside the execution windows
+            this.resumeFromWindow().catch(e => this.log(`Error resuming held item: ${e.message}`));
+            return true;
+        }
+        // Trigger next check immediately
+        this.checkSilence();
+        return true;
+    }
+
+    /**
+     * Send the item held outside the execution windows
+     */
+    async resumeFromWindow() {
+        if (!this.windowHold || !this.isRunningQueue || this.isPaused) return;
+        this.windowHold = false;
+        this.log('Execution window open, resuming queue');
+        this.resetProgress();
+        await this.executeCurrentQueueItem();
+    }
+
+    async skipPrompt() {
+        if (!this.isRunningQueue) return false;
+        if (this.testGateAbort) {
+            // The task itself is done; skipping only cancels its test run
+            this.log('Skipping test gate');
+            this.testGateAbort.abort();
+            return true;
+        }
+        this.log('Skipping current prompt');
+        vscode.window.showInformationMessage('Skipping to next prompt...');
+
+        await this.recordItemStats();
+        await this.journal.markItem(this.queueIndex, 'skipped');
+        this.finishHistoryEntry('skipped');
+
+        // Advance without sending current
+        this.queueIndex++;
+        this.isPaused = false; // Clear pause if set
+        this.deliveryFailed = false;
+        this.resetProgress();
+
+        if (this.queueIndex >= this.runtimeQueue.length) {
+            this.log('No more prompts to skip to, queue complete');
+            this.isRunningQueue = false;
+            this.conversationStatus = 'idle';
+            await this.completeRun();
+            return true;
+        }
+
+        await this.journal.setIndex(this.queueIndex);
+
+        // Execute next item
+        await this.executeCurrentQueueItem();
+        return true;
+    }
+
+    stopQueue() {
+        if (!this.isRunningQueue && this.runtimeQueue.length === 0) return false;
+        this.clearRunState();
+        this.isStopped = true; // Signal pending prompts to cancel
+        this.journal.finish('stopped');
+        this.log('Queue stopped by user');
+        vscode.window.showInformationMessage(`${this.title} stopped.`);
+        return true;
+    }
+
+    async resetQueue() {
+        // Stop the queue if running
+        this.clearRunState();
+        this.isStopped = false; // Reset the stopped flag
+        await this.journal.clear();
+    }
+
+    clearRunState() {
+        // A delivered entry that never finished was cut short by stop/reset
+        this.finishHistoryEntry('cancelled');
+        this.isRunningQueue = false;
+        this.queueRunId++;
+        if (this.testGateAbort) this.testGateAbort.abort();
+        this.testGateAbort = null;
+        this.runtimeQueue = [];
+        this.queueIndex = 0;
+        this.conversationStatus = 'idle';
+        this.isPaused = false;
+        this.windowHold = false;
+        this.deliveryFailed = false;
+        this.deliveryRetry = null;
+        this.itemStatsBaseline = null;
+        this.itemQuotaBaseline = null;
+        this.budgetState = null;
+        this.diagnosticsBaseline = null;
+        this.taskHistory = [];
+        this.lastClickCount = 0;
+        this.lastClickTime = 0;
+        this.lastActivityTime = 0;
+        this.taskStartTime = 0;
+        this.hasSentCurrentItem = false;
+        this.escalationLevel = 0;
+        this.lastEscalationTime = 0;
+        this.escalationCarry = 0;
+        // Reset the prompt queue to cancel pending operations
+        this.promptQueue = Promise.resolve();
+    }
+
+    getCurrentPrompt() {
+        if (!this.isRunningQueue || this.queueIndex >= this.runtimeQueue.length) return null;
+        return this.runtimeQueue[this.queueIndex];
+    }
+
+    getStatus() {
+        const run = this.journal.getRun();
+        return {
+            name: this.name,
+            targetConversation: this.targetConversation,
+            isRunningQueue: this.isRunningQueue,
+            isPaused: this.isPaused,
+            windowHold: this.windowHold,
+            pausedUntil: this.windowHold ? this.scheduler.getWindowResumeTime() : null,
+            deferredStart: this.scheduler.getDeferredStart(this.name),
+            queueLength: this.runtimeQueue.length,
+            queueIndex: this.queueIndex,
+            queueMode: this.getQueueMode(),
+            pendingItems: this.getItems().filter(item => item.enabled).length,
+            conversationStatus: this.conversationStatus,
+            currentPrompt: this.getCurrentPrompt(),
+            agentState: this.isRunningQueue ? this.agentState : null,
+            deliveryFailed: this.deliveryFailed,
+            deliveryRetry: this.deliveryRetry,
+            lastReport: this.lastReport ? this.lastReport.markdownPath : null,
+            runId: this.isRunningQueue && run ? run.runId : null,
+            // From the history, which keeps the items of earlier loop cycles
+            runCost: this.isRunningQueue && run ? formatTaskCost(this.scheduler.history.query({ runId: run.runId, limit: 1 }).cost) : '',
+            budget: this.budgetState
+        };
+    }
+}
+
 // --- Scheduler Class ---
 class Scheduler {
     constructor(context, cdpHandler, logFn, options = {}) {
@@ -101,178 +1537,474 @@ class Scheduler {
         this.log = logFn;
         this.timer = null;
         this.silenceTimer = null;
+        this.fireTimer = null;         // Daily/cron: timer for the next computed fire time
+        this.nextFireTime = null;      // ms timestamp, null = nothing scheduled
+        this.fireScheduleKey = '';     // Cron expression the fire timer was armed for
         this.lastRunTime = Date.now();
-        this.lastClickTime = 0;
-        this.lastClickCount = 0;
-        this.lastActivityTime = 0;
         this.enabled = false;
         this.isQuotaExhausted = false;
+        this.quotaModel = null;        // Quota label of the model selected in the chat, null = not detected
+        this.pendingModelSwitch = null; // { model, reason, from, restore }: picked in the chat before the next queue item
+        this.failedModelSwitch = null; // Model the picker could not switch to; queues pause instead until quota recovers
+        this.fallbackOrigin = context ? context.globalState.get(FALLBACK_ORIGIN_KEY, null) : null; // Model to switch back to after its reset
+        this.dailySpend = context ? context.globalState.get(BUDGET_DAY_KEY, null) : null; // DailySpend for the daily budget
         this.config = {};
-        this.promptQueue = Promise.resolve();
-
-        // Queue mode state
-        this.runtimeQueue = [];
-        this.queueIndex = 0;
-        this.isRunningQueue = false;
-        this.isStopped = false; // Flag to cancel pending prompts
-        this.queueRunId = 0;
-        this.taskStartTime = 0;
-        this.hasSentCurrentItem = false;
         this.activationTime = Date.now(); // Track when scheduler was created for activation guard
         this.ensureCdpReady = typeof options.ensureCdpReady === 'function' ? options.ensureCdpReady : null;
+        this.getQuotaSnapshot = typeof options.getQuotaSnapshot === 'function' ? options.getQuotaSnapshot : null;
+        this.isQuotaConnected = typeof options.isQuotaConnected === 'function' ? options.isQuotaConnected : null;
+        this.checkpointLock = Promise.resolve(); // Serializes git checkpoints across queues
+        this.deferredStarts = new Map(); // Queue name -> { entry: DeferredStart, timer }
         this.lastCdpSyncTime = 0;
+        const storage = context && context.globalStorageUri;
+        this.history = new HistoryStore(storage ? path.join(storage.fsPath, HISTORY_FILE_NAME) : null, (msg) => this.log(`Scheduler: ${msg}`));
+        this.archive = new PromptArchive(context ? context.globalState : null, (msg) => this.log(`Scheduler: ${msg}`));
+
+        // Queue runners by name. The default queue always exists; named queues
+        // from auto-accept.schedule.queues are added by loadConfig.
+        this.defaultQueue = new QueueRunner(this, DEFAULT_QUEUE_NAME);
+        this.queues = new Map([[DEFAULT_QUEUE_NAME, this.defaultQueue]]);
+
+        // Workspace queue file (.agent-queue.md / .yml); null = queue comes from settings
+        this.queueFile = null;
+        this.queueFileWatcher = null;
+        this.queueSource = 'settings'; // 'settings' | 'file'
+
+        // Files changed while a queue runs (fsPath -> ms), for the diagnostics gate
+        this.changedFiles = new Map();
+        this.changeTrackers = null;
+    }
+
+    // Run journal of the default queue (named queues keep their own)
+    get journal() {
+        return this.defaultQueue.journal;
+    }
+
+    async ensureCdpReadyNow(reason, force = false) {
+        if (!this.ensureCdpReady) return;
+        const now = Date.now();
+        if (!force && this.lastCdpSyncTime && (now - this.lastCdpSyncTime) < 2000) return;
+        this.lastCdpSyncTime = now;
+        try {
+            this.log(`Scheduler: Syncing CDP (${reason})...`);
+            await this.ensureCdpReady();
+        } catch (e) {
+            this.log(`Scheduler: CDP sync failed: ${e?.message || String(e)}`);
+        }
+    }
+
+    start() {
+        this.setupQueueFile();
+        this.loadConfig();
+        this.migrateQueueItems();
+        this.restoreDeferredStarts();
+        if (this.timer) clearInterval(this.timer);
+        this.timer = setInterval(() => this.check(), 60000);
+
+        // Silence detection timer (runs more frequently)
+        if (this.silenceTimer) clearInterval(this.silenceTimer);
+        this.silenceTimer = setInterval(() => this.checkSilence(), 5000);
+
+        // Reset activation time when scheduler starts (for accurate grace period)
+        this.activationTime = Date.now();
+        this.log('Scheduler started.');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.silenceTimer) {
+            clearInterval(this.silenceTimer);
+            this.silenceTimer = null;
+        }
+        if (this.queueFileWatcher) {
+            this.queueFileWatcher.dispose();
+            this.queueFileWatcher = null;
+        }
+        this.disposeChangeTracking();
+        this.history.flush();
+        this.clearFireTimer();
+        this.nextFireTime = null;
+        this.fireScheduleKey = '';
+        // Pending deferred starts stay in globalState and are re-armed on the next start()
+        for (const pending of this.deferredStarts.values()) clearTimeout(pending.timer);
+        this.deferredStarts.clear();
+        for (const runner of this.queues.values()) runner.isRunningQueue = false;
+    }
+
+    loadConfig() {
+        const cfg = vscode.workspace.getConfiguration('auto-accept.schedule');
+        const newEnabled = cfg.get('enabled', false);
+        const windows = parseExecutionWindows(cfg.get('executionWindows', []));
+
+        // Reset timer on rising edge (Disabled -> Enabled)
+        if (!this.enabled && newEnabled) {
+            this.lastRunTime = Date.now();
+            this.log('Scheduler: Enabled via config update - Timer reset');
+        }
+        this.enabled = newEnabled;
+        // A workspace queue file replaces the prompts setting as the queue source
+        this.queueSource = this.queueFile ? 'file' : 'settings';
+        this.config = {
+            mode: cfg.get('mode', 'interval'),
+            value: cfg.get('value', '30'),
+            cronExpression: cfg.get('cronExpression', '0 9 * * 1-5'),
+            catchUpMissed: cfg.get('catchUpMissed', true),
+            prompt: cfg.get('prompt', 'Status report please'),
+            prompts: this.queueFile ? this.queueFile.getItems() : normalizeQueueItems(cfg.get('prompts', [])),
+            queues: normalizeNamedQueues(cfg.get('queues', [])),
+            queueMode: cfg.get('queueMode', 'consume'),
+            silenceTimeout: cfg.get('silenceTimeout', 30) * 1000, // Convert to ms
+            completionDetection: cfg.get('completionDetection', 'agentState'),
+            retryPolicy: normalizeRetryPolicy({
+                maxAttempts: cfg.get('retry.maxAttempts', 5),
+                initialDelay: cfg.get('retry.initialDelay', 5),
+                maxDelay: cfg.get('retry.maxDelay', 300),
+                onFailure: cfg.get('retry.onFailure', 'pause')
+            }),
+            report: {
+                enabled: cfg.get('report.enabled', true),
+                location: cfg.get('report.location', 'storage'),
+                openOnComplete: cfg.get('report.openOnComplete', true)
+            },
+            gitCheckpoint: {
+                enabled: cfg.get('gitCheckpoint.enabled', false)
+            },
+            diagnosticsGate: {
+                enabled: cfg.get('diagnosticsGate.enabled', false),
+                minSeverity: cfg.get('diagnosticsGate.minSeverity', 'error'),
+                maxIterations: Math.max(0, cfg.get('diagnosticsGate.maxIterations', 5)),
+                settleDelay: Math.max(0, cfg.get('diagnosticsGate.settleDelay', 5)),
+                prompt: cfg.get('diagnosticsGate.prompt', '')
+            },
+            executionWindows: windows.windows,
+            maxDuration: Math.max(0, cfg.get('maxDuration', 0)),
+            budget: normalizeBudget({
+                unit: cfg.get('budget.unit', 'credits'),
+                perRun: cfg.get('budget.perRun', 0),
+                perDay: cfg.get('budget.perDay', 0),
+                model: cfg.get('budget.model', '')
+            }),
+            escalation: {
+                steps: normalizeEscalationSteps(cfg.get('escalation.steps', DEFAULT_ESCALATION_STEPS)),
+                interval: Math.max(10, cfg.get('escalation.interval', 120)),
+                nudgePrompt: cfg.get('escalation.nudgePrompt', ''),
+                continuePrompt: cfg.get('escalation.continuePrompt', 'Continue') || 'Continue',
+                carryOver: cfg.get('escalation.carryOver', false)
+            },
+            loopUntil: {
+                marker: cfg.get('loopUntil.marker', 'ALL TASKS COMPLETE'),
+                maxIterations: Math.max(0, cfg.get('loopUntil.maxIterations', 10)),
+                maxMinutes: Math.max(0, cfg.get('loopUntil.maxMinutes', 0))
+            },
+            testGate: {
+                enabled: cfg.get('testGate.enabled', false),
+                command: cfg.get('testGate.command', 'npm test'),
+                timeout: Math.max(1, cfg.get('testGate.timeout', 300)),
+                maxIterations: Math.max(0, cfg.get('testGate.maxIterations', 3)),
+                fixPrompt: cfg.get('testGate.fixPrompt', '')
+            },
+            checkPromptEnabled: cfg.get('checkPrompt.enabled', false),
+            checkPromptText: cfg.get('checkPrompt.text', 'Make sure that the previous task was implemented fully as per requirements, implement all gaps, fix all bugs and test everything. Make sure that you reused existing code where possible instead of duplicating code. ultrathink internally avoiding verbosity.')
+        };
+        this.log(`Scheduler Config: mode=${this.config.mode}, enabled=${this.enabled}, prompts=${this.config.prompts.length}, queues=${this.config.queues.length + 1}`);
+        if (windows.errors.length > 0) this.log(`Scheduler: Ignoring invalid execution windows: ${windows.errors.join('; ')}`);
+        if (this.config.diagnosticsGate.enabled) this.setupChangeTracking();
+        else this.disposeChangeTracking();
+        this.syncQueueRunners();
+        this.refreshFireSchedule();
+    }
+
+    /**
+     * Create runners for new named queues, drop idle runners whose queue was
+     * removed and keep each runner's target conversation in sync with config
+     */
+    syncQueueRunners() {
+        const names = new Set([DEFAULT_QUEUE_NAME]);
+        for (const definition of this.config.queues) {
+            names.add(definition.name);
+            let runner = this.queues.get(definition.name);
+            if (!runner) {
+                runner = new QueueRunner(this, definition.name);
+                this.queues.set(definition.name, runner);
+            }
+            runner.targetConversation = definition.targetConversation;
+        }
+        for (const [name, runner] of this.queues) {
+            if (!names.has(name) && !runner.isRunningQueue) this.queues.delete(name);
+        }
+    }
+
+    /**
+     * @param {string} [name] - Queue name (default queue when omitted)
+     * @returns {QueueRunner|null}
+     */
+    getQueue(name) {
+        return this.queues.get(name || DEFAULT_QUEUE_NAME) || null;
+    }
+
+    getRunningQueues() {
+        return [...this.queues.values()].filter(runner => runner.isRunningQueue);
+    }
+
+    /**
+     * Cron expression for the time-based modes ('daily' HH:MM is `M H * * *`)
+     * @returns {string|null}
+     */
+    getCronExpression() {
+        if (this.config.mode === 'cron') return this.config.cronExpression;
+        if (this.config.mode === 'daily') return dailyToCron(this.config.value);
+        return null;
+    }
+
+    /**
+     * Re-arm the fire timer when the enabled flag, mode or expression changed
+     */
+    refreshFireSchedule() {
+        const key = (this.enabled && this.getCronExpression()) || '';
+        if (key === this.fireScheduleKey && (this.fireTimer || !key)) return;
+        this.fireScheduleKey = key;
+        this.scheduleNextFire(Date.now());
+    }
+
+    /**
+     * Compute the next fire time after `from` and arm the timer for it
+     * @param {number} from - ms timestamp
+     */
+    scheduleNextFire(from) {
+        this.clearFireTimer();
+        this.nextFireTime = null;
+        if (!this.fireScheduleKey) return;
+
+        let next;
+        try {
+            next = getNextFireTime(this.fireScheduleKey, from);
+        } catch (e) {
+            this.log(`Scheduler: Invalid cron expression "${this.fireScheduleKey}": ${e.message}`);
+            return;
+        }
+        if (!next) {
+            this.log(`Scheduler: Cron expression "${this.fireScheduleKey}" never fires`);
+            return;
+        }
+        this.nextFireTime = next.getTime();
+        this.log(`Scheduler: Next ${this.config.mode} fire at ${next.toLocaleString()}`);
+        this.armFireTimer();
+    }
+
+    armFireTimer() {
+        // Capped so a wall-clock jump (sleep, clock change) is noticed within a few minutes
+        const delay = Math.max(0, Math.min(this.nextFireTime - Date.now(), MAX_FIRE_TIMER_MS));
+        this.fireTimer = setTimeout(() => this.onFireTimer(), delay);
+    }
+
+    clearFireTimer() {
+        if (this.fireTimer) {
+            clearTimeout(this.fireTimer);
+            this.fireTimer = null;
+        }
+    }
+
+    async onFireTimer() {
+        this.fireTimer = null;
+        if (!this.nextFireTime) return;
+
+        const now = Date.now();
+        if (now < this.nextFireTime) {
+            this.armFireTimer();
+            return;
+        }
+
+        // Fired late (machine asleep): coalesce every missed fire into one
+        const scheduled = this.nextFireTime;
+        let shouldFire = true;
+        if (now - scheduled > 60000) {
+            const missed = countFireTimesBetween(this.fireScheduleKey, scheduled - 1, now);
+            shouldFire = this.config.catchUpMissed;
+            this.log(`Scheduler: ${missed} fire(s) missed since ${new Date(scheduled).toLocaleString()}${shouldFire ? ', catching up once' : ', skipping (catch-up disabled)'}`);
+        }
+
+        if (shouldFire && !this.isWithinExecutionWindow(now)) {
+            this.log(`Scheduler: ${this.config.mode} fire suppressed, outside execution windows`);
+            shouldFire = false;
+        }
 
-        // Multi-queue ready architecture (single conversation for now)
-        this.targetConversation = '';  // '' = current active tab
-        this.promptHistory = [];       // HistoryEntry[]
-        this.conversationStatus = 'idle'; // 'idle'|'running'|'waiting'
-        this.isPaused = false;         // User-initiated pause
+        this.scheduleNextFire(now);
+        if (shouldFire && this.cdpHandler) {
+            this.log(`Scheduler: ${this.config.mode === 'cron' ? `Cron triggered (${this.fireScheduleKey})` : `Daily triggered (${this.config.value})`}`);
+            await this.trigger();
+        }
     }
 
-    async ensureCdpReadyNow(reason, force = false) {
-        if (!this.ensureCdpReady) return;
-        const now = Date.now();
-        if (!force && this.lastCdpSyncTime && (now - this.lastCdpSyncTime) < 2000) return;
-        this.lastCdpSyncTime = now;
+    /**
+     * Rewrite legacy string[] prompts (or items missing ids) in the structured shape.
+     */
+    async migrateQueueItems() {
         try {
-            this.log(`Scheduler: Syncing CDP (${reason})...`);
-            await this.ensureCdpReady();
+            const config = vscode.workspace.getConfiguration('auto-accept.schedule');
+            const raw = config.get('prompts', []);
+            if (needsMigration(raw)) {
+                const items = normalizeQueueItems(raw);
+                await config.update('prompts', items, vscode.ConfigurationTarget.Global);
+                this.log(`Scheduler: Migrated ${items.length} queue items to structured format`);
+            }
+
+            const rawQueues = config.get('queues', []);
+            if (namedQueuesNeedMigration(rawQueues)) {
+                await config.update('queues', normalizeNamedQueues(rawQueues), vscode.ConfigurationTarget.Global);
+                this.log('Scheduler: Migrated named queue items to structured format');
+            }
         } catch (e) {
-            this.log(`Scheduler: CDP sync failed: ${e?.message || String(e)}`);
+            this.log(`Scheduler: Error migrating queue items: ${e.message}`);
         }
     }
 
-    start() {
-        this.loadConfig();
-        if (this.timer) clearInterval(this.timer);
-        this.timer = setInterval(() => this.check(), 60000);
+    /**
+     * Locate the workspace queue file and watch it. The default file names are
+     * watched even when none exists yet, so a file created later is picked up.
+     */
+    setupQueueFile() {
+        if (this.queueFileWatcher) {
+            this.queueFileWatcher.dispose();
+            this.queueFileWatcher = null;
+        }
+        this.queueFile = null;
 
-        // Silence detection timer (runs more frequently)
-        if (this.silenceTimer) clearInterval(this.silenceTimer);
-        this.silenceTimer = setInterval(() => this.checkSilence(), 5000);
+        const cfg = vscode.workspace.getConfiguration('auto-accept.schedule.queueFile');
+        if (!cfg.get('enabled', true)) return;
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        if (!folder) return;
+        const configuredPath = cfg.get('path', '');
 
-        // Reset activation time when scheduler starts (for accurate grace period)
-        this.activationTime = Date.now();
-        this.log('Scheduler started.');
-    }
+        this.loadQueueFile(folder.uri.fsPath, configuredPath);
 
-    stop() {
-        if (this.timer) {
-            clearInterval(this.timer);
-            this.timer = null;
+        try {
+            const pattern = configuredPath || `{${QUEUE_FILE_NAMES.join(',')}}`;
+            this.queueFileWatcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, pattern));
+            const onChange = () => this.onQueueFileChanged(folder.uri.fsPath, configuredPath);
+            this.queueFileWatcher.onDidChange(onChange);
+            this.queueFileWatcher.onDidCreate(onChange);
+            this.queueFileWatcher.onDidDelete(onChange);
+        } catch (e) {
+            this.log(`Scheduler: Failed to watch queue file: ${e.message}`);
         }
-        if (this.silenceTimer) {
-            clearInterval(this.silenceTimer);
-            this.silenceTimer = null;
+    }
+
+    /**
+     * Record files changed on disk or in an editor while a queue runs, so the
+     * diagnostics gate only reports problems in files the agent touched
+     */
+    setupChangeTracking() {
+        if (this.changeTrackers) return;
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        if (!folder) return;
+        const record = uri => {
+            if (uri.scheme !== 'file' || this.getRunningQueues().length === 0) return;
+            this.changedFiles.set(uri.fsPath, Date.now());
+        };
+        try {
+            const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, '**/*'));
+            watcher.onDidChange(record);
+            watcher.onDidCreate(record);
+            this.changeTrackers = [watcher, vscode.workspace.onDidChangeTextDocument(e => record(e.document.uri))];
+        } catch (e) {
+            this.log(`Scheduler: Failed to track file changes: ${e.message}`);
         }
-        this.isRunningQueue = false;
     }
 
-    loadConfig() {
-        const cfg = vscode.workspace.getConfiguration('auto-accept.schedule');
-        const newEnabled = cfg.get('enabled', false);
+    disposeChangeTracking() {
+        if (!this.changeTrackers) return;
+        for (const tracker of this.changeTrackers) tracker.dispose();
+        this.changeTrackers = null;
+        this.changedFiles.clear();
+    }
 
-        // Reset timer on rising edge (Disabled -> Enabled)
-        if (!this.enabled && newEnabled) {
-            this.lastRunTime = Date.now();
-            this.log('Scheduler: Enabled via config update - Timer reset');
-        }
-        this.enabled = newEnabled;
-        this.config = {
-            mode: cfg.get('mode', 'interval'),
-            value: cfg.get('value', '30'),
-            prompt: cfg.get('prompt', 'Status report please'),
-            prompts: cfg.get('prompts', []),
-            queueMode: cfg.get('queueMode', 'consume'),
-            silenceTimeout: cfg.get('silenceTimeout', 30) * 1000, // Convert to ms
-            checkPromptEnabled: cfg.get('checkPrompt.enabled', false),
-            checkPromptText: cfg.get('checkPrompt.text', 'Make sure that the previous task was implemented fully as per requirements, implement all gaps, fix all bugs and test everything. Make sure that you reused existing code where possible instead of duplicating code. ultrathink internally avoiding verbosity.')
-        };
-        this.log(`Scheduler Config: mode=${this.config.mode}, enabled=${this.enabled}, prompts=${this.config.prompts.length}`);
+    /**
+     * @param {number} since - ms timestamp
+     * @returns {string[]} Paths changed at or after `since`
+     */
+    getChangedFiles(since) {
+        return [...this.changedFiles].filter(([, time]) => time >= since).map(([file]) => file);
     }
 
-    buildRuntimeQueue() {
-        const prompts = [...this.config.prompts];
-        if (prompts.length === 0) return [];
+    loadQueueFile(root, configuredPath) {
+        const filePath = findQueueFile(root, configuredPath);
+        if (!filePath) {
+            if (this.queueFile) this.log('Scheduler: Queue file removed, using settings prompts');
+            this.queueFile = null;
+            return;
+        }
+        if (!this.queueFile || this.queueFile.filePath !== filePath) {
+            this.queueFile = new QueueFile(filePath, this.log);
+            this.log(`Scheduler: Using queue file ${filePath}`);
+        }
+        this.queueFile.load();
+    }
 
-        const queue = [];
-        for (let i = 0; i < prompts.length; i++) {
-            queue.push({ type: 'task', text: prompts[i], index: i });
-            if (this.config.checkPromptEnabled) {
-                queue.push({ type: 'check', text: this.config.checkPromptText, afterIndex: i });
-            }
+    async onQueueFileChanged(root, configuredPath) {
+        this.loadQueueFile(root, configuredPath);
+        this.loadConfig();
+        if (this.defaultQueue.isRunningQueue && this.queueSource === 'file') {
+            await this.defaultQueue.syncRuntimeQueue();
         }
-        return queue;
     }
 
     async check() {
         this.loadConfig();
+        const inWindow = this.isWithinExecutionWindow();
+        if (inWindow) {
+            for (const runner of [...this.queues.values()]) {
+                if (runner.windowHold) await runner.resumeFromWindow();
+            }
+        }
         if (!this.enabled || !this.cdpHandler) return;
 
-        const now = new Date();
         const mode = this.config.mode;
         const val = this.config.value;
 
         if (mode === 'interval') {
             const minutes = parseInt(val) || 30;
             const ms = minutes * 60 * 1000;
-            if (Date.now() - this.lastRunTime > ms) {
+            // Outside the execution windows a due interval waits for the next window
+            if (inWindow && Date.now() - this.lastRunTime > ms) {
                 this.log(`Scheduler: Interval triggered (${minutes}m)`);
                 await this.trigger();
             }
-        } else if (mode === 'daily') {
-            const [targetH, targetM] = val.split(':').map(Number);
-            if (now.getHours() === targetH && now.getMinutes() === targetM) {
-                if (Date.now() - this.lastRunTime > 60000) {
-                    this.log(`Scheduler: Daily triggered (${val})`);
-                    await this.trigger();
-                }
-            }
         }
+        // Daily and cron modes fire from their own timer (see scheduleNextFire)
         // Queue mode is handled via startQueue() and silence detection
     }
 
-    async checkSilence() {
-        // Queue advancement only requires: running queue + CDP connection + queue mode
-        // Note: this.enabled is for scheduled runs; manual "Run Queue" doesn't need it
-        if (!this.cdpHandler || !this.isRunningQueue) return;
-        if (this.config.mode !== 'queue') return;
-        if (this.isPaused) return; // User paused - wait for resume
-        if (this.isQuotaExhausted) return; // Don't advance if quota exhausted
-
-        // Get current click count from CDP
-        try {
-            const stats = await this.cdpHandler.getStats();
-            const currentClicks = stats?.clicks || 0;
-
-            // If clicks happened, update last click time
-            if (currentClicks > this.lastClickCount) {
-                this.lastClickTime = Date.now();
-                this.lastActivityTime = this.lastClickTime;
-                this.lastClickCount = currentClicks;
-                this.log(`Scheduler: Activity detected (${currentClicks} clicks)`);
-            }
+    /**
+     * Whether prompts may be sent at `at` (auto-accept.schedule.executionWindows)
+     * @param {number} [at] - ms timestamp
+     */
+    isWithinExecutionWindow(at = Date.now()) {
+        return isWithinWindows(this.config.executionWindows || [], at);
+    }
 
-            // Check if silence timeout reached (only after we've successfully sent the current queue item)
-            const silenceDuration = Date.now() - (this.lastActivityTime || this.lastClickTime || Date.now());
-            const taskDuration = Date.now() - this.taskStartTime;
+    /**
+     * @param {number} [at] - ms timestamp
+     * @returns {number|null} When the next execution window opens; null inside a window or when none ever opens
+     */
+    getWindowResumeTime(at = Date.now()) {
+        if (this.isWithinExecutionWindow(at)) return null;
+        const next = getNextWindowStart(this.config.executionWindows, at);
+        return next ? next.getTime() : null;
+    }
 
-            // Only advance if:
-            // 1. We've been running this task for at least 10 seconds
-            // 2. We successfully sent the current queue item
-            // 3. Silence duration exceeds timeout
-            if (taskDuration > 10000 && this.hasSentCurrentItem && silenceDuration > this.config.silenceTimeout) {
-                this.log(`Scheduler: Silence detected (${Math.round(silenceDuration / 1000)}s), advancing queue`);
-                await this.advanceQueue();
-            }
-        } catch (e) {
-            this.log(`Scheduler: Error checking silence: ${e.message}`);
+    async checkSilence() {
+        // Each queue tracks its own silence and completion
+        for (const runner of [...this.queues.values()]) {
+            await runner.checkSilence();
         }
     }
 
     async startQueue(options) {
         // CRITICAL: Require explicit source for all startQueue calls
-        const validSources = ['manual', 'debug-server', 'resume', 'test'];
+        const validSources = ['manual', 'debug-server', 'resume', 'deferred', 'test'];
         const source = options?.source;
 
         // DEBUG: Trace caller if no valid source
@@ -282,14 +2014,7 @@ class Scheduler {
             return; // Block phantom callers
         }
 
-        this.log(`Scheduler: startQueue called with source: ${source}`);
-
-        // Dampener: Prevent rapid restarts/loops (2 second cooldown)
-        if (this.lastStartQueueTime && Date.now() - this.lastStartQueueTime < 2000) {
-            this.log('Scheduler: Ignoring rapid startQueue call (< 2s)');
-            return;
-        }
-        this.lastStartQueueTime = Date.now();
+        this.log(`Scheduler: startQueue called with source: ${source}${options.queue ? ` (queue: ${options.queue})` : ''}`);
 
         // ACTIVATION GUARD: Block non-manual starts during activation grace period.
         // Prevents config/debug automation from triggering queue start on reload, while still allowing user clicks.
@@ -298,12 +2023,27 @@ class Scheduler {
             return;
         }
 
-        // Load config first to get current state
+        // Load config first to get current state (and any newly defined queues)
+        if (this.queueFile) this.queueFile.load();
         this.loadConfig();
 
+        const runner = this.getQueue(options.queue);
+        if (!runner) {
+            this.log(`Scheduler: Unknown queue "${options.queue}"`);
+            vscode.window.showWarningMessage(`Multi Purpose: Queue "${options.queue}" is not defined.`);
+            return;
+        }
+
+        // Dampener: Prevent rapid restarts/loops of the same queue (2 second cooldown)
+        if (runner.lastStartTime && Date.now() - runner.lastStartTime < 2000) {
+            this.log('Scheduler: Ignoring rapid startQueue call (< 2s)');
+            return;
+        }
+        runner.lastStartTime = Date.now();
+
         // Prevent auto-starting queue when scheduler is enabled but user hasn't explicitly started it
-        if (this.config.mode === 'queue' && this.isRunningQueue) {
-            this.log('Scheduler: Queue is already running, ignoring duplicate startQueue call');
+        if (this.config.mode === 'queue' && runner.isRunningQueue) {
+            this.log(`Scheduler: Queue "${runner.name}" is already running, ignoring duplicate startQueue call`);
             return;
         }
 
@@ -315,91 +2055,128 @@ class Scheduler {
             return;
         }
 
-        // Ensure we have fresh CDP connections and injected helpers (chat webviews may not exist at activation time).
-        await this.ensureCdpReadyNow('startQueue', true);
-
-        this.runtimeQueue = this.buildRuntimeQueue();
-        this.queueIndex = 0;
-        this.isRunningQueue = true;
-        this.isStopped = false; // Clear stopped flag when starting
-        this.lastClickCount = 0;
-        this.lastClickTime = Date.now();
-        this.lastActivityTime = Date.now();
-        this.taskStartTime = Date.now();
-        this.hasSentCurrentItem = false;
-
-        this.log(`Scheduler: Starting queue with ${this.runtimeQueue.length} items`);
-
-        if (this.runtimeQueue.length === 0) {
-            this.log('Scheduler: Queue is empty, nothing to run');
-            if (options && options.source === 'manual') {
-                // Warning Dampener: Prevent spamming warnings loop
-                const now = Date.now();
-                if (this.queueWarningDampener && (now - this.queueWarningDampener < 5000)) {
-                    this.log('Scheduler: Suppressed empty queue warning (dampener active)');
-                } else {
-                    vscode.window.showWarningMessage('Multi Purpose: Prompt queue is empty. Add prompts first.');
-                    this.queueWarningDampener = now;
-                }
-            } else {
-                this.log('Scheduler: Suppressing empty queue warning (auto-start or no source)');
-            }
-            this.isRunningQueue = false;
-            this.hasSentCurrentItem = false;
-            return;
-        }
+        // Starting now makes a pending deferred start of this queue moot
+        await this.cancelDeferredStart(runner.name);
+        await runner.start(source);
+    }
 
-        await this.executeCurrentQueueItem();
+    /**
+     * Start a queue later, at a quota reset or a picked time. Replaces a
+     * pending start of the same queue.
+     * @param {Object} options
+     * @param {string} [options.queue] - Queue name (default queue when omitted)
+     * @param {number} options.at - ms timestamp
+     * @param {'quotaReset'|'time'} [options.reason]
+     * @param {string|null} [options.model] - Model whose reset was picked
+     * @returns {Promise<Object>} The DeferredStart
+     * @throws {Error} When the queue cannot be started at that time
+     */
+    async deferQueueStart({ queue, at, reason = 'time', model = null }) {
+        this.loadConfig();
+        const runner = this.getQueue(queue);
+        if (!runner) throw new Error(`Queue "${queue}" is not defined`);
+        if (this.config.mode !== 'queue') throw new Error('Set mode to "Queue" first');
+        if (runner.isRunningQueue) throw new Error(`${runner.title} is already running`);
+        if (!(at > Date.now())) throw new Error('The start time has already passed');
+
+        const entry = { queue: runner.name, at, reason, model };
+        this.armDeferredStart(entry);
+        await this.saveDeferredStarts();
+        this.log(`Scheduler: ${runner.title} starts at ${new Date(at).toLocaleString()}${model ? ` (quota reset of ${model})` : ''}`);
+        return entry;
     }
 
-    async advanceQueue() {
-        if (!this.isRunningQueue) return;
+    /**
+     * @param {string} [queue] - Queue name (default queue when omitted)
+     * @returns {Promise<boolean>} Whether a pending start was cancelled
+     */
+    async cancelDeferredStart(queue) {
+        const name = queue || DEFAULT_QUEUE_NAME;
+        const pending = this.deferredStarts.get(name);
+        if (!pending) return false;
+        clearTimeout(pending.timer);
+        this.deferredStarts.delete(name);
+        await this.saveDeferredStarts();
+        this.log(`Scheduler: Deferred start of queue "${name}" cancelled`);
+        return true;
+    }
 
-        // In consume mode, remove the completed prompt from config immediately
-        if (this.config.queueMode === 'consume') {
-            await this.consumeCurrentPrompt();
-        }
+    /**
+     * @param {string} [queue] - Queue name (default queue when omitted)
+     * @returns {Object|null} The pending DeferredStart
+     */
+    getDeferredStart(queue) {
+        const pending = this.deferredStarts.get(queue || DEFAULT_QUEUE_NAME);
+        return pending ? pending.entry : null;
+    }
 
-        this.queueIndex++;
-        this.lastClickCount = 0;
-        this.lastClickTime = Date.now();
-        this.lastActivityTime = Date.now();
-        this.taskStartTime = Date.now();
-        this.hasSentCurrentItem = false;
+    /**
+     * @param {Object} entry - DeferredStart
+     * @param {number} [minDelay] - Earliest the timer may fire, in ms
+     */
+    armDeferredStart(entry, minDelay = 0) {
+        const previous = this.deferredStarts.get(entry.queue);
+        if (previous) clearTimeout(previous.timer);
+        // Capped like the fire timer so sleep and clock changes are noticed
+        const delay = Math.max(minDelay, Math.min(entry.at - Date.now(), MAX_FIRE_TIMER_MS));
+        const timer = setTimeout(() => this.onDeferredStartTimer(entry), delay);
+        this.deferredStarts.set(entry.queue, { entry, timer });
+    }
 
-        if (this.queueIndex >= this.runtimeQueue.length) {
-            if (this.config.queueMode === 'loop' && this.runtimeQueue.length > 0) {
-                this.log('Scheduler: Queue completed, looping...');
-                this.queueIndex = 0;
-                // Rebuild queue to respect any config changes
-                this.loadConfig();
-                this.runtimeQueue = this.buildRuntimeQueue();
-            } else {
-                this.log('Scheduler: Queue completed, stopping');
-                this.isRunningQueue = false;
-                vscode.window.showInformationMessage('Multi Purpose: Prompt queue completed!');
-                return;
-            }
+    async onDeferredStartTimer(entry) {
+        const pending = this.deferredStarts.get(entry.queue);
+        if (!pending || pending.entry !== entry) return; // Cancelled or replaced
+        if (Date.now() < entry.at) {
+            this.armDeferredStart(entry);
+            return;
         }
 
-        await this.executeCurrentQueueItem();
+        this.deferredStarts.delete(entry.queue);
+        await this.saveDeferredStarts();
+        const label = entry.queue === DEFAULT_QUEUE_NAME ? 'the prompt queue' : `queue "${entry.queue}"`;
+        this.log(`Scheduler: Deferred start of queue "${entry.queue}" is due (${entry.reason})`);
+        vscode.window.showInformationMessage(`Multi Purpose: ${entry.reason === 'quotaReset' ? 'Quota reset, starting' : 'Starting'} ${label}.`);
+        await this.startQueue({ source: 'deferred', queue: entry.queue });
     }
 
-    async executeCurrentQueueItem() {
-        const runId = this.queueRunId;
-        if (!this.isRunningQueue || this.isStopped) return;
-        if (this.queueIndex >= this.runtimeQueue.length) return;
+    async saveDeferredStarts() {
+        if (!this.context) return;
+        const entries = [...this.deferredStarts.values()].map(pending => pending.entry);
+        await this.context.globalState.update(DEFERRED_STARTS_KEY, entries);
+    }
 
-        const item = this.runtimeQueue[this.queueIndex];
-        const itemType = item.type === 'check' ? 'Check Prompt' : `Task ${item.index + 1}`;
+    /**
+     * Re-arm the deferred starts saved before the window was closed. Starts
+     * that became due meanwhile run shortly after activation.
+     */
+    restoreDeferredStarts() {
+        if (!this.context) return;
+        for (const entry of this.context.globalState.get(DEFERRED_STARTS_KEY, [])) {
+            if (!entry || !entry.queue || !entry.at) continue;
+            if (entry.at <= Date.now()) this.log(`Scheduler: Deferred start of queue "${entry.queue}" became due while the window was closed`);
+            this.armDeferredStart(entry, DEFERRED_RESTORE_DELAY_MS);
+        }
+    }
 
-        this.log(`Scheduler: Executing ${itemType}: "${item.text.substring(0, 50)}..."`);
-        this.conversationStatus = 'running';
-        vscode.window.showInformationMessage(`Multi Purpose: Sending ${itemType}`);
+    /**
+     * Resume a run recorded by a queue's journal before the window went away
+     * @param {Object} run - Interrupted JournalRun
+     * @param {string} [queueName] - Queue the run belongs to (default queue when omitted)
+     */
+    async resumeInterruptedRun(run, queueName) {
+        const runner = this.getQueue(queueName);
+        if (!runner) return false;
+        return runner.resumeInterruptedRun(run);
+    }
 
-        if (this.isStopped || runId !== this.queueRunId) return;
-        await this.sendPrompt(item.text);
-        // Note: addToHistory is called inside queuePrompt after successful send
+    /**
+     * Interrupted runs across all queues
+     * @returns {{queue: string, run: Object}[]}
+     */
+    getInterruptedRuns() {
+        return [...this.queues.values()]
+            .map(runner => ({ queue: runner.name, run: runner.journal.getInterrupted() }))
+            .filter(entry => entry.run);
     }
 
     async resume() {
@@ -412,17 +2189,14 @@ class Scheduler {
         const autoContinueEnabled = autoContinueConfig.get('enabled', false);
 
         // 1. Handle Queue Resume (Prioritized)
-        if (this.isRunningQueue && this.config.mode === 'queue') {
+        const running = this.getRunningQueues();
+        if (running.length > 0 && this.config.mode === 'queue') {
             if (queueResumeEnabled) {
-                this.log('Scheduler: Quota reset, resuming queue task');
                 vscode.window.showInformationMessage('Multi Purpose: Quota reset! Resuming queue...');
-                this.lastClickTime = Date.now();
-                this.lastActivityTime = this.lastClickTime;
-                this.taskStartTime = Date.now();
-                this.lastClickCount = 0;
-                this.hasSentCurrentItem = false;
-                // Re-send current item to continue
-                await this.executeCurrentQueueItem();
+                // Re-send each queue's current item to continue
+                for (const runner of running) {
+                    await runner.resumeAfterQuota();
+                }
                 return;
             } else {
                 this.log('Scheduler: Quota reset, but queue resume disabled.');
@@ -441,21 +2215,6 @@ class Scheduler {
         // NOTE: Do NOT auto-start queue if not running - user must explicitly click Start Queue.
     }
 
-    async consumeCurrentPrompt() {
-        try {
-            const config = vscode.workspace.getConfiguration('auto-accept.schedule');
-            const prompts = config.get('prompts', []);
-            if (prompts.length > 0) {
-                // Remove the first prompt (the one that was just completed)
-                const remaining = prompts.slice(1);
-                await config.update('prompts', remaining, vscode.ConfigurationTarget.Global);
-                this.log(`Scheduler: Consumed prompt, ${remaining.length} remaining`);
-            }
-        } catch (e) {
-            this.log(`Scheduler: Error consuming prompt: ${e.message}`);
-        }
-    }
-
     async consumeCompletedPrompts() {
         try {
             const config = vscode.workspace.getConfiguration('auto-accept.schedule');
@@ -467,142 +2226,408 @@ class Scheduler {
         }
     }
 
-    setQuotaExhausted(exhausted) {
+    /**
+     * @param {boolean} exhausted - Quota of the model in use (any model when unknown) is used up
+     * @param {string|null} [model] - Quota label of the model in use; null = not detected
+     */
+    setQuotaExhausted(exhausted, model = null) {
         const wasExhausted = this.isQuotaExhausted;
         this.isQuotaExhausted = exhausted;
+        if (model !== this.quotaModel) this.log(`Scheduler: Quota decisions follow ${model ? `model "${model}"` : 'any model (model in use not detected)'}`);
+        this.quotaModel = model;
+        const subject = model ? `Quota of ${model}` : 'Quota';
 
         if (wasExhausted && !exhausted) {
-            this.log('Scheduler: Quota transitioned from exhausted to available');
+            this.log(`Scheduler: ${subject} transitioned from exhausted to available`);
             this.resume();
         } else if (exhausted && !wasExhausted) {
-            this.log('Scheduler: Quota became exhausted, pausing queue');
+            this.log(`Scheduler: ${subject} became exhausted, pausing queue`);
         }
     }
 
-    async queuePrompt(text) {
-        const runId = this.queueRunId;
-        this.promptQueue = this.promptQueue.then(async () => {
-            // Check if queue was stopped before we could send
-            if (this.isStopped || runId !== this.queueRunId) {
-                this.log('Scheduler: Prompt cancelled (queue stopped)');
+    /**
+     * Act on the quota of the model in use: pause queues, switch to a fallback
+     * model, or switch back once the original model's quota has reset
+     * @param {Object} lowQuota - getLowQuotaAction() result
+     * @param {string|null} model - Quota label of the model in use (null = not detected)
+     */
+    async onQuotaAction(lowQuota, model) {
+        const { action } = lowQuota;
+        if (action === 'fallback' && this.failedModelSwitch !== lowQuota.fallback.label) {
+            const reason = lowQuota.exhausted ? `${lowQuota.model.label} exhausted` : `${lowQuota.model.label} at ${Math.round(lowQuota.model.remainingFraction * 100)}%`;
+            this.requestModelSwitch(lowQuota.fallback.label, reason, { from: lowQuota.model.label });
+            if (!lowQuota.exhausted) {
+                this.setQuotaExhausted(false, model);
+                return;
+            }
+            // An exhausted model cannot go on: switch now and send the interrupted items again on the new model
+            if (await this.applyModelSwitch()) {
+                this.isQuotaExhausted = false;
+                this.quotaModel = lowQuota.fallback.label;
+                for (const runner of this.getRunningQueues()) {
+                    await runner.resumeAfterQuota();
+                }
                 return;
             }
+            this.setQuotaExhausted(true, model);
+            return;
+        }
+        if (action === 'restore' && this.failedModelSwitch !== lowQuota.model.label) {
+            this.requestModelSwitch(lowQuota.model.label, `quota of ${lowQuota.model.label} reset`, { restore: true });
+            // Running queues switch back before their next item
+            if (this.getRunningQueues().length === 0) await this.applyModelSwitch();
+        } else if (action === 'none') {
+            this.requestModelSwitch(null);
+        }
+        this.setQuotaExhausted(action === 'pause' || action === 'fallback', model);
+    }
 
-            this.lastRunTime = Date.now();
-            if (!text) return;
+    /**
+     * Switch the chat to another model before the next queue item is sent
+     * @param {string|null} model - Quota label of the model; null cancels a pending switch and forgets a failed one
+     * @param {string} [reason]
+     * @param {Object} [options]
+     * @param {string} [options.from] - Quota label of the model switched away from, restored after its reset
+     * @param {boolean} [options.restore] - Switching back to that model
+     */
+    requestModelSwitch(model, reason = '', options = {}) {
+        if (!model) {
+            this.pendingModelSwitch = null;
+            this.failedModelSwitch = null;
+            return;
+        }
+        if (this.pendingModelSwitch && this.pendingModelSwitch.model === model) return;
+        this.pendingModelSwitch = { model, reason, from: options.from || null, restore: options.restore === true };
+        this.log(`Scheduler: Queue items switch to model "${model}" (${reason})`);
+    }
+
+    /**
+     * Carry out a pending model switch, logged in the prompt history
+     * @returns {Promise<boolean>} Whether the chat now uses the requested model
+     */
+    async applyModelSwitch() {
+        const pending = this.pendingModelSwitch;
+        if (!pending || !this.cdpHandler || typeof this.cdpHandler.selectModel !== 'function') return false;
+        this.pendingModelSwitch = null;
+        const result = await this.cdpHandler.selectModel(pending.model);
+        const from = result.previous || pending.from || 'unknown model';
+        if (!result.switched && !result.label) {
+            this.failedModelSwitch = pending.model;
+            this.log(`Scheduler: Could not switch to model "${pending.model}": ${result.error}`);
+            this.addToHistory(`Model switch: ${from} → ${pending.model} (${pending.reason})`, null, { kind: 'modelSwitch', status: 'failed', error: result.error });
+            vscode.window.showWarningMessage(`Multi Purpose: Could not switch the chat to ${pending.model} (${result.error}). Queues pause on low quota instead.`);
+            return false;
+        }
+        this.failedModelSwitch = null;
+        if (result.switched) {
+            this.log(`Scheduler: Switched the chat model from "${from}" to "${result.label}" (${pending.reason})`);
+            this.addToHistory(`Model switch: ${from} → ${result.label} (${pending.reason})`, null, { kind: 'modelSwitch', status: 'completed' });
+            vscode.window.showInformationMessage(`Multi Purpose: Switched the chat to ${result.label} (${pending.reason}).`);
+        } else {
+            // Already selected (e.g. picked by hand): nothing changed, so no history entry or notification
+            this.log(`Scheduler: Chat model is already "${result.label}" (${pending.reason})`);
+        }
+        if (pending.restore) await this.setFallbackOrigin(null);
+        else if (pending.from && !this.fallbackOrigin) await this.setFallbackOrigin(pending.from);
+        return true;
+    }
 
-            this.log(`Scheduler: Sending prompt "${text.substring(0, 50)}..."`);
+    async setFallbackOrigin(model) {
+        this.fallbackOrigin = model;
+        if (this.context) await this.context.globalState.update(FALLBACK_ORIGIN_KEY, model || undefined);
+    }
 
-            // Use CDP only - the verified working method
-            if (this.cdpHandler) {
-                try {
-                    // Ensure CDP has scanned/injected latest chat surfaces before attempting to send.
-                    await this.ensureCdpReadyNow('queuePrompt');
-                    if (this.isStopped || runId !== this.queueRunId) return;
-
-                    const rawSentCount = await this.cdpHandler.sendPrompt(text, this.targetConversation);
-                    let sentCount = typeof rawSentCount === 'number' ? rawSentCount : (rawSentCount ? 1 : 0);
-                    if (this.isStopped || runId !== this.queueRunId) return;
-
-                    // One retry after a forced resync (chat webview can spawn after we started the queue)
-                    if (sentCount === 0 && this.ensureCdpReady) {
-                        this.log('Scheduler: Prompt not delivered, forcing CDP resync and retrying once...');
-                        await this.ensureCdpReadyNow('queuePrompt-retry', true);
-                        if (this.isStopped || runId !== this.queueRunId) return;
-                        const rawRetry = await this.cdpHandler.sendPrompt(text, this.targetConversation);
-                        sentCount = typeof rawRetry === 'number' ? rawRetry : (rawRetry ? 1 : 0);
-                        if (this.isStopped || runId !== this.queueRunId) return;
-                    }
+    /**
+     * Send a prompt outside of a named queue (scheduled, auto-continue, debug).
+     * Goes through the default queue so stopping it cancels pending sends.
+     * @param {string} text - Prompt text
+     * @param {Object} [options] - { targetConversation, retryCount } per-item overrides
+     */
+    async queuePrompt(text, options = {}) {
+        return this.defaultQueue.queuePrompt(text, options);
+    }
 
-                    // CRITICAL FIX: If 0 prompts sent, we must abort, otherwise we wait for silence forever
-                    if (sentCount === 0) {
-                        throw new Error('Prompt not delivered (no active chat input / send function found).');
-                    }
+    async sendPrompt(text, options) {
+        return this.queuePrompt(text, options);
+    }
 
-                    this.addToHistory(text, this.targetConversation);
-                    if (this.isRunningQueue && this.config.mode === 'queue') {
-                        this.hasSentCurrentItem = true;
-                        this.lastActivityTime = Date.now();
-                    }
-                    this.log(`Scheduler: Prompt sent via CDP (${sentCount} tabs)`);
-                } catch (err) {
-                    this.log(`Scheduler: CDP failed: ${err.message}`);
-                    vscode.window.showErrorMessage(`Queue Error: ${err.message}`);
-                    // Force stop queue on critical error to prevent "Running" ghost state
-                    this.stopQueue();
-                    return;
-                }
-            } else {
-                this.log('Scheduler: CDP handler not available');
-                if (this.isRunningQueue && this.config.mode === 'queue') {
-                    vscode.window.showErrorMessage('Queue Error: CDP handler not available.');
-                    this.stopQueue();
-                }
-            }
-        }).catch(err => {
-            this.log(`Scheduler Error: ${err.message}`);
+    async trigger() {
+        const text = this.config.prompt;
+        return this.queuePrompt(text);
+    }
+
+    getStatus() {
+        const queue = this.defaultQueue;
+        const queueStatus = queue.getStatus();
+        return {
+            enabled: this.enabled,
+            mode: this.config.mode,
+            isRunningQueue: queue.isRunningQueue,
+            queueLength: queue.runtimeQueue.length,
+            queueIndex: queue.queueIndex,
+            isQuotaExhausted: this.isQuotaExhausted,
+            quotaModel: this.quotaModel,
+            pendingModelSwitch: this.pendingModelSwitch,
+            fallbackOrigin: this.fallbackOrigin,
+            targetConversation: queue.targetConversation,
+            conversationStatus: queue.conversationStatus,
+            isPaused: queue.isPaused,
+            pausedUntil: queueStatus.pausedUntil,
+            deferredStart: queueStatus.deferredStart,
+            currentPrompt: queue.getCurrentPrompt(),
+            agentState: queueStatus.agentState,
+            nextFireTime: this.nextFireTime,
+            queueSource: this.queueSource,
+            queueFile: this.queueFile ? {
+                path: this.queueFile.filePath,
+                name: path.basename(this.queueFile.filePath),
+                pending: this.queueFile.getItems().length,
+                total: this.queueFile.getEntries().length
+            } : null,
+            runId: queueStatus.runId,
+            // Per-queue progress, default queue first
+            queues: [...this.queues.values()].map(runner => runner === queue ? queueStatus : runner.getStatus())
+        };
+    }
+
+    async getConversations() {
+        if (!this.cdpHandler) return [];
+        try {
+            return await this.cdpHandler.getConversations();
+        } catch (e) {
+            this.log(`Scheduler: Error getting conversations: ${e.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Spending of a queue's run, and of all queue runs today, against the
+     * budget, after adding `quota` to the day's spending
+     * @param {QueueRunner} runner
+     * @param {Object|null} quota - QuotaSnapshotSummary taken just now
+     * @returns {Promise<Object|null>} getBudgetState() result, null without a budget
+     */
+    async checkBudget(runner, quota) {
+        if (!isBudgetEnabled(this.config.budget)) {
+            runner.budgetState = null;
+            return null;
+        }
+        await this.recordDailySpend(quota);
+        return this.updateBudgetState(runner, quota);
+    }
+
+    /**
+     * Recheck the budget of running queues against a fresh snapshot, and stop
+     * those that used it up, even in the middle of an item
+     * @param {Object|null} snapshot - QuotaSnapshot
+     */
+    async refreshBudgets(snapshot) {
+        const runners = [...this.queues.values()];
+        if (!isBudgetEnabled(this.config.budget)) {
+            for (const runner of runners) runner.budgetState = null;
+            return;
+        }
+        const quota = summarizeQuotaSnapshot(snapshot);
+        await this.recordDailySpend(quota);
+        for (const runner of runners) {
+            if (!runner.isRunningQueue) continue;
+            const state = await this.updateBudgetState(runner, quota);
+            if (state.exceeded) await runner.stopForBudget(state);
+        }
+    }
+
+    /**
+     * Add the quota used since the last observation to today's spending
+     * (see trackDailySpend()); kept in globalState across reloads
+     * @param {Object|null} quota - QuotaSnapshotSummary
+     */
+    async recordDailySpend(quota) {
+        const running = [...this.queues.values()].some(runner => runner.isRunningQueue);
+        const next = trackDailySpend(this.dailySpend, quota, { running });
+        if (next === this.dailySpend) return;
+        this.dailySpend = next;
+        if (this.context) await this.context.globalState.update(BUDGET_DAY_KEY, next);
+    }
+
+    /**
+     * Budget state of a runner, kept on it for the status bar. Its item in
+     * progress is charged up to `quota`.
+     * @param {QueueRunner} runner
+     * @param {Object|null} quota - QuotaSnapshotSummary
+     * @returns {Promise<Object>} getBudgetState() result
+     */
+    async updateBudgetState(runner, quota) {
+        const run = runner.journal.getRun();
+        const runCost = run ? this.history.query({ runId: run.runId, limit: 1 }).cost : null;
+        const inProgress = runner.itemQuotaBaseline ? getTaskCost(await runner.itemQuotaBaseline, quota) : null;
+        runner.budgetState = getBudgetState(this.config.budget, {
+            runCost: sumTaskCosts([runCost, inProgress]),
+            dayCost: this.dailySpend ? this.dailySpend.spent : null,
+            model: this.quotaModel
         });
-        return this.promptQueue;
+        return runner.budgetState;
     }
 
-    async sendPrompt(text) {
-        return this.queuePrompt(text);
+    /**
+     * Summarized quota snapshot for run reports and task costs
+     * @param {Object} [options] - { connectedOnly: skip instead of connecting to Antigravity }
+     * @returns {Promise<Object|null>} null when Antigravity is not reachable
+     */
+    async captureQuota(options = {}) {
+        if (!this.getQuotaSnapshot) return null;
+        if (options.connectedOnly && this.isQuotaConnected && !this.isQuotaConnected()) return null;
+        try {
+            return summarizeQuotaSnapshot(await this.getQuotaSnapshot());
+        } catch (e) {
+            this.log(`Scheduler: Quota snapshot failed: ${e.message}`);
+            return null;
+        }
     }
 
-    async trigger() {
-        const text = this.config.prompt;
-        return this.queuePrompt(text);
+    /**
+     * Where run reports go: `.agent-reports/` in the workspace, or the
+     * extension's global storage (also the fallback without a workspace)
+     * @returns {string|null}
+     */
+    getReportDirectory() {
+        if (this.config.report.location === 'workspace') {
+            const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+            if (folder) return path.join(folder.uri.fsPath, WORKSPACE_REPORT_DIR);
+        }
+        const storage = this.context && this.context.globalStorageUri;
+        return storage ? path.join(storage.fsPath, 'reports') : null;
     }
 
-    getStatus() {
-        return {
-            enabled: this.enabled,
-            mode: this.config.mode,
-            isRunningQueue: this.isRunningQueue,
-            queueLength: this.runtimeQueue.length,
-            queueIndex: this.queueIndex,
-            isQuotaExhausted: this.isQuotaExhausted,
-            targetConversation: this.targetConversation,
-            conversationStatus: this.conversationStatus,
-            isPaused: this.isPaused,
-            currentPrompt: this.getCurrentPrompt()
-        };
+    /**
+     * Repository of the first workspace folder from the built-in git extension
+     * @returns {Promise<Object|null>} git API Repository
+     */
+    async getGitRepository() {
+        const gitExtension = vscode.extensions.getExtension('vscode.git');
+        if (!gitExtension) return null;
+        const git = gitExtension.isActive ? gitExtension.exports : await gitExtension.activate();
+        if (!git || !git.enabled) return null;
+        const api = git.getAPI(1);
+        const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+        return (folder && api.getRepository(folder.uri)) || api.repositories[0] || null;
     }
 
-    async getConversations() {
-        if (!this.cdpHandler) return [];
+    /**
+     * Commit all workspace changes as a queue checkpoint. Commits from
+     * parallel queues are serialized so staging never interleaves.
+     * @param {string} message
+     * @returns {Promise<string|null>} SHA, or null when nothing was committed
+     */
+    async commitCheckpoint(message) {
+        const checkpoint = this.checkpointLock.then(async () => {
+            const repository = await this.getGitRepository();
+            if (!repository) {
+                this.log('Scheduler: Git checkpoint skipped, no git repository in the workspace');
+                return null;
+            }
+            const sha = await commitCheckpoint(repository, message);
+            if (!sha) this.log('Scheduler: Git checkpoint skipped, no changes');
+            return sha;
+        });
+        this.checkpointLock = checkpoint.catch(() => { });
+
         try {
-            return await this.cdpHandler.getConversations();
+            return await checkpoint;
         } catch (e) {
-            this.log(`Scheduler: Error getting conversations: ${e.message}`);
-            return [];
+            this.log(`Scheduler: Git checkpoint failed: ${e.message}`);
+            vscode.window.showWarningMessage(`Multi Purpose: Git checkpoint failed: ${e.message}`);
+            return null;
         }
     }
 
-    addToHistory(text, conversationId) {
-        const entry = {
-            text: text.substring(0, 100),
-            fullText: text,
-            timestamp: Date.now(),
-            status: 'sent',
-            conversationId: conversationId || this.targetConversation || 'current'
-        };
-        this.promptHistory.push(entry);
-        // Keep last 50 entries
-        if (this.promptHistory.length > 50) {
-            this.promptHistory.shift();
+    /**
+     * Most recent run report: from this session, else the newest file in the report directory
+     * @returns {string|null}
+     */
+    getLastReportPath() {
+        const reports = Array.from(this.queues.values()).map(q => q.lastReport).filter(Boolean);
+        if (reports.length > 0) {
+            return reports.sort((a, b) => b.report.endedAt - a.report.endedAt)[0].markdownPath;
+        }
+        const dir = this.getReportDirectory();
+        try {
+            const files = fs.readdirSync(dir)
+                .filter(name => name.endsWith('.md'))
+                .map(name => path.join(dir, name))
+                .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+            return files[0] || null;
+        } catch (e) {
+            return null;
         }
-        this.log(`Scheduler: Added to history: "${entry.text.substring(0, 50)}..."`);
     }
 
-    getHistory() {
-        return this.promptHistory.map(h => ({
-            text: h.text,
-            timestamp: h.timestamp,
-            timeAgo: this.formatTimeAgo(h.timestamp),
-            status: h.status,
-            conversation: h.conversationId
-        }));
+    /**
+     * Write the report for a queue's completed run and open it
+     * @param {QueueRunner} runner
+     * @returns {Promise<Object|null>} { markdownPath, jsonPath } or null
+     */
+    async reportRun(runner) {
+        const run = runner.journal.getRun();
+        if (!this.config.report.enabled || !run) return null;
+
+        try {
+            const report = buildRunReport(run, { queueName: runner.name, quotaAfter: await this.captureQuota() });
+            const dir = this.getReportDirectory();
+            if (!dir) {
+                this.log('Scheduler: No location to write the run report to');
+                return null;
+            }
+            const paths = writeRunReport(dir, report);
+            runner.lastReport = { ...paths, report };
+            this.log(`Scheduler: Run report written to ${paths.markdownPath}`);
+
+            if (this.config.report.openOnComplete) {
+                const doc = await vscode.workspace.openTextDocument(paths.markdownPath);
+                await vscode.window.showTextDocument(doc, { preview: false });
+            }
+            return paths;
+        } catch (e) {
+            this.log(`Scheduler: Failed to write run report: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Record a sent (or undeliverable) prompt in the history store
+     * @param {string} text
+     * @param {string} conversationId
+     * @param {Object} [options] - { status: 'sent'|'failed'|'passed', error, kind: 'prompt'|'testGate'|'diagnostics'|'loop'|'escalation', queue, runId, itemId, attempts }
+     * @returns {Object} The history entry (update it through this.history)
+     */
+    addToHistory(text, conversationId, options = {}) {
+        const entry = this.history.add({
+            ...options,
+            text,
+            conversation: conversationId || this.defaultQueue.targetConversation || 'current'
+        });
+        this.log(`Scheduler: Added to history: "${text.substring(0, 50)}..."`);
+        return entry;
+    }
+
+    /**
+     * One page of the prompt history, newest first, with the quota cost of all matches
+     * @param {Object} [options] - { text, status, kind, queue, conversation, runId, since, until, offset, limit }
+     * @returns {{total: number, offset: number, limit: number, entries: Object[], cost: Object|null, costText: string}}
+     */
+    getHistory(options = {}) {
+        const page = this.history.query(options);
+        page.entries = page.entries.map(h => ({ ...h, timeAgo: this.formatTimeAgo(h.timestamp), costText: formatTaskCost(h.cost) }));
+        page.costText = formatTaskCost(page.cost);
+        return page;
+    }
+
+    /**
+     * @param {'json'|'csv'} format
+     * @param {Object} [filter] - Same filters as getHistory()
+     * @returns {string}
+     */
+    exportHistory(format, filter) {
+        return this.history.export(format, filter);
     }
 
     formatTimeAgo(ts) {
@@ -614,97 +2639,89 @@ class Scheduler {
     }
 
     setTargetConversation(conversationId) {
-        this.targetConversation = conversationId || '';
-        this.log(`Scheduler: Target conversation set to: "${this.targetConversation || 'current'}"`);
+        this.defaultQueue.targetConversation = conversationId || '';
+        this.log(`Scheduler: Target conversation set to: "${this.defaultQueue.targetConversation || 'current'}"`);
     }
 
-    // Queue control methods
-    pauseQueue() {
-        if (!this.isRunningQueue || this.isPaused) return false;
-        this.isPaused = true;
-        this.log('Scheduler: Queue paused by user');
-        vscode.window.showInformationMessage('Queue paused.');
-        return true;
+    // Queue control methods (default queue when no name is given)
+    pauseQueue(queueName) {
+        const runner = this.getQueue(queueName);
+        return runner ? runner.pauseQueue() : false;
     }
 
-    resumeQueue() {
-        if (!this.isRunningQueue || !this.isPaused) return false;
-        this.isPaused = false;
-        this.log('Scheduler: Queue resumed by user');
-        vscode.window.showInformationMessage('Queue resumed.');
-        // Trigger next check immediately
-        this.checkSilence();
-        return true;
+    resumeQueue(queueName) {
+        const runner = this.getQueue(queueName);
+        return runner ? runner.resumeQueue() : false;
     }
 
-    async skipPrompt() {
-        if (!this.isRunningQueue) return false;
-        this.log('Scheduler: Skipping current prompt');
-        vscode.window.showInformationMessage('Skipping to next prompt...');
+    async skipPrompt(queueName) {
+        const runner = this.getQueue(queueName);
+        return runner ? runner.skipPrompt() : false;
+    }
 
-        // Advance without sending current
-        this.queueIndex++;
-        this.isPaused = false; // Clear pause if set
-        this.lastClickCount = 0;
-        this.lastClickTime = Date.now();
-        this.lastActivityTime = Date.now();
-        this.taskStartTime = Date.now();
-        this.hasSentCurrentItem = false;
+    /**
+     * Live edit of a queue's items (see queue/queue-edits.js)
+     * @param {Object} edit - QueueEdit
+     * @param {string} [queueName]
+     * @returns {Promise<Object>} The affected QueueItem
+     */
+    async editQueue(edit, queueName) {
+        const runner = this.getQueue(queueName);
+        if (!runner) throw new Error(`Unknown queue: ${queueName}`);
+        return runner.editItems(edit);
+    }
 
-        if (this.queueIndex >= this.runtimeQueue.length) {
-            this.log('Scheduler: No more prompts to skip to, queue complete');
-            this.isRunningQueue = false;
-            this.conversationStatus = 'idle';
-            return true;
+    /**
+     * Reconcile running settings-driven queues after their items changed
+     * outside editQueue() (settings.json, the settings panel)
+     */
+    async syncRunningQueues() {
+        for (const runner of this.getRunningQueues()) {
+            if (runner.getSource() === 'settings') await runner.syncRuntimeQueue();
         }
-
-        // Execute next item
-        await this.executeCurrentQueueItem();
-        return true;
     }
 
-    stopQueue() {
-        if (!this.isRunningQueue && this.runtimeQueue.length === 0) return false;
-        this.isRunningQueue = false;
-        this.isStopped = true; // Signal pending prompts to cancel
-        this.queueRunId++;
-        this.runtimeQueue = [];
-        this.queueIndex = 0;
-        this.conversationStatus = 'idle';
-        this.isPaused = false;
-        this.lastClickCount = 0;
-        this.lastClickTime = 0;
-        this.lastActivityTime = 0;
-        this.taskStartTime = 0;
-        this.hasSentCurrentItem = false;
-        // Reset the prompt queue to cancel pending operations
-        this.promptQueue = Promise.resolve();
-        this.log('Scheduler: Queue stopped by user');
-        vscode.window.showInformationMessage('Queue stopped.');
-        return true;
+    stopQueue(queueName) {
+        const runner = this.getQueue(queueName);
+        return runner ? runner.stopQueue() : false;
     }
 
-    async resetQueue() {
-        // Stop the queue if running
-        this.isRunningQueue = false;
-        this.isStopped = false; // Reset the stopped flag
-        this.queueRunId++;
-        this.runtimeQueue = [];
-        this.queueIndex = 0;
-        this.conversationStatus = 'idle';
-        this.isPaused = false;
-        this.lastClickCount = 0;
-        this.lastClickTime = 0;
-        this.lastActivityTime = 0;
-        this.taskStartTime = 0;
-        this.hasSentCurrentItem = false;
-        this.promptQueue = Promise.resolve(); // Clear pending prompts
+    /**
+     * Stop the default queue and clear its prompts. A workspace queue file is
+     * not emptied: its check-offs are cleared so it runs from the top again.
+     * @param {Object} [options] - { archive }: keep the cleared prompts in the
+     *   prompt archive; the user is asked when not given (settings prompts only)
+     * @returns {Promise<boolean>} false when the user cancelled
+     */
+    async resetQueue(options = {}) {
+        if (this.queueSource === 'file' && this.queueFile) return this.resetQueueFile(options);
+        const config = vscode.workspace.getConfiguration('auto-accept.schedule');
+        const items = normalizeQueueItems(config.get('prompts', []));
+        let archive = options.archive;
+        if (archive === undefined && items.length > 0) {
+            const choice = await vscode.window.showWarningMessage(
+                `Multi Purpose: Reset the queue? ${items.length} prompt${items.length === 1 ? '' : 's'} will be removed.`,
+                { modal: true },
+                'Archive & Reset',
+                'Delete'
+            );
+            if (!choice) return false;
+            archive = choice === 'Archive & Reset';
+        }
+
+        await this.defaultQueue.resetQueue();
 
         // Clear prompts from config
         try {
-            const config = vscode.workspace.getConfiguration('auto-accept.schedule');
+            if (archive && items.length > 0) {
+                await this.archive.add(items.map(item => createArchiveEntry(item, {
+                    queue: DEFAULT_QUEUE_NAME,
+                    conversation: item.targetConversation || this.defaultQueue.targetConversation,
+                    outcome: 'reset'
+                })));
+            }
             await config.update('prompts', [], vscode.ConfigurationTarget.Global);
-            this.log('Scheduler: Queue reset - all prompts cleared');
+            this.log(`Scheduler: Queue reset - all prompts ${archive ? 'archived' : 'cleared'}`);
         } catch (e) {
             this.log(`Scheduler: Error resetting queue: ${e.message}`);
         }
@@ -713,9 +2730,73 @@ class Scheduler {
         return true;
     }
 
+    /**
+     * Reset for a queue file: stop the default queue and uncheck its items
+     * @param {Object} [options] - { archive }: given = do not ask (nothing is removed, so nothing is archived)
+     * @returns {Promise<boolean>} false when the user cancelled
+     */
+    async resetQueueFile(options = {}) {
+        const fileName = path.basename(this.queueFile.filePath);
+        const done = this.queueFile.getEntries().filter(entry => entry.done).length;
+        if (options.archive === undefined && done > 0) {
+            const choice = await vscode.window.showWarningMessage(
+                `Multi Purpose: Reset the queue? ${done} checked-off item${done === 1 ? '' : 's'} in ${fileName} will be unchecked.`,
+                { modal: true },
+                'Reset'
+            );
+            if (!choice) return false;
+        }
+
+        await this.defaultQueue.resetQueue();
+        await this.queueFile.resetDone();
+        this.loadConfig();
+        this.log(`Scheduler: Queue reset - ${fileName} unchecked`);
+
+        vscode.window.showInformationMessage(`Queue reset: ${fileName} starts from the top.`);
+        return true;
+    }
+
+    /**
+     * Prompt archive entries, newest first
+     * @param {string} [query] - Words that must all match (text, title, conversation, queue, outcome)
+     * @returns {Object[]} ArchiveEntry[]
+     */
+    getArchive(query) {
+        return this.archive.getEntries(query);
+    }
+
+    /**
+     * Put an archived prompt back at the end of its queue (the default queue
+     * when that queue is gone)
+     * @param {string} archiveId
+     * @param {Object} [options] - { queue, duplicate }: duplicate keeps the archive entry
+     * @returns {Promise<Object>} The new QueueItem
+     */
+    async requeueArchived(archiveId, options = {}) {
+        const entry = this.archive.find(archiveId);
+        if (!entry) throw new Error(`No archived prompt with id "${archiveId}"`);
+        const queueName = options.queue || (this.getQueue(entry.queue) ? entry.queue : DEFAULT_QUEUE_NAME);
+        const item = await this.editQueue({ op: 'append', item: { ...entry.item, id: null } }, queueName);
+        if (!options.duplicate) await this.archive.remove([archiveId]);
+        this.log(`Scheduler: ${options.duplicate ? 'Duplicated' : 'Re-queued'} archived prompt "${getItemLabel(item, 40)}"`);
+        return item;
+    }
+
+    /**
+     * @param {string[]} [archiveIds] - Entries to delete (all when omitted)
+     * @returns {Promise<number>} Entries deleted
+     */
+    async deleteArchived(archiveIds) {
+        if (!archiveIds) {
+            const count = this.archive.getEntries().length;
+            await this.archive.clear();
+            return count;
+        }
+        return (await this.archive.remove(archiveIds)).length;
+    }
+
     getCurrentPrompt() {
-        if (!this.isRunningQueue || this.queueIndex >= this.runtimeQueue.length) return null;
-        return this.runtimeQueue[this.queueIndex];
+        return this.defaultQueue.getCurrentPrompt();
     }
 }
 
@@ -883,8 +2964,14 @@ async function activate(context) {
             });
 
             // Initialize Scheduler
-            scheduler = new Scheduler(context, cdpHandler, log, { ensureCdpReady: syncSessions });
+            scheduler = new Scheduler(context, cdpHandler, log, {
+                ensureCdpReady: syncSessions,
+                getQuotaSnapshot: handleGetAntigravityQuota,
+                isQuotaConnected: () => !!(antigravityClient && antigravityClient.isConnected())
+            });
             scheduler.start();
+            if (queueStatusTimer) clearInterval(queueStatusTimer);
+            queueStatusTimer = setInterval(updateQueueStatusBar, 1000);
 
             debugHandler = new DebugHandler(context, {
                 log,
@@ -905,6 +2992,8 @@ async function activate(context) {
         const quotaConfig = vscode.workspace.getConfiguration('auto-accept.antigravityQuota');
         const quotaEnabled = quotaConfig.get('enabled', true);
         const quotaPollInterval = quotaConfig.get('pollInterval', 60) * 1000; // Convert to ms
+        const storage = context.globalStorageUri;
+        quotaHistory = new QuotaHistory(storage ? path.join(storage.fsPath, QUOTA_HISTORY_FILE_NAME) : null, (msg) => log(`[Antigravity] ${msg}`));
 
         if (quotaEnabled) {
             // Show quota status bar
@@ -965,6 +3054,10 @@ async function activate(context) {
             }),
             vscode.commands.registerCommand('auto-accept.checkAntigravityStatus', () => handleCheckAntigravityStatus()),
             vscode.commands.registerCommand('auto-accept.getAntigravityQuota', () => handleGetAntigravityQuota()),
+            // { hours } - quota series and forecasts for the settings panel chart
+            vscode.commands.registerCommand('auto-accept.getQuotaHistory', (options) => {
+                return quotaHistory ? quotaHistory.getSummary(options) : null;
+            }),
             vscode.commands.registerCommand('auto-accept.toggleAntigravityQuota', (value) => handleToggleAntigravityQuota(value)),
             vscode.commands.registerCommand('auto-accept.getAntigravityQuotaEnabled', () => {
                 const config = vscode.workspace.getConfiguration('auto-accept.antigravityQuota');
@@ -982,6 +3075,10 @@ async function activate(context) {
                     vscode.window.showWarningMessage('Multi Purpose: Scheduler not ready. Please try again.');
                 }
             }),
+            vscode.commands.registerCommand('auto-accept.startQueueAtQuotaReset', (queueName, at) => deferQueueStart(queueName, at)),
+            vscode.commands.registerCommand('auto-accept.cancelDeferredStart', async (queueName) => {
+                return scheduler ? scheduler.cancelDeferredStart(queueName) : false;
+            }),
             vscode.commands.registerCommand('auto-accept.getQueueStatus', () => {
                 if (scheduler) {
                     return scheduler.getStatus();
@@ -994,64 +3091,158 @@ async function activate(context) {
                 }
                 return [];
             }),
-            vscode.commands.registerCommand('auto-accept.getPromptHistory', () => {
+            // Paged: { text, status, kind, queue, conversation, runId, since, until, offset, limit }
+            vscode.commands.registerCommand('auto-accept.getPromptHistory', (options) => {
                 if (scheduler) {
-                    return scheduler.getHistory();
+                    return scheduler.getHistory(options);
                 }
-                return [];
+                return { total: 0, offset: 0, limit: 0, entries: [] };
             }),
+            vscode.commands.registerCommand('auto-accept.exportPromptHistory', (format, filter) => exportPromptHistory(format, filter)),
             vscode.commands.registerCommand('auto-accept.setTargetConversation', (conversationId) => {
                 if (scheduler) {
                     scheduler.setTargetConversation(conversationId);
                 }
             }),
-            vscode.commands.registerCommand('auto-accept.pauseQueue', () => {
+            // Queue controls take an optional queue name (default queue when omitted)
+            vscode.commands.registerCommand('auto-accept.pauseQueue', (queueName) => {
                 if (scheduler) {
-                    scheduler.pauseQueue();
+                    scheduler.pauseQueue(queueName);
                 }
             }),
-            vscode.commands.registerCommand('auto-accept.resumeQueue', () => {
+            vscode.commands.registerCommand('auto-accept.resumeQueue', (queueName) => {
                 if (scheduler) {
-                    scheduler.resumeQueue();
+                    scheduler.resumeQueue(queueName);
                 }
             }),
-            vscode.commands.registerCommand('auto-accept.skipPrompt', async () => {
+            vscode.commands.registerCommand('auto-accept.skipPrompt', async (queueName) => {
                 if (scheduler) {
-                    await scheduler.skipPrompt();
+                    await scheduler.skipPrompt(queueName);
                 }
             }),
-            vscode.commands.registerCommand('auto-accept.stopQueue', () => {
+            vscode.commands.registerCommand('auto-accept.stopQueue', (queueName) => {
                 if (scheduler) {
-                    scheduler.stopQueue();
+                    scheduler.stopQueue(queueName);
+                }
+            }),
+            // Live queue edits; they apply to a running queue right away
+            vscode.commands.registerCommand('auto-accept.insertNextPrompt', (text, queueName) => addPromptToQueue('insertNext', text, queueName)),
+            vscode.commands.registerCommand('auto-accept.appendPrompt', (text, queueName) => addPromptToQueue('append', text, queueName)),
+            vscode.commands.registerCommand('auto-accept.editQueue', (queueName) => showQueueEditMenu(queueName)),
+            vscode.commands.registerCommand('auto-accept.applyQueueEdit', async (edit, queueName) => {
+                if (!scheduler) throw new Error('Scheduler not ready');
+                return await scheduler.editQueue(edit, queueName);
+            }),
+            vscode.commands.registerCommand('auto-accept.resetQueue', async () => {
+                if (!scheduler) return false;
+                return await scheduler.resetQueue();
+            }),
+            // Prompt archive (consumed and reset prompts)
+            vscode.commands.registerCommand('auto-accept.getPromptArchive', (query) => {
+                return scheduler ? scheduler.getArchive(query) : [];
+            }),
+            vscode.commands.registerCommand('auto-accept.requeueArchivedPrompt', async (archiveId, options) => {
+                if (!scheduler) throw new Error('Scheduler not ready');
+                return await scheduler.requeueArchived(archiveId, options);
+            }),
+            vscode.commands.registerCommand('auto-accept.deleteArchivedPrompts', async (archiveIds) => {
+                return scheduler ? await scheduler.deleteArchived(archiveIds) : 0;
+            }),
+            vscode.commands.registerCommand('auto-accept.resumeInterruptedRun', async (queueName) => {
+                if (!scheduler) return false;
+                const interrupted = scheduler.getInterruptedRuns().find(entry => !queueName || entry.queue === queueName);
+                if (!interrupted) {
+                    vscode.window.showInformationMessage('Multi Purpose: No interrupted queue run to resume.');
+                    return false;
+                }
+                return await scheduler.resumeInterruptedRun(interrupted.run, interrupted.queue);
+            }),
+            vscode.commands.registerCommand('auto-accept.openQueueFile', async () => {
+                const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+                if (!folder) {
+                    vscode.window.showWarningMessage('Multi Purpose: Open a workspace folder to use a queue file.');
+                    return;
+                }
+                let filePath = scheduler && scheduler.queueFile ? scheduler.queueFile.filePath : null;
+                if (!filePath) {
+                    const configuredPath = vscode.workspace.getConfiguration('auto-accept.schedule.queueFile').get('path', '');
+                    filePath = path.resolve(folder.uri.fsPath, configuredPath || QUEUE_FILE_NAMES[0]);
+                    if (!fs.existsSync(filePath)) {
+                        fs.writeFileSync(filePath, QUEUE_FILE_TEMPLATE, 'utf8');
+                        log(`Multi Purpose: Created queue file ${filePath}`);
+                    }
+                }
+                const doc = await vscode.workspace.openTextDocument(filePath);
+                await vscode.window.showTextDocument(doc);
+            }),
+            vscode.commands.registerCommand('auto-accept.openRunReport', async () => {
+                if (!scheduler) return;
+                const reportPath = scheduler.getLastReportPath();
+                if (!reportPath) {
+                    vscode.window.showInformationMessage('Multi Purpose: No run report yet. Reports are written when a queue run completes.');
+                    return;
                 }
+                const doc = await vscode.workspace.openTextDocument(reportPath);
+                await vscode.window.showTextDocument(doc, { preview: false });
             }),
             vscode.commands.registerCommand('auto-accept.showQueueMenu', async () => {
                 if (!scheduler) return;
 
                 const status = scheduler.getStatus();
+                const queues = status.queues || [];
+                const running = queues.filter(q => q.isRunningQueue);
+                const grouped = queues.length > 1;
                 const items = [];
 
-                if (status.isRunningQueue) {
-                    if (status.isPaused) {
-                        items.push({ label: '\u{25B6}\u{FE0F} Resume', action: 'resume' });
+                for (const q of queues) {
+                    if (grouped) {
+                        items.push({ label: `${q.name} \u{2014} ${formatQueueProgress(q)}`, kind: vscode.QuickPickItemKind.Separator });
+                    }
+                    if (q.isRunningQueue) {
+                        if (q.isPaused) {
+                            items.push({ label: '\u{25B6}\u{FE0F} Resume', action: 'resume', queue: q.name });
+                        } else {
+                            items.push({ label: '\u{23F8}\u{FE0F} Pause', action: 'pause', queue: q.name });
+                        }
+                        items.push({ label: '\u{23ED}\u{FE0F} Skip Current', action: 'skip', queue: q.name });
+                        items.push({ label: '\u{23F9}\u{FE0F} Stop Queue', action: 'stop', queue: q.name });
                     } else {
-                        items.push({ label: '\u{23F8}\u{FE0F} Pause', action: 'pause' });
+                        if (grouped && q.pendingItems > 0) {
+                            items.push({
+                                label: '\u{25B6}\u{FE0F} Start',
+                                description: q.targetConversation ? `\u{2192} ${q.targetConversation}` : '',
+                                action: 'start',
+                                queue: q.name
+                            });
+                        }
+                        if (q.deferredStart) {
+                            items.push({ label: '\u{23F0} Cancel Scheduled Start', description: `starts in ${formatCountdown(q.deferredStart.at - Date.now())}`, action: 'cancelDeferred', queue: q.name });
+                        } else if (q.pendingItems > 0) {
+                            items.push({ label: '\u{23F0} Start Later...', description: 'at the quota reset or a set time', action: 'defer', queue: q.name });
+                        }
                     }
-                    items.push({ label: '\u{23ED}\u{FE0F} Skip Current', action: 'skip' });
-                    items.push({ label: '\u{23F9}\u{FE0F} Stop Queue', action: 'stop' });
                 }
+                if (grouped) items.push({ label: '', kind: vscode.QuickPickItemKind.Separator });
                 items.push({ label: '\u{2699}\u{FE0F} Open Settings', action: 'settings' });
 
                 const selected = await vscode.window.showQuickPick(items, {
-                    placeHolder: `Queue: ${status.queueIndex + 1}/${status.queueLength}${status.isPaused ? ' (Paused)' : ''}`
+                    placeHolder: running.length > 1
+                        ? `${running.length} queues running`
+                        : `Queue: ${status.queueIndex + 1}/${status.queueLength}${status.isPaused ? ' (Paused)' : ''}`
                 });
 
                 if (selected) {
                     switch (selected.action) {
-                        case 'pause': scheduler.pauseQueue(); break;
-                        case 'resume': scheduler.resumeQueue(); break;
-                        case 'skip': await scheduler.skipPrompt(); break;
-                        case 'stop': scheduler.stopQueue(); break;
+                        case 'pause': scheduler.pauseQueue(selected.queue); break;
+                        case 'resume': scheduler.resumeQueue(selected.queue); break;
+                        case 'skip': await scheduler.skipPrompt(selected.queue); break;
+                        case 'stop': scheduler.stopQueue(selected.queue); break;
+                        case 'start':
+                            await syncSessions();
+                            await scheduler.startQueue({ source: 'manual', queue: selected.queue });
+                            break;
+                        case 'defer': await deferQueueStart(selected.queue); break;
+                        case 'cancelDeferred': await scheduler.cancelDeferredStart(selected.queue); break;
                         case 'settings': vscode.commands.executeCommand('auto-accept.openSettings'); break;
                     }
                 }
@@ -1078,6 +3269,14 @@ async function activate(context) {
 
         // Monitor configuration changes for Debug Mode
         context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('auto-accept.schedule.queueFile') && scheduler) {
+                scheduler.setupQueueFile();
+                scheduler.loadConfig();
+            }
+            if (scheduler && ['prompts', 'queues', 'checkPrompt'].some(key => e.affectsConfiguration(`auto-accept.schedule.${key}`))) {
+                scheduler.loadConfig();
+                scheduler.syncRunningQueues().catch(err => log(`[Scheduler] Queue sync failed: ${err.message}`));
+            }
             if (e.affectsConfiguration('auto-accept.debugMode.enabled') && debugHandler) {
                 const enabled = vscode.workspace.getConfiguration('auto-accept.debugMode').get('enabled', false);
                 if (enabled) {
@@ -1096,6 +3295,11 @@ async function activate(context) {
             log(`Error in environment check: ${err.message}`);
         }
 
+        // 8. Offer to resume a queue run interrupted by reload/crash/relaunch (non-blocking)
+        offerInterruptedRunResume().catch(e => {
+            log(`[Scheduler] Interrupted run check failed: ${e.message}`);
+        });
+
         log('Multi Purpose: Activation complete');
     } catch (error) {
         console.error('ACTIVATION CRITICAL FAILURE:', error);
@@ -1286,19 +3490,308 @@ async function syncSessions() {
     }
 }
 
+/**
+ * Check each queue's run journal for a run that was still in flight when the
+ * window went away, and let the user resume or discard it.
+ */
+async function offerInterruptedRunResume() {
+    if (!scheduler) return;
+
+    for (const { queue, run } of scheduler.getInterruptedRuns()) {
+        const journal = scheduler.getQueue(queue).journal;
+        const counts = journal.summarize(run);
+        const done = counts.completed + counts.skipped;
+        const current = run.items[run.queueIndex];
+        const preview = current.item.text.length > 40 ? current.item.text.substring(0, 40) + '...' : current.item.text;
+        const queueLabel = queue === DEFAULT_QUEUE_NAME ? 'A prompt queue' : `Queue "${queue}"`;
+        log(`[Scheduler] Found interrupted run ${run.runId} (${queue}) at item ${run.queueIndex + 1}/${run.items.length}`);
+
+        const choice = await vscode.window.showInformationMessage(
+            `Multi Purpose: ${queueLabel} run was interrupted (${done}/${run.items.length} done). Resume at "${preview}"?`,
+            'Resume',
+            'Discard'
+        );
+
+        if (choice === 'Resume') {
+            await syncSessions();
+            await scheduler.resumeInterruptedRun(run, queue);
+        } else if (choice === 'Discard') {
+            await journal.finish('discarded');
+            log(`[Scheduler] Interrupted run ${run.runId} discarded`);
+        }
+    }
+}
+
+/**
+ * Save the prompt history (optionally filtered) as JSON or CSV
+ * @param {'json'|'csv'} [format] - Asked for when omitted
+ * @param {Object} [filter] - Scheduler.getHistory() filters
+ */
+async function exportPromptHistory(format, filter) {
+    if (!scheduler) return null;
+    if (!format) {
+        const picked = await vscode.window.showQuickPick([
+            { label: 'JSON', format: 'json' },
+            { label: 'CSV', format: 'csv' }
+        ], { placeHolder: 'Export prompt history as' });
+        if (!picked) return null;
+        format = picked.format;
+    }
+    const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+    const fileName = `prompt-history-${formatDate(new Date())}.${format}`;
+    const target = await vscode.window.showSaveDialog({
+        defaultUri: folder ? vscode.Uri.joinPath(folder.uri, fileName) : undefined,
+        filters: format === 'csv' ? { CSV: ['csv'] } : { JSON: ['json'] }
+    });
+    if (!target) return null;
+    try {
+        await fs.promises.writeFile(target.fsPath, scheduler.exportHistory(format, filter), 'utf8');
+        vscode.window.showInformationMessage(`Multi Purpose: Prompt history exported to ${path.basename(target.fsPath)}.`);
+        return target.fsPath;
+    } catch (e) {
+        vscode.window.showErrorMessage(`Multi Purpose: History export failed: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Queue to edit: the given name, the only queue, or the user's pick
+ * @param {string} [queueName]
+ * @param {string} [placeHolder]
+ * @returns {Promise<string|null>} null when the picker was dismissed
+ */
+async function pickQueueToEdit(queueName, placeHolder = 'Select a queue to edit') {
+    if (queueName) return queueName;
+    const queues = scheduler.getStatus().queues || [];
+    if (queues.length <= 1) return DEFAULT_QUEUE_NAME;
+    const selected = await vscode.window.showQuickPick(
+        queues.map(q => ({ label: q.name, description: formatQueueProgress(q) })),
+        { placeHolder }
+    );
+    return selected ? selected.label : null;
+}
+
+/**
+ * Start a queue later: at the earliest relevant quota reset or at a set time
+ * @param {string} [queueName]
+ * @param {number|string} [at] - 'quotaReset', a ms timestamp or `HH:MM` / `YYYY-MM-DD HH:MM`; asked for when omitted
+ * @returns {Promise<Object|null>} The DeferredStart, null when nothing was scheduled
+ */
+async function deferQueueStart(queueName, at) {
+    if (!scheduler) return null;
+    const name = await pickQueueToEdit(queueName, 'Select a queue to start later');
+    if (!name) return null;
+    try {
+        let start;
+        if (at === undefined) {
+            start = await pickDeferredStart();
+            if (!start) return null;
+        } else if (at === 'quotaReset') {
+            const reset = getEarliestQuotaReset(await handleGetAntigravityQuota(), Date.now(), scheduler.quotaModel);
+            if (!reset) throw new Error('No quota reset pending (quota not used up, or not available)');
+            start = { at: reset.at, reason: 'quotaReset', model: reset.model };
+        } else {
+            start = { at: typeof at === 'string' ? parseStartTime(at) : at, reason: 'time', model: null };
+        }
+        const entry = await scheduler.deferQueueStart({ queue: name, ...start });
+        const label = name === DEFAULT_QUEUE_NAME ? 'Prompt queue' : `Queue "${name}"`;
+        vscode.window.showInformationMessage(`Multi Purpose: ${label} starts at ${formatResumeTime(entry.at)}${entry.model ? ` (quota reset of ${entry.model})` : ''}.`);
+        return entry;
+    } catch (e) {
+        log(`[Scheduler] Deferred start not scheduled: ${e.message}`);
+        vscode.window.showErrorMessage(`Multi Purpose: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Ask when to start: the next quota reset (when one is pending) or a typed time
+ * @returns {Promise<{at: number, reason: string, model: string|null}|null>}
+ */
+async function pickDeferredStart() {
+    const reset = getEarliestQuotaReset(await handleGetAntigravityQuota(), Date.now(), scheduler.quotaModel);
+    const items = [];
+    if (reset) {
+        items.push({ label: '\u{23F0} At the next quota reset', description: `${formatResumeTime(reset.at)} (${reset.model})`, start: { at: reset.at, reason: 'quotaReset', model: reset.model } });
+    }
+    items.push({ label: '\u{1F552} At a set time...', start: null });
+    const picked = await vscode.window.showQuickPick(items, {
+        placeHolder: reset ? 'When should the queue start?' : 'No quota reset pending - pick a time'
+    });
+    if (!picked) return null;
+    if (picked.start) return picked.start;
+
+    const text = await vscode.window.showInputBox({
+        prompt: 'Start time (local)',
+        placeHolder: 'HH:MM or YYYY-MM-DD HH:MM',
+        validateInput: value => {
+            try {
+                parseStartTime(value);
+                return null;
+            } catch (e) {
+                return e.message;
+            }
+        }
+    });
+    return text ? { at: parseStartTime(text), reason: 'time', model: null } : null;
+}
+
+/**
+ * Insert a prompt after the current item (insertNext) or at the end (append)
+ * @param {'insertNext'|'append'} op
+ * @param {string} [text] - Asked for when omitted
+ * @param {string} [queueName]
+ */
+async function addPromptToQueue(op, text, queueName) {
+    if (!scheduler) return null;
+    const name = await pickQueueToEdit(queueName);
+    if (!name) return null;
+    if (text === undefined) {
+        text = await vscode.window.showInputBox({
+            prompt: op === 'insertNext' ? 'Prompt to run after the current item' : 'Prompt to add at the end of the queue',
+            placeHolder: 'Prompt text'
+        });
+        if (!text || !text.trim()) return null;
+    }
+    try {
+        return await scheduler.editQueue({ op, item: text }, name);
+    } catch (e) {
+        vscode.window.showErrorMessage(`Multi Purpose: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Pick a queue item, then edit, move, run next or delete it
+ * @param {string} [queueName]
+ */
+async function showQueueEditMenu(queueName) {
+    if (!scheduler) return;
+    const name = await pickQueueToEdit(queueName);
+    const runner = name && scheduler.getQueue(name);
+    if (!runner) return;
+
+    const items = runner.getItems();
+    if (items.length === 0) {
+        vscode.window.showInformationMessage(`Multi Purpose: ${runner.title} has no items.`);
+        return;
+    }
+    const current = runner.getCurrentPrompt();
+    const picked = await vscode.window.showQuickPick(items.map((item, i) => ({
+        label: `${i + 1}. ${getItemLabel(item, 60)}`,
+        description: current && current.id === item.id ? 'running' : (item.enabled ? '' : 'disabled'),
+        item
+    })), { placeHolder: `Select an item of ${runner.title}` });
+    if (!picked) return;
+
+    const actions = [
+        { label: 'Edit Text', op: 'update' },
+        { label: 'Run Next', op: 'runNext' },
+        { label: 'Move Up', op: 'up' },
+        { label: 'Move Down', op: 'down' },
+        { label: picked.item.enabled ? 'Disable' : 'Enable', op: 'toggle' },
+        { label: 'Delete', op: 'delete' }
+    ];
+    const action = await vscode.window.showQuickPick(actions, { placeHolder: getItemLabel(picked.item, 60) });
+    if (!action) return;
+
+    const id = picked.item.id;
+    const index = items.findIndex(item => item.id === id);
+    let edit = null;
+    switch (action.op) {
+        case 'update':
+            const text = await vscode.window.showInputBox({ prompt: 'Prompt text', value: picked.item.text });
+            if (!text || !text.trim()) return;
+            edit = { op: 'update', id, changes: { text } };
+            break;
+        case 'runNext':
+            // Right after the running item, or first when the queue is idle
+            const currentIndex = current ? items.findIndex(item => item.id === current.id) : -1;
+            edit = { op: 'move', id, toIndex: currentIndex === -1 || currentIndex > index ? currentIndex + 1 : currentIndex };
+            break;
+        case 'up': edit = { op: 'move', id, toIndex: Math.max(0, index - 1) }; break;
+        case 'down': edit = { op: 'move', id, toIndex: index + 1 }; break;
+        case 'toggle': edit = { op: 'update', id, changes: { enabled: !picked.item.enabled } }; break;
+        case 'delete': edit = { op: 'delete', id }; break;
+    }
+
+    try {
+        await scheduler.editQueue(edit, name);
+    } catch (e) {
+        vscode.window.showErrorMessage(`Multi Purpose: ${e.message}`);
+    }
+}
+
+/**
+ * Short progress text for one queue ("2/5", "2/5 paused", "2/5 retrying 2/5", "idle", "starts at 06:00")
+ * @param {Object} q - Per-queue status from Scheduler.getStatus().queues
+ */
+function formatQueueProgress(q) {
+    if (!q.isRunningQueue) {
+        if (q.deferredStart) return `starts at ${formatResumeTime(q.deferredStart.at)}`;
+        return q.pendingItems > 0 ? `idle (${q.pendingItems} items)` : 'idle';
+    }
+    let state = '';
+    if (q.deliveryRetry) state = ` retrying ${q.deliveryRetry.attempt}/${q.deliveryRetry.maxAttempts}`;
+    else if (q.deliveryFailed) state = ' paused (not delivered)';
+    else if (q.conversationStatus === 'testing') state = ' testing';
+    else if (q.isPaused) state = ' paused';
+    else if (q.windowHold) state = q.pausedUntil ? ` paused until ${formatResumeTime(q.pausedUntil)}` : ' paused (no execution window)';
+    const budget = q.budget && q.budget.remaining !== null ? `, ${formatBudgetAmount(q.budget.remaining, q.budget.unit)} budget left` : '';
+    return `${q.queueIndex + 1}/${q.queueLength}${state}${budget}`;
+}
+
+/**
+ * `HH:MM`, with the weekday when it is not within the next 24 hours
+ * @param {number} ms
+ */
+function formatResumeTime(ms) {
+    const date = new Date(ms);
+    const time = formatTime(date);
+    return ms - Date.now() < 24 * 60 * 60 * 1000 ? time : `${date.toLocaleDateString(undefined, { weekday: 'short' })} ${time}`;
+}
+
 // Update Queue Status Bar
 function updateQueueStatusBar() {
     if (!statusQueueItem || !scheduler) return;
 
     const status = scheduler.getStatus();
+    const running = (status.queues || []).filter(q => q.isRunningQueue);
+    const deferred = (status.queues || []).filter(q => q.deferredStart);
 
-    if (status.isRunningQueue) {
+    if (running.length > 1) {
+        // Several named queues: compact summary, per-queue progress in the tooltip
+        statusQueueItem.show();
+        const paused = running.filter(q => q.isPaused || q.windowHold).length;
+        statusQueueItem.text = `\u{1F4CB} ${running.length} Queues${paused ? ` (${paused} \u{23F3})` : ''}`;
+        statusQueueItem.tooltip = running.map(q => `${q.name}: ${formatQueueProgress(q)}`).join('\n') + '\nClick for controls';
+    } else if (running.length === 1) {
+        const q = running[0];
+        const name = q.name === DEFAULT_QUEUE_NAME ? '' : ` ${q.name}`;
         statusQueueItem.show();
-        const pauseIndicator = status.isPaused ? ' \u{23F3}' : '';
-        statusQueueItem.text = `\u{1F4CB} Queue ${status.queueIndex + 1}/${status.queueLength}${pauseIndicator}`;
-        statusQueueItem.tooltip = status.isPaused
-            ? 'Queue is paused - Click to resume'
-            : `Running prompt ${status.queueIndex + 1} of ${status.queueLength} - Click for controls`;
+        const pauseIndicator = q.isPaused ? ' \u{23F3}' : (q.deliveryRetry ? ' \u{1F504}' : '');
+        const windowIndicator = q.windowHold && !q.isPaused ? ` \u{23F8} paused${q.pausedUntil ? ` until ${formatResumeTime(q.pausedUntil)}` : ''}` : '';
+        const budgetIndicator = q.budget && q.budget.remaining !== null ? ` \u{1F4B0} ${formatBudgetAmount(q.budget.remaining, q.budget.unit)} left` : '';
+        statusQueueItem.text = `\u{1F4CB} Queue${name} ${q.queueIndex + 1}/${q.queueLength}${pauseIndicator}${windowIndicator}${budgetIndicator}`;
+        if (q.deliveryFailed) {
+            statusQueueItem.tooltip = 'Prompt could not be delivered, queue paused - Click to retry or skip';
+        } else if (q.deliveryRetry) {
+            statusQueueItem.tooltip = `Retrying delivery (attempt ${q.deliveryRetry.attempt} of ${q.deliveryRetry.maxAttempts}): ${q.deliveryRetry.error}`;
+        } else {
+            statusQueueItem.tooltip = q.isPaused
+                ? 'Queue is paused - Click to resume'
+                : q.windowHold ? `Outside the execution windows - paused until ${q.pausedUntil ? formatResumeTime(q.pausedUntil) : 'a window is configured'}, resumes automatically`
+                : `Running prompt ${q.queueIndex + 1} of ${q.queueLength} - Click for controls`;
+        }
+        if (q.budget) statusQueueItem.tooltip += '\n' + describeBudgetRemaining(q.budget).join('\n');
+    } else if (deferred.length > 0) {
+        // Deferred starts: countdown to the earliest one
+        const next = deferred.reduce((a, b) => (b.deferredStart.at < a.deferredStart.at ? b : a));
+        const name = next.name === DEFAULT_QUEUE_NAME ? '' : ` ${next.name}`;
+        const more = deferred.length > 1 ? ` (+${deferred.length - 1})` : '';
+        statusQueueItem.show();
+        statusQueueItem.text = `\u{23F0} Queue${name} starts in ${formatCountdown(next.deferredStart.at - Date.now())}${more}`;
+        statusQueueItem.tooltip = deferred.map(q => `${q.name}: starts at ${formatResumeTime(q.deferredStart.at)}${q.deferredStart.model ? ` (quota reset of ${q.deferredStart.model})` : ''}`).join('\n') + '\nClick for controls';
     } else {
         statusQueueItem.hide();
     }
@@ -1626,6 +4119,9 @@ async function initAntigravityClient() {
         }
 
         antigravityClient = new ClientClass(log);
+        antigravityClient.onUpdate(snapshot => {
+            if (quotaHistory) quotaHistory.record(snapshot);
+        });
         const connected = await antigravityClient.connect();
 
         if (connected) {
@@ -1708,11 +4204,18 @@ async function refreshQuotaStatus() {
     try {
         const snapshot = await antigravityClient.getUserStatus();
 
-        // Determine if any model is exhausted
-        let anyExhausted = false;
+        // Pause and resume follow the model selected in the chat; any exhausted model counts when it cannot be read
+        let selectedModel = '';
+        if (cdpHandler && typeof cdpHandler.getSelectedModel === 'function') {
+            try {
+                selectedModel = await cdpHandler.getSelectedModel();
+            } catch (e) {
+                log(`[Antigravity] Could not read the selected model: ${e.message}`);
+            }
+        }
+        const quota = getQuotaState(snapshot, selectedModel);
 
         if (snapshot.models && snapshot.models.length > 0) {
-            // Find the model with lowest quota for the icon
             // Find the model with lowest quota for the icon
             const sortedModels = snapshot.models
                 .sort((a, b) => {
@@ -1726,25 +4229,32 @@ async function refreshQuotaStatus() {
                     return pA - pB;
                 });
 
-            const lowestModel = sortedModels[0];
-
-            // Check if any model is exhausted
-            anyExhausted = snapshot.models.some(m => m.isExhausted === true);
+            // The model in use when known, else the one with the lowest quota
+            const shownModel = quota.model || sortedModels[0];
 
-            if (lowestModel) {
-                const pct = (lowestModel.remainingPercentage !== undefined ? lowestModel.remainingPercentage : 0).toFixed(0) + '%';
-                const icon = lowestModel.isExhausted ? '\u{1F534}' :
-                    lowestModel.remainingPercentage < 20 ? '\u{1F7E0}' : '\u{1F7E2}';
+            if (shownModel) {
+                const pct = (shownModel.remainingPercentage !== undefined ? shownModel.remainingPercentage : 0).toFixed(0) + '%';
+                const icon = shownModel.isExhausted ? '\u{1F534}' :
+                    shownModel.remainingPercentage < 20 ? '\u{1F7E0}' : '\u{1F7E2}';
 
                 // Build tooltip with ALL model quotas
-                const tooltipLines = ['\u{1F4CA} Antigravity Model Quotas:'];
+                const tooltipLines = [
+                    '\u{1F4CA} Antigravity Model Quotas:',
+                    quota.model
+                        ? `Model in use: ${quota.model.label}`
+                        : `Model in use: ${selectedModel ? `"${selectedModel}" (no quota entry)` : 'not detected'} - queues pause when any model is exhausted`,
+                    ''
+                ];
                 for (const model of snapshot.models) {
                     const mIcon = model.isExhausted ? '\u{1F534}' :
                         model.remainingPercentage < 20 ? '\u{1F7E0}' : '\u{1F7E2}';
                     const mPct = (model.remainingPercentage !== undefined ? model.remainingPercentage : 0).toFixed(0) + '%';
 
                     const resetInfo = model.timeUntilResetFormatted ? ` - ${model.timeUntilResetFormatted}` : '';
-                    tooltipLines.push(`${mIcon} ${model.label}: ${mPct}${resetInfo}`);
+                    const inUse = model === quota.model ? ' (in use)' : '';
+                    const forecastText = quotaHistory && !model.isExhausted ? describeForecast(quotaHistory.forecast(model.label)) : null;
+                    const forecastInfo = forecastText && forecastText !== 'not draining' ? ` - ${forecastText}` : '';
+                    tooltipLines.push(`${mIcon} ${model.label}${inUse}: ${mPct}${resetInfo}${forecastInfo}`);
                 }
                 tooltipLines.push('', 'Click to view details');
 
@@ -1765,9 +4275,19 @@ async function refreshQuotaStatus() {
             updateQuotaStatusBar('OK', 'Connected to Antigravity');
         }
 
-        // Notify scheduler of quota status change
+        const alertsConfig = vscode.workspace.getConfiguration('auto-accept.antigravityQuota.alerts');
+        if (alertsConfig.get('enabled', true)) {
+            await notifyQuotaAlerts(snapshot, alertsConfig);
+        }
+
+        // Notify scheduler of quota status change. An exhausted (or low, see pauseQueueAt) model in use pauses queues, or swaps them to a fallback model
         if (scheduler) {
-            scheduler.setQuotaExhausted(anyExhausted);
+            const lowQuota = getLowQuotaAction(snapshot, quota.model, {
+                pauseQueueAt: alertsConfig.get('pauseQueueAt', 0),
+                fallbackModels: vscode.workspace.getConfiguration('auto-accept.antigravityQuota.fallback').get('models', [])
+            }, scheduler.fallbackOrigin);
+            await scheduler.onQuotaAction(lowQuota, quota.model ? quota.model.label : null);
+            await scheduler.refreshBudgets(snapshot);
         }
     } catch (e) {
         log(`[Antigravity] Quota refresh error: ${e.message}`);
@@ -1775,6 +4295,29 @@ async function refreshQuotaStatus() {
     }
 }
 
+/**
+ * One notification per newly crossed alert threshold; thresholds already alerted
+ * in the current reset cycle are kept in globalState
+ * @param {Object} snapshot - QuotaSnapshot
+ * @param {vscode.WorkspaceConfiguration} alertsConfig - auto-accept.antigravityQuota.alerts
+ */
+async function notifyQuotaAlerts(snapshot, alertsConfig) {
+    const fired = globalContext ? { ...globalContext.globalState.get(QUOTA_ALERTS_KEY, {}) } : {};
+    const before = JSON.stringify(fired);
+    const alerts = checkQuotaAlerts(snapshot, fired, {
+        thresholds: alertsConfig.get('thresholds', [50, 20, 5]),
+        modelThresholds: alertsConfig.get('modelThresholds', {})
+    });
+    if (globalContext && JSON.stringify(fired) !== before) {
+        await globalContext.globalState.update(QUOTA_ALERTS_KEY, fired);
+    }
+    for (const alert of alerts) {
+        const reset = alert.resetTime ? `, resets ${formatResumeTime(new Date(alert.resetTime).getTime())}` : '';
+        log(`[Antigravity] Quota alert: ${alert.model} at ${alert.percent.toFixed(0)}% (threshold ${alert.threshold}%)`);
+        vscode.window.showWarningMessage(`Multi Purpose: ${alert.model} quota is down to ${alert.percent.toFixed(0)}% (alert at ${alert.threshold}%)${reset}.`);
+    }
+}
+
 /**
  * Start polling for quota updates
  */
@@ -1903,6 +4446,10 @@ function stopDebugServer() {
 async function deactivate() {
     stopPolling();
     stopQuotaPolling();
+    if (queueStatusTimer) {
+        clearInterval(queueStatusTimer);
+        queueStatusTimer = null;
+    }
     stopDebugServer();
     if (cdpHandler) {
         cdpHandler.stop();
@@ -1911,6 +4458,13 @@ async function deactivate() {
         antigravityClient.disconnect();
         antigravityClient = null;
     }
+    if (quotaHistory) {
+        await quotaHistory.flush();
+    }
+    // stopPolling() stops the Scheduler without waiting for its last history write
+    if (scheduler) {
+        await scheduler.history.flush();
+    }
 
     // Cleanup: Clear all extension state (for uninstall)
     if (globalContext) {
@@ -1942,4 +4496,5 @@ async function deactivate() {
     }
 }
 
-module.exports = { activate, deactivate };
+// Scheduler and QueueRunner are exported for the unit tests
+module.exports = { activate, deactivate, Scheduler, QueueRunner };
@@ -1208,5 +1208,199 @@
         return false;
     };
 
+    // --- 5. AGENT STATE PROBE ---
+    function getControlLabel(el) {
+        return ((el.getAttribute && (el.getAttribute('aria-label') || '')) + ' ' +
+            (el.getAttribute && (el.getAttribute('title') || '')) + ' ' +
+            (el.textContent || '')).trim().toLowerCase();
+    }
+
+    /**
+     * Classify what the agent is doing right now, from the agent panel DOM.
+     * - generating: a stop/cancel control or a busy indicator is visible
+     * - waiting-for-approval: accept/run/allow buttons are waiting for a click
+     * - error: an error banner (or retry prompt) is visible
+     * - idle: none of the above, composer present
+     * - unknown: no composer found, so nothing can be said
+     */
+    window.__autoAcceptGetAgentState = function () {
+        try {
+            const panel = getAntigravityAgentPanelRoot();
+            const root = panel || document;
+            const signals = {
+                stopButton: false,
+                spinner: false,
+                pendingApproval: 0,
+                errorText: '',
+                composer: false,
+                sendEnabled: false
+            };
+
+            const controls = queryAllWithin(root, 'button,[role="button"]');
+            for (const el of controls) {
+                if (!isClickable(el)) continue;
+                const label = getControlLabel(el);
+                if (!label || label.length > 60) continue;
+
+                if (/^(stop|cancel)( generating| generation| response)?$/.test(label) ||
+                    label.includes('stop generating') || label.includes('interrupt')) {
+                    signals.stopButton = true;
+                    continue;
+                }
+
+                // Whole words only: "rerun", "running" or "truncate" are not approval buttons
+                const approval = /\b(accept|run|apply|execute|confirm|allow)\b/;
+                const rejects = /\b(skip|reject|cancel|close|refine|retry)\b/;
+                if (approval.test(label) && !rejects.test(label)) {
+                    signals.pendingApproval++;
+                }
+            }
+
+            const busySelectors = [
+                '[aria-busy="true"]',
+                '.codicon-loading',
+                '.codicon-sync.codicon-modifier-spin',
+                '[class*="animate-spin"]',
+                '[class*="spinner" i]',
+                '[class*="typing-indicator" i]'
+            ];
+            for (const sel of busySelectors) {
+                if (queryAllWithin(root, sel).some(el => isElementVisible(el))) {
+                    signals.spinner = true;
+                    break;
+                }
+            }
+
+            const errorEls = queryAllWithin(root, '[role="alert"],[class*="error" i]');
+            for (const el of errorEls) {
+                if (!isElementVisible(el)) continue;
+                const text = (el.textContent || '').trim();
+                if (text && text.length < 300 && /error|failed|went wrong|try again/i.test(text)) {
+                    signals.errorText = text.substring(0, 120);
+                    break;
+                }
+            }
+
+            let inputBox = findAntigravityChatInputContentEditable(root);
+            if (!inputBox) inputBox = findBestPromptInput();
+            if (inputBox) {
+                signals.composer = true;
+                signals.sendEnabled = !!findSendButtonNearInput(inputBox);
+            }
+
+            let state = 'unknown';
+            if (signals.pendingApproval > 0) state = 'waiting-for-approval';
+            else if (signals.stopButton || signals.spinner) state = 'generating';
+            else if (signals.errorText) state = 'error';
+            else if (signals.composer) state = 'idle';
+
+            // Named queues only trust the state when their own conversation is showing
+            const conversation = window.__autoAcceptGetActiveTabName ? window.__autoAcceptGetActiveTabName() : '';
+
+            return { state, hasAgentPanel: !!panel, conversation, signals };
+        } catch (e) {
+            return { state: 'unknown', hasAgentPanel: false, error: e?.message || String(e) };
+        }
+    };
+
+    // --- 6. LAST RESPONSE SCRAPER ---
+    // Text of the newest agent reply, used for ${previousResponse} in queue prompts
+    window.__autoAcceptGetLastResponse = function () {
+        try {
+            const panel = getAntigravityAgentPanelRoot();
+            const root = panel || document;
+            const inputBox = findAntigravityChatInputContentEditable(root);
+            const selectors = [
+                '[data-message-author-role="assistant"]',
+                '[data-role="assistant"]',
+                '[class*="assistant-message" i]',
+                '[class*="bot-message" i]',
+                '.rendered-markdown',
+                '.markdown-body',
+                '[class*="markdown" i]',
+                '[class*="prose" i]'
+            ];
+
+            for (const sel of selectors) {
+                const matches = queryAllWithin(root, sel).filter(el =>
+                    isElementVisible(el) && !(inputBox && (el.contains(inputBox) || inputBox.contains(el))));
+                // Outermost matches only: nested markdown blocks belong to the same reply
+                const replies = matches.filter(el => !matches.some(other => other !== el && other.contains(el)));
+                const last = replies[replies.length - 1];
+                const text = last ? (last.innerText || last.textContent || '').trim() : '';
+                if (text) return { found: true, text, selector: sel, hasAgentPanel: !!panel };
+            }
+            return { found: false, text: '', hasAgentPanel: !!panel };
+        } catch (e) {
+            return { found: false, text: '', hasAgentPanel: false, error: e?.message || String(e) };
+        }
+    };
+
+    // --- 7. SELECTED MODEL ---
+    // Label of the model picked in the agent panel, so quota decisions follow the model in use
+    function findModelPicker() {
+        const panel = getAntigravityAgentPanelRoot();
+        const root = panel || document;
+        const modelPattern = /\b(gemini|claude|sonnet|opus|haiku|gpt|grok|llama|mistral|deepseek|qwen)\b/i;
+        const candidates = queryAllWithin(root, 'button,[role="button"],[role="combobox"],[aria-haspopup]')
+            .filter(el => isElementVisible(el) && modelTextOf(el) && modelTextOf(el).length <= 60);
+
+        // An explicit model picker first, then a dropdown or control naming a model
+        const picker = candidates.find(el => /\bmodel\b/i.test((el.getAttribute('aria-label') || '') + ' ' + (el.getAttribute('title') || '')))
+            || candidates.find(el => el.getAttribute('aria-haspopup') && modelPattern.test(modelTextOf(el)))
+            || candidates.find(el => modelPattern.test(modelTextOf(el)));
+        return { picker: picker || null, panel };
+    }
+
+    function modelTextOf(el) {
+        return (el.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    window.__autoAcceptGetSelectedModel = function () {
+        try {
+            const { picker, panel } = findModelPicker();
+            const label = picker ? modelTextOf(picker) : '';
+            return { found: !!label, label, hasAgentPanel: !!panel };
+        } catch (e) {
+            return { found: false, label: '', hasAgentPanel: false, error: e?.message || String(e) };
+        }
+    };
+
+    // Open the model picker and pick the option matching `wanted` (case and punctuation ignored, else the closest containing label)
+    window.__autoAcceptSelectModel = async function (wanted) {
+        const normalize = text => String(text || '').toLowerCase().replace(/[^a-z0-9.]+/g, ' ').trim();
+        const target = normalize(wanted);
+        try {
+            const { picker, panel } = findModelPicker();
+            const hasAgentPanel = !!panel;
+            const currentLabel = picker ? modelTextOf(picker) : '';
+            if (!currentLabel) return { switched: false, hasAgentPanel, error: 'Model picker not found' };
+            if (normalize(currentLabel) === target) return { switched: false, label: currentLabel, hasAgentPanel };
+
+            picker.click();
+            const optionSelector = '[role="option"],[role="menuitem"],[role="menuitemradio"],[role="listitem"],li';
+            let best = null;
+            for (let i = 0; i < 15 && !best; i++) {
+                await new Promise(r => setTimeout(r, 100));
+                const options = queryAllWithin(document, optionSelector)
+                    .filter(el => isElementVisible(el) && !picker.contains(el))
+                    .map(el => ({ el, label: normalize(el.textContent) }))
+                    .filter(option => option.label && (option.label === target || option.label.includes(target) || target.includes(option.label)));
+                options.sort((a, b) => Math.abs(a.label.length - target.length) - Math.abs(b.label.length - target.length));
+                best = options[0] || null;
+            }
+            if (!best) {
+                document.activeElement?.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+                return { switched: false, hasAgentPanel, error: `Model "${wanted}" not found in the picker` };
+            }
+            best.el.click();
+            await new Promise(r => setTimeout(r, 300));
+            const selected = findModelPicker().picker;
+            return { switched: true, label: selected ? modelTextOf(selected) : modelTextOf(best.el), previous: currentLabel, hasAgentPanel };
+        } catch (e) {
+            return { switched: false, hasAgentPanel: false, error: e?.message || String(e) };
+        }
+    };
+
     log("Core Bundle Initialized.", true);
 })();
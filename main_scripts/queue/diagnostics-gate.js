@@ -0,0 +1,125 @@
+/**
+ * Diagnostics Gate - Turn new Problems panel entries into a follow-up prompt
+ *
+ * Works on plain snapshots of `vscode.languages.getDiagnostics()`, so the
+ * module itself has no vscode dependency. A diagnostic counts as new when it
+ * was not present (same file, severity, source, code and message) when the
+ * task was sent; line numbers are ignored for matching because edits above
+ * an existing problem move it.
+ */
+
+'use strict';
+
+const path = require('path');
+
+// Index = vscode.DiagnosticSeverity value
+const SEVERITY_LEVELS = ['error', 'warning', 'information', 'hint'];
+const MAX_LISTED_DIAGNOSTICS = 50;
+
+const DEFAULT_DIAGNOSTICS_PROMPT = 'The last task introduced new problems in the files you changed. Fix each of them at its root cause; do not suppress them.';
+
+/**
+ * @typedef {Object} DiagnosticEntry
+ * @property {string} file - Absolute path
+ * @property {number} line - 1-based
+ * @property {number} column - 1-based
+ * @property {string} severity - One of SEVERITY_LEVELS
+ * @property {string} message
+ * @property {string} source - e.g. 'ts', 'eslint'
+ * @property {string} code
+ */
+
+/**
+ * Convert `vscode.languages.getDiagnostics()` output into plain entries
+ * @param {Array} raw - [Uri, Diagnostic[]][]
+ * @param {string} [minSeverity] - Drop entries less severe than this
+ * @returns {DiagnosticEntry[]}
+ */
+function snapshotDiagnostics(raw, minSeverity = 'hint') {
+    const threshold = Math.max(0, SEVERITY_LEVELS.indexOf(minSeverity));
+    const entries = [];
+    for (const [uri, diagnostics] of raw || []) {
+        if (!uri || (uri.scheme && uri.scheme !== 'file')) continue;
+        for (const diagnostic of diagnostics || []) {
+            if (diagnostic.severity > threshold) continue;
+            const start = diagnostic.range && diagnostic.range.start;
+            const code = diagnostic.code && typeof diagnostic.code === 'object' ? diagnostic.code.value : diagnostic.code;
+            entries.push({
+                file: uri.fsPath,
+                line: start ? start.line + 1 : 1,
+                column: start ? start.character + 1 : 1,
+                severity: SEVERITY_LEVELS[diagnostic.severity] || 'error',
+                message: String(diagnostic.message || '').trim(),
+                source: diagnostic.source || '',
+                code: code === undefined || code === null ? '' : String(code)
+            });
+        }
+    }
+    return entries;
+}
+
+function signature(entry) {
+    return [entry.file, entry.severity, entry.source, entry.code, entry.message].join('\u0000');
+}
+
+/**
+ * Diagnostics in `after` that were not in `before`, limited to the given files.
+ * Duplicates are counted, so a second identical error in a file is new.
+ * @param {DiagnosticEntry[]} before
+ * @param {DiagnosticEntry[]} after
+ * @param {Iterable<string>} [files] - Paths to consider (all when omitted)
+ * @returns {DiagnosticEntry[]}
+ */
+function findNewDiagnostics(before, after, files) {
+    const scope = files ? new Set(files) : null;
+    const known = new Map();
+    for (const entry of before) {
+        const key = signature(entry);
+        known.set(key, (known.get(key) || 0) + 1);
+    }
+    const added = [];
+    for (const entry of after) {
+        if (scope && !scope.has(entry.file)) continue;
+        const key = signature(entry);
+        const count = known.get(key) || 0;
+        if (count > 0) known.set(key, count - 1);
+        else added.push(entry);
+    }
+    return added.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Follow-up prompt listing the new diagnostics as `file:line:column`
+ * @param {Object} info
+ * @param {DiagnosticEntry[]} info.diagnostics
+ * @param {string} [info.root] - Workspace folder, paths are shown relative to it
+ * @param {number} info.iteration - 1-based follow-up in this run
+ * @param {number} info.maxIterations
+ * @param {string} [info.intro] - Configured instruction text
+ * @returns {string}
+ */
+function buildDiagnosticsPrompt(info) {
+    const listed = info.diagnostics.slice(0, MAX_LISTED_DIAGNOSTICS);
+    const lines = listed.map(entry => {
+        const file = info.root ? path.relative(info.root, entry.file).split(path.sep).join('/') : entry.file;
+        const origin = [entry.source, entry.code].filter(Boolean).join(' ');
+        return `- ${file}:${entry.line}:${entry.column} ${entry.severity}: ${entry.message.replace(/\s+/g, ' ')}${origin ? ` (${origin})` : ''}`;
+    });
+    const hidden = info.diagnostics.length - listed.length;
+    if (hidden > 0) lines.push(`- ... and ${hidden} more`);
+
+    return [
+        (info.intro || DEFAULT_DIAGNOSTICS_PROMPT).trim(),
+        '',
+        `New problems (${info.diagnostics.length}, follow-up ${info.iteration}/${info.maxIterations}):`,
+        ...lines
+    ].join('\n');
+}
+
+module.exports = {
+    SEVERITY_LEVELS,
+    DEFAULT_DIAGNOSTICS_PROMPT,
+    snapshotDiagnostics,
+    findNewDiagnostics,
+    buildDiagnosticsPrompt
+};
@@ -0,0 +1,67 @@
+/**
+ * Escalation - What to do when a queue item runs past its time budget
+ *
+ * A busy agent keeps auto-accept clicking, so silence detection alone never
+ * ends a task that goes in circles. Once an item exceeds its budget
+ * (`maxDuration`), the escalation ladder is walked one step per interval:
+ * `nudge` asks the agent to wrap up, `continue` prods a stalled agent, `skip`
+ * gives up on the item and `stop` stops the queue. Every item starts at the
+ * top of the ladder; with `escalation.carryOver`, steps after a `skip` carry
+ * over to the next item instead, so it goes on from there if it runs out of
+ * time as well.
+ */
+
+'use strict';
+
+const ESCALATION_STEPS = ['nudge', 'continue', 'skip', 'stop'];
+const DEFAULT_ESCALATION_STEPS = ESCALATION_STEPS.slice();
+const DEFAULT_NUDGE_PROMPT = 'You are over the time budget for this task. Wrap up now: finish the step you are on, then summarize what is done and what is still open.';
+
+/**
+ * @typedef {'nudge'|'continue'|'skip'|'stop'} EscalationStep
+ */
+
+/**
+ * Keep known steps in order. Nothing runs after `stop`, so later steps are dropped.
+ * A ladder left empty falls back to the default, so a time budget always does something.
+ * @param {Array} raw
+ * @returns {EscalationStep[]}
+ */
+function normalizeEscalationSteps(raw) {
+    if (!Array.isArray(raw)) return DEFAULT_ESCALATION_STEPS.slice();
+    const steps = [];
+    for (const step of raw) {
+        if (!ESCALATION_STEPS.includes(step)) continue;
+        steps.push(step);
+        if (step === 'stop') break;
+    }
+    return steps.length > 0 ? steps : DEFAULT_ESCALATION_STEPS.slice();
+}
+
+/**
+ * The ladder step due now, if any
+ * @param {EscalationStep[]} steps
+ * @param {Object} state
+ * @param {number} state.durationMs - How long the item has been running
+ * @param {number|null} state.budgetMs - Time budget (null/0 = unlimited)
+ * @param {number} state.level - Steps already taken for this item
+ * @param {number} state.lastEscalationAt - When the previous step was taken
+ * @param {number} state.intervalMs - Wait between steps
+ * @param {number} [state.now]
+ * @returns {EscalationStep|null}
+ */
+function getDueEscalation(steps, state) {
+    if (!state.budgetMs || state.durationMs <= state.budgetMs) return null;
+    if (state.level >= steps.length) return null;
+    const now = state.now || Date.now();
+    if (state.level > 0 && now - state.lastEscalationAt < state.intervalMs) return null;
+    return steps[state.level];
+}
+
+module.exports = {
+    ESCALATION_STEPS,
+    DEFAULT_ESCALATION_STEPS,
+    DEFAULT_NUDGE_PROMPT,
+    normalizeEscalationSteps,
+    getDueEscalation
+};
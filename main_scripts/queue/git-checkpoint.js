@@ -0,0 +1,73 @@
+/**
+ * Git Checkpoint - Commit the workspace after each finished queue task
+ *
+ * Works against a repository from the built-in git extension API
+ * (`vscode.git`, `getAPI(1)`), so the module itself has no vscode dependency.
+ * Each task gets its own commit, which makes an unattended run bisectable
+ * and lets a single task be reverted.
+ */
+
+'use strict';
+
+const SUBJECT_MAX_LENGTH = 72;
+
+/**
+ * First line of the item title or text, shortened for a commit subject
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function summarizeLine(text, maxLength) {
+    const line = String(text || '').split('\n').map(l => l.trim()).find(Boolean) || '';
+    return line.length > maxLength ? line.substring(0, maxLength - 3).trimEnd() + '...' : line;
+}
+
+/**
+ * Commit message for a finished task
+ * @param {Object} info
+ * @param {Object} info.item - QueueItem ({ text, title })
+ * @param {number} info.taskNumber - 1-based position among the run's tasks
+ * @param {number} info.taskCount
+ * @param {string} [info.queueName] - Named queue ('default' is omitted)
+ * @param {string} [info.runId]
+ * @param {string} [info.outcome] - 'completed' | 'failed'
+ * @param {string} [info.reason] - Failure reason
+ * @returns {string}
+ */
+function buildCheckpointMessage(info) {
+    const item = info.item || {};
+    const prefix = `Queue task ${info.taskNumber}/${info.taskCount}: `;
+    const subject = prefix + summarizeLine(item.title || item.text, SUBJECT_MAX_LENGTH - prefix.length);
+
+    const trailers = [];
+    if (info.queueName && info.queueName !== 'default') trailers.push(`Queue: ${info.queueName}`);
+    if (info.runId) trailers.push(`Run: ${info.runId}`);
+    if (info.outcome && info.outcome !== 'completed') {
+        trailers.push(`Status: ${info.outcome}${info.reason ? ` (${info.reason})` : ''}`);
+    }
+
+    const body = String(item.text || '').trim();
+    return [subject, body, trailers.join('\n')].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Stage all workspace changes and commit them
+ * @param {Object} repository - git extension API Repository
+ * @param {string} message
+ * @returns {Promise<string|null>} Commit SHA, or null when there was nothing to commit
+ */
+async function commitCheckpoint(repository, message) {
+    // An empty path list stages everything (`git add -A -- .`)
+    await repository.add([]);
+    if (typeof repository.status === 'function') await repository.status();
+    if (repository.state.indexChanges.length === 0) return null;
+
+    await repository.commit(message);
+    const head = await repository.getCommit('HEAD');
+    return head ? head.hash : null;
+}
+
+module.exports = {
+    buildCheckpointMessage,
+    commitCheckpoint
+};
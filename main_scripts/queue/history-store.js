@@ -0,0 +1,276 @@
+/**
+ * History Store - Durable prompt history in the extension's global storage
+ *
+ * Every prompt the Scheduler delivers (or fails to deliver) gets an entry
+ * that follows it through its lifecycle: `sent` on delivery, then
+ * `completed`, `skipped`, `failed` or `cancelled` once the queue moves on.
+ * Entries live in memory and are written to a JSON file shortly after each
+ * change, so a burst of updates costs a single write.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { sumTaskCosts, formatTaskCost } = require('./task-cost');
+
+const HISTORY_FILE_NAME = 'prompt-history.json';
+const MAX_HISTORY_ENTRIES = 5000;
+const SAVE_DELAY_MS = 1000;
+const HISTORY_STATUSES = ['sent', 'completed', 'skipped', 'failed', 'cancelled', 'passed'];
+const EXPORT_FORMATS = ['json', 'csv'];
+
+const CSV_COLUMNS = ['id', 'timestamp', 'finishedAt', 'durationMs', 'status', 'kind', 'queue', 'conversation', 'runId', 'itemId', 'clicks', 'blocked', 'attempts', 'cost', 'commit', 'error', 'text'];
+
+/**
+ * @typedef {'sent'|'completed'|'skipped'|'failed'|'cancelled'|'passed'} HistoryStatus
+ * 'passed' is used by gate checks (test and diagnostics gates)
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id
+ * @property {string} text - Full prompt text
+ * @property {string} kind - 'prompt' | 'testGate' | 'diagnostics' | 'loop' (loopUntil stop reason) | 'escalation' (time budget prompt) | 'modelSwitch' (quota fallback)
+ * @property {HistoryStatus} status
+ * @property {string|null} error
+ * @property {string} conversation - Target conversation ('current' = active tab)
+ * @property {string|null} queue - Queue name (null = scheduled prompt)
+ * @property {string|null} runId
+ * @property {string|null} itemId - Queue item id
+ * @property {number} timestamp - When the prompt was sent (or failed to send)
+ * @property {number|null} finishedAt
+ * @property {number|null} durationMs - From delivery until the queue moved on
+ * @property {number|null} clicks - Auto-accept clicks while the item ran
+ * @property {number|null} blocked - Banned commands blocked while the item ran
+ * @property {number|null} attempts - Delivery attempts
+ * @property {string|null} commit - Git checkpoint SHA
+ * @property {Object|null} cost - TaskCost: quota used while the item ran
+ */
+
+function createHistoryId(now = Date.now()) {
+    return `h-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function toTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * @param {HistoryEntry[]} entries
+ * @param {Object} [filter]
+ * @param {string} [filter.text] - Case-insensitive substring of the prompt text or error
+ * @param {string|string[]} [filter.status] - One or more statuses
+ * @param {string} [filter.kind]
+ * @param {string} [filter.queue]
+ * @param {string} [filter.conversation]
+ * @param {string} [filter.runId]
+ * @param {number|string} [filter.since] - ms timestamp or date string (inclusive)
+ * @param {number|string} [filter.until] - ms timestamp or date string (exclusive)
+ * @returns {HistoryEntry[]} Matching entries, newest first
+ */
+function filterHistory(entries, filter = {}) {
+    const text = String(filter.text || '').toLowerCase();
+    const statuses = filter.status ? [].concat(filter.status) : null;
+    const since = toTime(filter.since);
+    const until = toTime(filter.until);
+    return entries.filter(entry => {
+        if (text && !`${entry.text}\n${entry.error || ''}`.toLowerCase().includes(text)) return false;
+        if (statuses && !statuses.includes(entry.status)) return false;
+        if (filter.kind && entry.kind !== filter.kind) return false;
+        if (filter.queue && entry.queue !== filter.queue) return false;
+        if (filter.conversation && entry.conversation !== filter.conversation) return false;
+        if (filter.runId && entry.runId !== filter.runId) return false;
+        if (since !== null && entry.timestamp < since) return false;
+        if (until !== null && entry.timestamp >= until) return false;
+        return true;
+    }).reverse();
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {HistoryEntry[]} entries
+ * @returns {string} CSV with a header row; timestamps as ISO dates
+ */
+function formatHistoryCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+        const value = entry[column];
+        if ((column === 'timestamp' || column === 'finishedAt') && value) return new Date(value).toISOString();
+        if (column === 'cost') return csvCell(formatTaskCost(value));
+        return csvCell(value);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {HistoryEntry[]} entries
+ * @param {'json'|'csv'} format
+ * @returns {string}
+ */
+function exportHistory(entries, format) {
+    if (format === 'csv') return formatHistoryCsv(entries);
+    if (format === 'json') return JSON.stringify(entries, null, 2);
+    throw new Error(`Unknown history export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+}
+
+class HistoryStore {
+    /**
+     * @param {string|null} filePath - JSON file (null = memory only)
+     * @param {Function} [log] - Logger function
+     * @param {number} [maxEntries] - Oldest entries are dropped beyond this
+     */
+    constructor(filePath, log = () => { }, maxEntries = MAX_HISTORY_ENTRIES) {
+        this.filePath = filePath;
+        this.log = log;
+        this.maxEntries = maxEntries;
+        this.saveTimer = null;
+        this.saveChain = Promise.resolve();
+        this.entries = this._load();
+    }
+
+    /**
+     * Record a prompt
+     * @param {Object} fields - HistoryEntry fields; text is required
+     * @returns {HistoryEntry} The stored entry (pass it to update())
+     */
+    add(fields) {
+        const now = Date.now();
+        const entry = {
+            id: createHistoryId(now),
+            text: fields.text,
+            kind: fields.kind || 'prompt',
+            status: fields.status || 'sent',
+            error: fields.error || null,
+            conversation: fields.conversation || 'current',
+            queue: fields.queue || null,
+            runId: fields.runId || null,
+            itemId: fields.itemId || null,
+            timestamp: now,
+            finishedAt: fields.finishedAt || null,
+            durationMs: fields.durationMs ?? null,
+            clicks: fields.clicks ?? null,
+            blocked: fields.blocked ?? null,
+            attempts: fields.attempts ?? null,
+            commit: fields.commit || null,
+            cost: fields.cost || null
+        };
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) this.entries.splice(0, this.entries.length - this.maxEntries);
+        this.scheduleSave();
+        return entry;
+    }
+
+    /**
+     * @param {HistoryEntry} entry - Entry returned by add()
+     * @param {Object} changes
+     */
+    update(entry, changes) {
+        if (!entry) return;
+        Object.assign(entry, changes);
+        this.scheduleSave();
+    }
+
+    /**
+     * Move an entry to a final status, with its duration since delivery.
+     * Entries that already have a final status are left alone.
+     * @param {HistoryEntry} entry
+     * @param {HistoryStatus} status
+     * @param {Object} [changes] - e.g. { error }
+     */
+    finish(entry, status, changes = {}) {
+        if (!entry || entry.status !== 'sent') return;
+        const now = Date.now();
+        this.update(entry, { ...changes, status, finishedAt: now, durationMs: now - entry.timestamp });
+    }
+
+    /**
+     * One page of filtered entries, newest first, with the quota cost of all
+     * matches (the run's cost when filtered by runId)
+     * @param {Object} [options] - filterHistory() filter plus { offset, limit }
+     * @returns {{total: number, offset: number, limit: number, entries: HistoryEntry[], cost: Object|null}}
+     */
+    query(options = {}) {
+        const matches = filterHistory(this.entries, options);
+        const offset = Math.max(0, Math.floor(Number(options.offset) || 0));
+        const limit = Math.max(1, Math.floor(Number(options.limit) || 50));
+        return {
+            total: matches.length,
+            offset,
+            limit,
+            entries: matches.slice(offset, offset + limit),
+            cost: sumTaskCosts(matches.map(entry => entry.cost))
+        };
+    }
+
+    /**
+     * @param {'json'|'csv'} format
+     * @param {Object} [filter] - See filterHistory()
+     * @returns {string}
+     */
+    export(format, filter) {
+        return exportHistory(filterHistory(this.entries, filter), format);
+    }
+
+    clear() {
+        this.entries = [];
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write pending changes now
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (!this.filePath) return Promise.resolve();
+        const data = JSON.stringify(this.entries);
+        this.saveChain = this.saveChain.then(async () => {
+            try {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(this.filePath, data, 'utf8');
+            } catch (e) {
+                this.log(`HistoryStore: Failed to persist history: ${e.message}`);
+            }
+        });
+        return this.saveChain;
+    }
+
+    _load() {
+        if (!this.filePath) return [];
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            if (e.code !== 'ENOENT') this.log(`HistoryStore: Could not read ${this.filePath}: ${e.message}`);
+            return [];
+        }
+    }
+}
+
+module.exports = {
+    HistoryStore,
+    HISTORY_FILE_NAME,
+    HISTORY_STATUSES,
+    EXPORT_FORMATS,
+    filterHistory,
+    formatHistoryCsv,
+    exportHistory
+};
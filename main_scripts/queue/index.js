@@ -0,0 +1,213 @@
+/**
+ * Queue Module - Barrel Export
+ *
+ * Centralized export for prompt queue building blocks used by the Scheduler.
+ */
+
+'use strict';
+
+const { RunJournal, RUN_JOURNAL_KEY, ITEM_STATUSES } = require('./run-journal');
+const {
+    createItemId,
+    hashText,
+    normalizeQueueItem,
+    normalizeQueueItems,
+    needsMigration,
+    resolveCheckPrompt,
+    getItemLabel
+} = require('./queue-items');
+const { QUEUE_EDIT_OPERATIONS, applyQueueEdit } = require('./queue-edits');
+const {
+    PromptArchive,
+    PROMPT_ARCHIVE_KEY,
+    MAX_ARCHIVE_ENTRIES,
+    createArchiveEntry,
+    searchArchive
+} = require('./prompt-archive');
+const {
+    HistoryStore,
+    HISTORY_FILE_NAME,
+    HISTORY_STATUSES,
+    EXPORT_FORMATS,
+    filterHistory,
+    formatHistoryCsv,
+    exportHistory
+} = require('./history-store');
+const {
+    QueueFile,
+    QUEUE_FILE_NAMES,
+    QUEUE_FILE_TEMPLATE,
+    detectFormat,
+    findQueueFile,
+    parseQueueFile,
+    setItemDone,
+    resetDone
+} = require('./queue-file');
+const {
+    DEFAULT_QUEUE_NAME,
+    normalizeNamedQueues,
+    namedQueuesNeedMigration,
+    getQueueJournalKey,
+    matchesConversation
+} = require('./named-queues');
+const {
+    TEMPLATE_VARIABLES,
+    parseTemplate,
+    validateTemplate,
+    renderTemplate,
+    readGitBranch,
+    readWorkspaceFile,
+    formatDate,
+    formatTime
+} = require('./prompt-template');
+const {
+    FAILURE_ACTIONS,
+    DEFAULT_RETRY_POLICY,
+    normalizeRetryPolicy,
+    getMaxAttempts,
+    getRetryDelay
+} = require('./retry-policy');
+const {
+    REPORT_LOCATIONS,
+    WORKSPACE_REPORT_DIR,
+    summarizeQuotaSnapshot,
+    diffQuota,
+    buildRunReport,
+    formatRunReportMarkdown,
+    writeRunReport
+} = require('./run-report');
+const { buildCheckpointMessage, commitCheckpoint } = require('./git-checkpoint');
+const {
+    DEFAULT_FIX_PROMPT,
+    stripAnsi,
+    trimOutput,
+    runTestCommand,
+    buildFixPrompt
+} = require('./test-gate');
+const {
+    SEVERITY_LEVELS,
+    DEFAULT_DIAGNOSTICS_PROMPT,
+    snapshotDiagnostics,
+    findNewDiagnostics,
+    buildDiagnosticsPrompt
+} = require('./diagnostics-gate');
+const {
+    LOOPING_MODES,
+    isLoopingMode,
+    compileCompletionMarker,
+    getLoopStopReason
+} = require('./loop-until');
+const {
+    ESCALATION_STEPS,
+    DEFAULT_ESCALATION_STEPS,
+    DEFAULT_NUDGE_PROMPT,
+    normalizeEscalationSteps,
+    getDueEscalation
+} = require('./escalation');
+const { getTaskCost, sumTaskCosts, formatTaskCost } = require('./task-cost');
+const {
+    BUDGET_UNITS,
+    normalizeBudget,
+    isBudgetEnabled,
+    getStartOfDay,
+    trackDailySpend,
+    getSpent,
+    getBudgetState,
+    formatBudgetAmount,
+    describeBudgetRemaining,
+    describeBudgetStop
+} = require('./spending-budget');
+
+module.exports = {
+    RunJournal,
+    RUN_JOURNAL_KEY,
+    ITEM_STATUSES,
+    createItemId,
+    hashText,
+    normalizeQueueItem,
+    normalizeQueueItems,
+    needsMigration,
+    resolveCheckPrompt,
+    getItemLabel,
+    QUEUE_EDIT_OPERATIONS,
+    applyQueueEdit,
+    PromptArchive,
+    PROMPT_ARCHIVE_KEY,
+    MAX_ARCHIVE_ENTRIES,
+    createArchiveEntry,
+    searchArchive,
+    HistoryStore,
+    HISTORY_FILE_NAME,
+    HISTORY_STATUSES,
+    EXPORT_FORMATS,
+    filterHistory,
+    formatHistoryCsv,
+    exportHistory,
+    QueueFile,
+    QUEUE_FILE_NAMES,
+    QUEUE_FILE_TEMPLATE,
+    detectFormat,
+    findQueueFile,
+    parseQueueFile,
+    setItemDone,
+    resetDone,
+    DEFAULT_QUEUE_NAME,
+    normalizeNamedQueues,
+    namedQueuesNeedMigration,
+    getQueueJournalKey,
+    matchesConversation,
+    TEMPLATE_VARIABLES,
+    parseTemplate,
+    validateTemplate,
+    renderTemplate,
+    readGitBranch,
+    readWorkspaceFile,
+    formatDate,
+    formatTime,
+    FAILURE_ACTIONS,
+    DEFAULT_RETRY_POLICY,
+    normalizeRetryPolicy,
+    getMaxAttempts,
+    getRetryDelay,
+    REPORT_LOCATIONS,
+    WORKSPACE_REPORT_DIR,
+    summarizeQuotaSnapshot,
+    diffQuota,
+    buildRunReport,
+    formatRunReportMarkdown,
+    writeRunReport,
+    buildCheckpointMessage,
+    commitCheckpoint,
+    DEFAULT_FIX_PROMPT,
+    stripAnsi,
+    trimOutput,
+    runTestCommand,
+    buildFixPrompt,
+    SEVERITY_LEVELS,
+    DEFAULT_DIAGNOSTICS_PROMPT,
+    snapshotDiagnostics,
+    findNewDiagnostics,
+    buildDiagnosticsPrompt,
+    LOOPING_MODES,
+    isLoopingMode,
+    compileCompletionMarker,
+    getLoopStopReason,
+    ESCALATION_STEPS,
+    DEFAULT_ESCALATION_STEPS,
+    DEFAULT_NUDGE_PROMPT,
+    normalizeEscalationSteps,
+    getDueEscalation,
+    getTaskCost,
+    sumTaskCosts,
+    formatTaskCost,
+    BUDGET_UNITS,
+    normalizeBudget,
+    isBudgetEnabled,
+    getStartOfDay,
+    trackDailySpend,
+    getSpent,
+    getBudgetState,
+    formatBudgetAmount,
+    describeBudgetRemaining,
+    describeBudgetStop
+};
@@ -0,0 +1,75 @@
+/**
+ * Loop Until - Termination conditions for the 'loopUntil' queue mode
+ *
+ * 'loopUntil' cycles through the queue like 'loop', but ends the run once
+ * the agent's latest reply matches a completion marker, the queue has been
+ * through a set number of cycles, or a wall-clock budget is used up. The
+ * conditions are checked whenever a queue entry finishes; a running entry is
+ * never cut short.
+ */
+
+'use strict';
+
+const LOOPING_MODES = ['loop', 'loopUntil'];
+
+/**
+ * @typedef {Object} LoopUntilConfig
+ * @property {string} marker - Regular expression (case-sensitive); '' = no marker
+ * @property {number} maxIterations - Full cycles before stopping; 0 = unlimited
+ * @property {number} maxMinutes - Minutes since the run started; 0 = unlimited
+ */
+
+/**
+ * @param {string} mode - Queue mode
+ * @returns {boolean} Whether the queue starts over after its last item
+ */
+function isLoopingMode(mode) {
+    return LOOPING_MODES.includes(mode);
+}
+
+/**
+ * @param {string} marker
+ * @returns {RegExp|null} null when no marker is configured
+ * @throws {Error} When the marker is not a valid regular expression
+ */
+function compileCompletionMarker(marker) {
+    if (!marker) return null;
+    try {
+        return new RegExp(marker);
+    } catch (e) {
+        throw new Error(`Invalid loop completion marker /${marker}/: ${e.message}`);
+    }
+}
+
+/**
+ * Why the loop has to stop now, if it does
+ * @param {LoopUntilConfig} config
+ * @param {Object} state
+ * @param {string} [state.response] - Agent's latest reply ('' or undefined = not read)
+ * @param {number} [state.cycle] - Cycles completed so far
+ * @param {number} state.startedAt - Run start timestamp
+ * @param {number} [state.now]
+ * @returns {string|null} Stop reason, null to keep looping
+ */
+function getLoopStopReason(config, state) {
+    const pattern = compileCompletionMarker(config.marker);
+    if (pattern && state.response && pattern.test(state.response)) {
+        return `completion marker /${config.marker}/ matched`;
+    }
+    const cycles = state.cycle || 0;
+    if (config.maxIterations > 0 && cycles >= config.maxIterations) {
+        return `reached ${config.maxIterations} iteration${config.maxIterations === 1 ? '' : 's'}`;
+    }
+    const now = state.now || Date.now();
+    if (config.maxMinutes > 0 && now - state.startedAt >= config.maxMinutes * 60000) {
+        return `time budget of ${config.maxMinutes} minute${config.maxMinutes === 1 ? '' : 's'} used up`;
+    }
+    return null;
+}
+
+module.exports = {
+    LOOPING_MODES,
+    isLoopingMode,
+    compileCompletionMarker,
+    getLoopStopReason
+};
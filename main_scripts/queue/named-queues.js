@@ -0,0 +1,88 @@
+/**
+ * Named Queues - Several prompt queues, each bound to its own conversation
+ *
+ * The 'default' queue is `auto-accept.schedule.prompts` (or the workspace
+ * queue file) and targets the conversation picked in the settings panel.
+ * Additional queues come from `auto-accept.schedule.queues` and run in
+ * parallel, each with its own progress, controls and run journal.
+ */
+
+'use strict';
+
+const { normalizeQueueItems, needsMigration } = require('./queue-items');
+const { RUN_JOURNAL_KEY } = require('./run-journal');
+
+const DEFAULT_QUEUE_NAME = 'default';
+const QUEUE_MODES = ['consume', 'loop', 'loopUntil'];
+
+/**
+ * @typedef {Object} NamedQueue
+ * @property {string} name - Unique queue name
+ * @property {string} targetConversation - Conversation the queue sends to ('' = current active tab)
+ * @property {Object[]} prompts - QueueItem[]
+ * @property {'consume'|'loop'|'loopUntil'|null} queueMode - null = global queueMode setting
+ */
+
+/**
+ * Normalize the raw `queues` setting. Entries without a name, or reusing a
+ * name (including 'default'), are dropped.
+ * @param {Array} raw
+ * @returns {NamedQueue[]}
+ */
+function normalizeNamedQueues(raw) {
+    if (!Array.isArray(raw)) return [];
+    const seen = new Set([DEFAULT_QUEUE_NAME]);
+    const queues = [];
+    for (const entry of raw) {
+        if (!entry || typeof entry !== 'object') continue;
+        const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+        if (!name || seen.has(name)) continue;
+        seen.add(name);
+        queues.push({
+            name,
+            targetConversation: typeof entry.targetConversation === 'string' ? entry.targetConversation.trim() : '',
+            prompts: normalizeQueueItems(entry.prompts),
+            queueMode: QUEUE_MODES.includes(entry.queueMode) ? entry.queueMode : null
+        });
+    }
+    return queues;
+}
+
+/**
+ * Whether any named queue still stores legacy prompts or items without ids
+ * @param {Array} raw
+ * @returns {boolean}
+ */
+function namedQueuesNeedMigration(raw) {
+    return Array.isArray(raw) && raw.some(entry => entry && typeof entry === 'object' && needsMigration(entry.prompts));
+}
+
+/**
+ * Journal storage key for a queue; the default queue keeps the original key
+ * @param {string} name
+ * @returns {string}
+ */
+function getQueueJournalKey(name) {
+    return name === DEFAULT_QUEUE_NAME ? RUN_JOURNAL_KEY : `${RUN_JOURNAL_KEY}:${name}`;
+}
+
+/**
+ * Whether the active tab is the target conversation, using the same loose
+ * match as __autoAcceptSendPromptToConversation
+ * @param {string} activeName - Active tab name
+ * @param {string} target - Queue target ('' = current active tab)
+ * @returns {boolean}
+ */
+function matchesConversation(activeName, target) {
+    if (!target || target === 'current') return true;
+    if (!activeName) return false;
+    return activeName.includes(target) || target.includes(activeName.split(' ')[0]);
+}
+
+module.exports = {
+    DEFAULT_QUEUE_NAME,
+    normalizeNamedQueues,
+    namedQueuesNeedMigration,
+    getQueueJournalKey,
+    matchesConversation
+};
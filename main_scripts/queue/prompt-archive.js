@@ -0,0 +1,142 @@
+/**
+ * Prompt Archive - Persistent record of consumed queue items
+ *
+ * In `consume` mode a finished item is removed from its queue. The archive
+ * keeps a copy (with when it ran, where it was sent and how it ended) in a
+ * Memento (context.globalState), so it can be found again and re-queued.
+ */
+
+'use strict';
+
+const PROMPT_ARCHIVE_KEY = 'auto-accept-prompt-archive';
+const MAX_ARCHIVE_ENTRIES = 500;
+
+/**
+ * @typedef {'completed'|'failed'|'reset'} ArchiveOutcome
+ * 'reset' = removed by a queue reset without having run
+ */
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} id - Archive entry id
+ * @property {Object} item - The QueueItem as it was queued
+ * @property {string} queue - Queue name
+ * @property {string} conversation - Target conversation ('' = current tab)
+ * @property {ArchiveOutcome} outcome
+ * @property {string|null} error - Failure reason
+ * @property {string|null} runId - Run the item was part of
+ * @property {number|null} sentAt - When the task was delivered
+ * @property {number} archivedAt
+ * @property {string|null} commit - Git checkpoint SHA
+ */
+
+function createArchiveId(now = Date.now()) {
+    return `arc-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * @param {Object} item - QueueItem
+ * @param {Object} meta - { queue, conversation, outcome, error, runId, sentAt, commit }
+ * @returns {ArchiveEntry}
+ */
+function createArchiveEntry(item, meta = {}) {
+    const now = Date.now();
+    return {
+        id: createArchiveId(now),
+        item: { ...item },
+        queue: meta.queue || 'default',
+        conversation: meta.conversation || '',
+        outcome: meta.outcome || 'completed',
+        error: meta.error || null,
+        runId: meta.runId || null,
+        sentAt: meta.sentAt || null,
+        archivedAt: now,
+        commit: meta.commit || null
+    };
+}
+
+/**
+ * Filter entries by a search string. Every word has to appear in the text,
+ * title, conversation, queue name or outcome (case-insensitive).
+ * @param {ArchiveEntry[]} entries
+ * @param {string} [query]
+ * @returns {ArchiveEntry[]}
+ */
+function searchArchive(entries, query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return entries;
+    return entries.filter(entry => {
+        const haystack = [entry.item.text, entry.item.title, entry.conversation, entry.queue, entry.outcome]
+            .filter(Boolean).join('\n').toLowerCase();
+        return words.every(word => haystack.includes(word));
+    });
+}
+
+class PromptArchive {
+    /**
+     * @param {Object} storage - Memento-like store with get(key, default) and update(key, value)
+     * @param {Function} [log] - Logger function
+     * @param {number} [maxEntries] - Oldest entries are dropped beyond this
+     */
+    constructor(storage, log = () => { }, maxEntries = MAX_ARCHIVE_ENTRIES) {
+        this.storage = storage;
+        this.log = log;
+        this.maxEntries = maxEntries;
+        this.entries = storage ? storage.get(PROMPT_ARCHIVE_KEY, []) : [];
+    }
+
+    /**
+     * @param {string} [query] - See searchArchive()
+     * @returns {ArchiveEntry[]} Newest first
+     */
+    getEntries(query) {
+        return searchArchive(this.entries, query);
+    }
+
+    find(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * @param {ArchiveEntry[]} entries
+     */
+    async add(entries) {
+        if (entries.length === 0) return;
+        this.entries = entries.slice().reverse().concat(this.entries).slice(0, this.maxEntries);
+        await this._save();
+    }
+
+    /**
+     * @param {string[]} ids
+     * @returns {Promise<ArchiveEntry[]>} The removed entries
+     */
+    async remove(ids) {
+        const removed = this.entries.filter(entry => ids.includes(entry.id));
+        if (removed.length === 0) return removed;
+        this.entries = this.entries.filter(entry => !ids.includes(entry.id));
+        await this._save();
+        return removed;
+    }
+
+    async clear() {
+        this.entries = [];
+        await this._save();
+    }
+
+    async _save() {
+        if (!this.storage) return;
+        try {
+            await this.storage.update(PROMPT_ARCHIVE_KEY, this.entries);
+        } catch (e) {
+            this.log(`PromptArchive: Failed to persist: ${e.message}`);
+        }
+    }
+}
+
+module.exports = {
+    PromptArchive,
+    PROMPT_ARCHIVE_KEY,
+    MAX_ARCHIVE_ENTRIES,
+    createArchiveEntry,
+    searchArchive
+};
@@ -0,0 +1,169 @@
+/**
+ * Prompt Template - Variable interpolation for queue prompt text
+ *
+ * `${name}` is replaced with the value of a known variable and `${name:arg}`
+ * passes an argument (e.g. `${file:docs/spec.md}`). `$${...}` is an escape
+ * for a literal `${...}`. Unknown variables are an error so a typo is caught
+ * before the prompt reaches the agent instead of being sent verbatim.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Known variables; `arg` marks the ones that take (and require) an argument
+const TEMPLATE_VARIABLES = {
+    workspaceName: { description: 'Name of the first workspace folder' },
+    date: { description: 'Current date (YYYY-MM-DD)' },
+    time: { description: 'Current time (HH:MM)' },
+    gitBranch: { description: 'Current git branch of the workspace' },
+    taskIndex: { description: '1-based number of the current queue item' },
+    taskCount: { description: 'Number of items in the queue' },
+    taskTitle: { description: 'Title of the current queue item' },
+    queueName: { description: 'Name of the queue sending the prompt' },
+    previousResponse: { description: 'Last agent reply scraped from the chat' },
+    file: { description: 'Contents of a workspace file', arg: true }
+};
+
+// Largest file ${file:...} will inline
+const MAX_FILE_BYTES = 100 * 1024;
+
+const TOKEN_PATTERN = /(\$?)\$\{([A-Za-z][\w]*)(?::([^}]*))?\}/g;
+
+/**
+ * @typedef {Object} TemplateToken
+ * @property {string} raw - Token as written, e.g. `${file:a.md}`
+ * @property {string} name - Variable name
+ * @property {string|null} arg - Argument after the colon
+ */
+
+/**
+ * List the variable tokens in a prompt (escaped `$${...}` excluded)
+ * @param {string} text
+ * @returns {TemplateToken[]}
+ */
+function parseTemplate(text) {
+    const tokens = [];
+    for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+        if (match[1]) continue;
+        tokens.push({ raw: match[0].slice(match[1].length), name: match[2], arg: match[3] !== undefined ? match[3].trim() : null });
+    }
+    return tokens;
+}
+
+/**
+ * Check a prompt for unknown variables and missing/unexpected arguments
+ * @param {string} text
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateTemplate(text) {
+    const errors = [];
+    for (const token of parseTemplate(text)) {
+        const spec = TEMPLATE_VARIABLES[token.name];
+        if (!spec) {
+            errors.push(`Unknown variable ${token.raw}`);
+        } else if (spec.arg && !token.arg) {
+            errors.push(`${token.raw} needs an argument, e.g. \${${token.name}:path}`);
+        } else if (!spec.arg && token.arg !== null) {
+            errors.push(`${token.raw} does not take an argument`);
+        }
+    }
+    return { valid: errors.length === 0, errors: [...new Set(errors)] };
+}
+
+/**
+ * Render a prompt. Each distinct token is resolved once.
+ * @param {string} text
+ * @param {Object<string, Function>} resolvers - name -> (arg) => string | Promise<string>
+ * @returns {Promise<string>}
+ * @throws {Error} When the template is invalid or a resolver fails
+ */
+async function renderTemplate(text, resolvers) {
+    const source = String(text || '');
+    const { valid, errors } = validateTemplate(source);
+    if (!valid) throw new Error(`Prompt template: ${errors.join('; ')}`);
+
+    const values = new Map();
+    for (const token of parseTemplate(source)) {
+        if (values.has(token.raw)) continue;
+        const resolve = resolvers[token.name];
+        if (typeof resolve !== 'function') {
+            throw new Error(`Prompt template: ${token.raw} is not available here`);
+        }
+        const value = await resolve(token.arg);
+        values.set(token.raw, value === null || value === undefined ? '' : String(value));
+    }
+
+    return source.replace(TOKEN_PATTERN, (match, escape) => escape ? match.slice(1) : values.get(match));
+}
+
+/**
+ * Current branch from .git/HEAD (short commit id when detached)
+ * @param {string} root - Workspace folder
+ * @returns {string} '' when the folder is not a git checkout
+ */
+function readGitBranch(root) {
+    try {
+        let gitDir = path.join(root, '.git');
+        // Worktrees and submodules use a .git file pointing at the real directory
+        if (fs.statSync(gitDir).isFile()) {
+            const pointer = fs.readFileSync(gitDir, 'utf8').match(/^gitdir:\s*(.+)$/m);
+            if (!pointer) return '';
+            gitDir = path.resolve(root, pointer[1].trim());
+        }
+        const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+        const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+        return ref ? ref[1] : head.substring(0, 7);
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Contents of a workspace file for ${file:...}
+ * @param {string} root - Workspace folder
+ * @param {string} relativePath
+ * @returns {string}
+ * @throws {Error} When the path leaves the workspace, is missing or too large
+ */
+function readWorkspaceFile(root, relativePath) {
+    const filePath = path.resolve(root, relativePath);
+    const relative = path.relative(root, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Prompt template: ${relativePath} is outside the workspace`);
+    }
+    let stat;
+    try {
+        stat = fs.statSync(filePath);
+    } catch (e) {
+        throw new Error(`Prompt template: file not found: ${relativePath}`);
+    }
+    if (stat.size > MAX_FILE_BYTES) {
+        throw new Error(`Prompt template: ${relativePath} is larger than ${MAX_FILE_BYTES / 1024} KB`);
+    }
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function formatDate(d = new Date()) {
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatTime(d = new Date()) {
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    parseTemplate,
+    validateTemplate,
+    renderTemplate,
+    readGitBranch,
+    readWorkspaceFile,
+    formatDate,
+    formatTime
+};
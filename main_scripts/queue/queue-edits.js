@@ -0,0 +1,87 @@
+/**
+ * Queue Edits - Id-based edit operations on a queue item list
+ *
+ * Operations address items by id, never by position, so they stay correct
+ * while a running queue consumes items or the list was reordered elsewhere.
+ * The Scheduler applies them to the stored setting and then reconciles the
+ * running queue with syncRuntimeQueue().
+ */
+
+'use strict';
+
+const { createItemId, normalizeQueueItem } = require('./queue-items');
+
+const QUEUE_EDIT_OPERATIONS = ['insertNext', 'append', 'move', 'update', 'delete'];
+
+/**
+ * @typedef {Object} QueueEdit
+ * @property {'insertNext'|'append'|'move'|'update'|'delete'} op
+ * @property {string} [id] - Item to move, update or delete
+ * @property {string|Object} [item] - New item (text or QueueItem fields) for insertNext/append
+ * @property {Object} [changes] - Fields to change for update
+ * @property {string|null} [beforeId] - move: place before this item (null = to the end)
+ * @property {number} [toIndex] - move: target position, used when beforeId is not given
+ */
+
+function newItem(raw) {
+    const fields = typeof raw === 'string' ? { text: raw } : { ...(raw || {}) };
+    const item = normalizeQueueItem({ ...fields, id: fields.id || createItemId() });
+    if (!item) throw new Error('Queue edit: the new item has no text');
+    return item;
+}
+
+function indexOfId(items, id) {
+    const index = items.findIndex(item => item.id === id);
+    if (index === -1) throw new Error(`Queue edit: no item with id "${id}"`);
+    return index;
+}
+
+/**
+ * Apply an edit to a queue item list
+ * @param {Object[]} items - QueueItem[] (not modified)
+ * @param {QueueEdit} edit
+ * @param {Object} [context] - { currentId }: item the running queue is on (insertNext goes after it)
+ * @returns {{items: Object[], item: Object}} The new list and the affected item
+ * @throws {Error} On unknown operations, unknown ids or items without text
+ */
+function applyQueueEdit(items, edit, context = {}) {
+    const op = edit && edit.op;
+    const list = items.slice();
+
+    if (op === 'insertNext' || op === 'append') {
+        const item = newItem(edit.item);
+        const current = op === 'insertNext' && context.currentId ? list.findIndex(i => i.id === context.currentId) : -1;
+        // Nothing running (or the current item is gone): insertNext puts the item first
+        list.splice(op === 'append' ? list.length : current + 1, 0, item);
+        return { items: list, item };
+    }
+
+    if (op === 'move') {
+        const [item] = list.splice(indexOfId(list, edit.id), 1);
+        const target = edit.beforeId !== undefined
+            ? (edit.beforeId === null ? list.length : indexOfId(list, edit.beforeId))
+            : Math.max(0, Math.min(list.length, Math.floor(Number(edit.toIndex) || 0)));
+        list.splice(target, 0, item);
+        return { items: list, item };
+    }
+
+    if (op === 'update') {
+        const index = indexOfId(list, edit.id);
+        const item = normalizeQueueItem({ ...list[index], ...(edit.changes || {}), id: edit.id });
+        if (!item) throw new Error('Queue edit: an item cannot have empty text');
+        list[index] = item;
+        return { items: list, item };
+    }
+
+    if (op === 'delete') {
+        const [item] = list.splice(indexOfId(list, edit.id), 1);
+        return { items: list, item };
+    }
+
+    throw new Error(`Queue edit: unknown operation "${op}" (expected ${QUEUE_EDIT_OPERATIONS.join(', ')})`);
+}
+
+module.exports = {
+    QUEUE_EDIT_OPERATIONS,
+    applyQueueEdit
+};
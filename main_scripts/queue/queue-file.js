@@ -0,0 +1,446 @@
+/**
+ * Queue File - Workspace queue definition (.agent-queue.md / .agent-queue.yml)
+ *
+ * Lets a team keep the prompt queue in the repository instead of global user
+ * settings. Completion is written back by editing only the affected line, so
+ * comments and formatting in the file survive.
+ *
+ * Markdown:
+ *   - Every top-level list item (`- `, `* `, `1. `) is an item; indented lines below it
+ *     are part of its prompt text. `- [x]` marks it done.
+ *   - A `##` (or deeper) heading without list items is an item: the heading is the
+ *     title and the text below it is the prompt. `## [x] Title` marks it done.
+ *   - A heading followed by list items is only a section label; `#` is the file title.
+ *
+ * YAML (subset): a list, at the root or under `items:`, of strings or objects with
+ * the QueueItem fields plus `done: true|false`.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { hashText, normalizeQueueItem } = require('./queue-items');
+
+const QUEUE_FILE_NAMES = ['.agent-queue.md', '.agent-queue.yml', '.agent-queue.yaml'];
+
+const QUEUE_FILE_TEMPLATE = [
+    '# Agent Queue',
+    '',
+    'Each top-level list item is sent to the agent in order and checked off when it completes.',
+    '',
+    '- [ ] First task',
+    '- [ ] Second task',
+    '  Indented lines are part of the same prompt.',
+    ''
+].join('\n');
+
+/**
+ * @typedef {Object} QueueFileEntry
+ * @property {Object} item - Normalized QueueItem
+ * @property {boolean} done - Checked off in the file
+ * @property {number} line - 0-based line of the item marker (list item / heading / `- `)
+ */
+
+/**
+ * @param {string} filePath
+ * @returns {'markdown'|'yaml'}
+ */
+function detectFormat(filePath) {
+    return /\.ya?ml$/i.test(filePath || '') ? 'yaml' : 'markdown';
+}
+
+/**
+ * Locate the queue file for a workspace folder
+ * @param {string} root - Workspace folder path
+ * @param {string} [configuredPath] - Explicit path (relative to root); '' = default names
+ * @returns {string|null} Absolute path of an existing file
+ */
+function findQueueFile(root, configuredPath = '') {
+    if (!root) return null;
+    const candidates = configuredPath
+        ? [path.resolve(root, configuredPath)]
+        : QUEUE_FILE_NAMES.map(name => path.join(root, name));
+    return candidates.find(file => {
+        try { return fs.statSync(file).isFile(); } catch (e) { return false; }
+    }) || null;
+}
+
+function splitLines(content) {
+    return String(content || '').split(/\r?\n/);
+}
+
+function joinLines(lines, original) {
+    return lines.join(String(original).includes('\r\n') ? '\r\n' : '\n');
+}
+
+function indentOf(line) {
+    return line.match(/^\s*/)[0].length;
+}
+
+function dedent(lines) {
+    const indents = lines.filter(l => l.trim()).map(indentOf);
+    const min = indents.length ? Math.min(...indents) : 0;
+    return lines.map(l => l.slice(Math.min(min, indentOf(l)))).join('\n').trim();
+}
+
+/**
+ * Give entries stable ids: explicit ids win, otherwise a hash of the text
+ * (with an occurrence suffix for duplicates).
+ */
+function assignIds(rawEntries) {
+    const seen = {};
+    return rawEntries.map(raw => {
+        let id = typeof raw.fields.id === 'string' && raw.fields.id ? raw.fields.id : null;
+        if (!id) {
+            const base = `f-${hashText(raw.fields.text || '')}`;
+            seen[base] = (seen[base] || 0) + 1;
+            id = seen[base] > 1 ? `${base}-${seen[base]}` : base;
+        }
+        const item = normalizeQueueItem({ ...raw.fields, id });
+        return item ? { ...raw, item } : null;
+    }).filter(Boolean).map(({ fields, ...entry }) => entry);
+}
+
+// --- Markdown ---
+
+const MD_LIST_RE = /^([-*+]|\d+[.)])(\s+)(\[([ xX])\]\s*)?(.*)$/;
+const MD_HEADING_RE = /^(#{1,6})(\s+)(\[([ xX])\]\s*)?(.*?)(?:\s+#+)?\s*$/;
+const MD_FENCE_RE = /^\s*(```|~~~)/;
+
+function parseMarkdown(content) {
+    const lines = splitLines(content);
+
+    // Split into heading blocks; list markers inside code fences do not count
+    const blocks = [{ heading: null, lines: [] }];
+    let inFence = false;
+    lines.forEach((text, index) => {
+        if (MD_FENCE_RE.test(text)) inFence = !inFence;
+        const heading = !inFence && text.match(MD_HEADING_RE);
+        if (heading) {
+            blocks.push({
+                heading: { level: heading[1].length, title: heading[5], done: /x/i.test(heading[4] || ''), line: index },
+                lines: []
+            });
+            return;
+        }
+        const list = !inFence && text.match(MD_LIST_RE);
+        blocks[blocks.length - 1].lines.push({ text, index, list });
+    });
+
+    const entries = [];
+    for (const block of blocks) {
+        const listStarts = block.lines.filter(l => l.list);
+        if (listStarts.length === 0) {
+            if (!block.heading || block.heading.level < 2) continue;
+            const body = dedent(block.lines.map(l => l.text));
+            entries.push({
+                line: block.heading.line,
+                done: block.heading.done,
+                fields: { text: body || block.heading.title, title: body ? block.heading.title : '' }
+            });
+            continue;
+        }
+
+        let current = null;
+        let previousBlank = false;
+        for (const l of block.lines) {
+            if (l.list) {
+                current = { line: l.index, done: /x/i.test(l.list[4] || ''), first: l.list[5], rest: [] };
+                entries.push(current);
+                previousBlank = false;
+                continue;
+            }
+            if (!current) continue;
+            const blank = !l.text.trim();
+            // Indented lines continue the item; an unindented paragraph after a blank line ends it
+            if (!blank && indentOf(l.text) === 0 && previousBlank) {
+                current = null;
+                continue;
+            }
+            current.rest.push(l.text);
+            previousBlank = blank;
+        }
+    }
+
+    return entries.map(entry => {
+        if (entry.fields) return entry;
+        const text = [entry.first, dedent(entry.rest)].filter(Boolean).join('\n').trim();
+        return { line: entry.line, done: entry.done, fields: { text } };
+    });
+}
+
+function setMarkdownDone(lines, entry, done) {
+    const text = lines[entry.line];
+    const match = text.match(MD_LIST_RE) || text.match(/^(#{2,6})(\s+)(\[([ xX])\]\s*)?(.*)$/);
+    if (!match) return false;
+    lines[entry.line] = `${match[1]}${match[2]}[${done ? 'x' : ' '}] ${match[5]}`;
+    return true;
+}
+
+// --- YAML (subset) ---
+
+const YAML_ITEM_KEYS = ['id', 'text', 'title', 'targetConversation', 'silenceTimeout', 'maxDuration', 'retryCount', 'checkPrompt', 'enabled', 'done'];
+const YAML_KEY_RE = /^([A-Za-z_][\w-]*):(?:\s+(.*))?$/;
+
+function parseYamlScalar(raw) {
+    const value = String(raw || '').trim();
+    if (value.startsWith('"')) {
+        try { return JSON.parse(value.replace(/\s+#.*$/, '')); } catch (e) { return value.slice(1, -1); }
+    }
+    if (value.startsWith("'")) {
+        const end = value.lastIndexOf("'");
+        return value.slice(1, end > 0 ? end : undefined).replace(/''/g, "'");
+    }
+    const plain = value.replace(/\s+#.*$/, '');
+    if (plain === '' || plain === '~' || plain === 'null') return null;
+    if (plain === 'true') return true;
+    if (plain === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+    return plain;
+}
+
+/**
+ * Parse `key: value` lines at one indentation level (block scalars and one
+ * level of nested mappings supported)
+ */
+function parseYamlMapping(lines, keyIndent) {
+    const result = {};
+    const meta = {};
+    for (let i = 0; i < lines.length; i++) {
+        const { text, index } = lines[i];
+        if (!text.trim() || text.trim().startsWith('#') || indentOf(text) !== keyIndent) continue;
+        const match = text.trim().match(YAML_KEY_RE);
+        if (!match) continue;
+
+        const key = match[1];
+        const value = match[2] || '';
+        meta[key] = index;
+
+        // Collect the more-indented lines that belong to this key
+        const children = [];
+        while (i + 1 < lines.length && (!lines[i + 1].text.trim() || indentOf(lines[i + 1].text) > keyIndent)) {
+            children.push(lines[++i]);
+        }
+
+        const block = value.trim().match(/^([|>])[-+]?$/);
+        if (block) {
+            const body = dedent(children.map(c => c.text));
+            result[key] = block[1] === '>' ? body.replace(/([^\n])\n(?!\n)/g, '$1 ') : body;
+        } else if (!value.trim() && children.some(c => c.text.trim())) {
+            const nestedIndent = indentOf(children.find(c => c.text.trim()).text);
+            result[key] = parseYamlMapping(children, nestedIndent).result;
+        } else {
+            result[key] = parseYamlScalar(value);
+        }
+    }
+    return { result, meta };
+}
+
+function parseYaml(content) {
+    const lines = splitLines(content).map((text, index) => ({ text, index }));
+    const significant = lines.filter(l => l.text.trim() && !l.text.trim().startsWith('#'));
+    if (significant.length === 0) return [];
+
+    // The list lives at the root or under a top-level `items:` key
+    let start = 0;
+    const wrapper = significant[0].text.match(/^(items|queue|prompts):\s*$/);
+    if (wrapper) start = significant[0].index + 1;
+
+    const firstDash = lines.slice(start).find(l => /^\s*-(\s|$)/.test(l.text));
+    if (!firstDash) return [];
+    const dashIndent = indentOf(firstDash.text);
+
+    const entries = [];
+    let current = null;
+    for (const l of lines.slice(firstDash.index)) {
+        const blank = !l.text.trim() || l.text.trim().startsWith('#');
+        if (!blank && indentOf(l.text) <= dashIndent) {
+            if (indentOf(l.text) < dashIndent || !/^\s*-(\s|$)/.test(l.text)) break; // end of list
+            current = { line: l.index, lines: [] };
+            entries.push(current);
+        }
+        if (current) current.lines.push(l);
+    }
+
+    return entries.map(entry => {
+        const first = entry.lines[0].text;
+        const afterDash = first.slice(dashIndent + 1);
+        const keyIndent = dashIndent + 1 + indentOf(afterDash);
+        const firstKey = afterDash.trim().match(YAML_KEY_RE);
+        let lastLine = entry.line;
+        entry.lines.forEach(l => { if (l.text.trim()) lastLine = l.index; });
+
+        if (firstKey && YAML_ITEM_KEYS.includes(firstKey[1])) {
+            // Re-indent the first line so every key sits at keyIndent
+            const mappingLines = [{ text: ' '.repeat(keyIndent) + afterDash.trim(), index: entry.line }, ...entry.lines.slice(1)];
+            const { result, meta } = parseYamlMapping(mappingLines, keyIndent);
+            return {
+                line: entry.line,
+                done: result.done === true,
+                yaml: { mapping: true, keyIndent, lastLine, doneLine: meta.done !== undefined ? meta.done : -1 },
+                fields: result
+            };
+        }
+
+        // Plain scalar item; indented continuation lines fold into it
+        const text = [parseYamlScalar(afterDash), ...entry.lines.slice(1).map(l => l.text.trim())]
+            .filter(part => part !== null && part !== '').join(' ');
+        return {
+            line: entry.line,
+            done: false,
+            yaml: { mapping: false, keyIndent, lastLine, doneLine: -1 },
+            fields: { text: String(text) }
+        };
+    });
+}
+
+function setYamlDone(lines, entry, done) {
+    const { mapping, keyIndent, lastLine, doneLine } = entry.yaml;
+    const pad = ' '.repeat(keyIndent);
+    if (mapping && doneLine >= 0) {
+        lines[doneLine] = lines[doneLine].replace(/done:.*$/, `done: ${done}`);
+    } else if (mapping) {
+        lines.splice(lastLine + 1, 0, `${pad}done: ${done}`);
+    } else {
+        const dash = lines[entry.line].slice(0, keyIndent);
+        lines.splice(entry.line, lastLine - entry.line + 1,
+            `${dash}text: ${JSON.stringify(entry.item.text)}`,
+            `${pad}done: ${done}`);
+    }
+    return true;
+}
+
+// --- Public API ---
+
+/**
+ * Parse queue file content
+ * @param {string} content
+ * @param {'markdown'|'yaml'} format
+ * @returns {QueueFileEntry[]}
+ */
+function parseQueueFile(content, format = 'markdown') {
+    const raw = format === 'yaml' ? parseYaml(content) : parseMarkdown(content);
+    return assignIds(raw);
+}
+
+/**
+ * Check an item off (or back on) in the file content
+ * @param {string} content
+ * @param {'markdown'|'yaml'} format
+ * @param {string} id - Item id
+ * @param {boolean} done
+ * @returns {string|null} Updated content, or null when the item was not found
+ */
+function setItemDone(content, format, id, done = true) {
+    const entry = parseQueueFile(content, format).find(e => e.item.id === id);
+    if (!entry) return null;
+    if (entry.done === done) return content;
+    const lines = splitLines(content);
+    const ok = format === 'yaml' ? setYamlDone(lines, entry, done) : setMarkdownDone(lines, entry, done);
+    return ok ? joinLines(lines, content) : null;
+}
+
+/**
+ * Uncheck every done item (used when a loop cycle restarts)
+ * @param {string} content
+ * @param {'markdown'|'yaml'} format
+ * @returns {string}
+ */
+function resetDone(content, format) {
+    const done = parseQueueFile(content, format).filter(e => e.done);
+    // Bottom-up so inserted/removed lines do not shift entries still to edit
+    const lines = splitLines(content);
+    for (const entry of done.sort((a, b) => b.line - a.line)) {
+        if (format === 'yaml') setYamlDone(lines, entry, false);
+        else setMarkdownDone(lines, entry, false);
+    }
+    return joinLines(lines, content);
+}
+
+class QueueFile {
+    /**
+     * @param {string} filePath - Absolute path of the queue file
+     * @param {Function} [log] - Logger function
+     */
+    constructor(filePath, log = () => { }) {
+        this.filePath = filePath;
+        this.format = detectFormat(filePath);
+        this.log = log;
+        this.entries = [];
+    }
+
+    /**
+     * (Re)read the file
+     * @returns {QueueFileEntry[]}
+     */
+    load() {
+        try {
+            this.entries = parseQueueFile(fs.readFileSync(this.filePath, 'utf8'), this.format);
+        } catch (e) {
+            this.log(`QueueFile: Failed to read ${this.filePath}: ${e.message}`);
+            this.entries = [];
+        }
+        return this.entries;
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Items still to run
+     * @returns {Object[]} QueueItem[]
+     */
+    getItems() {
+        return this.entries.filter(e => !e.done).map(e => e.item);
+    }
+
+    /**
+     * Check an item off in the file
+     * @param {string} id
+     * @param {boolean} [done]
+     * @returns {Promise<boolean>} false when the item is no longer in the file
+     */
+    async setDone(id, done = true) {
+        try {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+            const updated = setItemDone(content, this.format, id, done);
+            if (updated === null) {
+                this.log(`QueueFile: Item ${id} not found in ${path.basename(this.filePath)}`);
+                return false;
+            }
+            if (updated !== content) await fs.promises.writeFile(this.filePath, updated, 'utf8');
+            this.entries = parseQueueFile(updated, this.format);
+            return true;
+        } catch (e) {
+            this.log(`QueueFile: Failed to update ${this.filePath}: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Uncheck all items (loop mode restarts the file)
+     */
+    async resetDone() {
+        try {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+            const updated = resetDone(content, this.format);
+            if (updated !== content) await fs.promises.writeFile(this.filePath, updated, 'utf8');
+            this.entries = parseQueueFile(updated, this.format);
+        } catch (e) {
+            this.log(`QueueFile: Failed to reset ${this.filePath}: ${e.message}`);
+        }
+    }
+}
+
+module.exports = {
+    QueueFile,
+    QUEUE_FILE_NAMES,
+    QUEUE_FILE_TEMPLATE,
+    detectFormat,
+    findQueueFile,
+    parseQueueFile,
+    setItemDone,
+    resetDone
+};
@@ -0,0 +1,172 @@
+/**
+ * Queue Items - Structured entries for the prompt queue
+ *
+ * `auto-accept.schedule.prompts` used to be a plain string[]. Each entry is now
+ * an object carrying per-item options. Legacy strings (and partially filled
+ * objects written by hand in settings.json) are normalized on read and can be
+ * migrated in place with normalizeQueueItems().
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} CheckPromptOverride
+ * @property {boolean} enabled - false = no check prompt after this item
+ * @property {string} text - Custom check prompt ('' = use the global text)
+ */
+
+/**
+ * @typedef {Object} QueueItem
+ * @property {string} id - Stable item identifier
+ * @property {string} text - Prompt text sent to the agent
+ * @property {string} title - Short display label ('' = derived from text)
+ * @property {string} targetConversation - Conversation for this item ('' = queue target)
+ * @property {number|null} silenceTimeout - Seconds of silence before advancing (null = global)
+ * @property {number|null} maxDuration - Max seconds before the item is abandoned (null = unlimited)
+ * @property {number|null} retryCount - Delivery retries (null = default)
+ * @property {CheckPromptOverride|null} checkPrompt - Per-item check prompt (null = global setting)
+ * @property {boolean} enabled - Disabled items stay in the list but are not run
+ */
+
+/**
+ * Generate a new random item id (for items created at runtime)
+ * @returns {string}
+ */
+function createItemId() {
+    return `q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Short stable hash of a string (base36)
+ * @param {string} text
+ * @returns {string}
+ */
+function hashText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Deterministic id for items that do not have one yet, so repeated reads of an
+ * unmigrated config produce the same ids.
+ * @param {string} text
+ * @param {number} index
+ * @returns {string}
+ */
+function legacyItemId(text, index) {
+    return `q-${index}-${hashText(text)}`;
+}
+
+function toPositiveNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) && num > 0 ? num : null;
+}
+
+function toNonNegativeInteger(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isInteger(num) && num >= 0 ? num : null;
+}
+
+function normalizeCheckPrompt(value) {
+    if (value === null || value === undefined) return null;
+    if (value === false) return { enabled: false, text: '' };
+    if (typeof value === 'string') return value.trim() ? { enabled: true, text: value } : null;
+    if (typeof value === 'object') {
+        return {
+            enabled: value.enabled !== false,
+            text: typeof value.text === 'string' ? value.text : ''
+        };
+    }
+    return null;
+}
+
+/**
+ * Normalize a single raw config entry (legacy string or object)
+ * @param {string|Object} raw
+ * @param {number} [index] - Position in the list (used for legacy ids)
+ * @returns {QueueItem|null} null when the entry has no usable text
+ */
+function normalizeQueueItem(raw, index = 0) {
+    if (typeof raw === 'string') raw = { text: raw };
+    if (!raw || typeof raw !== 'object') return null;
+
+    const text = typeof raw.text === 'string' ? raw.text : '';
+    if (!text.trim()) return null;
+
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : legacyItemId(text, index),
+        text,
+        title: typeof raw.title === 'string' ? raw.title : '',
+        targetConversation: typeof raw.targetConversation === 'string' ? raw.targetConversation : '',
+        silenceTimeout: toPositiveNumber(raw.silenceTimeout),
+        maxDuration: toPositiveNumber(raw.maxDuration),
+        retryCount: toNonNegativeInteger(raw.retryCount),
+        checkPrompt: normalizeCheckPrompt(raw.checkPrompt),
+        enabled: raw.enabled !== false
+    };
+}
+
+/**
+ * Normalize a raw prompts setting into QueueItem[]
+ * @param {Array} list
+ * @returns {QueueItem[]}
+ */
+function normalizeQueueItems(list) {
+    if (!Array.isArray(list)) return [];
+    const items = [];
+    list.forEach((raw, index) => {
+        const item = normalizeQueueItem(raw, index);
+        if (item) items.push(item);
+    });
+    return items;
+}
+
+/**
+ * Whether the stored setting still contains legacy strings or items without ids
+ * @param {Array} list
+ * @returns {boolean}
+ */
+function needsMigration(list) {
+    if (!Array.isArray(list)) return false;
+    return list.some(raw => typeof raw === 'string' || !raw || typeof raw !== 'object' || !raw.id);
+}
+
+/**
+ * Resolve the check prompt to send after an item
+ * @param {QueueItem} item
+ * @param {boolean} globalEnabled - auto-accept.schedule.checkPrompt.enabled
+ * @param {string} globalText - auto-accept.schedule.checkPrompt.text
+ * @returns {string|null} Check prompt text, or null for none
+ */
+function resolveCheckPrompt(item, globalEnabled, globalText) {
+    const override = item && item.checkPrompt;
+    if (!override) return globalEnabled ? globalText : null;
+    if (!override.enabled) return null;
+    return override.text || globalText || null;
+}
+
+/**
+ * Display label for an item
+ * @param {QueueItem} item
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+function getItemLabel(item, maxLength = 50) {
+    const label = (item.title || item.text || '').replace(/\s+/g, ' ').trim();
+    return label.length > maxLength ? label.substring(0, maxLength) + '...' : label;
+}
+
+module.exports = {
+    createItemId,
+    hashText,
+    normalizeQueueItem,
+    normalizeQueueItems,
+    needsMigration,
+    resolveCheckPrompt,
+    getItemLabel
+};
@@ -0,0 +1,77 @@
+/**
+ * Retry Policy - Delivery retries with exponential backoff
+ *
+ * A prompt that could not be delivered (webview reloading, chat input not
+ * found yet) is retried after `initialDelay`, doubling up to `maxDelay`,
+ * until `maxAttempts` deliveries have been tried. What happens to a queue
+ * item after the last attempt is decided by `onFailure`.
+ */
+
+'use strict';
+
+const FAILURE_ACTIONS = ['pause', 'skip'];
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 5,     // Deliveries tried per prompt, including the first
+    initialDelay: 5,    // Seconds before the first retry
+    maxDelay: 300,      // Cap for the doubled delay, in seconds
+    onFailure: 'pause'  // 'pause' = pause the queue and notify, 'skip' = mark failed and continue
+};
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts
+ * @property {number} initialDelay - Seconds
+ * @property {number} maxDelay - Seconds
+ * @property {'pause'|'skip'} onFailure
+ */
+
+function toNumber(value, fallback, min) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= min ? number : fallback;
+}
+
+/**
+ * Normalize retry settings, falling back to the defaults for invalid values
+ * @param {Object} [raw]
+ * @returns {RetryPolicy}
+ */
+function normalizeRetryPolicy(raw = {}) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const initialDelay = toNumber(source.initialDelay, DEFAULT_RETRY_POLICY.initialDelay, 0);
+    return {
+        maxAttempts: Math.floor(toNumber(source.maxAttempts, DEFAULT_RETRY_POLICY.maxAttempts, 1)),
+        initialDelay,
+        maxDelay: Math.max(initialDelay, toNumber(source.maxDelay, DEFAULT_RETRY_POLICY.maxDelay, 0)),
+        onFailure: FAILURE_ACTIONS.includes(source.onFailure) ? source.onFailure : DEFAULT_RETRY_POLICY.onFailure
+    };
+}
+
+/**
+ * Number of deliveries to try. A per-item `retryCount` overrides the policy.
+ * @param {RetryPolicy} policy
+ * @param {number|null} [retryCount] - Retries after the first attempt
+ * @returns {number}
+ */
+function getMaxAttempts(policy, retryCount) {
+    return Number.isInteger(retryCount) && retryCount >= 0 ? retryCount + 1 : policy.maxAttempts;
+}
+
+/**
+ * Delay before the next attempt
+ * @param {RetryPolicy} policy
+ * @param {number} failedAttempts - Attempts that failed so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(policy, failedAttempts) {
+    const seconds = policy.initialDelay * Math.pow(2, Math.max(0, failedAttempts - 1));
+    return Math.min(seconds, policy.maxDelay) * 1000;
+}
+
+module.exports = {
+    FAILURE_ACTIONS,
+    DEFAULT_RETRY_POLICY,
+    normalizeRetryPolicy,
+    getMaxAttempts,
+    getRetryDelay
+};
@@ -0,0 +1,254 @@
+/**
+ * Run Journal - Persistent record of in-flight queue runs
+ *
+ * The Scheduler keeps its runtime queue in memory only. The journal mirrors
+ * every state transition into a Memento (context.globalState) so that a run
+ * interrupted by a window reload, crash or relaunch can be resumed at the
+ * exact item it stopped on.
+ */
+
+'use strict';
+
+const RUN_JOURNAL_KEY = 'auto-accept-queue-run-journal';
+
+/**
+ * @typedef {'pending'|'sent'|'completed'|'skipped'|'failed'} ItemStatus
+ */
+
+/**
+ * @typedef {Object} JournalItem
+ * @property {Object} item - Runtime queue item ({ type, text, index | afterIndex })
+ * @property {ItemStatus} status - Current item state
+ * @property {number|null} sentAt - When the prompt was delivered
+ * @property {number|null} finishedAt - When the item was completed/skipped/failed
+ * @property {string} [error] - Failure reason (status 'failed')
+ * @property {number} [attempts] - Delivery attempts for the last send
+ * @property {number} [clicks] - Auto-accept clicks while the item ran
+ * @property {number} [blocked] - Banned commands blocked while the item ran
+ * @property {string} [commit] - Git checkpoint SHA committed after the item
+ * @property {Object} [cost] - TaskCost: quota used while the item ran
+ * @property {{step: string, at: number, sent: boolean}[]} [escalations] - Escalation steps taken after the time budget ran out
+ */
+
+/**
+ * @typedef {Object} JournalRun
+ * @property {string} runId - Unique run identifier
+ * @property {'running'|'completed'|'stopped'|'discarded'} status - Run state
+ * @property {number} startedAt - Run start timestamp
+ * @property {number} updatedAt - Last journal write timestamp
+ * @property {number|null} endedAt - Run end timestamp
+ * @property {number} cycle - Loop cycle counter (loop mode)
+ * @property {number} queueIndex - Index of the current item
+ * @property {string} queueMode - 'consume' | 'loop' | 'loopUntil'
+ * @property {string} targetConversation - Target conversation ('' = current)
+ * @property {JournalItem[]} items - Per-item state
+ * @property {string} [stopReason] - Why a 'loopUntil' run ended
+ * @property {Object|null} [quotaBefore] - Quota snapshot summary taken when the run started
+ */
+
+const ITEM_STATUSES = ['pending', 'sent', 'completed', 'skipped', 'failed'];
+
+function createRunId(now = Date.now()) {
+    return `run-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+class RunJournal {
+    /**
+     * @param {Object} storage - Memento-like store with get(key, default) and update(key, value)
+     * @param {Function} [log] - Logger function
+     * @param {string} [key] - Storage key (lets several queues keep separate journals)
+     */
+    constructor(storage, log = () => { }, key = RUN_JOURNAL_KEY) {
+        this.storage = storage;
+        this.log = log;
+        this.key = key;
+        this.run = storage ? storage.get(key, null) : null;
+    }
+
+    /**
+     * Start a new run, replacing any previous journal entry
+     * @param {Object[]} queue - Runtime queue items
+     * @param {Object} [meta] - { queueMode, targetConversation }
+     * @returns {Promise<JournalRun>}
+     */
+    async begin(queue, meta = {}) {
+        const now = Date.now();
+        this.run = {
+            runId: createRunId(now),
+            status: 'running',
+            startedAt: now,
+            updatedAt: now,
+            endedAt: null,
+            cycle: 0,
+            queueIndex: 0,
+            queueMode: meta.queueMode || 'consume',
+            targetConversation: meta.targetConversation || '',
+            items: queue.map(item => this._createItem(item))
+        };
+        this.log(`RunJournal: Started ${this.run.runId} with ${queue.length} items`);
+        await this._save();
+        return this.run;
+    }
+
+    /**
+     * Replace the item list for the next loop cycle, keeping the run id
+     * @param {Object[]} queue - Rebuilt runtime queue
+     */
+    async nextCycle(queue) {
+        if (!this.run) return;
+        this.run.cycle++;
+        this.run.queueIndex = 0;
+        this.run.items = queue.map(item => this._createItem(item));
+        await this._save();
+    }
+
+    /**
+     * Replace the items after the first `keepCount` (source edited mid-run)
+     * @param {Object[]} queue - Updated runtime queue
+     * @param {number} keepCount - Leading items whose journal state is kept
+     */
+    async syncItems(queue, keepCount) {
+        if (!this.run) return;
+        const kept = this.run.items.slice(0, keepCount);
+        this.run.items = kept.concat(queue.slice(kept.length).map(item => this._createItem(item)));
+        await this._save();
+    }
+
+    /**
+     * Adopt an interrupted run so further transitions are recorded against it
+     * @param {JournalRun} run
+     */
+    async adopt(run) {
+        this.run = { ...run, status: 'running' };
+        await this._save();
+    }
+
+    /**
+     * Record an item state transition
+     * @param {number} index - Runtime queue index
+     * @param {ItemStatus} status - New status
+     * @param {string} [error] - Failure reason
+     */
+    async markItem(index, status, error) {
+        const entry = this.run && this.run.items[index];
+        if (!entry) return;
+        if (!ITEM_STATUSES.includes(status)) {
+            this.log(`RunJournal: Ignoring unknown item status "${status}"`);
+            return;
+        }
+
+        const now = Date.now();
+        entry.status = status;
+        if (status === 'sent') {
+            entry.sentAt = now;
+        } else if (status !== 'pending') {
+            entry.finishedAt = now;
+        }
+        if (error) entry.error = error;
+        await this._save();
+    }
+
+    /**
+     * Merge run metrics into an item
+     * @param {number} index - Runtime queue index
+     * @param {Object} metrics - { attempts, clicks, blocked, commit, cost }
+     */
+    async recordItem(index, metrics) {
+        const entry = this.run && this.run.items[index];
+        if (!entry) return;
+        Object.assign(entry, metrics);
+        await this._save();
+    }
+
+    /**
+     * Store the quota snapshot taken when the run started
+     * @param {Object|null} snapshot
+     */
+    async setQuotaBefore(snapshot) {
+        if (!this.run) return;
+        this.run.quotaBefore = snapshot;
+        await this._save();
+    }
+
+    /**
+     * Record the current queue position
+     * @param {number} index
+     */
+    async setIndex(index) {
+        if (!this.run) return;
+        this.run.queueIndex = index;
+        await this._save();
+    }
+
+    /**
+     * Close the current run
+     * @param {'completed'|'stopped'|'discarded'} status
+     * @param {string} [stopReason] - Why a 'loopUntil' run ended
+     */
+    async finish(status = 'completed', stopReason) {
+        if (!this.run || this.run.status !== 'running') return;
+        this.run.status = status;
+        this.run.endedAt = Date.now();
+        if (stopReason) this.run.stopReason = stopReason;
+        this.log(`RunJournal: ${this.run.runId} ${status}`);
+        await this._save();
+    }
+
+    /**
+     * @returns {JournalRun|null} The current (or last) run
+     */
+    getRun() {
+        return this.run;
+    }
+
+    /**
+     * A run that was still marked 'running' when the journal was loaded
+     * (i.e. the window went away mid-run) and still has work left.
+     * @returns {JournalRun|null}
+     */
+    getInterrupted() {
+        const run = this.run;
+        if (!run || run.status !== 'running') return null;
+        if (run.queueIndex >= run.items.length) return null;
+        return run;
+    }
+
+    /**
+     * Count items per status for display
+     * @param {JournalRun} [run]
+     * @returns {Object<string, number>}
+     */
+    summarize(run = this.run) {
+        const counts = {};
+        for (const status of ITEM_STATUSES) counts[status] = 0;
+        if (run) {
+            for (const entry of run.items) counts[entry.status]++;
+        }
+        return counts;
+    }
+
+    async clear() {
+        this.run = null;
+        await this._save();
+    }
+
+    _createItem(item) {
+        return { item: { ...item }, status: 'pending', sentAt: null, finishedAt: null };
+    }
+
+    async _save() {
+        if (this.run) this.run.updatedAt = Date.now();
+        if (!this.storage) return;
+        try {
+            await this.storage.update(this.key, this.run);
+        } catch (e) {
+            this.log(`RunJournal: Failed to persist journal: ${e.message}`);
+        }
+    }
+}
+
+module.exports = {
+    RunJournal,
+    RUN_JOURNAL_KEY,
+    ITEM_STATUSES
+};
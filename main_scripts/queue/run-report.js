@@ -0,0 +1,262 @@
+/**
+ * Run Report - Summary of a finished queue run
+ *
+ * Built from the run journal (per-item status, timestamps, attempts, clicks,
+ * blocked commands, test and diagnostics gate results, quota cost) plus quota snapshots taken when the run started and
+ * ended. Written as Markdown for reading and JSON for tooling.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { isLoopingMode } = require('./loop-until');
+const { sumTaskCosts, formatTaskCost } = require('./task-cost');
+
+const REPORT_LOCATIONS = ['storage', 'workspace'];
+const WORKSPACE_REPORT_DIR = '.agent-reports';
+
+/**
+ * @typedef {Object} QuotaSnapshotSummary
+ * @property {number} timestamp
+ * @property {{available: number, monthly: number}|null} promptCredits
+ * @property {{label: string, modelId: string, remainingPercentage: number}[]} models
+ */
+
+/**
+ * Keep the parts of an AntigravityClient snapshot a report needs
+ * @param {Object|null} snapshot - QuotaSnapshot from getUserStatus()
+ * @returns {QuotaSnapshotSummary|null}
+ */
+function summarizeQuotaSnapshot(snapshot) {
+    if (!snapshot) return null;
+    return {
+        timestamp: snapshot.timestamp ? new Date(snapshot.timestamp).getTime() : Date.now(),
+        promptCredits: snapshot.promptCredits
+            ? { available: snapshot.promptCredits.available, monthly: snapshot.promptCredits.monthly }
+            : null,
+        models: (snapshot.models || []).map(m => ({
+            label: m.label,
+            modelId: m.modelId,
+            remainingPercentage: m.remainingPercentage || 0
+        }))
+    };
+}
+
+/**
+ * Quota used between two snapshots. A negative value means the quota was
+ * reset during the run.
+ * @param {QuotaSnapshotSummary|null} before
+ * @param {QuotaSnapshotSummary|null} after
+ * @returns {Object|null} { promptCredits, models } or null when a snapshot is missing
+ */
+function diffQuota(before, after) {
+    if (!before || !after) return null;
+    const credits = before.promptCredits && after.promptCredits
+        ? {
+            before: before.promptCredits.available,
+            after: after.promptCredits.available,
+            used: before.promptCredits.available - after.promptCredits.available
+        }
+        : null;
+    const models = [];
+    for (const model of before.models) {
+        const match = after.models.find(m => m.modelId === model.modelId && m.label === model.label);
+        if (!match) continue;
+        models.push({
+            label: model.label,
+            before: model.remainingPercentage,
+            after: match.remainingPercentage,
+            used: model.remainingPercentage - match.remainingPercentage
+        });
+    }
+    return { promptCredits: credits, models };
+}
+
+/**
+ * Build the report for a finished run
+ * @param {Object} run - JournalRun
+ * @param {Object} [meta] - { queueName, quotaBefore, quotaAfter }
+ * @returns {Object}
+ */
+function buildRunReport(run, meta = {}) {
+    const items = run.items.map((entry, i) => {
+        const item = entry.item || {};
+        const startedAt = entry.sentAt || null;
+        const endedAt = entry.finishedAt || null;
+        return {
+            index: i + 1,
+            type: item.type || 'task',
+            title: (item.item && item.item.title) || '',
+            iteration: item.type === 'fix' || item.type === 'diagnostics' ? item.iteration : null,
+            text: item.text || '',
+            status: entry.status,
+            startedAt,
+            endedAt,
+            durationMs: startedAt && endedAt ? Math.max(0, endedAt - startedAt) : null,
+            clicks: entry.clicks || 0,
+            blocked: entry.blocked || 0,
+            retries: entry.attempts ? entry.attempts - 1 : 0,
+            commit: entry.commit || null,
+            cost: entry.cost || null,
+            testGate: entry.testGate || null,
+            diagnostics: entry.diagnostics || null,
+            escalations: (entry.escalations || []).map(e => e.step),
+            error: entry.error || null
+        };
+    });
+
+    const totals = { clicks: 0, blocked: 0, retries: 0, fixes: 0, diagnostics: 0, escalations: 0 };
+    const statuses = {};
+    for (const item of items) {
+        totals.clicks += item.clicks;
+        totals.blocked += item.blocked;
+        totals.retries += item.retries;
+        totals.escalations += item.escalations.length;
+        if (item.type === 'fix') totals.fixes++;
+        if (item.type === 'diagnostics') totals.diagnostics++;
+        statuses[item.status] = (statuses[item.status] || 0) + 1;
+    }
+
+    const quotaBefore = meta.quotaBefore || run.quotaBefore || null;
+    const quotaAfter = meta.quotaAfter || null;
+    return {
+        runId: run.runId,
+        queue: meta.queueName || 'default',
+        status: run.status,
+        queueMode: run.queueMode,
+        cycle: run.cycle || 0,
+        stopReason: run.stopReason || null,
+        targetConversation: run.targetConversation || '',
+        startedAt: run.startedAt,
+        endedAt: run.endedAt || Date.now(),
+        durationMs: (run.endedAt || Date.now()) - run.startedAt,
+        totals: { ...totals, statuses, cost: sumTaskCosts(items.map(item => item.cost)) },
+        items,
+        quota: {
+            before: quotaBefore,
+            after: quotaAfter,
+            consumed: diffQuota(quotaBefore, quotaAfter)
+        }
+    };
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatTimestamp(ms) {
+    return ms ? new Date(ms).toLocaleString() : '-';
+}
+
+// Table cells: one line, no pipes
+function cell(text, maxLength = 80) {
+    const flat = String(text || '').replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+    return flat.length > maxLength ? flat.substring(0, maxLength - 3) + '...' : flat;
+}
+
+function itemLabel(item) {
+    if (item.type === 'check') return `Check: ${item.text}`;
+    if (item.type === 'fix') return `Fix ${item.iteration}: test failures`;
+    if (item.type === 'diagnostics') return `Diagnostics ${item.iteration}: new problems`;
+    return item.title || item.text;
+}
+
+function formatTestGate(testGate) {
+    if (!testGate) return '-';
+    if (testGate.passed) return 'passed';
+    return testGate.timedOut ? 'timed out' : `failed (${testGate.exitCode})`;
+}
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - From buildRunReport()
+ * @returns {string}
+ */
+function formatRunReportMarkdown(report) {
+    const lines = [
+        `# Queue Run Report${report.queue === 'default' ? '' : `: ${report.queue}`}`,
+        '',
+        `- **Run:** ${report.runId} (${report.status}${isLoopingMode(report.queueMode) ? `, cycle ${report.cycle + 1}` : ''})`,
+        ...(report.stopReason ? [`- **Stopped:** ${report.stopReason}`] : []),
+        `- **Started:** ${formatTimestamp(report.startedAt)}`,
+        `- **Ended:** ${formatTimestamp(report.endedAt)}`,
+        `- **Duration:** ${formatDuration(report.durationMs)}`,
+        `- **Items:** ${Object.entries(report.totals.statuses).map(([status, count]) => `${count} ${status}`).join(', ') || 'none'}`,
+        `- **Clicks:** ${report.totals.clicks}, **blocked commands:** ${report.totals.blocked}, **retries:** ${report.totals.retries}, **fix prompts:** ${report.totals.fixes}, **diagnostics prompts:** ${report.totals.diagnostics}, **escalations:** ${report.totals.escalations}`,
+        '',
+        '## Items',
+        '',
+        '| # | Item | Status | Start | End | Duration | Clicks | Blocked | Retries | Tests | Cost | Commit |',
+        '|---|------|--------|-------|-----|----------|--------|---------|---------|-------|------|--------|'
+    ];
+
+    for (const item of report.items) {
+        const label = itemLabel(item);
+        const escalated = item.escalations.length > 0 ? `, escalated: ${item.escalations.join(' → ')}` : '';
+        const status = (item.error ? `${item.status} (${cell(item.error, 60)})` : item.status) + escalated;
+        lines.push(`| ${item.index} | ${cell(label)} | ${status} | ${formatTimestamp(item.startedAt)} | ${formatTimestamp(item.endedAt)} | ${formatDuration(item.durationMs)} | ${item.clicks} | ${item.blocked} | ${item.retries} | ${formatTestGate(item.testGate)} | ${cell(formatTaskCost(item.cost)) || '-'} | ${item.commit ? `\`${item.commit.substring(0, 7)}\`` : '-'} |`);
+    }
+
+    lines.push('', '## Quota', '');
+    if (report.totals.cost) lines.push(`- **Per-task cost total:** ${formatTaskCost(report.totals.cost)}`);
+    const consumed = report.quota.consumed;
+    if (!consumed) {
+        lines.push('Quota snapshots were not available (Antigravity not connected).');
+    } else {
+        if (consumed.promptCredits) {
+            const credits = consumed.promptCredits;
+            lines.push(`- **Prompt credits:** ${credits.before} → ${credits.after} (${credits.used >= 0 ? `${credits.used} used` : 'reset during run'})`);
+        }
+        for (const model of consumed.models) {
+            const used = model.used >= 0 ? `${model.used.toFixed(1)}% used` : 'reset during run';
+            lines.push(`- **${model.label}:** ${model.before.toFixed(1)}% → ${model.after.toFixed(1)}% (${used})`);
+        }
+        if (!consumed.promptCredits && consumed.models.length === 0) lines.push('No quota data in the snapshots.');
+    }
+
+    const details = report.items.filter(item => item.text);
+    if (details.length > 0) {
+        lines.push('', '## Prompts', '');
+        for (const item of details) {
+            const fence = item.text.includes('```') ? '````' : '```';
+            const heading = item.type === 'check' ? 'Check prompt'
+                : item.type === 'fix' ? `Fix prompt ${item.iteration}`
+                    : item.type === 'diagnostics' ? `Diagnostics prompt ${item.iteration}` : cell(item.title || `Task ${item.index}`);
+            lines.push(`### ${item.index}. ${heading}`, '', fence, item.text, fence, '');
+        }
+    }
+
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Write `<runId>.md` and `<runId>.json` into a directory
+ * @param {string} dir
+ * @param {Object} report
+ * @returns {{markdownPath: string, jsonPath: string}}
+ */
+function writeRunReport(dir, report) {
+    fs.mkdirSync(dir, { recursive: true });
+    const base = path.join(dir, report.queue === 'default' ? report.runId : `${report.runId}-${report.queue.replace(/[^\w.-]+/g, '_')}`);
+    const markdownPath = `${base}.md`;
+    const jsonPath = `${base}.json`;
+    fs.writeFileSync(markdownPath, formatRunReportMarkdown(report), 'utf8');
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+    return { markdownPath, jsonPath };
+}
+
+module.exports = {
+    REPORT_LOCATIONS,
+    WORKSPACE_REPORT_DIR,
+    summarizeQuotaSnapshot,
+    diffQuota,
+    buildRunReport,
+    formatRunReportMarkdown,
+    writeRunReport
+};
@@ -0,0 +1,180 @@
+/**
+ * Spending Budget - Stop a queue once it has used its share of the quota
+ *
+ * A budget caps what one run, and all queue runs of a day (local midnight to
+ * midnight), may spend: prompt credits, or percentage points of one model's
+ * quota (the model in use when none is set). A run spends the sum of its task
+ * costs (see task-cost.js) plus what the item in progress used so far. Task
+ * costs of parallel queues overlap, so the day is measured once for all
+ * queues instead: the quota drops between successive snapshots, counted while
+ * a queue was running.
+ */
+
+'use strict';
+
+const { findQuotaModel } = require('../antigravity/models');
+const { getTaskCost, sumTaskCosts } = require('./task-cost');
+
+const BUDGET_UNITS = ['credits', 'percent'];
+
+/**
+ * @typedef {Object} SpendingBudget
+ * @property {'credits'|'percent'} unit
+ * @property {number} perRun - Limit per run (0 = none)
+ * @property {number} perDay - Limit for all runs of a day (0 = none)
+ * @property {string} model - Model the percentage is of ('' = the model in use)
+ */
+
+/**
+ * @param {Object} [raw] - { unit, perRun, perDay, model }
+ * @returns {SpendingBudget}
+ */
+function normalizeBudget(raw = {}) {
+    const limit = value => Math.max(0, Number(value) || 0);
+    return {
+        unit: BUDGET_UNITS.includes(raw.unit) ? raw.unit : 'credits',
+        perRun: limit(raw.perRun),
+        perDay: limit(raw.perDay),
+        model: typeof raw.model === 'string' ? raw.model.trim() : ''
+    };
+}
+
+/**
+ * @param {SpendingBudget} budget
+ * @returns {boolean}
+ */
+function isBudgetEnabled(budget) {
+    return !!budget && (budget.perRun > 0 || budget.perDay > 0);
+}
+
+/**
+ * @param {number} [now]
+ * @returns {number} Local midnight before `now`
+ */
+function getStartOfDay(now = Date.now()) {
+    const day = new Date(now);
+    day.setHours(0, 0, 0, 0);
+    return day.getTime();
+}
+
+/**
+ * @typedef {Object} DailySpend
+ * @property {number} day - Local midnight of the day counted
+ * @property {Object|null} spent - TaskCost: quota used that day while queues ran
+ * @property {Object|null} last - QuotaSnapshotSummary of the previous observation
+ * @property {boolean} counting - A queue was running at the previous observation
+ */
+
+/**
+ * Add the quota used since the previous observation, if a queue was running
+ * then. Drops between snapshots are added up, so a reset in between only
+ * loses what was used right before it. A new day starts from nothing.
+ * @param {DailySpend|null} previous
+ * @param {Object|null} quota - QuotaSnapshotSummary taken just now (null = unknown, nothing changes)
+ * @param {Object} options - { running: a queue is running now, now }
+ * @returns {DailySpend}
+ */
+function trackDailySpend(previous, quota, options = {}) {
+    const day = getStartOfDay(options.now);
+    const state = previous && previous.day === day ? previous : { day, spent: null, last: null, counting: false };
+    if (!quota) return state;
+    const used = state.counting && state.last ? getTaskCost(state.last, quota) : null;
+    return {
+        day,
+        spent: used ? sumTaskCosts([state.spent, used]) : state.spent,
+        last: quota,
+        counting: !!options.running
+    };
+}
+
+/**
+ * Part of a cost that counts against the budget. For a percentage without a
+ * model to go by, the model that lost the most counts.
+ * @param {Object|null} cost - TaskCost
+ * @param {'credits'|'percent'} unit
+ * @param {string} [model] - Model label
+ * @returns {number}
+ */
+function getSpent(cost, unit, model) {
+    if (!cost) return 0;
+    if (unit === 'credits') return cost.credits || 0;
+    const models = cost.models || [];
+    if (model) {
+        const match = findQuotaModel(models, model);
+        return match ? match.used : 0;
+    }
+    return models.reduce((max, entry) => Math.max(max, entry.used), 0);
+}
+
+/**
+ * @param {SpendingBudget} budget
+ * @param {Object} spending - { runCost, dayCost, model }: TaskCosts so far (dayCost from trackDailySpend()) and the model in use
+ * @returns {{unit: string, model: string, run: Object|null, day: Object|null, exceeded: 'run'|'day'|null, remaining: number|null}}
+ *   `run`/`day` are { limit, spent, remaining } for the limits that are set; `remaining` is the lower of the two
+ */
+function getBudgetState(budget, spending = {}) {
+    const model = budget.unit === 'percent' ? budget.model || spending.model || '' : '';
+    const check = (limit, cost) => {
+        if (!limit) return null;
+        const spent = Math.round(getSpent(cost, budget.unit, model) * 100) / 100;
+        return { limit, spent, remaining: Math.max(0, Math.round((limit - spent) * 100) / 100) };
+    };
+    const run = check(budget.perRun, spending.runCost);
+    const day = check(budget.perDay, spending.dayCost);
+    const exceeded = run && run.spent >= run.limit ? 'run' : day && day.spent >= day.limit ? 'day' : null;
+    const limits = [run, day].filter(Boolean);
+    return {
+        unit: budget.unit,
+        model,
+        run,
+        day,
+        exceeded,
+        remaining: limits.length > 0 ? Math.min(...limits.map(limit => limit.remaining)) : null
+    };
+}
+
+/**
+ * @param {number} value
+ * @param {'credits'|'percent'} unit
+ * @returns {string} e.g. "12 credits" or "3.5%"
+ */
+function formatBudgetAmount(value, unit) {
+    if (unit === 'percent') return `${value.toFixed(1)}%`;
+    return `${value} credit${value === 1 ? '' : 's'}`;
+}
+
+/**
+ * @param {Object} state - From getBudgetState()
+ * @returns {string[]} One line per limit, e.g. "Run budget: 38 of 50 credits left"
+ */
+function describeBudgetRemaining(state) {
+    const of = state.model ? ` of ${state.model}` : '';
+    const line = (name, limit) => `${name} budget: ${state.unit === 'percent' ? limit.remaining.toFixed(1) : limit.remaining} of ${formatBudgetAmount(limit.limit, state.unit)}${of} left`;
+    return [
+        ...(state.run ? [line('Run', state.run)] : []),
+        ...(state.day ? [line('Daily', state.day)] : [])
+    ];
+}
+
+/**
+ * @param {Object} state - From getBudgetState() with `exceeded` set
+ * @returns {string} e.g. "Daily budget of 50 credits reached (52 credits spent)"
+ */
+function describeBudgetStop(state) {
+    const limit = state.exceeded === 'run' ? state.run : state.day;
+    const of = state.model ? ` of ${state.model}` : '';
+    return `${state.exceeded === 'run' ? 'Run' : 'Daily'} budget of ${formatBudgetAmount(limit.limit, state.unit)}${of} reached (${formatBudgetAmount(limit.spent, state.unit)} spent)`;
+}
+
+module.exports = {
+    BUDGET_UNITS,
+    normalizeBudget,
+    isBudgetEnabled,
+    getStartOfDay,
+    trackDailySpend,
+    getSpent,
+    getBudgetState,
+    formatBudgetAmount,
+    describeBudgetRemaining,
+    describeBudgetStop
+};
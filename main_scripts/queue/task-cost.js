@@ -0,0 +1,92 @@
+/**
+ * Task Cost - Quota used by each queue item
+ *
+ * The Scheduler summarizes the quota when an item is sent and again when the
+ * queue moves past it; the difference is the item's cost, in prompt credits
+ * and percentage points per model. A quota that went up in between was reset
+ * meanwhile, so its share of the cost is unknown and left out. Queues running
+ * at the same time draw on the same quota, so each item's cost includes what
+ * the others used meanwhile.
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} TaskCost
+ * @property {number|null} credits - Prompt credits used (null = no credit data)
+ * @property {{label: string, used: number}[]} models - Percentage points used, models that changed only
+ * @property {boolean} reset - A quota was reset meanwhile and its usage is not counted
+ */
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Quota used between two summaries
+ * @param {Object|null} before - QuotaSnapshotSummary
+ * @param {Object|null} after - QuotaSnapshotSummary
+ * @returns {TaskCost|null} null when a summary is missing
+ */
+function getTaskCost(before, after) {
+    if (!before || !after) return null;
+    let reset = false;
+    let credits = null;
+    if (before.promptCredits && after.promptCredits) {
+        const used = before.promptCredits.available - after.promptCredits.available;
+        if (used < 0) reset = true;
+        else credits = used;
+    }
+    const models = [];
+    for (const model of before.models) {
+        const match = after.models.find(m => m.modelId === model.modelId && m.label === model.label);
+        if (!match) continue;
+        const used = model.remainingPercentage - match.remainingPercentage;
+        if (used < 0) reset = true;
+        else if (used > 0) models.push({ label: model.label, used: round(used) });
+    }
+    return { credits, models, reset };
+}
+
+/**
+ * Add up task costs, e.g. the items of a run
+ * @param {Array<TaskCost|null|undefined>} costs
+ * @returns {TaskCost|null} null when none of them is known
+ */
+function sumTaskCosts(costs) {
+    const known = costs.filter(Boolean);
+    if (known.length === 0) return null;
+    let credits = null;
+    let reset = false;
+    const models = new Map();
+    for (const cost of known) {
+        if (typeof cost.credits === 'number') credits = (credits || 0) + cost.credits;
+        for (const model of cost.models || []) models.set(model.label, (models.get(model.label) || 0) + model.used);
+        reset = reset || cost.reset === true;
+    }
+    return {
+        credits,
+        models: [...models].map(([label, used]) => ({ label, used: round(used) })),
+        reset
+    };
+}
+
+/**
+ * One-line description, e.g. "3 credits, Claude Sonnet 4.5 4.0%"
+ * @param {TaskCost|null} cost
+ * @returns {string} '' when the cost is unknown
+ */
+function formatTaskCost(cost) {
+    if (!cost) return '';
+    const parts = [];
+    if (cost.credits) parts.push(`${cost.credits} credit${cost.credits === 1 ? '' : 's'}`);
+    for (const model of cost.models) parts.push(`${model.label} ${model.used.toFixed(1)}%`);
+    if (parts.length === 0) return cost.reset ? 'unknown (quota reset)' : 'none';
+    return parts.join(', ') + (cost.reset ? ' (quota reset meanwhile)' : '');
+}
+
+module.exports = {
+    getTaskCost,
+    sumTaskCosts,
+    formatTaskCost
+};
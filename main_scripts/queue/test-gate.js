@@ -0,0 +1,167 @@
+/**
+ * Test Gate - Run a workspace command after a queue task and turn failures
+ * into a fix prompt
+ *
+ * The command runs in a shell in the workspace folder. Its output is kept
+ * (tail only, ANSI codes stripped) so the fix prompt can show the agent the
+ * actual failure instead of a generic "check your work" request.
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+
+const MAX_CAPTURE_CHARS = 1024 * 1024; // Output kept in memory while the command runs
+const MAX_OUTPUT_LINES = 80;
+const MAX_OUTPUT_CHARS = 6000;
+
+const DEFAULT_FIX_PROMPT = 'The test command failed after the last task. Fix the failures below without weakening or deleting tests, then make sure the command passes.';
+
+/**
+ * @typedef {Object} TestGateResult
+ * @property {boolean} passed - Exit code 0 within the timeout
+ * @property {number|null} exitCode
+ * @property {boolean} timedOut
+ * @property {boolean} aborted - Cancelled because the queue stopped
+ * @property {string} output - Combined stdout/stderr
+ * @property {number} durationMs
+ */
+
+function stripAnsi(text) {
+    // ESC [ ... letter: color and cursor escape sequences
+    return String(text || '').replace(/\u001b\[[0-9;?]*[A-Za-z]/g, '');
+}
+
+/**
+ * Keep the end of the output, where test runners print failures and summaries
+ * @param {string} output
+ * @param {number} [maxLines]
+ * @param {number} [maxChars]
+ * @returns {string}
+ */
+function trimOutput(output, maxLines = MAX_OUTPUT_LINES, maxChars = MAX_OUTPUT_CHARS) {
+    const lines = stripAnsi(output).replace(/\r\n?/g, '\n').trimEnd().split('\n');
+    let kept = lines.slice(-maxLines);
+    while (kept.length > 1 && kept.join('\n').length > maxChars) kept = kept.slice(1);
+    let text = kept.join('\n');
+    if (text.length > maxChars) text = text.slice(-maxChars);
+    const omitted = lines.length - kept.length;
+    return omitted > 0 ? `... (${omitted} earlier lines omitted)\n${text}` : text;
+}
+
+function killTree(child) {
+    try {
+        if (process.platform === 'win32') {
+            spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true });
+        } else {
+            // Negative pid: the whole process group (the shell and what it started)
+            process.kill(-child.pid, 'SIGKILL');
+        }
+    } catch (e) {
+        try { child.kill('SIGKILL'); } catch (err) { }
+    }
+}
+
+/**
+ * Run a shell command
+ * @param {string} command
+ * @param {Object} options - { cwd, timeoutMs, signal }
+ * @returns {Promise<TestGateResult>}
+ */
+function runTestCommand(command, options = {}) {
+    const startedAt = Date.now();
+    return new Promise(resolve => {
+        let output = '';
+        let timedOut = false;
+        let aborted = false;
+        let settled = false;
+
+        const finish = (exitCode, error) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+            if (error) output += `${output ? '\n' : ''}${error.message}`;
+            resolve({
+                passed: exitCode === 0 && !timedOut && !aborted,
+                exitCode,
+                timedOut,
+                aborted,
+                output,
+                durationMs: Date.now() - startedAt
+            });
+        };
+
+        let child;
+        try {
+            child = spawn(command, {
+                cwd: options.cwd,
+                shell: true,
+                detached: process.platform !== 'win32',
+                windowsHide: true,
+                env: { ...process.env, CI: process.env.CI || '1', FORCE_COLOR: '0' }
+            });
+        } catch (e) {
+            resolve({ passed: false, exitCode: null, timedOut: false, aborted: false, output: e.message, durationMs: 0 });
+            return;
+        }
+
+        const capture = chunk => {
+            output += chunk.toString();
+            if (output.length > MAX_CAPTURE_CHARS) output = output.slice(-MAX_CAPTURE_CHARS);
+        };
+        child.stdout.on('data', capture);
+        child.stderr.on('data', capture);
+        child.on('error', err => finish(null, err));
+        child.on('close', code => finish(code));
+
+        const timer = options.timeoutMs ? setTimeout(() => {
+            timedOut = true;
+            killTree(child);
+        }, options.timeoutMs) : null;
+
+        const onAbort = () => {
+            aborted = true;
+            killTree(child);
+        };
+        if (options.signal) {
+            if (options.signal.aborted) onAbort();
+            else options.signal.addEventListener('abort', onAbort);
+        }
+    });
+}
+
+/**
+ * Prompt asking the agent to fix a failed test run
+ * @param {Object} info
+ * @param {string} info.command
+ * @param {TestGateResult} info.result
+ * @param {number} info.iteration - 1-based fix attempt for this task
+ * @param {number} info.maxIterations
+ * @param {string} [info.intro] - Configured instruction text
+ * @returns {string}
+ */
+function buildFixPrompt(info) {
+    const { command, result } = info;
+    const status = result.timedOut ? `timed out after ${Math.round(result.durationMs / 1000)}s`
+        : result.exitCode === null ? 'could not be run' : `exited with code ${result.exitCode}`;
+    const output = trimOutput(result.output) || '(no output)';
+    const fence = output.includes('```') ? '````' : '```';
+    return [
+        (info.intro || DEFAULT_FIX_PROMPT).trim(),
+        '',
+        `Command: \`${command}\` (${status}, fix attempt ${info.iteration}/${info.maxIterations})`,
+        '',
+        fence,
+        output,
+        fence
+    ].join('\n');
+}
+
+module.exports = {
+    DEFAULT_FIX_PROMPT,
+    stripAnsi,
+    trimOutput,
+    runTestCommand,
+    buildFixPrompt
+};
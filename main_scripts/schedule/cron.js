@@ -0,0 +1,262 @@
+/**
+ * Cron - Built-in 5-field cron expression parser
+ *
+ * Fields: minute hour day-of-month month day-of-week, evaluated in local time.
+ * Supports `*`, lists (`1,15`), ranges (`1-5`), steps (`0-30/10`, or a star
+ * followed by `/15`), month/day names (`JAN`, `MON-FRI`), `7` as Sunday and the usual macros
+ * (`@hourly`, `@daily`, `@weekly`, `@monthly`, `@yearly`).
+ * As in standard cron, when both day-of-month and day-of-week are restricted
+ * a day matches if either one does.
+ */
+
+'use strict';
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day-of-month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// Give up searching after this far ahead (covers Feb 29 on a given weekday)
+const SEARCH_LIMIT_MS = 8 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {string} source - Expression as given
+ * @property {Set<number>} minutes
+ * @property {Set<number>} hours
+ * @property {Set<number>} daysOfMonth
+ * @property {Set<number>} months - 1-12
+ * @property {Set<number>} daysOfWeek - 0-6, 0 = Sunday
+ * @property {boolean} domRestricted - Day-of-month field is not `*`
+ * @property {boolean} dowRestricted - Day-of-week field is not `*`
+ */
+
+function parseValue(token, spec) {
+    const upper = token.toUpperCase();
+    if (spec.names && spec.names.includes(upper)) {
+        return spec.names.indexOf(upper) + spec.nameOffset;
+    }
+    if (!/^\d+$/.test(token)) {
+        throw new Error(`Invalid ${spec.name} value "${token}"`);
+    }
+    return parseInt(token, 10);
+}
+
+function parseField(field, spec) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const match = part.match(/^(\*|\w+(?:-\w+)?)(?:\/(\d+))?$/);
+        if (!match) throw new Error(`Invalid ${spec.name} field "${field}"`);
+
+        const step = match[2] !== undefined ? parseInt(match[2], 10) : 1;
+        if (step < 1) throw new Error(`Invalid step in ${spec.name} field "${field}"`);
+
+        let low;
+        let high;
+        if (match[1] === '*') {
+            low = spec.min;
+            high = spec.max;
+        } else {
+            const [from, to] = match[1].split('-');
+            low = parseValue(from, spec);
+            // `5/15` means "from 5 to the end, every 15"
+            high = to !== undefined ? parseValue(to, spec) : (match[2] !== undefined ? spec.max : low);
+        }
+
+        if (low < spec.min || high > spec.max || low > high) {
+            throw new Error(`${spec.name} out of range in "${field}" (${spec.min}-${spec.max})`);
+        }
+        for (let v = low; v <= high; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @returns {CronSchedule}
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+    const source = String(expression || '').trim();
+    const expanded = MACROS[source.toLowerCase()] || source;
+    const parts = expanded.split(/\s+/).filter(Boolean);
+    if (parts.length !== 5) {
+        throw new Error(`Expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, rawDaysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    // 7 is an alias for Sunday
+    const daysOfWeek = new Set([...rawDaysOfWeek].map(d => d % 7));
+
+    return {
+        source,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        domRestricted: !parts[2].startsWith('*'),
+        dowRestricted: !parts[4].startsWith('*')
+    };
+}
+
+/**
+ * Parse a day-of-week field on its own (`MON-FRI`, `0,6`, `*`)
+ * @param {string} field
+ * @returns {Set<number>} 0-6, 0 = Sunday
+ * @throws {Error} When the field is invalid
+ */
+function parseDaysOfWeek(field) {
+    const values = parseField(String(field || '').trim(), FIELDS[4]);
+    // 7 is an alias for Sunday
+    return new Set([...values].map(d => d % 7));
+}
+
+/**
+ * Validate without throwing
+ * @param {string} expression
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateCron(expression) {
+    try {
+        parseCron(expression);
+        return { valid: true, error: null };
+    } catch (e) {
+        return { valid: false, error: e.message };
+    }
+}
+
+function toSchedule(cron) {
+    return typeof cron === 'string' ? parseCron(cron) : cron;
+}
+
+function dayMatches(schedule, date) {
+    const dom = schedule.daysOfMonth.has(date.getDate());
+    const dow = schedule.daysOfWeek.has(date.getDay());
+    if (schedule.domRestricted && schedule.dowRestricted) return dom || dow;
+    if (schedule.domRestricted) return dom;
+    if (schedule.dowRestricted) return dow;
+    return true;
+}
+
+/**
+ * Next fire time strictly after `from`
+ * @param {CronSchedule|string} cron
+ * @param {Date|number} [from]
+ * @returns {Date|null} null when the expression never fires (e.g. `0 0 31 2 *`)
+ */
+function getNextFireTime(cron, from = new Date()) {
+    const schedule = toSchedule(cron);
+    const start = new Date(from);
+    const limit = start.getTime() + SEARCH_LIMIT_MS;
+
+    const d = new Date(start);
+    d.setSeconds(0, 0);
+    d.setMinutes(d.getMinutes() + 1);
+
+    while (d.getTime() <= limit) {
+        if (!schedule.months.has(d.getMonth() + 1)) {
+            d.setMonth(d.getMonth() + 1, 1);
+            d.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!dayMatches(schedule, d)) {
+            d.setDate(d.getDate() + 1);
+            d.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.hours.has(d.getHours())) {
+            d.setHours(d.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.minutes.has(d.getMinutes())) {
+            d.setMinutes(d.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return d;
+    }
+    return null;
+}
+
+/**
+ * The next `count` fire times after `from`
+ * @param {CronSchedule|string} cron
+ * @param {number} count
+ * @param {Date|number} [from]
+ * @returns {Date[]}
+ */
+function getNextFireTimes(cron, count, from = new Date()) {
+    const schedule = toSchedule(cron);
+    const times = [];
+    let cursor = new Date(from);
+    while (times.length < count) {
+        const next = getNextFireTime(schedule, cursor);
+        if (!next) break;
+        times.push(next);
+        cursor = next;
+    }
+    return times;
+}
+
+/**
+ * Count fire times in (after, until] - used to report fires missed while asleep
+ * @param {CronSchedule|string} cron
+ * @param {Date|number} after
+ * @param {Date|number} until
+ * @param {number} [cap] - Stop counting past this many
+ * @returns {number}
+ */
+function countFireTimesBetween(cron, after, until, cap = 1000) {
+    const schedule = toSchedule(cron);
+    const end = new Date(until).getTime();
+    let count = 0;
+    let cursor = new Date(after);
+    while (count < cap) {
+        const next = getNextFireTime(schedule, cursor);
+        if (!next || next.getTime() > end) break;
+        count++;
+        cursor = next;
+    }
+    return count;
+}
+
+/**
+ * Convert a daily `HH:MM` value into the equivalent cron expression
+ * @param {string} value
+ * @returns {string|null} null when the value is not a valid time
+ */
+function dailyToCron(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    if (hour > 23 || minute > 59) return null;
+    return `${minute} ${hour} * * *`;
+}
+
+module.exports = {
+    parseCron,
+    parseDaysOfWeek,
+    validateCron,
+    getNextFireTime,
+    getNextFireTimes,
+    countFireTimesBetween,
+    dailyToCron
+};
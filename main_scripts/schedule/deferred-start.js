@@ -0,0 +1,90 @@
+/**
+ * Deferred Start - Start a queue later, at the quota reset or a picked time
+ *
+ * `AntigravityClient.parseResponse()` reports a `resetTime` for every model.
+ * A deferred start waits for the reset that matters: the model in use when it
+ * is exhausted, else the earliest among exhausted models, or among partly used
+ * models when none is exhausted.
+ * The Scheduler keeps pending starts in globalState so they survive a reload.
+ */
+
+'use strict';
+
+const RESET_GRACE_MS = 30 * 1000; // Start shortly after the reset, once the server has refilled the quota
+
+/**
+ * @typedef {Object} DeferredStart
+ * @property {string} queue - Queue name
+ * @property {number} at - When to start (ms timestamp)
+ * @property {'quotaReset'|'time'} reason
+ * @property {string|null} model - Label of the model whose reset was picked
+ */
+
+/**
+ * @param {Object|null} snapshot - QuotaSnapshot from AntigravityClient
+ * @param {number} [now]
+ * @param {string|null} [inUse] - Quota label of the model selected in the chat
+ * @returns {{at: number, model: string}|null} Reset time plus grace; null when nothing is used up or no reset is known
+ */
+function getEarliestQuotaReset(snapshot, now = Date.now(), inUse = null) {
+    const models = ((snapshot && snapshot.models) || [])
+        .map(model => ({ model, resetAt: model.resetTime ? new Date(model.resetTime).getTime() : NaN }))
+        .filter(entry => entry.resetAt > now);
+    const exhausted = models.filter(entry => entry.model.isExhausted);
+    const selected = exhausted.find(entry => entry.model.label === inUse);
+    if (selected) return { at: selected.resetAt + RESET_GRACE_MS, model: selected.model.label };
+    const relevant = exhausted.length > 0 ? exhausted : models.filter(entry => entry.model.remainingFraction < 1);
+    if (relevant.length === 0) return null;
+    const earliest = relevant.reduce((a, b) => (b.resetAt < a.resetAt ? b : a));
+    return { at: earliest.resetAt + RESET_GRACE_MS, model: earliest.model.label };
+}
+
+/**
+ * Parse a user-entered start time: `HH:MM` (the next time the clock shows it)
+ * or `YYYY-MM-DD HH:MM`, both local time
+ * @param {string} text
+ * @param {number} [now]
+ * @returns {number} ms timestamp
+ * @throws {Error} When the text is not a time or lies in the past
+ */
+function parseStartTime(text, now = Date.now()) {
+    const value = String(text || '').trim();
+    let match = value.match(/^(\d{1,2}):(\d{2})$/);
+    if (match) {
+        const [hour, minute] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+        if (hour > 23 || minute > 59) throw new Error(`Invalid start time "${value}"`);
+        const date = new Date(now);
+        date.setHours(hour, minute, 0, 0);
+        if (date.getTime() <= now) date.setDate(date.getDate() + 1);
+        return date.getTime();
+    }
+    match = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/);
+    if (!match) throw new Error(`Invalid start time "${value}": use HH:MM or YYYY-MM-DD HH:MM`);
+    const [year, month, day, hour, minute] = match.slice(1).map(n => parseInt(n, 10));
+    const date = new Date(year, month - 1, day, hour, minute);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day || hour > 23 || minute > 59) {
+        throw new Error(`Invalid start time "${value}"`);
+    }
+    if (date.getTime() <= now) throw new Error(`Start time ${value} is in the past`);
+    return date.getTime();
+}
+
+/**
+ * Countdown text: `2d 3h`, `1h 05m`, `4m 09s`, `12s`
+ * @param {number} ms
+ */
+function formatCountdown(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    const pad = n => String(n).padStart(2, '0');
+    if (seconds >= 86400) return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+    if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${pad(Math.floor((seconds % 3600) / 60))}m`;
+    if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+    return `${seconds}s`;
+}
+
+module.exports = {
+    RESET_GRACE_MS,
+    getEarliestQuotaReset,
+    parseStartTime,
+    formatCountdown
+};
@@ -0,0 +1,45 @@
+/**
+ * Schedule Module - Barrel Export
+ *
+ * Centralized export for time-based scheduling helpers used by the Scheduler.
+ */
+
+'use strict';
+
+const {
+    parseCron,
+    parseDaysOfWeek,
+    validateCron,
+    getNextFireTime,
+    getNextFireTimes,
+    countFireTimesBetween,
+    dailyToCron
+} = require('./cron');
+const {
+    parseExecutionWindows,
+    isWithinWindows,
+    getNextWindowStart
+} = require('./windows');
+const {
+    RESET_GRACE_MS,
+    getEarliestQuotaReset,
+    parseStartTime,
+    formatCountdown
+} = require('./deferred-start');
+
+module.exports = {
+    parseCron,
+    parseDaysOfWeek,
+    validateCron,
+    getNextFireTime,
+    getNextFireTimes,
+    countFireTimesBetween,
+    dailyToCron,
+    parseExecutionWindows,
+    isWithinWindows,
+    getNextWindowStart,
+    RESET_GRACE_MS,
+    getEarliestQuotaReset,
+    parseStartTime,
+    formatCountdown
+};
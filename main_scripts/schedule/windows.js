@@ -0,0 +1,113 @@
+/**
+ * Execution Windows - Times of the week in which the Scheduler may send prompts
+ *
+ * A window is `{ days, start, end }` in local time. `days` uses the cron
+ * day-of-week syntax (`MON-FRI`, `SAT,SUN`, `1-5`, `*`) and names the day the
+ * window starts on; `start` and `end` are `HH:MM`. A window that ends at or
+ * before its start runs past midnight, so `{ days: 'MON-FRI', start: '22:00',
+ * end: '07:00' }` covers the five nights from Monday 22:00 to Saturday 07:00.
+ * Equal start and end mean the whole day. No windows means no restriction.
+ */
+
+'use strict';
+
+const { parseDaysOfWeek } = require('./cron');
+
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * @typedef {Object} ExecutionWindow
+ * @property {Set<number>} days - Start days, 0-6 (0 = Sunday)
+ * @property {number} start - Minutes after midnight
+ * @property {number} end - Minutes after midnight of the start day (> start, up to 2 days)
+ */
+
+function parseTimeOfDay(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    if (hour > 23 || minute > 59) return null;
+    return hour * 60 + minute;
+}
+
+/**
+ * Parse the raw `executionWindows` setting. Invalid entries are dropped and
+ * reported, so one typo does not lift the other restrictions.
+ * @param {Array} raw - { days, start, end }[]; days may also be an array of names
+ * @returns {{windows: ExecutionWindow[], errors: string[]}}
+ */
+function parseExecutionWindows(raw) {
+    const windows = [];
+    const errors = [];
+    if (!Array.isArray(raw)) return { windows, errors };
+
+    raw.forEach((entry, i) => {
+        const label = `Window ${i + 1}`;
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${label}: expected { days, start, end }`);
+            return;
+        }
+        let days;
+        try {
+            days = parseDaysOfWeek(Array.isArray(entry.days) ? entry.days.join(',') : (entry.days || '*'));
+        } catch (e) {
+            errors.push(`${label}: ${e.message}`);
+            return;
+        }
+        const start = parseTimeOfDay(entry.start);
+        const end = parseTimeOfDay(entry.end);
+        if (start === null || end === null) {
+            errors.push(`${label}: start and end must be HH:MM`);
+            return;
+        }
+        windows.push({ days, start, end: end > start ? end : end + DAY_MINUTES });
+    });
+    return { windows, errors };
+}
+
+/**
+ * @param {ExecutionWindow[]} windows
+ * @param {Date|number} [at]
+ * @returns {boolean} true when `at` lies in a window (always true without windows)
+ */
+function isWithinWindows(windows, at = new Date()) {
+    if (windows.length === 0) return true;
+    const date = new Date(at);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+    return windows.some(w =>
+        (w.days.has(today) && minute >= w.start && minute < w.end) ||
+        // Tail of a window that started the day before
+        (w.days.has(yesterday) && minute < w.end - DAY_MINUTES));
+}
+
+/**
+ * When sending is allowed again
+ * @param {ExecutionWindow[]} windows
+ * @param {Date|number} [from]
+ * @returns {Date|null} `from` itself when inside a window, null when no window ever opens
+ */
+function getNextWindowStart(windows, from = new Date()) {
+    const start = new Date(from);
+    if (isWithinWindows(windows, start)) return start;
+
+    let next = null;
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+        for (const w of windows) {
+            if (!w.days.has(day.getDay())) continue;
+            const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(w.start / 60), w.start % 60);
+            if (candidate > start && (!next || candidate < next)) next = candidate;
+        }
+        if (next) break;
+    }
+    return next;
+}
+
+module.exports = {
+    parseExecutionWindows,
+    isWithinWindows,
+    getNextWindowStart
+};
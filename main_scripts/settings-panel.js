@@ -1,6 +1,8 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const { normalizeQueueItems } = require('./queue');
+const { getNextFireTimes } = require('./schedule');
 let globalWarningDampener = 0; // Global rate limiter for warnings
 
 class SettingsPanel {
@@ -69,8 +71,11 @@ class SettingsPanel {
                         await config.update('mode', message.mode, vscode.ConfigurationTarget.Global);
                         await config.update('value', message.value, vscode.ConfigurationTarget.Global);
                         await config.update('prompt', message.prompt, vscode.ConfigurationTarget.Global);
+                        if (message.cronExpression !== undefined) {
+                            await config.update('cronExpression', message.cronExpression, vscode.ConfigurationTarget.Global);
+                        }
                         if (message.prompts !== undefined) {
-                            await config.update('prompts', message.prompts, vscode.ConfigurationTarget.Global);
+                            await config.update('prompts', normalizeQueueItems(message.prompts), vscode.ConfigurationTarget.Global);
                         }
                         if (message.queueMode !== undefined) {
                             await config.update('queueMode', message.queueMode, vscode.ConfigurationTarget.Global);
@@ -78,9 +83,45 @@ class SettingsPanel {
                         if (message.silenceTimeout !== undefined) {
                             await config.update('silenceTimeout', message.silenceTimeout, vscode.ConfigurationTarget.Global);
                         }
+                        if (message.completionDetection !== undefined) {
+                            await config.update('completionDetection', message.completionDetection, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.retryMaxAttempts !== undefined) {
+                            await config.update('retry.maxAttempts', message.retryMaxAttempts, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.retryOnFailure !== undefined) {
+                            await config.update('retry.onFailure', message.retryOnFailure, vscode.ConfigurationTarget.Global);
+                        }
                         if (message.checkPromptEnabled !== undefined) {
                             await config.update('checkPrompt.enabled', message.checkPromptEnabled, vscode.ConfigurationTarget.Global);
                         }
+                        if (message.gitCheckpointEnabled !== undefined) {
+                            await config.update('gitCheckpoint.enabled', message.gitCheckpointEnabled, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.diagnosticsGateEnabled !== undefined) {
+                            await config.update('diagnosticsGate.enabled', message.diagnosticsGateEnabled, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.diagnosticsGateMinSeverity !== undefined) {
+                            await config.update('diagnosticsGate.minSeverity', message.diagnosticsGateMinSeverity, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.testGateEnabled !== undefined) {
+                            await config.update('testGate.enabled', message.testGateEnabled, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.testGateCommand !== undefined) {
+                            await config.update('testGate.command', message.testGateCommand, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.testGateMaxIterations !== undefined) {
+                            await config.update('testGate.maxIterations', message.testGateMaxIterations, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.loopUntilMarker !== undefined) {
+                            await config.update('loopUntil.marker', message.loopUntilMarker, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.loopUntilMaxIterations !== undefined) {
+                            await config.update('loopUntil.maxIterations', message.loopUntilMaxIterations, vscode.ConfigurationTarget.Global);
+                        }
+                        if (message.loopUntilMaxMinutes !== undefined) {
+                            await config.update('loopUntil.maxMinutes', message.loopUntilMaxMinutes, vscode.ConfigurationTarget.Global);
+                        }
                         if (message.checkPromptText !== undefined) {
                             await config.update('checkPrompt.text', message.checkPromptText, vscode.ConfigurationTarget.Global);
                         }
@@ -99,8 +140,8 @@ class SettingsPanel {
 
                         console.log('[Extension] Received saveAndStartQueue command', scheduleData); // DEBUG LOG ADDED
 
-                        // DEFENSIVE CHECK: Don't start if prompts are empty
-                        if (!scheduleData.prompts || scheduleData.prompts.length === 0) {
+                        // DEFENSIVE CHECK: Don't start if prompts are empty (a workspace queue file replaces them)
+                        if ((!scheduleData.prompts || scheduleData.prompts.length === 0) && !(await this.hasPendingQueueFileItems())) {
                             // Global Dampener: Prevent spamming warnings loop globally (> 2sec)
                             const now = Date.now();
                             if (now - globalWarningDampener < 2000) {
@@ -117,10 +158,22 @@ class SettingsPanel {
                         await configToSave.update('enabled', true, vscode.ConfigurationTarget.Global); // Ensure enabled
                         if (scheduleData.mode) await configToSave.update('mode', scheduleData.mode, vscode.ConfigurationTarget.Global);
                         if (scheduleData.value) await configToSave.update('value', scheduleData.value, vscode.ConfigurationTarget.Global);
-                        if (scheduleData.prompts) await configToSave.update('prompts', scheduleData.prompts, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.prompts) await configToSave.update('prompts', normalizeQueueItems(scheduleData.prompts), vscode.ConfigurationTarget.Global);
                         if (scheduleData.queueMode) await configToSave.update('queueMode', scheduleData.queueMode, vscode.ConfigurationTarget.Global);
                         if (scheduleData.silenceTimeout) await configToSave.update('silenceTimeout', scheduleData.silenceTimeout, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.completionDetection) await configToSave.update('completionDetection', scheduleData.completionDetection, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.retryMaxAttempts) await configToSave.update('retry.maxAttempts', scheduleData.retryMaxAttempts, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.retryOnFailure) await configToSave.update('retry.onFailure', scheduleData.retryOnFailure, vscode.ConfigurationTarget.Global);
                         if (scheduleData.checkPromptEnabled !== undefined) await configToSave.update('checkPrompt.enabled', scheduleData.checkPromptEnabled, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.gitCheckpointEnabled !== undefined) await configToSave.update('gitCheckpoint.enabled', scheduleData.gitCheckpointEnabled, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.diagnosticsGateEnabled !== undefined) await configToSave.update('diagnosticsGate.enabled', scheduleData.diagnosticsGateEnabled, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.diagnosticsGateMinSeverity) await configToSave.update('diagnosticsGate.minSeverity', scheduleData.diagnosticsGateMinSeverity, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.testGateEnabled !== undefined) await configToSave.update('testGate.enabled', scheduleData.testGateEnabled, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.testGateCommand) await configToSave.update('testGate.command', scheduleData.testGateCommand, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.testGateMaxIterations !== undefined) await configToSave.update('testGate.maxIterations', scheduleData.testGateMaxIterations, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.loopUntilMarker !== undefined) await configToSave.update('loopUntil.marker', scheduleData.loopUntilMarker, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.loopUntilMaxIterations !== undefined) await configToSave.update('loopUntil.maxIterations', scheduleData.loopUntilMaxIterations, vscode.ConfigurationTarget.Global);
+                        if (scheduleData.loopUntilMaxMinutes !== undefined) await configToSave.update('loopUntil.maxMinutes', scheduleData.loopUntilMaxMinutes, vscode.ConfigurationTarget.Global);
                         if (scheduleData.checkPromptText !== undefined) await configToSave.update('checkPrompt.text', scheduleData.checkPromptText, vscode.ConfigurationTarget.Global);
                         if (scheduleData.resumeEnabled !== undefined) await vscode.workspace.getConfiguration('auto-accept.antigravityQuota.resume').update('enabled', scheduleData.resumeEnabled, vscode.ConfigurationTarget.Global);
                         if (scheduleData.autoContinueEnabled !== undefined) await vscode.workspace.getConfiguration('auto-accept.autoContinue').update('enabled', scheduleData.autoContinueEnabled, vscode.ConfigurationTarget.Global);
@@ -132,10 +185,24 @@ class SettingsPanel {
                     case 'getSchedule':
                         this.sendSchedule();
                         break;
+                    case 'editQueue':
+                        try {
+                            await vscode.commands.executeCommand('auto-accept.applyQueueEdit', message.edit);
+                        } catch (e) {
+                            vscode.window.showErrorMessage(`Multi Purpose: ${e.message}`);
+                        }
+                        this.sendPrompts();
+                        break;
+                    case 'previewCron':
+                        this.sendCronPreview(message.expression, message.count);
+                        break;
+                    case 'openQueueFile':
+                        vscode.commands.executeCommand('auto-accept.openQueueFile');
+                        break;
                     case 'startQueue':
                         // Check config first to avoid empty start
                         const currentPrompts = vscode.workspace.getConfiguration('auto-accept.schedule').get('prompts', []);
-                        if (!currentPrompts || currentPrompts.length === 0) {
+                        if ((!currentPrompts || currentPrompts.length === 0) && !(await this.hasPendingQueueFileItems())) {
                             const now = Date.now();
                             if (now - globalWarningDampener < 2000) return;
                             globalWarningDampener = now;
@@ -176,6 +243,9 @@ class SettingsPanel {
                     case 'refreshAntigravityQuota':
                         this.sendAntigravityQuotaStatus();
                         break;
+                    case 'getQuotaHistory':
+                        this.sendQuotaHistory();
+                        break;
                     case 'getQueueStatus':
                         this.sendQueueStatus();
                         break;
@@ -185,9 +255,32 @@ class SettingsPanel {
                     case 'getPromptHistory':
                         this.sendPromptHistory();
                         break;
+                    case 'exportPromptHistory':
+                        vscode.commands.executeCommand('auto-accept.exportPromptHistory');
+                        break;
+                    case 'getPromptArchive':
+                        this.sendPromptArchive(message.query);
+                        break;
+                    case 'requeueArchived':
+                        try {
+                            await vscode.commands.executeCommand('auto-accept.requeueArchivedPrompt', message.id, { duplicate: !!message.duplicate });
+                        } catch (e) {
+                            vscode.window.showErrorMessage(`Multi Purpose: ${e.message}`);
+                        }
+                        this.sendPrompts();
+                        this.sendPromptArchive(message.query);
+                        break;
+                    case 'deleteArchived':
+                        await vscode.commands.executeCommand('auto-accept.deleteArchivedPrompts', message.ids);
+                        this.sendPromptArchive(message.query);
+                        break;
                     case 'pauseQueue':
                         vscode.commands.executeCommand('auto-accept.pauseQueue');
                         break;
+                    case 'deferQueueStart':
+                        // Asks for the quota reset or a time, then arms the start
+                        vscode.commands.executeCommand(message.cancel ? 'auto-accept.cancelDeferredStart' : 'auto-accept.startQueueAtQuotaReset');
+                        break;
                     case 'resumeQueue':
                         vscode.commands.executeCommand('auto-accept.resumeQueue');
                         break;
@@ -294,6 +387,17 @@ class SettingsPanel {
         });
     }
 
+    /**
+     * Refresh only the prompt list (after a live edit), leaving unsaved form fields alone
+     */
+    sendPrompts() {
+        const config = vscode.workspace.getConfiguration('auto-accept.schedule');
+        this.panel.webview.postMessage({
+            command: 'updatePrompts',
+            prompts: normalizeQueueItems(config.get('prompts', []))
+        });
+    }
+
     sendSchedule() {
         const config = vscode.workspace.getConfiguration('auto-accept.schedule');
         const resumeConfig = vscode.workspace.getConfiguration('auto-accept.antigravityQuota.resume');
@@ -303,18 +407,48 @@ class SettingsPanel {
                 enabled: config.get('enabled'),
                 mode: config.get('mode'),
                 value: config.get('value'),
+                cronExpression: config.get('cronExpression', '0 9 * * 1-5'),
                 prompt: config.get('prompt'),
-                prompts: config.get('prompts', []),
+                prompts: normalizeQueueItems(config.get('prompts', [])),
                 queueMode: config.get('queueMode', 'consume'),
                 silenceTimeout: config.get('silenceTimeout', 30),
+                completionDetection: config.get('completionDetection', 'agentState'),
+                retryMaxAttempts: config.get('retry.maxAttempts', 5),
+                retryOnFailure: config.get('retry.onFailure', 'pause'),
                 checkPromptEnabled: config.get('checkPrompt.enabled', false),
                 checkPromptText: config.get('checkPrompt.text', ''),
+                gitCheckpointEnabled: config.get('gitCheckpoint.enabled', false),
+                diagnosticsGateEnabled: config.get('diagnosticsGate.enabled', false),
+                diagnosticsGateMinSeverity: config.get('diagnosticsGate.minSeverity', 'error'),
+                testGateEnabled: config.get('testGate.enabled', false),
+                testGateCommand: config.get('testGate.command', 'npm test'),
+                testGateMaxIterations: config.get('testGate.maxIterations', 3),
+                loopUntilMarker: config.get('loopUntil.marker', 'ALL TASKS COMPLETE'),
+                loopUntilMaxIterations: config.get('loopUntil.maxIterations', 10),
+                loopUntilMaxMinutes: config.get('loopUntil.maxMinutes', 0),
                 resumeEnabled: resumeConfig.get('enabled', true),
                 autoContinueEnabled: vscode.workspace.getConfiguration('auto-accept.autoContinue').get('enabled', false)
             }
         });
     }
 
+    sendCronPreview(expression, count = 5) {
+        let times = [];
+        let error = null;
+        try {
+            times = getNextFireTimes(expression, Math.min(Math.max(parseInt(count) || 5, 1), 20)).map(d => d.getTime());
+            if (times.length === 0) error = 'Expression never fires';
+        } catch (e) {
+            error = e.message;
+        }
+        this.panel.webview.postMessage({
+            command: 'updateCronPreview',
+            expression,
+            times,
+            error
+        });
+    }
+
     async sendAntigravityQuotaEnabled() {
         try {
             const enabled = await vscode.commands.executeCommand('auto-accept.getAntigravityQuotaEnabled');
@@ -344,6 +478,26 @@ class SettingsPanel {
                 error: e.message
             });
         }
+        // The fetch above added a sample
+        this.sendQuotaHistory();
+    }
+
+    async sendQuotaHistory() {
+        try {
+            const history = await vscode.commands.executeCommand('auto-accept.getQuotaHistory', { hours: 24 });
+            this.panel.webview.postMessage({ command: 'updateQuotaHistory', history });
+        } catch (e) {
+            this.panel.webview.postMessage({ command: 'updateQuotaHistory', history: null });
+        }
+    }
+
+    async hasPendingQueueFileItems() {
+        try {
+            const status = await vscode.commands.executeCommand('auto-accept.getQueueStatus');
+            return !!(status && status.queueFile && status.queueFile.pending > 0);
+        } catch (e) {
+            return false;
+        }
     }
 
     async sendQueueStatus() {
@@ -378,10 +532,10 @@ class SettingsPanel {
 
     async sendPromptHistory() {
         try {
-            const history = await vscode.commands.executeCommand('auto-accept.getPromptHistory');
+            const page = await vscode.commands.executeCommand('auto-accept.getPromptHistory', { limit: 10 });
             this.panel.webview.postMessage({
                 command: 'updatePromptHistory',
-                history: history || []
+                history: (page && page.entries) || []
             });
         } catch (e) {
             this.panel.webview.postMessage({
@@ -391,6 +545,18 @@ class SettingsPanel {
         }
     }
 
+    async sendPromptArchive(query) {
+        let entries = [];
+        try {
+            entries = await vscode.commands.executeCommand('auto-accept.getPromptArchive', query) || [];
+        } catch (e) { }
+        this.panel.webview.postMessage({
+            command: 'updatePromptArchive',
+            entries: entries.slice(0, 100),
+            total: entries.length
+        });
+    }
+
     getLogFilePath() {
         try {
             const dir = this.context.extensionPath;
@@ -588,6 +754,7 @@ class SettingsPanel {
             }
             .prompt-item {
                 display: flex;
+                flex-wrap: wrap;
                 align-items: center;
                 background: rgba(255,255,255,0.03);
                 border: 1px solid rgba(255,255,255,0.06);
@@ -623,6 +790,67 @@ class SettingsPanel {
                 text-overflow: ellipsis;
                 white-space: nowrap;
             }
+            .prompt-item.disabled .prompt-content {
+                opacity: 0.4;
+                text-decoration: line-through;
+            }
+            .prompt-title {
+                font-weight: 600;
+                margin-right: 6px;
+            }
+            .prompt-badge {
+                font-size: 10px;
+                opacity: 0.6;
+                margin-left: 6px;
+            }
+            .prompt-toggle {
+                margin: 0 4px;
+                cursor: pointer;
+            }
+            .prompt-options-btn {
+                cursor: pointer;
+                opacity: 0.4;
+                padding: 4px 8px;
+                font-size: 14px;
+                border-radius: 4px;
+            }
+            .prompt-options-btn:hover {
+                opacity: 1;
+                background: var(--accent-soft);
+            }
+            .prompt-options {
+                flex-basis: 100%;
+                display: grid;
+                grid-template-columns: 1fr 1fr 1fr;
+                gap: 8px;
+                margin-top: 10px;
+                padding-top: 10px;
+                border-top: 1px solid rgba(255,255,255,0.06);
+            }
+            .prompt-options label {
+                font-size: 10px;
+                color: var(--fg-dim);
+                display: block;
+                margin-bottom: 2px;
+            }
+            .prompt-options .wide {
+                grid-column: 1 / -1;
+            }
+            .prompt-options input,
+            .prompt-options select,
+            .prompt-options textarea {
+                width: 100%;
+                box-sizing: border-box;
+                background: rgba(255,255,255,0.04);
+                border: 1px solid var(--border);
+                color: var(--fg);
+                padding: 6px 8px;
+                border-radius: 6px;
+                font-size: 12px;
+            }
+            .prompt-options textarea {
+                min-height: 48px;
+            }
             .prompt-delete {
                 cursor: pointer;
                 opacity: 0.4;
@@ -939,16 +1167,25 @@ class SettingsPanel {
                                     <select id="scheduleMode" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
                                         <option value="interval">Interval (Every X min)</option>
                                         <option value="daily">Daily (At HH:MM)</option>
+                                        <option value="cron">Cron (Expression)</option>
                                         <option value="queue" selected>Queue (Sequential)</option>
                                     </select>
                                 </div>
-                                <div>
+                                <div id="scheduleValueContainer">
                                     <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Value / Timeout</label>
                                     <input type="text" id="scheduleValue" placeholder="30" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
                                 </div>
                             </div>
                             
-                            <!-- Single prompt for interval/daily modes -->
+                            <!-- Cron expression and upcoming fire times (cron mode) -->
+                            <div id="cronSection" style="display: none; margin-bottom: 12px;">
+                                <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Cron Expression (minute hour day month weekday)</label>
+                                <input type="text" id="cronExpression" placeholder="0 9 * * 1-5" style="width: 100%; font-family: monospace; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                <div style="font-size: 11px; color: var(--fg-dim); margin-top: 6px;">Next fire times:</div>
+                                <ul id="cronPreview" style="font-size: 11px; margin: 4px 0 0; padding-left: 18px; color: var(--fg-dim);"></ul>
+                            </div>
+
+                            <!-- Single prompt for interval/daily/cron modes -->
                             <div id="singlePromptSection" style="margin-bottom: 12px;">
                                 <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Prompt Message</label>
                                 <textarea id="schedulePrompt" style="min-height: 60px;" placeholder="Status report please"></textarea>
@@ -958,6 +1195,10 @@ class SettingsPanel {
                             <div id="queueModeSection" style="display: none;">
                                 <div style="margin-bottom: 12px;">
                                     <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Prompt Queue</label>
+                                    <div id="queueFileBanner" style="display: none; font-size: 11px; padding: 8px 10px; margin-bottom: 8px; border-radius: 8px; background: rgba(59,130,246,0.1); border: 1px solid rgba(59,130,246,0.3);">
+                                        📄 Queue loaded from <strong id="queueFileName">.agent-queue.md</strong> (<span id="queueFilePending">0</span> pending). Edit the file to change the queue.
+                                        <a href="#" id="openQueueFileLink" style="color: var(--accent); margin-left: 4px;">Open</a>
+                                    </div>
                                     <div class="prompt-list-container">
                                         <div id="promptList" class="prompt-list">
                                             <!-- Prompts will be added here -->
@@ -966,6 +1207,10 @@ class SettingsPanel {
                                         <div class="prompt-add-row">
                                             <input type="text" id="newPromptInput" class="prompt-input" placeholder="Enter a new task..." />
                                             <button id="addPromptBtn" class="btn-primary" style="padding: 0 16px;">Add</button>
+                                            <button id="insertNextPromptBtn" class="btn-outline" style="padding: 0 12px;" title="Run after the current item">Next</button>
+                                        </div>
+                                        <div style="font-size: 10px; color: var(--fg-dim); margin-top: 6px;">
+                                            Template variables: \${workspaceName}, \${date}, \${time}, \${gitBranch}, \${taskIndex}, \${taskCount}, \${taskTitle}, \${queueName}, \${file:path}, \${previousResponse}. Write $\${...} for a literal.
                                         </div>
                                     </div>
                                 </div>
@@ -976,6 +1221,7 @@ class SettingsPanel {
                                         <select id="queueMode" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
                                             <option value="consume">Consume (Remove after use)</option>
                                             <option value="loop">Loop (Cycle forever)</option>
+                                            <option value="loopUntil">Loop until done</option>
                                         </select>
                                     </div>
                                     <div>
@@ -983,6 +1229,53 @@ class SettingsPanel {
                                         <input type="number" id="silenceTimeout" value="30" min="10" max="300" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
                                     </div>
                                 </div>
+
+                                <!-- Loop Until Done -->
+                                <div id="loopUntilSection" style="display: none; background: rgba(255,255,255,0.03); border-radius: 12px; padding: 14px; margin-bottom: 12px; border: 1px solid rgba(255,255,255,0.06);">
+                                    <div style="font-size: 12px; margin-bottom: 8px;">Loop Until Done</div>
+                                    <div style="font-size: 10px; color: var(--fg-dim); margin-bottom: 8px;">
+                                        Stops looping when the agent's last reply matches the marker (regular expression), or after the max iterations or minutes. 0 = no limit.
+                                    </div>
+                                    <div style="display: grid; grid-template-columns: 2fr 1fr 1fr; gap: 12px;">
+                                        <div>
+                                            <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Completion Marker</label>
+                                            <input type="text" id="loopUntilMarker" value="ALL TASKS COMPLETE" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                        </div>
+                                        <div>
+                                            <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Max Iterations</label>
+                                            <input type="number" id="loopUntilMaxIterations" value="10" min="0" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                        </div>
+                                        <div>
+                                            <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Max Minutes</label>
+                                            <input type="number" id="loopUntilMaxMinutes" value="0" min="0" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                        </div>
+                                    </div>
+                                </div>
+
+                                <div style="margin-bottom: 12px;">
+                                    <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Completion Detection</label>
+                                    <select id="completionDetection" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                        <option value="agentState">Agent state (advance when the agent goes idle)</option>
+                                        <option value="silence">Silence only (advance after the timeout)</option>
+                                    </select>
+                                    <div style="font-size: 10px; color: var(--fg-dim); margin-top: 4px;">
+                                        With agent state, the silence timeout is only used when the agent panel cannot be read.
+                                    </div>
+                                </div>
+
+                                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin-bottom: 12px;">
+                                    <div>
+                                        <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Delivery Attempts</label>
+                                        <input type="number" id="retryMaxAttempts" value="5" min="1" max="20" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                    </div>
+                                    <div>
+                                        <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">On Delivery Failure</label>
+                                        <select id="retryOnFailure" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                            <option value="pause">Pause and notify</option>
+                                            <option value="skip">Skip and continue</option>
+                                        </select>
+                                    </div>
+                                </div>
                                 
                                 <!-- Target Conversation -->
                                 <div style="margin-bottom: 12px;">
@@ -991,6 +1284,7 @@ class SettingsPanel {
                                         <option value="">Current (Active Tab)</option>
                                         <!-- Options populated dynamically -->
                                     </select>
+                                    <datalist id="conversationOptions"></datalist>
                                     <div style="font-size: 10px; color: var(--fg-dim); margin-top: 4px;">
                                         Select which conversation receives the queue prompts. Will wait if conversation is busy.
                                     </div>
@@ -1006,11 +1300,70 @@ class SettingsPanel {
                                         </label>
                                     </div>
                                     <div style="font-size: 10px; color: var(--fg-dim); margin-bottom: 8px;">
-                                        Runs after each task to verify implementation quality.
+                                        Runs after each task to verify implementation quality. Use \${previousResponse} to quote the agent's last reply.
                                     </div>
                                     <textarea id="checkPromptText" style="min-height: 80px; font-size: 11px;" placeholder="Make sure the previous task was implemented fully..."></textarea>
                                 </div>
 
+                                <!-- Git Checkpoints -->
+                                <div style="background: rgba(255,255,255,0.03); border-radius: 12px; padding: 14px; margin-bottom: 12px; border: 1px solid rgba(255,255,255,0.06);">
+                                    <div style="display: flex; align-items: center; justify-content: space-between;">
+                                        <span style="font-size: 12px;">Git Checkpoint per Task</span>
+                                        <label class="switch">
+                                            <input type="checkbox" id="gitCheckpointEnabled">
+                                            <span class="slider round"></span>
+                                        </label>
+                                    </div>
+                                    <div style="font-size: 10px; color: var(--fg-dim); margin-top: 8px;">
+                                        Commits the workspace after each finished task so it can be reverted on its own.
+                                    </div>
+                                </div>
+
+                                <!-- Diagnostics Gate -->
+                                <div style="background: rgba(255,255,255,0.03); border-radius: 12px; padding: 14px; margin-bottom: 12px; border: 1px solid rgba(255,255,255,0.06);">
+                                    <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px;">
+                                        <span style="font-size: 12px;">Diagnostics Gate</span>
+                                        <label class="switch">
+                                            <input type="checkbox" id="diagnosticsGateEnabled">
+                                            <span class="slider round"></span>
+                                        </label>
+                                    </div>
+                                    <div style="font-size: 10px; color: var(--fg-dim); margin-bottom: 8px;">
+                                        After each task, new Problems panel entries in the files the agent changed are sent back with file:line.
+                                    </div>
+                                    <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Minimum Severity</label>
+                                    <select id="diagnosticsGateMinSeverity" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                        <option value="error">Errors</option>
+                                        <option value="warning">Errors and warnings</option>
+                                        <option value="information">Errors, warnings and info</option>
+                                        <option value="hint">Everything</option>
+                                    </select>
+                                </div>
+
+                                <!-- Test Gate -->
+                                <div style="background: rgba(255,255,255,0.03); border-radius: 12px; padding: 14px; margin-bottom: 12px; border: 1px solid rgba(255,255,255,0.06);">
+                                    <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px;">
+                                        <span style="font-size: 12px;">Test Gate</span>
+                                        <label class="switch">
+                                            <input type="checkbox" id="testGateEnabled">
+                                            <span class="slider round"></span>
+                                        </label>
+                                    </div>
+                                    <div style="font-size: 10px; color: var(--fg-dim); margin-bottom: 8px;">
+                                        Runs the command after each finished task. Failures are sent back to the agent as a fix prompt with the output.
+                                    </div>
+                                    <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 12px;">
+                                        <div>
+                                            <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Command</label>
+                                            <input type="text" id="testGateCommand" value="npm test" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                        </div>
+                                        <div>
+                                            <label style="font-size: 11px; color: var(--fg-dim); display: block; margin-bottom: 4px;">Max Fix Prompts</label>
+                                            <input type="number" id="testGateMaxIterations" value="3" min="0" max="10" style="width: 100%; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); padding: 10px 12px; border-radius: 10px;">
+                                        </div>
+                                    </div>
+                                </div>
+
                                 <!-- Resume on Quota Reset -->
                                 <div style="background: rgba(255,255,255,0.03); border-radius: 12px; padding: 14px; margin-bottom: 12px; border: 1px solid rgba(255,255,255,0.06);">
                                     <div style="display: flex; align-items: center; justify-content: space-between;">
@@ -1031,6 +1384,8 @@ class SettingsPanel {
                                 <div id="queueStatusIndicator" style="text-align: center; padding: 12px; margin-bottom: 12px; border-radius: 12px; font-size: 12px; background: rgba(255,255,255,0.04); border: 1px solid var(--border);">
                                     <span style="opacity: 0.6;">Queue Status:</span> <span id="queueStatusText" style="font-weight: 600;">Not Started</span>
                                     <div id="currentPromptInfo" style="font-size: 10px; margin-top: 6px; opacity: 0.7; display: none;">Current: <span id="currentPromptText">-</span></div>
+                                    <div id="runCostInfo" style="font-size: 10px; margin-top: 6px; opacity: 0.7; display: none;" title="Quota used by the finished items of this run">Run cost: <span id="runCostText">-</span></div>
+                                    <div id="namedQueuesInfo" style="font-size: 10px; margin-top: 6px; opacity: 0.7; display: none;"></div>
                                 </div>
 
                                 <!-- Queue Control Buttons -->
@@ -1043,17 +1398,32 @@ class SettingsPanel {
                                 <button id="startQueueBtn" class="btn-primary" style="width: 100%; background: var(--green);">
                                     ▶ Save & Run Queue
                                 </button>
+                                <button id="deferQueueBtn" class="btn-outline" style="width: 100%; margin-top: 8px; font-size: 12px; padding: 8px;" title="Start at the next quota reset or at a set time">⏰ Start Later...</button>
                                 
                                 <!-- Prompt History -->
                                 <div style="margin-top: 16px; border-top: 1px solid var(--border); padding-top: 12px;">
                                     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
                                         <label style="font-size: 11px; color: var(--fg-dim);">Recent Prompts</label>
-                                        <button id="refreshHistoryBtn" style="padding: 6px 10px; font-size: 11px; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); border-radius: 10px; cursor: pointer;">↻ Refresh</button>
+                                        <div style="display: flex; gap: 6px;">
+                                            <button id="exportHistoryBtn" style="padding: 6px 10px; font-size: 11px; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); border-radius: 10px; cursor: pointer;" title="Export the full history as JSON or CSV">⤓ Export</button>
+                                            <button id="refreshHistoryBtn" style="padding: 6px 10px; font-size: 11px; background: rgba(255,255,255,0.04); border: 1px solid var(--border); color: var(--fg); border-radius: 10px; cursor: pointer;">↻ Refresh</button>
+                                        </div>
                                     </div>
                                     <div id="promptHistoryList" style="max-height: 120px; overflow-y: auto; font-size: 12px; background: rgba(255,255,255,0.03); border-radius: 12px; padding: 10px; border: 1px solid rgba(255,255,255,0.06);">
                                         <div style="opacity: 0.5; text-align: center;">No prompts sent yet</div>
                                     </div>
                                 </div>
+
+                                <!-- Prompt Archive (consumed and reset prompts) -->
+                                <div style="margin-top: 12px;">
+                                    <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 8px;">
+                                        <label style="font-size: 11px; color: var(--fg-dim); white-space: nowrap;">Archive <span id="archiveCount"></span></label>
+                                        <input type="text" id="archiveSearchInput" class="prompt-input" placeholder="Search archived prompts..." style="flex: 1; font-size: 11px; padding: 6px 10px;" />
+                                    </div>
+                                    <div id="promptArchiveList" style="max-height: 160px; overflow-y: auto; font-size: 12px; background: rgba(255,255,255,0.03); border-radius: 12px; padding: 10px; border: 1px solid rgba(255,255,255,0.06);">
+                                        <div style="opacity: 0.5; text-align: center;">No archived prompts</div>
+                                    </div>
+                                </div>
                             </div>
 
                             <!-- Save Schedule button - hidden in queue mode -->
@@ -1115,6 +1485,10 @@ class SettingsPanel {
                             Click refresh to check quota status
                         </div>
                     </div>
+                    <div id="quotaHistoryContainer" style="display: none; background: rgba(255,255,255,0.03); border-radius: 12px; padding: 16px; margin-bottom: 16px; border: 1px solid rgba(255,255,255,0.06);">
+                        <div style="font-size: 11px; color: var(--fg-dim); margin-bottom: 8px;">Last 24 hours - dashed lines project the current burn rate</div>
+                        <div id="quotaHistoryContent"></div>
+                    </div>
                     <button id="refreshQuotaBtn" class="btn-outline" style="width: 100%;">
                         Refresh Quota Status
                     </button>
@@ -1192,6 +1566,7 @@ class SettingsPanel {
                     vscode.postMessage({ command: 'getQueueStatus' });
                     vscode.postMessage({ command: 'getConversations' });
                     vscode.postMessage({ command: 'getPromptHistory' });
+                    requestPromptArchive();
                 }
                 
                 // Refresh every 5 seconds while panel is open
@@ -1273,7 +1648,10 @@ class SettingsPanel {
                 }
 
                 // --- Schedule Logic ---
-                let currentPrompts = []; // State for prompts
+                let currentPrompts = []; // State for prompts (QueueItem objects)
+                let queueFileInfo = null; // Workspace queue file ({ name, pending, total }) when it drives the queue
+                const expandedPromptIds = new Set(); // Items with the options editor open
+                let liveQueueEdits = false; // Default queue is running from settings: list changes apply to the run
 
                 const scheduleEnabled = document.getElementById('scheduleEnabled');
                 const scheduleControls = document.getElementById('scheduleControls');
@@ -1282,21 +1660,136 @@ class SettingsPanel {
                 const schedulePrompt = document.getElementById('schedulePrompt');
                 const singlePromptSection = document.getElementById('singlePromptSection');
                 const queueModeSection = document.getElementById('queueModeSection');
+                const scheduleValueContainer = document.getElementById('scheduleValueContainer');
+                const cronSection = document.getElementById('cronSection');
+                const cronExpressionInput = document.getElementById('cronExpression');
+                const cronPreview = document.getElementById('cronPreview');
+                let cronPreviewTimer = null;
                 
                 // New Prompt UI Elements
                 const promptList = document.getElementById('promptList');
                 const newPromptInput = document.getElementById('newPromptInput');
                 const addPromptBtn = document.getElementById('addPromptBtn');
+                const insertNextPromptBtn = document.getElementById('insertNextPromptBtn');
 
                 const queueModeSelect = document.getElementById('queueMode');
                 const silenceTimeoutInput = document.getElementById('silenceTimeout');
+                const completionDetectionSelect = document.getElementById('completionDetection');
+                const retryMaxAttemptsInput = document.getElementById('retryMaxAttempts');
+                const retryOnFailureSelect = document.getElementById('retryOnFailure');
                 const checkPromptEnabled = document.getElementById('checkPromptEnabled');
                 const checkPromptText = document.getElementById('checkPromptText');
                 const resumeEnabled = document.getElementById('resumeEnabled');
+                const gitCheckpointEnabled = document.getElementById('gitCheckpointEnabled');
+                const diagnosticsGateEnabled = document.getElementById('diagnosticsGateEnabled');
+                const diagnosticsGateMinSeverity = document.getElementById('diagnosticsGateMinSeverity');
+                const testGateEnabled = document.getElementById('testGateEnabled');
+                const testGateCommandInput = document.getElementById('testGateCommand');
+                const testGateMaxIterationsInput = document.getElementById('testGateMaxIterations');
+                const loopUntilSection = document.getElementById('loopUntilSection');
+                const loopUntilMarkerInput = document.getElementById('loopUntilMarker');
+                const loopUntilMaxIterationsInput = document.getElementById('loopUntilMaxIterations');
+                const loopUntilMaxMinutesInput = document.getElementById('loopUntilMaxMinutes');
                 const autoContinueEnabled = document.getElementById('autoContinueEnabled');
                 const startQueueBtn = document.getElementById('startQueueBtn');
                 const saveScheduleBtn = document.getElementById('saveScheduleBtn');
 
+                function escapeHtml(value) {
+                    return String(value == null ? '' : value)
+                        .replace(/&/g, '&amp;')
+                        .replace(/</g, '&lt;')
+                        .replace(/>/g, '&gt;')
+                        .replace(/"/g, '&quot;');
+                }
+
+                function createQueueItem(text) {
+                    return {
+                        id: 'q-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8),
+                        text: text,
+                        title: '',
+                        targetConversation: '',
+                        silenceTimeout: null,
+                        maxDuration: null,
+                        retryCount: null,
+                        checkPrompt: null,
+                        enabled: true
+                    };
+                }
+
+                function parseOptionalNumber(value) {
+                    if (value === '' || value == null) return null;
+                    const num = Number(value);
+                    return isNaN(num) ? null : num;
+                }
+
+                function renderPromptOptions(prompt) {
+                    const checkMode = !prompt.checkPrompt ? 'global' : (prompt.checkPrompt.enabled ? 'custom' : 'none');
+                    return \`
+                        <div class="prompt-options">
+                            <div class="wide"><label>Title</label><input data-field="title" value="\${escapeHtml(prompt.title)}" placeholder="Optional label"></div>
+                            <div class="wide"><label>Prompt</label><textarea data-field="text">\${escapeHtml(prompt.text)}</textarea></div>
+                            <div class="wide"><label>Target Conversation</label><input data-field="targetConversation" list="conversationOptions" value="\${escapeHtml(prompt.targetConversation)}" placeholder="Queue target"></div>
+                            <div><label>Silence Timeout (s)</label><input type="number" min="10" data-field="silenceTimeout" value="\${prompt.silenceTimeout ?? ''}" placeholder="Global"></div>
+                            <div><label>Max Duration (s)</label><input type="number" min="1" data-field="maxDuration" value="\${prompt.maxDuration ?? ''}" placeholder="Global"></div>
+                            <div><label>Retries</label><input type="number" min="0" data-field="retryCount" value="\${prompt.retryCount ?? ''}" placeholder="Default"></div>
+                            <div><label>Check Prompt</label>
+                                <select data-field="checkMode">
+                                    <option value="global" \${checkMode === 'global' ? 'selected' : ''}>Global setting</option>
+                                    <option value="none" \${checkMode === 'none' ? 'selected' : ''}>None</option>
+                                    <option value="custom" \${checkMode === 'custom' ? 'selected' : ''}>Custom</option>
+                                </select>
+                            </div>
+                            <div class="wide" style="display: \${checkMode === 'custom' ? 'block' : 'none'};"><label>Custom Check Prompt</label><textarea data-field="checkText" placeholder="Empty = global check prompt text">\${escapeHtml(prompt.checkPrompt ? prompt.checkPrompt.text : '')}</textarea></div>
+                        </div>
+                    \`;
+                }
+
+                // While the queue runs, list changes go to the runner as edits by item id,
+                // so they take effect immediately and never bring back consumed items
+                function sendQueueEdit(edit) {
+                    if (!liveQueueEdits) return false;
+                    vscode.postMessage({ command: 'editQueue', edit: edit });
+                    return true;
+                }
+
+                function bindPromptOptions(item, prompt) {
+                    item.querySelectorAll('[data-field]').forEach(input => {
+                        // Keep drag & drop from hijacking text selection inside the editor
+                        input.addEventListener('mousedown', (e) => e.stopPropagation());
+                        input.addEventListener('change', () => {
+                            const field = input.dataset.field;
+                            if (field === 'title' || field === 'text' || field === 'targetConversation') {
+                                prompt[field] = input.value;
+                            } else if (field === 'silenceTimeout' || field === 'maxDuration' || field === 'retryCount') {
+                                prompt[field] = parseOptionalNumber(input.value);
+                            } else if (field === 'checkMode') {
+                                const text = prompt.checkPrompt ? prompt.checkPrompt.text : '';
+                                prompt.checkPrompt = input.value === 'global' ? null : { enabled: input.value === 'custom', text: text };
+                                sendQueueEdit({ op: 'update', id: prompt.id, changes: prompt });
+                                renderPrompts();
+                                return;
+                            } else if (field === 'checkText') {
+                                prompt.checkPrompt = { enabled: true, text: input.value };
+                            }
+                            if (field === 'title' || field === 'text') {
+                                const label = item.querySelector('.prompt-content');
+                                if (label) label.innerHTML = renderPromptLabel(prompt);
+                            }
+                            sendQueueEdit({ op: 'update', id: prompt.id, changes: prompt });
+                        });
+                    });
+                }
+
+                function renderPromptLabel(prompt) {
+                    const badges = [];
+                    if (prompt.targetConversation) badges.push('→ ' + prompt.targetConversation);
+                    if (prompt.maxDuration) badges.push('⏱ ' + prompt.maxDuration + 's');
+                    if (prompt.checkPrompt) badges.push(prompt.checkPrompt.enabled ? '✓ custom check' : 'no check');
+                    const title = prompt.title ? '<span class="prompt-title">' + escapeHtml(prompt.title) + '</span>' : '';
+                    const badgeHtml = badges.length ? '<span class="prompt-badge">' + escapeHtml(badges.join(' • ')) + '</span>' : '';
+                    return title + escapeHtml(prompt.text) + badgeHtml;
+                }
+
                 // Render List
                 function renderPrompts() {
                     if (!promptList) return;
@@ -1306,21 +1799,42 @@ class SettingsPanel {
                         return;
                     }
 
-                    currentPrompts.forEach((text, index) => {
+                    currentPrompts.forEach((prompt, index) => {
+                        const expanded = expandedPromptIds.has(prompt.id);
                         const item = document.createElement('div');
-                        item.className = 'prompt-item';
+                        item.className = 'prompt-item' + (prompt.enabled === false ? ' disabled' : '');
                         item.draggable = true;
                         item.dataset.index = index;
                         item.innerHTML = \`
                             <div class="prompt-handle">☰</div>
-                            <div class="prompt-content">\${text}</div>
+                            <input type="checkbox" class="prompt-toggle" title="Enabled" \${prompt.enabled !== false ? 'checked' : ''}>
+                            <div class="prompt-content" title="\${escapeHtml(prompt.text)}">\${renderPromptLabel(prompt)}</div>
+                            <div class="prompt-options-btn" title="Item options">⚙</div>
                             <div class="prompt-delete" title="Remove">×</div>
+                            \${expanded ? renderPromptOptions(prompt) : ''}
                         \`;
-                        
+
+                        // Enable/disable without removing
+                        item.querySelector('.prompt-toggle').onchange = (e) => {
+                            prompt.enabled = e.target.checked;
+                            sendQueueEdit({ op: 'update', id: prompt.id, changes: { enabled: prompt.enabled } });
+                            renderPrompts();
+                        };
+
+                        // Options editor toggle
+                        item.querySelector('.prompt-options-btn').onclick = (e) => {
+                            e.stopPropagation();
+                            if (expanded) expandedPromptIds.delete(prompt.id); else expandedPromptIds.add(prompt.id);
+                            renderPrompts();
+                        };
+                        if (expanded) bindPromptOptions(item, prompt);
+
                         // Delete Handler
                         item.querySelector('.prompt-delete').onclick = (e) => {
                             e.stopPropagation();
+                            expandedPromptIds.delete(prompt.id);
                             currentPrompts.splice(index, 1);
+                            sendQueueEdit({ op: 'delete', id: prompt.id });
                             renderPrompts();
                         };
 
@@ -1335,20 +1849,23 @@ class SettingsPanel {
                 }
 
                 // Add Prompt Handler
-                function addNewPrompt() {
+                function addNewPrompt(next) {
                     if (!newPromptInput) return;
                     const text = newPromptInput.value.trim();
                     if (text) {
-                        currentPrompts.push(text);
+                        const prompt = createQueueItem(text);
                         newPromptInput.value = '';
+                        if (sendQueueEdit({ op: next ? 'insertNext' : 'append', item: prompt })) return;
+                        if (next) currentPrompts.unshift(prompt); else currentPrompts.push(prompt);
                         renderPrompts();
                     }
                 }
 
-                if (addPromptBtn) addPromptBtn.addEventListener('click', addNewPrompt);
+                if (addPromptBtn) addPromptBtn.addEventListener('click', () => addNewPrompt(false));
+                if (insertNextPromptBtn) insertNextPromptBtn.addEventListener('click', () => addNewPrompt(true));
                 if (newPromptInput) {
                     newPromptInput.addEventListener('keypress', (e) => {
-                        if (e.key === 'Enter') addNewPrompt();
+                        if (e.key === 'Enter') addNewPrompt(false);
                     });
                 }
 
@@ -1372,6 +1889,8 @@ class SettingsPanel {
                     if (dragSrcEl !== this && !isNaN(fromIndex) && !isNaN(toIndex)) {
                         const item = currentPrompts.splice(fromIndex, 1)[0];
                         currentPrompts.splice(toIndex, 0, item);
+                        const before = currentPrompts[toIndex + 1];
+                        sendQueueEdit({ op: 'move', id: item.id, beforeId: before ? before.id : null });
                         renderPrompts();
                     }
                     return false;
@@ -1393,6 +1912,42 @@ class SettingsPanel {
                     });
                 }
 
+                // Prompt archive: search, re-queue, duplicate, delete
+                const archiveSearchInput = document.getElementById('archiveSearchInput');
+                const promptArchiveList = document.getElementById('promptArchiveList');
+                let archiveSearchTimer = null;
+
+                function requestPromptArchive() {
+                    vscode.postMessage({ command: 'getPromptArchive', query: archiveSearchInput ? archiveSearchInput.value : '' });
+                }
+
+                if (archiveSearchInput) {
+                    archiveSearchInput.addEventListener('input', () => {
+                        clearTimeout(archiveSearchTimer);
+                        archiveSearchTimer = setTimeout(requestPromptArchive, 250);
+                    });
+                }
+
+                if (promptArchiveList) {
+                    promptArchiveList.addEventListener('click', (e) => {
+                        const button = e.target.closest('[data-archive-action]');
+                        if (!button) return;
+                        const id = button.dataset.id;
+                        const query = archiveSearchInput ? archiveSearchInput.value : '';
+                        const action = button.dataset.archiveAction;
+                        if (action === 'delete') {
+                            vscode.postMessage({ command: 'deleteArchived', ids: [id], query: query });
+                        } else {
+                            vscode.postMessage({ command: 'requeueArchived', id: id, duplicate: action === 'duplicate', query: query });
+                        }
+                    });
+                }
+
+                const exportHistoryBtn = document.getElementById('exportHistoryBtn');
+                if (exportHistoryBtn) {
+                    exportHistoryBtn.addEventListener('click', () => vscode.postMessage({ command: 'exportPromptHistory' }));
+                }
+
                 // Refresh History button
                 if (refreshHistoryBtn) {
                     refreshHistoryBtn.addEventListener('click', () => {
@@ -1401,10 +1956,19 @@ class SettingsPanel {
                     });
                 }
 
+                function updateLoopUntilVisibility() {
+                    if (loopUntilSection) loopUntilSection.style.display = queueModeSelect && queueModeSelect.value === 'loopUntil' ? 'block' : 'none';
+                }
+
+                if (queueModeSelect) queueModeSelect.addEventListener('change', updateLoopUntilVisibility);
+
                 function updateModeVisibility() {
                     const mode = scheduleMode ? scheduleMode.value : 'interval';
                     if (singlePromptSection) singlePromptSection.style.display = mode === 'queue' ? 'none' : 'block';
                     if (queueModeSection) queueModeSection.style.display = mode === 'queue' ? 'block' : 'none';
+                    if (cronSection) cronSection.style.display = mode === 'cron' ? 'block' : 'none';
+                    if (scheduleValueContainer) scheduleValueContainer.style.visibility = mode === 'cron' ? 'hidden' : 'visible';
+                    if (mode === 'cron') requestCronPreview();
                     // Hide Save Schedule button in queue mode (Save & Run Queue handles it)
                     if (saveScheduleContainer) saveScheduleContainer.style.display = mode === 'queue' ? 'none' : 'block';
                 }
@@ -1421,6 +1985,29 @@ class SettingsPanel {
 
                 if (scheduleMode) scheduleMode.addEventListener('change', updateModeVisibility);
 
+                function requestCronPreview() {
+                    if (!cronExpressionInput) return;
+                    vscode.postMessage({ command: 'previewCron', expression: cronExpressionInput.value, count: 5 });
+                }
+
+                function renderCronPreview(msg) {
+                    if (!cronPreview) return;
+                    if (msg.error) {
+                        cronPreview.innerHTML = '<li style="color: #ef4444;">' + escapeHtml(msg.error) + '</li>';
+                        return;
+                    }
+                    cronPreview.innerHTML = (msg.times || [])
+                        .map(t => '<li>' + escapeHtml(new Date(t).toLocaleString()) + '</li>')
+                        .join('');
+                }
+
+                if (cronExpressionInput) {
+                    cronExpressionInput.addEventListener('input', () => {
+                        clearTimeout(cronPreviewTimer);
+                        cronPreviewTimer = setTimeout(requestCronPreview, 300);
+                    });
+                }
+
                 // Debug helper
                 function logDebug(msg) {
                     console.log('[SettingsClient] ' + msg);
@@ -1444,7 +2031,8 @@ class SettingsPanel {
 
                         // DEFENSIVE: Prevent "Cannot start queue without prompts" error loop
                         // If queue is empty, BLOCK immediately with visual feedback only.
-                        if (currentPrompts.length === 0) {
+                        const runnableCount = queueFileInfo ? queueFileInfo.pending : currentPrompts.filter(p => p.enabled !== false).length;
+                        if (runnableCount === 0) {
                             console.log('StartQueue: Queue empty, silent block.');
                             
                             // Show error on button without sending message
@@ -1477,8 +2065,20 @@ class SettingsPanel {
                             prompts: currentPrompts,
                             queueMode: queueModeSelect ? queueModeSelect.value : 'consume',
                             silenceTimeout: silenceTimeoutInput ? parseInt(silenceTimeoutInput.value) : 30,
+                            completionDetection: completionDetectionSelect ? completionDetectionSelect.value : 'agentState',
+                            retryMaxAttempts: retryMaxAttemptsInput ? parseInt(retryMaxAttemptsInput.value) || 5 : 5,
+                            retryOnFailure: retryOnFailureSelect ? retryOnFailureSelect.value : 'pause',
                             checkPromptEnabled: checkPromptEnabled ? checkPromptEnabled.checked : false,
                             checkPromptText: checkPromptText ? checkPromptText.value : '',
+                            gitCheckpointEnabled: gitCheckpointEnabled ? gitCheckpointEnabled.checked : false,
+                            diagnosticsGateEnabled: diagnosticsGateEnabled ? diagnosticsGateEnabled.checked : false,
+                            diagnosticsGateMinSeverity: diagnosticsGateMinSeverity ? diagnosticsGateMinSeverity.value : 'error',
+                            testGateEnabled: testGateEnabled ? testGateEnabled.checked : false,
+                            testGateCommand: testGateCommandInput ? testGateCommandInput.value.trim() || 'npm test' : 'npm test',
+                            testGateMaxIterations: testGateMaxIterationsInput ? Math.max(0, parseInt(testGateMaxIterationsInput.value) || 0) : 3,
+                            loopUntilMarker: loopUntilMarkerInput ? loopUntilMarkerInput.value.trim() : 'ALL TASKS COMPLETE',
+                            loopUntilMaxIterations: loopUntilMaxIterationsInput ? Math.max(0, parseInt(loopUntilMaxIterationsInput.value) || 0) : 10,
+                            loopUntilMaxMinutes: loopUntilMaxMinutesInput ? Math.max(0, parseInt(loopUntilMaxMinutesInput.value) || 0) : 0,
                             resumeEnabled: resumeEnabled ? resumeEnabled.checked : true,
                             autoContinueEnabled: autoContinueEnabled ? autoContinueEnabled.checked : false
                         };
@@ -1533,6 +2133,21 @@ class SettingsPanel {
                     });
                 }
 
+                const deferQueueBtn = document.getElementById('deferQueueBtn');
+                if (deferQueueBtn) {
+                    deferQueueBtn.addEventListener('click', () => {
+                        vscode.postMessage({ command: 'deferQueueStart', cancel: deferQueueBtn.textContent.includes('Cancel') });
+                    });
+                }
+
+                const openQueueFileLink = document.getElementById('openQueueFileLink');
+                if (openQueueFileLink) {
+                    openQueueFileLink.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        vscode.postMessage({ command: 'openQueueFile' });
+                    });
+                }
+
                 if (saveScheduleBtn) {
                     saveScheduleBtn.addEventListener('click', () => {
                         vscode.postMessage({
@@ -1540,14 +2155,27 @@ class SettingsPanel {
                             enabled: scheduleEnabled ? scheduleEnabled.checked : true,
                             mode: scheduleMode ? scheduleMode.value : 'interval',
                             value: scheduleValue ? scheduleValue.value : '30',
+                            cronExpression: cronExpressionInput ? cronExpressionInput.value : undefined,
                             prompt: schedulePrompt ? schedulePrompt.value : '',
                             
                             // Queue specific (using currentPrompts array)
-                            prompts: currentPrompts,
+                            prompts: liveQueueEdits ? undefined : currentPrompts, // Live edits already saved them
                             queueMode: queueModeSelect ? queueModeSelect.value : 'consume',
                             silenceTimeout: silenceTimeoutInput ? parseInt(silenceTimeoutInput.value) : 30,
+                            completionDetection: completionDetectionSelect ? completionDetectionSelect.value : 'agentState',
+                            retryMaxAttempts: retryMaxAttemptsInput ? parseInt(retryMaxAttemptsInput.value) || 5 : 5,
+                            retryOnFailure: retryOnFailureSelect ? retryOnFailureSelect.value : 'pause',
                             checkPromptEnabled: checkPromptEnabled ? checkPromptEnabled.checked : false,
                             checkPromptText: checkPromptText ? checkPromptText.value : '',
+                            gitCheckpointEnabled: gitCheckpointEnabled ? gitCheckpointEnabled.checked : false,
+                            diagnosticsGateEnabled: diagnosticsGateEnabled ? diagnosticsGateEnabled.checked : false,
+                            diagnosticsGateMinSeverity: diagnosticsGateMinSeverity ? diagnosticsGateMinSeverity.value : 'error',
+                            testGateEnabled: testGateEnabled ? testGateEnabled.checked : false,
+                            testGateCommand: testGateCommandInput ? testGateCommandInput.value.trim() || 'npm test' : 'npm test',
+                            testGateMaxIterations: testGateMaxIterationsInput ? Math.max(0, parseInt(testGateMaxIterationsInput.value) || 0) : 3,
+                            loopUntilMarker: loopUntilMarkerInput ? loopUntilMarkerInput.value.trim() : 'ALL TASKS COMPLETE',
+                            loopUntilMaxIterations: loopUntilMaxIterationsInput ? Math.max(0, parseInt(loopUntilMaxIterationsInput.value) || 0) : 10,
+                            loopUntilMaxMinutes: loopUntilMaxMinutesInput ? Math.max(0, parseInt(loopUntilMaxMinutesInput.value) || 0) : 0,
                             resumeEnabled: resumeEnabled ? resumeEnabled.checked : true,
                             autoContinueEnabled: autoContinueEnabled ? autoContinueEnabled.checked : false
                         });
@@ -1610,6 +2238,57 @@ class SettingsPanel {
 
                 // Request initial quota state
                 vscode.postMessage({ command: 'getAntigravityQuota' });
+                vscode.postMessage({ command: 'getQuotaHistory' });
+
+                // One line chart per model: remaining quota over time, then the forecast up to exhaustion
+                function renderQuotaHistory(history) {
+                    const container = document.getElementById('quotaHistoryContainer');
+                    const content = document.getElementById('quotaHistoryContent');
+                    if (!container || !content) return;
+                    const models = history ? history.models.filter(m => m.points.length >= 2) : [];
+                    container.style.display = models.length > 0 ? 'block' : 'none';
+                    if (models.length === 0) return;
+
+                    const width = 300, height = 48;
+                    const start = history.since;
+                    const end = history.now + (history.now - history.since) / 4; // Room for the forecast
+                    const x = t => ((Math.min(t, end) - start) / (end - start) * width).toFixed(1);
+                    const y = v => (height - Math.max(0, Math.min(1, v)) * height).toFixed(1);
+                    const nowX = x(history.now);
+                    // Soonest to run out first
+                    const sorted = models.slice().sort((a, b) => {
+                        const la = a.forecast && a.forecast.exhaustsAt !== null ? a.forecast.msLeft : Infinity;
+                        const lb = b.forecast && b.forecast.exhaustsAt !== null ? b.forecast.msLeft : Infinity;
+                        return la - lb || a.label.localeCompare(b.label);
+                    });
+
+                    let html = '';
+                    sorted.slice(0, 6).forEach(m => {
+                        const last = m.points[m.points.length - 1];
+                        const color = last.value === 0 ? '#ef4444' : (last.value < 0.2 ? '#f59e0b' : '#22c55e');
+                        const line = m.points.map(p => x(p.t) + ',' + y(p.value)).join(' ');
+                        let projection = '';
+                        if (m.forecast && m.forecast.exhaustsAt !== null && last.value > 0) {
+                            const endT = Math.min(m.forecast.exhaustsAt, end);
+                            const endV = last.value - m.forecast.ratePerHour * (endT - last.t) / 3600000;
+                            projection = '<line x1="' + x(last.t) + '" y1="' + y(last.value) + '" x2="' + x(endT) + '" y2="' + y(endV) + '" stroke="' + color + '" stroke-width="1.5" stroke-dasharray="3,3" opacity="0.7"/>';
+                        }
+                        html += '<div style="margin-bottom:10px;text-align:left">';
+                        html += '<div style="display:flex;justify-content:space-between;font-size:11px;margin-bottom:2px"><span>' + escapeHtml(m.label) + '</span><span style="opacity:0.6">' + Math.round(last.value * 100) + '%' + (m.forecastText ? ' - ' + escapeHtml(m.forecastText) : '') + '</span></div>';
+                        html += '<svg viewBox="0 0 ' + width + ' ' + height + '" preserveAspectRatio="none" style="width:100%;height:' + height + 'px;background:rgba(255,255,255,0.02);border-radius:4px">';
+                        html += '<line x1="' + nowX + '" y1="0" x2="' + nowX + '" y2="' + height + '" stroke="rgba(255,255,255,0.2)" stroke-width="1"/>';
+                        html += '<polyline points="' + line + '" fill="none" stroke="' + color + '" stroke-width="1.5"/>' + projection;
+                        html += '</svg></div>';
+                    });
+                    if (sorted.length > 6) {
+                        html += '<div style="opacity:0.5;font-size:11px">...and ' + (sorted.length - 6) + ' more</div>';
+                    }
+                    if (history.credits && history.credits.points.length > 0) {
+                        const lastCredits = history.credits.points[history.credits.points.length - 1];
+                        html += '<div style="font-size:11px;opacity:0.6;text-align:left">Prompt credits: ' + lastCredits.value + (history.credits.forecastText ? ' - ' + escapeHtml(history.credits.forecastText) : '') + '</div>';
+                    }
+                    content.innerHTML = html;
+                }
 
                 if (copyLogsBtn) {
                     copyLogsBtn.addEventListener('click', async () => {
@@ -1682,17 +2361,24 @@ class SettingsPanel {
                             bannedInput.value = msg.bannedCommands.join('\\n');
                         }
                     }
+                    if (msg.command === 'updatePrompts' && Array.isArray(msg.prompts)) {
+                        currentPrompts = msg.prompts;
+                        renderPrompts();
+                    }
                     if (msg.command === 'updateSchedule') {
                         if (msg.schedule) {
                             // Basic fields
                             if (scheduleEnabled) scheduleEnabled.checked = msg.schedule.enabled;
                             if (scheduleMode) scheduleMode.value = msg.schedule.mode || 'interval';
                             if (scheduleValue) scheduleValue.value = msg.schedule.value || '30';
+                            if (cronExpressionInput) cronExpressionInput.value = msg.schedule.cronExpression || '';
                             if (schedulePrompt) schedulePrompt.value = msg.schedule.prompt || '';
                             
                             // Queue-specific fields
                             if (msg.schedule.prompts) {
-                                currentPrompts = Array.isArray(msg.schedule.prompts) ? msg.schedule.prompts : [];
+                                currentPrompts = Array.isArray(msg.schedule.prompts)
+                                    ? msg.schedule.prompts.map(p => typeof p === 'string' ? createQueueItem(p) : p)
+                                    : [];
                                 renderPrompts();
                             } else {
                                 currentPrompts = [];
@@ -1700,10 +2386,23 @@ class SettingsPanel {
                             }
                             
                             if (queueModeSelect) queueModeSelect.value = msg.schedule.queueMode || 'consume';
+                            if (loopUntilMarkerInput) loopUntilMarkerInput.value = msg.schedule.loopUntilMarker ?? 'ALL TASKS COMPLETE';
+                            if (loopUntilMaxIterationsInput) loopUntilMaxIterationsInput.value = msg.schedule.loopUntilMaxIterations ?? 10;
+                            if (loopUntilMaxMinutesInput) loopUntilMaxMinutesInput.value = msg.schedule.loopUntilMaxMinutes ?? 0;
+                            updateLoopUntilVisibility();
                             if (silenceTimeoutInput) silenceTimeoutInput.value = msg.schedule.silenceTimeout || 30;
+                            if (completionDetectionSelect) completionDetectionSelect.value = msg.schedule.completionDetection || 'agentState';
+                            if (retryMaxAttemptsInput) retryMaxAttemptsInput.value = msg.schedule.retryMaxAttempts || 5;
+                            if (retryOnFailureSelect) retryOnFailureSelect.value = msg.schedule.retryOnFailure || 'pause';
                             if (checkPromptEnabled) checkPromptEnabled.checked = msg.schedule.checkPromptEnabled || false;
                             if (checkPromptText) checkPromptText.value = msg.schedule.checkPromptText || '';
                             if (checkPromptText) checkPromptText.value = msg.schedule.checkPromptText || '';
+                            if (gitCheckpointEnabled) gitCheckpointEnabled.checked = msg.schedule.gitCheckpointEnabled || false;
+                            if (diagnosticsGateEnabled) diagnosticsGateEnabled.checked = msg.schedule.diagnosticsGateEnabled || false;
+                            if (diagnosticsGateMinSeverity) diagnosticsGateMinSeverity.value = msg.schedule.diagnosticsGateMinSeverity || 'error';
+                            if (testGateEnabled) testGateEnabled.checked = msg.schedule.testGateEnabled || false;
+                            if (testGateCommandInput) testGateCommandInput.value = msg.schedule.testGateCommand || 'npm test';
+                            if (testGateMaxIterationsInput) testGateMaxIterationsInput.value = msg.schedule.testGateMaxIterations ?? 3;
                             if (resumeEnabled) resumeEnabled.checked = msg.schedule.resumeEnabled !== false;
                             if (autoContinueEnabled) autoContinueEnabled.checked = msg.schedule.autoContinueEnabled === true;
                             
@@ -1717,6 +2416,10 @@ class SettingsPanel {
                             updateModeVisibility();
                         }
                     }
+                    if (msg.command === 'updateCronPreview') {
+                        // Ignore stale replies while the user is still typing
+                        if (!cronExpressionInput || msg.expression === cronExpressionInput.value) renderCronPreview(msg);
+                    }
                     if (msg.command === 'updateLogs') {
                         if (logsOutput) logsOutput.value = msg.logs || '';
                         if (logsMeta) {
@@ -1777,24 +2480,52 @@ class SettingsPanel {
                             }
                         }
                     }
+                    if (msg.command === 'updateQuotaHistory') {
+                        renderQuotaHistory(msg.history);
+                    }
                     if (msg.command === 'updateQueueStatus') {
+                        if (msg.status) {
+                            queueFileInfo = msg.status.queueFile || null;
+                            const banner = document.getElementById('queueFileBanner');
+                            if (banner) {
+                                banner.style.display = queueFileInfo ? 'block' : 'none';
+                                if (queueFileInfo) {
+                                    document.getElementById('queueFileName').textContent = queueFileInfo.name;
+                                    document.getElementById('queueFilePending').textContent = queueFileInfo.pending;
+                                }
+                            }
+                        }
+                        if (msg.status) {
+                            liveQueueEdits = !!msg.status.isRunningQueue && msg.status.queueSource !== 'file';
+                        }
                         if (queueStatusText && msg.status) {
                             const s = msg.status;
                             let statusText = 'Not Started';
                             let statusColor = 'inherit';
                             
                             if (s.isQuotaExhausted) {
-                                statusText = 'Paused (Quota)';
+                                statusText = 'Paused (Quota' + (s.quotaModel ? ': ' + s.quotaModel : '') + ')';
                                 statusColor = '#f59e0b'; // amber
                             } else if (s.isPaused) {
                                 statusText = 'Paused (' + (s.queueIndex + 1) + '/' + s.queueLength + ')';
                                 statusColor = '#f59e0b'; // amber
+                            } else if (s.isRunningQueue && s.pausedUntil) {
+                                const until = new Date(s.pausedUntil);
+                                statusText = 'Paused until ' + String(until.getHours()).padStart(2, '0') + ':' + String(until.getMinutes()).padStart(2, '0') + ' (outside execution windows)';
+                                statusColor = '#f59e0b'; // amber
                             } else if (s.conversationStatus === 'waiting') {
                                 statusText = 'Waiting (Busy)';
                                 statusColor = '#f59e0b'; // amber - waiting for conversation
+                            } else if (s.conversationStatus === 'testing') {
+                                statusText = 'Testing (' + (s.queueIndex + 1) + '/' + s.queueLength + ')';
+                                statusColor = '#3b82f6'; // blue - test gate command running
                             } else if (s.isRunningQueue) {
                                 statusText = 'Running (' + (s.queueIndex + 1) + '/' + s.queueLength + ')';
                                 statusColor = '#22c55e'; // green
+                            } else if (s.deferredStart) {
+                                const at = new Date(s.deferredStart.at);
+                                statusText = 'Starts at ' + String(at.getHours()).padStart(2, '0') + ':' + String(at.getMinutes()).padStart(2, '0') + (s.deferredStart.reason === 'quotaReset' ? ' (quota reset)' : '');
+                                statusColor = '#3b82f6'; // blue
                             } else if (s.queueLength > 0) {
                                 statusText = 'Ready (' + s.queueLength + ' items)';
                                 statusColor = '#3b82f6'; // blue
@@ -1803,6 +2534,19 @@ class SettingsPanel {
                             queueStatusText.innerText = statusText;
                             queueStatusText.style.color = statusColor;
 
+                            // Named queues (auto-accept.schedule.queues) run alongside the default queue
+                            const namedQueuesInfo = document.getElementById('namedQueuesInfo');
+                            const namedQueues = (s.queues || []).filter(q => q.name !== 'default');
+                            if (namedQueuesInfo) {
+                                namedQueuesInfo.style.display = namedQueues.length > 0 ? 'block' : 'none';
+                                namedQueuesInfo.innerHTML = namedQueues.map(q => {
+                                    const progress = q.isRunningQueue
+                                        ? (q.isPaused ? 'Paused' : 'Running') + ' (' + (q.queueIndex + 1) + '/' + q.queueLength + ')'
+                                        : 'Idle (' + q.pendingItems + ' items)';
+                                    return escapeHtml(q.name) + ': ' + progress;
+                                }).join('<br>');
+                            }
+
                             // Show/hide control buttons
                             const controlBtns = document.getElementById('queueControlBtns');
                             const startBtn = document.getElementById('startQueueBtn');
@@ -1819,6 +2563,11 @@ class SettingsPanel {
                                     startBtn.style.display = 'block';
                                 }
                             }
+                            const deferBtn = document.getElementById('deferQueueBtn');
+                            if (deferBtn) {
+                                deferBtn.style.display = s.isRunningQueue ? 'none' : 'block';
+                                deferBtn.textContent = s.deferredStart ? '⏹ Cancel Scheduled Start' : '⏰ Start Later...';
+                            }
 
                             // Update pause button text
                             if (pauseBtn) {
@@ -1834,6 +2583,13 @@ class SettingsPanel {
                             } else if (currentPromptInfo) {
                                 currentPromptInfo.style.display = 'none';
                             }
+
+                            const runCostInfo = document.getElementById('runCostInfo');
+                            const runCostText = document.getElementById('runCostText');
+                            if (runCostInfo && runCostText) {
+                                runCostInfo.style.display = s.runCost ? 'block' : 'none';
+                                runCostText.textContent = s.runCost || '-';
+                            }
                         }
                     }
                     if (msg.command === 'updateConversations') {
@@ -1848,6 +2604,15 @@ class SettingsPanel {
                                 if (conv === currentValue) option.selected = true;
                                 targetConversationSelect.appendChild(option);
                             });
+                            const conversationOptions = document.getElementById('conversationOptions');
+                            if (conversationOptions) {
+                                conversationOptions.innerHTML = '';
+                                msg.conversations.forEach(conv => {
+                                    const option = document.createElement('option');
+                                    option.value = conv;
+                                    conversationOptions.appendChild(option);
+                                });
+                            }
                         }
                     }
                     if (msg.command === 'updatePromptHistory') {
@@ -1856,17 +2621,56 @@ class SettingsPanel {
                                 promptHistoryList.innerHTML = '<div style="opacity: 0.5; text-align: center;">No prompts sent yet</div>';
                             } else {
                                 let html = '';
-                                msg.history.slice(-10).reverse().forEach(h => {
+                                msg.history.forEach(h => {
                                     const convLabel = h.conversation === 'current' || !h.conversation ? '' : ' [' + h.conversation.substring(0, 15) + ']';
                                     html += '<div style="padding: 4px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">';
-                                    html += '<span style="opacity: 0.5; font-size: 10px;">' + h.timeAgo + convLabel + '</span> ';
-                                    html += '<span>' + h.text.substring(0, 60) + (h.text.length > 60 ? '...' : '') + '</span>';
+                                    html += '<span style="opacity: 0.5; font-size: 10px;">' + h.timeAgo + escapeHtml(convLabel) + '</span> ';
+                                    if (h.status === 'failed') {
+                                        html += '<span style="color: var(--vscode-errorForeground, #f48771);" title="' + escapeHtml(h.error || '') + '">\u2717 </span>';
+                                    } else if (h.status === 'passed' || h.status === 'completed') {
+                                        html += '<span style="color: #22c55e;">\u2713 </span>';
+                                    } else if (h.status === 'skipped' || h.status === 'cancelled') {
+                                        html += '<span style="opacity: 0.5;" title="' + h.status + '">\u2013 </span>';
+                                    }
+                                    html += '<span>' + escapeHtml(h.text.substring(0, 60)) + (h.text.length > 60 ? '...' : '') + '</span>';
+                                    if (h.costText && h.costText !== 'none') {
+                                        html += ' <span style="opacity: 0.6; font-size: 10px;" title="Quota used while this prompt ran">(' + escapeHtml(h.costText) + ')</span>';
+                                    }
+                                    if (h.commit) {
+                                        html += ' <code style="opacity: 0.6; font-size: 10px;" title="Checkpoint commit ' + escapeHtml(h.commit) + '">' + escapeHtml(h.commit.substring(0, 7)) + '</code>';
+                                    }
                                     html += '</div>';
                                 });
                                 promptHistoryList.innerHTML = html;
                             }
                         }
                     }
+                    if (msg.command === 'updatePromptArchive' && promptArchiveList) {
+                        const archiveCount = document.getElementById('archiveCount');
+                        if (archiveCount) archiveCount.textContent = msg.total ? '(' + msg.total + ')' : '';
+                        if (!msg.entries || msg.entries.length === 0) {
+                            const searching = archiveSearchInput && archiveSearchInput.value.trim();
+                            promptArchiveList.innerHTML = '<div style="opacity: 0.5; text-align: center;">' + (searching ? 'No matches' : 'No archived prompts') + '</div>';
+                        } else {
+                            const outcomeMarks = { completed: '\u2713', failed: '\u2717', reset: '\u21BA' };
+                            let html = '';
+                            msg.entries.forEach(a => {
+                                const label = a.item.title || a.item.text;
+                                const when = new Date(a.sentAt || a.archivedAt).toLocaleString();
+                                const where = a.conversation ? ' [' + a.conversation.substring(0, 15) + ']' : '';
+                                const queue = a.queue && a.queue !== 'default' ? ' ' + a.queue + ':' : '';
+                                html += '<div style="display: flex; gap: 6px; align-items: center; padding: 4px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">';
+                                html += '<span style="' + (a.outcome === 'failed' ? 'color: var(--vscode-errorForeground, #f48771);' : 'opacity: 0.6;') + '" title="' + escapeHtml(a.outcome + (a.error ? ': ' + a.error : '')) + '">' + (outcomeMarks[a.outcome] || '') + '</span>';
+                                html += '<span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="' + escapeHtml(a.item.text) + '">';
+                                html += '<span style="opacity: 0.5; font-size: 10px;">' + escapeHtml(when + where + queue) + '</span> ' + escapeHtml(label) + '</span>';
+                                html += '<span data-archive-action="requeue" data-id="' + escapeHtml(a.id) + '" title="Re-queue (remove from archive)" style="cursor: pointer;">\u21A9</span>';
+                                html += '<span data-archive-action="duplicate" data-id="' + escapeHtml(a.id) + '" title="Duplicate into the queue" style="cursor: pointer;">\u2398</span>';
+                                html += '<span data-archive-action="delete" data-id="' + escapeHtml(a.id) + '" title="Delete from archive" style="cursor: pointer; opacity: 0.6;">\u00D7</span>';
+                                html += '</div>';
+                            });
+                            promptArchiveList.innerHTML = html;
+                        }
+                    }
                     // === Debug UI Bridge - Execute actions in the WebView ===
                     if (msg.command === 'executeDebugUIAction') {
                         const action = msg.action || {};
@@ -1923,8 +2727,17 @@ class SettingsPanel {
                                             scheduleEnabled: document.getElementById('scheduleEnabled')?.checked,
                                             scheduleMode: document.getElementById('scheduleMode')?.value,
                                             scheduleValue: document.getElementById('scheduleValue')?.value,
+                                            cronExpression: document.getElementById('cronExpression')?.value,
                                             queueMode: document.getElementById('queueMode')?.value,
                                             silenceTimeout: document.getElementById('silenceTimeout')?.value,
+                                            completionDetection: document.getElementById('completionDetection')?.value,
+                                            retryMaxAttempts: document.getElementById('retryMaxAttempts')?.value,
+                                            retryOnFailure: document.getElementById('retryOnFailure')?.value,
+                                            diagnosticsGateEnabled: document.getElementById('diagnosticsGateEnabled')?.checked,
+                                            diagnosticsGateMinSeverity: document.getElementById('diagnosticsGateMinSeverity')?.value,
+                                            testGateEnabled: document.getElementById('testGateEnabled')?.checked,
+                                            testGateCommand: document.getElementById('testGateCommand')?.value,
+                                            loopUntilMarker: document.getElementById('loopUntilMarker')?.value,
                                             freqSlider: document.getElementById('freqSlider')?.value,
                                             roiClickCount: document.getElementById('roiClickCount')?.innerText,
                                             roiTimeSaved: document.getElementById('roiTimeSaved')?.innerText,
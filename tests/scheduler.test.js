@@ -4,6 +4,7 @@
  */
 
 const assert = require('assert');
+const { normalizeQueueItems } = require('../main_scripts/queue');
 
 // Dynamic mock config - can be modified per test
 let mockConfig = {
@@ -51,8 +52,10 @@ const mockVscode = {
     },
     window: {
         showInformationMessage: () => { },
-        showWarningMessage: () => { }
+        showWarningMessage: () => { },
+        showErrorMessage: () => { }
     },
+    languages: { getDiagnostics: () => [] },
     ConfigurationTarget: { Global: 1 }
 };
 
@@ -65,6 +68,8 @@ const mockCdpHandler = {
         return 1; // Return count (1 tab) to match real implementation
     },
     getStats: async () => ({ clicks: mockCdpHandler.clickCount || 0 }),
+    getAgentState: async () => ({ state: mockCdpHandler.agentState }),
+    agentState: 'unknown',
     lastPrompt: null,
     lastTarget: '',
     sendCount: 0,
@@ -284,6 +289,37 @@ class TestScheduler {
     }
 }
 
+// The real Scheduler from extension-impl.js, loaded against mockVscode and
+// driving mockCdpHandler. Runners are stepped by calling checkSilence() directly.
+let extensionImpl = null;
+
+function createMementoContext() {
+    const store = new Map();
+    return {
+        globalState: {
+            get: (key, defaultValue) => store.has(key) ? store.get(key) : defaultValue,
+            update: async (key, value) => { store.set(key, value); }
+        }
+    };
+}
+
+function createRealScheduler(context = createMementoContext(), options = {}) {
+    if (!extensionImpl) {
+        const Module = require('module');
+        const originalLoad = Module._load;
+        Module._load = function (request, parent, isMain) {
+            if (request === 'vscode') return mockVscode;
+            return originalLoad.call(this, request, parent, isMain);
+        };
+        try {
+            extensionImpl = require('../main_scripts/extension-impl');
+        } finally {
+            Module._load = originalLoad;
+        }
+    }
+    return new extensionImpl.Scheduler(context, mockCdpHandler, () => { }, options);
+}
+
 // Test Suite
 console.log('\n=== Scheduler Unit Tests ===\n');
 
@@ -294,6 +330,7 @@ async function test(name, fn) {
     try {
         resetMockConfig();
         mockCdpHandler.lastPrompt = null;
+        mockCdpHandler.agentState = 'unknown';
         await fn();
         console.log(`✓ ${name}`);
         passed++;
@@ -718,6 +755,1263 @@ async function runTests() {
         }
     });
 
+    await test('QueueRunner.buildRuntimeQueue applies per-item check prompts and skips disabled items', async () => {
+        mockConfig['checkPrompt.enabled'] = true;
+        mockConfig['checkPrompt.text'] = 'Global check';
+        mockConfig.prompts = [
+            { id: 'a', text: 'Task A' },
+            { id: 'b', text: 'Task B', enabled: false },
+            { id: 'c', text: 'Task C', checkPrompt: { enabled: true, text: 'Custom check' } },
+            { id: 'd', text: 'Task D', checkPrompt: { enabled: false } }
+        ];
+
+        const scheduler = createRealScheduler();
+        scheduler.loadConfig();
+        const queue = scheduler.defaultQueue.buildRuntimeQueue();
+
+        assert.deepStrictEqual(queue.map(q => `${q.type}:${q.text}`), [
+            'task:Task A', 'check:Global check',
+            'task:Task C', 'check:Custom check',
+            'task:Task D'
+        ]);
+        assert.strictEqual(queue[2].index, 2);
+        assert.strictEqual(queue[3].id, 'c');
+    });
+
+    await test('normalizeQueueItems migrates legacy strings with stable ids', async () => {
+        const { needsMigration } = require('../main_scripts/queue');
+        const legacy = ['Task A', '   ', { text: 'Task B', silenceTimeout: '45', retryCount: -1, checkPrompt: false }];
+
+        const first = normalizeQueueItems(legacy);
+        const second = normalizeQueueItems(legacy);
+
+        assert.strictEqual(needsMigration(legacy), true);
+        assert.strictEqual(first.length, 2);
+        assert.deepStrictEqual(first.map(i => i.id), second.map(i => i.id));
+        assert.strictEqual(first[0].text, 'Task A');
+        assert.strictEqual(first[0].enabled, true);
+        assert.strictEqual(first[0].checkPrompt, null);
+        assert.strictEqual(first[1].silenceTimeout, 45);
+        assert.strictEqual(first[1].retryCount, null);
+        assert.deepStrictEqual(first[1].checkPrompt, { enabled: false, text: '' });
+        assert.strictEqual(needsMigration(first), false);
+    });
+
+    // RunJournal tests
+    function createMemento() {
+        const data = {};
+        return {
+            data,
+            get: (key, defaultValue) => (data[key] !== undefined ? data[key] : defaultValue),
+            update: async (key, value) => { data[key] = value === undefined ? undefined : JSON.parse(JSON.stringify(value)); }
+        };
+    }
+
+    await test('RunJournal persists item states and survives reload', async () => {
+        const { RunJournal, RUN_JOURNAL_KEY } = require('../main_scripts/queue');
+        const memento = createMemento();
+        const journal = new RunJournal(memento);
+
+        const run = await journal.begin([
+            { type: 'task', text: 'Task A', index: 0 },
+            { type: 'task', text: 'Task B', index: 1 }
+        ], { queueMode: 'consume' });
+        await journal.markItem(0, 'sent');
+        await journal.markItem(0, 'completed');
+        await journal.setIndex(1);
+        await journal.markItem(1, 'sent');
+
+        // Simulate reload: a fresh journal reads the stored run
+        const reloaded = new RunJournal(memento);
+        const interrupted = reloaded.getInterrupted();
+
+        assert.ok(memento.data[RUN_JOURNAL_KEY]);
+        assert.strictEqual(interrupted.runId, run.runId);
+        assert.strictEqual(interrupted.queueIndex, 1);
+        assert.strictEqual(interrupted.items[0].status, 'completed');
+        assert.strictEqual(interrupted.items[1].status, 'sent');
+        assert.ok(interrupted.items[1].sentAt > 0);
+        assert.strictEqual(interrupted.items[1].item.text, 'Task B');
+    });
+
+    await test('RunJournal finished runs are not offered for resume', async () => {
+        const { RunJournal } = require('../main_scripts/queue');
+        const memento = createMemento();
+        const journal = new RunJournal(memento);
+
+        await journal.begin([{ type: 'task', text: 'Task A', index: 0 }]);
+        await journal.markItem(0, 'failed', 'Prompt not delivered');
+        await journal.finish('stopped');
+
+        const reloaded = new RunJournal(memento);
+        assert.strictEqual(reloaded.getInterrupted(), null);
+        assert.strictEqual(reloaded.getRun().status, 'stopped');
+        assert.strictEqual(reloaded.getRun().items[0].error, 'Prompt not delivered');
+        assert.deepStrictEqual(reloaded.summarize(), { pending: 0, sent: 0, completed: 0, skipped: 0, failed: 1 });
+    });
+
+    await test('QueueRunner.checkSilence advances on confirmed busy -> idle transition', async () => {
+        const scheduler = createRealScheduler();
+        const runner = scheduler.defaultQueue;
+        await scheduler.startQueue({ source: 'test' });
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task A');
+
+        mockCdpHandler.agentState = 'generating';
+        await runner.checkSilence();
+        assert.strictEqual(runner.queueIndex, 0);
+
+        // First idle poll is not enough, the second one confirms
+        mockCdpHandler.agentState = 'idle';
+        await runner.checkSilence();
+        assert.strictEqual(runner.queueIndex, 0);
+        await runner.checkSilence();
+        assert.strictEqual(runner.queueIndex, 1);
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task B');
+        assert.strictEqual(runner.agentBusySeen, false);
+        assert.strictEqual(runner.journal.getRun().items[0].status, 'completed');
+    });
+
+    await test('QueueRunner.checkSilence does not advance on silence while agent is generating', async () => {
+        const scheduler = createRealScheduler();
+        const runner = scheduler.defaultQueue;
+        await scheduler.startQueue({ source: 'test' });
+
+        // Long reasoning step: well past the silence timeout, no clicks
+        runner.taskStartTime = Date.now() - 120000;
+        runner.lastActivityTime = Date.now() - 120000;
+        mockCdpHandler.agentState = 'generating';
+        await runner.checkSilence();
+        assert.strictEqual(runner.queueIndex, 0);
+
+        // A blip back to idle followed by more work resets the confirmation
+        mockCdpHandler.agentState = 'idle';
+        await runner.checkSilence();
+        mockCdpHandler.agentState = 'waiting-for-approval';
+        await runner.checkSilence();
+        mockCdpHandler.agentState = 'idle';
+        await runner.checkSilence();
+        assert.strictEqual(runner.queueIndex, 0);
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task A');
+    });
+
+    await test('QueueRunner.checkSilence falls back to silence when agent state is unknown', async () => {
+        const scheduler = createRealScheduler();
+        const runner = scheduler.defaultQueue;
+        await scheduler.startQueue({ source: 'test' });
+
+        runner.taskStartTime = Date.now() - 60000;
+        runner.lastActivityTime = Date.now() - 40000;
+        await runner.checkSilence();
+        assert.strictEqual(runner.queueIndex, 1);
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task B');
+    });
+
+    await test('QueueRunner.checkSilence ignores agent state in silence mode', async () => {
+        mockConfig.completionDetection = 'silence';
+        const scheduler = createRealScheduler();
+        const runner = scheduler.defaultQueue;
+        await scheduler.startQueue({ source: 'test' });
+
+        runner.taskStartTime = Date.now() - 60000;
+        runner.lastActivityTime = Date.now() - 40000;
+        mockCdpHandler.agentState = 'generating';
+        await runner.checkSilence();
+        assert.strictEqual(runner.queueIndex, 1);
+    });
+
+    await test('QueueRunner stops the run when an item overruns its time budget', async () => {
+        mockConfig.maxDuration = 60;
+        mockConfig['escalation.steps'] = ['stop'];
+        const scheduler = createRealScheduler();
+        const runner = scheduler.defaultQueue;
+        await scheduler.startQueue({ source: 'test' });
+
+        // Still busy, so only the time budget can end the item
+        runner.taskStartTime = Date.now() - 90000;
+        mockCdpHandler.agentState = 'generating';
+        await runner.checkSilence();
+
+        assert.strictEqual(runner.isRunningQueue, false);
+        assert.strictEqual(runner.isStopped, true);
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task A');
+        const run = runner.journal.getRun();
+        assert.strictEqual(run.status, 'stopped');
+        assert.strictEqual(run.stopReason, 'escalation: Time budget of 60s exceeded');
+        assert.strictEqual(run.items[0].status, 'failed');
+        assert.deepStrictEqual(run.items[0].escalations.map(e => e.step), ['stop']);
+        assert.strictEqual(run.items[1].status, 'pending');
+    });
+
+    await test('QueueRunner starts each item at the top of the escalation ladder unless carryOver is set', async () => {
+        mockConfig.maxDuration = 60;
+        mockConfig['escalation.steps'] = ['skip', 'stop'];
+        const overrun = async runner => {
+            runner.taskStartTime = Date.now() - 90000;
+            mockCdpHandler.agentState = 'generating';
+            await runner.checkSilence();
+        };
+
+        let scheduler = createRealScheduler();
+        let runner = scheduler.defaultQueue;
+        await scheduler.startQueue({ source: 'test' });
+        await overrun(runner);
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task B');
+        await overrun(runner);
+        let run = runner.journal.getRun();
+        assert.strictEqual(run.stopReason, undefined);
+        assert.deepStrictEqual(run.items.map(item => item.escalations.map(e => e.step)), [['skip'], ['skip']]);
+
+        // With carryOver the second item goes on from the step after the skip
+        mockConfig['escalation.carryOver'] = true;
+        scheduler = createRealScheduler();
+        runner = scheduler.defaultQueue;
+        await scheduler.startQueue({ source: 'test' });
+        await overrun(runner);
+        await overrun(runner);
+        run = runner.journal.getRun();
+        assert.strictEqual(run.status, 'stopped');
+        assert.strictEqual(run.stopReason, 'escalation: Time budget of 60s exceeded');
+        assert.deepStrictEqual(run.items.map(item => item.escalations.map(e => e.step)), [['skip'], ['stop']]);
+        assert.strictEqual(runner.isRunningQueue, false);
+    });
+
+    await test('QueueRunner stops mid-item when a quota poll finds the run budget used up', async () => {
+        mockConfig['budget.perRun'] = 5;
+        let credits = 100;
+        const snapshot = () => ({ timestamp: new Date(), promptCredits: { available: credits, monthly: 1000 }, models: [] });
+        const scheduler = createRealScheduler(undefined, { getQuotaSnapshot: async () => snapshot() });
+        const runner = scheduler.defaultQueue;
+        await scheduler.startQueue({ source: 'test' });
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task A');
+
+        credits = 97;
+        await scheduler.refreshBudgets(snapshot());
+        assert.strictEqual(runner.isRunningQueue, true);
+        assert.strictEqual(runner.budgetState.run.remaining, 2);
+
+        credits = 94;
+        await scheduler.refreshBudgets(snapshot());
+        assert.strictEqual(runner.isRunningQueue, false);
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task A');
+        const run = runner.journal.getRun();
+        assert.strictEqual(run.status, 'stopped');
+        assert.strictEqual(run.stopReason, 'budget: Run budget of 5 credits reached (6 credits spent)');
+        assert.strictEqual(run.items[0].status, 'failed');
+        // Both polls were counted once for the day
+        assert.strictEqual(scheduler.dailySpend.spent.credits, 6);
+        assert.strictEqual(scheduler.dailySpend.last.promptCredits.available, 94);
+    });
+
+    await test('QueueRunner checks the budget before sending the next item', async () => {
+        mockConfig['budget.perRun'] = 5;
+        let credits = 100;
+        const scheduler = createRealScheduler(undefined, {
+            getQuotaSnapshot: async () => ({ timestamp: new Date(), promptCredits: { available: credits, monthly: 1000 }, models: [] })
+        });
+        const runner = scheduler.defaultQueue;
+        await scheduler.startQueue({ source: 'test' });
+
+        // The first item used more than the run may spend; the second is not sent
+        credits = 94;
+        runner.taskStartTime = Date.now() - 60000;
+        runner.lastActivityTime = Date.now() - 40000;
+        await runner.checkSilence();
+
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task A');
+        const run = runner.journal.getRun();
+        assert.strictEqual(run.status, 'stopped');
+        assert.strictEqual(run.stopReason, 'budget: Run budget of 5 credits reached (6 credits spent)');
+        assert.deepStrictEqual(run.items.map(item => item.status), ['completed', 'pending']);
+        assert.strictEqual(scheduler.history.query({ runId: run.runId }).cost.credits, 6);
+    });
+
+    await test('Scheduler.applyModelSwitch logs a switch only when the model changed', async () => {
+        const scheduler = createRealScheduler();
+        let selected = { switched: false, label: 'Model B', previous: 'Model B' };
+        scheduler.cdpHandler = { ...mockCdpHandler, selectModel: async () => selected };
+        const notifications = [];
+        const originalInfo = mockVscode.window.showInformationMessage;
+        mockVscode.window.showInformationMessage = message => notifications.push(message);
+        try {
+            // Already selected: nothing changed, nothing to report
+            scheduler.requestModelSwitch('Model B', 'quota low', { from: 'Model A' });
+            assert.strictEqual(await scheduler.applyModelSwitch(), true);
+            assert.strictEqual(scheduler.history.query({ kind: 'modelSwitch' }).total, 0);
+            assert.deepStrictEqual(notifications, []);
+            assert.strictEqual(scheduler.fallbackOrigin, 'Model A');
+
+            selected = { switched: true, label: 'Model A', previous: 'Model B' };
+            scheduler.requestModelSwitch('Model A', 'quota reset', { restore: true });
+            assert.strictEqual(await scheduler.applyModelSwitch(), true);
+            const { entries } = scheduler.history.query({ kind: 'modelSwitch' });
+            assert.deepStrictEqual(entries.map(e => [e.text, e.status]), [['Model switch: Model B → Model A (quota reset)', 'completed']]);
+            assert.strictEqual(notifications.length, 1);
+            assert.strictEqual(scheduler.fallbackOrigin, null);
+        } finally {
+            mockVscode.window.showInformationMessage = originalInfo;
+        }
+    });
+
+    await test('Scheduler.resumeInterruptedRun waits for an item sent before the reload', async () => {
+        const context = createMementoContext();
+        await createRealScheduler(context).startQueue({ source: 'test' });
+        const sendCount = mockCdpHandler.sendCount;
+
+        // A new Scheduler on the same globalState, as after a window reload
+        const scheduler = createRealScheduler(context);
+        const interrupted = scheduler.getInterruptedRuns();
+        assert.strictEqual(interrupted.length, 1);
+        assert.strictEqual(interrupted[0].run.items[0].status, 'sent');
+
+        assert.strictEqual(await scheduler.resumeInterruptedRun(interrupted[0].run, interrupted[0].queue), true);
+        const runner = scheduler.defaultQueue;
+        assert.strictEqual(mockCdpHandler.sendCount, sendCount);
+        assert.strictEqual(runner.isRunningQueue, true);
+        assert.strictEqual(runner.hasSentCurrentItem, true);
+        assert.strictEqual(runner.journal.getRun().runId, interrupted[0].run.runId);
+
+        // The resumed item finishes like any other and the run continues
+        mockCdpHandler.agentState = 'generating';
+        await runner.checkSilence();
+        mockCdpHandler.agentState = 'idle';
+        await runner.checkSilence();
+        await runner.checkSilence();
+        assert.strictEqual(mockCdpHandler.sendCount, sendCount + 1);
+        assert.strictEqual(mockCdpHandler.lastPrompt, 'Task B');
+        assert.deepStrictEqual(runner.journal.getRun().items.map(item => item.status), ['completed', 'sent']);
+    });
+
+    await test('parseQueueFile reads markdown list items and headings', async () => {
+        const { parseQueueFile } = require('../main_scripts/queue');
+        const md = [
+            '# Sprint',
+            '',
+            '- [ ] Add login page',
+            '  with remember-me',
+            '- [x] Already done',
+            '- Plain bullet',
+            '',
+            '## Refactor auth',
+            'Split the module.',
+            '',
+            '## Section',
+            '* [ ] Under section',
+            '',
+            '```',
+            '- not an item',
+            '```'
+        ].join('\n');
+
+        const entries = parseQueueFile(md, 'markdown');
+
+        assert.deepStrictEqual(entries.map(e => e.item.text), [
+            'Add login page\nwith remember-me', 'Already done', 'Plain bullet', 'Split the module.', 'Under section'
+        ]);
+        assert.deepStrictEqual(entries.map(e => e.done), [false, true, false, false, false]);
+        assert.strictEqual(entries[3].item.title, 'Refactor auth');
+        assert.strictEqual(entries[0].line, 2);
+        // Ids are derived from the text, so re-parsing keeps them stable
+        assert.strictEqual(parseQueueFile(md, 'markdown')[0].item.id, entries[0].item.id);
+    });
+
+    await test('setItemDone checks off markdown items in place and resetDone clears them', async () => {
+        const { parseQueueFile, setItemDone, resetDone } = require('../main_scripts/queue');
+        const md = '# Queue\n\n- [ ] Task A\n- Task B\n\n## Heading task\nBody\n';
+        const [a, b, heading] = parseQueueFile(md, 'markdown');
+
+        let updated = setItemDone(md, 'markdown', a.item.id);
+        updated = setItemDone(updated, 'markdown', b.item.id);
+        updated = setItemDone(updated, 'markdown', heading.item.id);
+
+        assert.strictEqual(updated, '# Queue\n\n- [x] Task A\n- [x] Task B\n\n## [x] Heading task\nBody\n');
+        assert.strictEqual(setItemDone(updated, 'markdown', 'missing'), null);
+        assert.strictEqual(resetDone(updated, 'markdown'), '# Queue\n\n- [ ] Task A\n- [ ] Task B\n\n## [ ] Heading task\nBody\n');
+    });
+
+    await test('parseQueueFile reads YAML items and setItemDone writes done flags', async () => {
+        const { parseQueueFile, setItemDone } = require('../main_scripts/queue');
+        const yaml = [
+            'items:',
+            '  - Simple task',
+            '  - text: |',
+            '      Multi line',
+            '      prompt',
+            '    maxDuration: 600',
+            '    checkPrompt:',
+            '      enabled: false',
+            '  - text: "Fix bug: crash"',
+            '    done: true',
+            'other: 1'
+        ].join('\n');
+
+        const entries = parseQueueFile(yaml, 'yaml');
+        assert.deepStrictEqual(entries.map(e => e.item.text), ['Simple task', 'Multi line\nprompt', 'Fix bug: crash']);
+        assert.strictEqual(entries[1].item.maxDuration, 600);
+        assert.deepStrictEqual(entries[1].item.checkPrompt, { enabled: false, text: '' });
+        assert.deepStrictEqual(entries.map(e => e.done), [false, false, true]);
+
+        let updated = setItemDone(yaml, 'yaml', entries[0].item.id);
+        updated = setItemDone(updated, 'yaml', entries[1].item.id);
+        const reparsed = parseQueueFile(updated, 'yaml');
+        assert.deepStrictEqual(reparsed.map(e => e.done), [true, true, true]);
+        assert.strictEqual(reparsed[0].item.id, entries[0].item.id);
+        assert.ok(updated.endsWith('other: 1'));
+    });
+
+    await test('RunJournal syncItems keeps finished entries and replaces pending ones', async () => {
+        const { RunJournal } = require('../main_scripts/queue');
+        const journal = new RunJournal(createMemento());
+
+        await journal.begin([{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }]);
+        await journal.markItem(0, 'sent');
+        await journal.syncItems([{ id: 'a', text: 'A' }, { id: 'c', text: 'C' }, { id: 'd', text: 'D' }], 1);
+
+        const items = journal.getRun().items;
+        assert.deepStrictEqual(items.map(e => e.item.id), ['a', 'c', 'd']);
+        assert.deepStrictEqual(items.map(e => e.status), ['sent', 'pending', 'pending']);
+    });
+
+    await test('parseCron accepts ranges, steps, names and macros and rejects bad fields', async () => {
+        const { parseCron, validateCron } = require('../main_scripts/schedule');
+
+        const weekdays = parseCron('*/15 9-17 * JAN-MAR mon-fri');
+        assert.deepStrictEqual([...weekdays.minutes], [0, 15, 30, 45]);
+        assert.deepStrictEqual([...weekdays.months], [1, 2, 3]);
+        assert.deepStrictEqual([...weekdays.daysOfWeek], [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+        assert.strictEqual(parseCron('@hourly').hours.size, 24);
+
+        assert.strictEqual(validateCron('0 9 * *').valid, false);
+        assert.strictEqual(validateCron('60 * * * *').valid, false);
+        assert.strictEqual(validateCron('0 9 * * FOO').valid, false);
+        assert.strictEqual(validateCron('0 9 * * 1-5').valid, true);
+    });
+
+    await test('getNextFireTime computes weekday and day-of-month/day-of-week fires', async () => {
+        const { getNextFireTime, getNextFireTimes } = require('../main_scripts/schedule');
+
+        // Friday 2026-01-02 10:00 local -> next weekday 09:00 is Monday
+        const next = getNextFireTime('0 9 * * 1-5', new Date(2026, 0, 2, 10, 0));
+        assert.strictEqual(next.getTime(), new Date(2026, 0, 5, 9, 0).getTime());
+
+        // Restricted day-of-month and day-of-week match when either does
+        const times = getNextFireTimes('0 0 13 * 5', 3, new Date(2026, 0, 1));
+        assert.deepStrictEqual(times.map(d => d.getDate()), [2, 9, 13]);
+
+        assert.strictEqual(getNextFireTime('0 0 31 2 *', new Date(2026, 0, 1)), null);
+    });
+
+    await test('countFireTimesBetween reports fires missed during sleep', async () => {
+        const { countFireTimesBetween, dailyToCron } = require('../main_scripts/schedule');
+
+        const asleepFrom = new Date(2026, 0, 5, 8, 0);
+        const wokeAt = new Date(2026, 0, 5, 12, 30);
+        assert.strictEqual(countFireTimesBetween('0 * * * *', asleepFrom, wokeAt), 4);
+        assert.strictEqual(countFireTimesBetween('0 9 * * *', asleepFrom, asleepFrom), 0);
+
+        assert.strictEqual(dailyToCron('09:05'), '5 9 * * *');
+        assert.strictEqual(dailyToCron('25:00'), null);
+    });
+
+    await test('normalizeNamedQueues keeps valid, uniquely named queues', async () => {
+        const { normalizeNamedQueues, namedQueuesNeedMigration, getQueueJournalKey, RUN_JOURNAL_KEY } = require('../main_scripts/queue');
+        const raw = [
+            { name: 'backend', targetConversation: ' API work ', prompts: ['Add endpoint'], queueMode: 'loop' },
+            { name: 'backend', prompts: ['Duplicate'] },
+            { name: 'default', prompts: ['Reserved'] },
+            { prompts: ['No name'] },
+            { name: 'docs', prompts: [{ id: 'd1', text: 'Write docs' }], queueMode: 'bogus' }
+        ];
+
+        const queues = normalizeNamedQueues(raw);
+        assert.deepStrictEqual(queues.map(q => q.name), ['backend', 'docs']);
+        assert.strictEqual(queues[0].targetConversation, 'API work');
+        assert.strictEqual(queues[0].prompts[0].text, 'Add endpoint');
+        assert.ok(queues[0].prompts[0].id);
+        assert.strictEqual(queues[0].queueMode, 'loop');
+        assert.strictEqual(queues[1].queueMode, null);
+
+        assert.strictEqual(namedQueuesNeedMigration(raw), true);
+        assert.strictEqual(namedQueuesNeedMigration(queues), false);
+        assert.strictEqual(getQueueJournalKey('default'), RUN_JOURNAL_KEY);
+        assert.notStrictEqual(getQueueJournalKey('backend'), RUN_JOURNAL_KEY);
+    });
+
+    await test('matchesConversation uses the same loose match as tab switching', async () => {
+        const { matchesConversation } = require('../main_scripts/queue');
+        assert.strictEqual(matchesConversation('Refactor parser 2m', ''), true);
+        assert.strictEqual(matchesConversation('Refactor parser 2m', 'Refactor parser'), true);
+        assert.strictEqual(matchesConversation('Fix tests', 'Refactor parser'), false);
+        assert.strictEqual(matchesConversation('', 'Refactor parser'), false);
+    });
+
+    await test('CDPHandler.sendPrompt serializes deliveries', async () => {
+        const { CDPHandler } = require('../main_scripts/cdp-handler');
+        const handler = new CDPHandler(() => { });
+        handler.connections.set('9004:page-1', { ws: null, injected: true });
+
+        const events = [];
+        handler._sendPromptV2 = async (text, target) => {
+            events.push(`start:${target}`);
+            await new Promise(r => setTimeout(r, 20));
+            events.push(`end:${target}`);
+            return 1;
+        };
+
+        const results = await Promise.all([
+            handler.sendPrompt('First', 'conv-a'),
+            handler.sendPrompt('Second', 'conv-b')
+        ]);
+
+        assert.deepStrictEqual(results, [1, 1]);
+        assert.deepStrictEqual(events, ['start:conv-a', 'end:conv-a', 'start:conv-b', 'end:conv-b']);
+    });
+
+    await test('validateTemplate reports unknown variables and bad arguments', async () => {
+        const { parseTemplate, validateTemplate } = require('../main_scripts/queue');
+        assert.deepStrictEqual(parseTemplate('Task ${taskIndex}: ${file: docs/a.md} $${date}'), [
+            { raw: '${taskIndex}', name: 'taskIndex', arg: null },
+            { raw: '${file: docs/a.md}', name: 'file', arg: 'docs/a.md' }
+        ]);
+
+        assert.strictEqual(validateTemplate('On ${gitBranch} at ${date}').valid, true);
+        assert.strictEqual(validateTemplate('Literal $${whatever}').valid, true);
+
+        const result = validateTemplate('${branch} ${file} ${date:iso} ${branch}');
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.errors.length, 3);
+        assert.ok(result.errors[0].includes('Unknown variable ${branch}'));
+    });
+
+    await test('renderTemplate resolves each token once and keeps escapes', async () => {
+        const { renderTemplate } = require('../main_scripts/queue');
+        let calls = 0;
+        const text = await renderTemplate('Check: ${previousResponse}\n---\n${previousResponse} $${taskIndex} (${taskIndex})', {
+            previousResponse: async () => { calls++; return 'Done.'; },
+            taskIndex: () => 2
+        });
+        assert.strictEqual(text, 'Check: Done.\n---\nDone. ${taskIndex} (2)');
+        assert.strictEqual(calls, 1);
+
+        await assert.rejects(() => renderTemplate('${nope}', {}), /Unknown variable/);
+        await assert.rejects(() => renderTemplate('${date}', {}), /not available/);
+    });
+
+    await test('readGitBranch and readWorkspaceFile read from the workspace', async () => {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        const { readGitBranch, readWorkspaceFile } = require('../main_scripts/queue');
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-template-'));
+        try {
+            assert.strictEqual(readGitBranch(root), '');
+            fs.mkdirSync(path.join(root, '.git'));
+            fs.writeFileSync(path.join(root, '.git', 'HEAD'), 'ref: refs/heads/feature/queue\n');
+            assert.strictEqual(readGitBranch(root), 'feature/queue');
+
+            fs.writeFileSync(path.join(root, 'spec.md'), '# Spec');
+            assert.strictEqual(readWorkspaceFile(root, 'spec.md'), '# Spec');
+            assert.throws(() => readWorkspaceFile(root, '../outside.md'), /outside the workspace/);
+            assert.throws(() => readWorkspaceFile(root, 'missing.md'), /file not found/);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    await test('Retry policy backs off exponentially up to maxDelay', async () => {
+        const { normalizeRetryPolicy, getMaxAttempts, getRetryDelay } = require('../main_scripts/queue');
+        const policy = normalizeRetryPolicy({ maxAttempts: 4, initialDelay: 5, maxDelay: 30, onFailure: 'skip' });
+        assert.deepStrictEqual([1, 2, 3, 4].map(n => getRetryDelay(policy, n)), [5000, 10000, 20000, 30000]);
+        assert.strictEqual(getMaxAttempts(policy, null), 4);
+        assert.strictEqual(getMaxAttempts(policy, 0), 1);
+        assert.strictEqual(getMaxAttempts(policy, 2), 3);
+
+        const fallback = normalizeRetryPolicy({ maxAttempts: 0, initialDelay: -1, maxDelay: 'x', onFailure: 'explode' });
+        assert.deepStrictEqual(fallback, { maxAttempts: 5, initialDelay: 5, maxDelay: 300, onFailure: 'pause' });
+    });
+
+    await test('CDPHandler.deliverPrompt reports the send error', async () => {
+        const { CDPHandler } = require('../main_scripts/cdp-handler');
+        const handler = new CDPHandler(() => { });
+
+        assert.deepStrictEqual(await handler.deliverPrompt('Hello'), { sent: 0, error: 'No CDP connections available' });
+
+        handler.connections.set('9004:page-1', { ws: null, injected: true });
+        handler._evaluate = async () => ({ result: { value: JSON.stringify({ hasInput: false, score: 0 }) } });
+        assert.deepStrictEqual(await handler.deliverPrompt('Hello'), { sent: 0, error: 'No connection reports a prompt input' });
+        assert.strictEqual(await handler.sendPrompt('Hello'), 0);
+    });
+
+    await test('buildRunReport summarizes items and quota used', async () => {
+        const { RunJournal, buildRunReport, formatRunReportMarkdown, summarizeQuotaSnapshot } = require('../main_scripts/queue');
+        const journal = new RunJournal(null);
+        await journal.begin([
+            { type: 'task', id: 'a', text: 'Build it', index: 0, item: { title: 'Build' } },
+            { type: 'check', id: 'a', text: 'Check | it', afterIndex: 0, item: { title: 'Build' } },
+            { type: 'task', id: 'b', text: 'Ship it', index: 1, item: {} }
+        ]);
+        const snapshot = available => summarizeQuotaSnapshot({
+            timestamp: new Date(),
+            promptCredits: { available, monthly: 1000 },
+            models: [{ label: 'Model A', modelId: 'a', remainingPercentage: available / 10 }]
+        });
+        await journal.setQuotaBefore(snapshot(600));
+        await journal.markItem(0, 'sent');
+        await journal.recordItem(0, { attempts: 3, clicks: 4, blocked: 1 });
+        await journal.markItem(0, 'completed');
+        await journal.markItem(1, 'completed');
+        await journal.markItem(2, 'failed', 'No connection reports a prompt input');
+        await journal.finish('completed');
+
+        const report = buildRunReport(journal.getRun(), { queueName: 'default', quotaAfter: snapshot(550) });
+        assert.strictEqual(report.items.length, 3);
+        assert.strictEqual(report.items[0].retries, 2);
+        assert.strictEqual(report.items[0].clicks, 4);
+        assert.strictEqual(report.items[2].error, 'No connection reports a prompt input');
+        assert.deepStrictEqual(report.totals, { clicks: 4, blocked: 1, retries: 2, fixes: 0, diagnostics: 0, escalations: 0, statuses: { completed: 2, failed: 1 }, cost: null });
+        assert.strictEqual(report.quota.consumed.promptCredits.used, 50);
+        assert.strictEqual(report.quota.consumed.models[0].used, 5);
+
+        const markdown = formatRunReportMarkdown(report);
+        assert.ok(markdown.includes('| 2 | Check: Check \\| it | completed |'));
+        assert.ok(markdown.includes('600 → 550 (50 used)'));
+    });
+
+    await test('Run report without quota snapshots', async () => {
+        const { buildRunReport, formatRunReportMarkdown } = require('../main_scripts/queue');
+        const run = { runId: 'run-x', status: 'completed', startedAt: 1000, endedAt: 61000, queueMode: 'consume', items: [] };
+        const report = buildRunReport(run, { queueName: 'docs' });
+        assert.strictEqual(report.durationMs, 60000);
+        assert.strictEqual(report.quota.consumed, null);
+        const markdown = formatRunReportMarkdown(report);
+        assert.ok(markdown.startsWith('# Queue Run Report: docs'));
+        assert.ok(markdown.includes('Quota snapshots were not available'));
+    });
+
+    await test('buildCheckpointMessage derives the commit from the task', async () => {
+        const { buildCheckpointMessage } = require('../main_scripts/queue');
+        const message = buildCheckpointMessage({
+            item: { title: '', text: '  \nAdd a login page with email and password fields, validation and tests\nUse the existing form components' },
+            taskNumber: 3,
+            taskCount: 12,
+            queueName: 'frontend',
+            runId: 'run-abc',
+            outcome: 'failed',
+            reason: 'Max duration (600s) exceeded'
+        });
+        const lines = message.split('\n');
+        assert.ok(lines[0].startsWith('Queue task 3/12: Add a login page'));
+        assert.ok(lines[0].length <= 72);
+        assert.ok(lines[0].endsWith('...'));
+        assert.ok(message.includes('Use the existing form components'));
+        assert.ok(message.endsWith('Queue: frontend\nRun: run-abc\nStatus: failed (Max duration (600s) exceeded)'));
+
+        assert.strictEqual(buildCheckpointMessage({ item: { title: 'Docs', text: 'Write docs' }, taskNumber: 1, taskCount: 1, queueName: 'default' }), 'Queue task 1/1: Docs\n\nWrite docs');
+    });
+
+    await test('commitCheckpoint stages everything and skips clean trees', async () => {
+        const { commitCheckpoint } = require('../main_scripts/queue');
+        const calls = [];
+        let pending = [];
+        const repository = {
+            state: { get indexChanges() { return pending; } },
+            add: async paths => { calls.push(['add', paths]); },
+            commit: async message => { calls.push(['commit', message]); pending = []; },
+            getCommit: async ref => ({ hash: `sha-of-${ref}` })
+        };
+
+        assert.strictEqual(await commitCheckpoint(repository, 'Nothing'), null);
+        pending = ['src/app.js'];
+        assert.strictEqual(await commitCheckpoint(repository, 'Queue task 1/1: App'), 'sha-of-HEAD');
+        assert.deepStrictEqual(calls, [['add', []], ['add', []], ['commit', 'Queue task 1/1: App']]);
+    });
+
+    await test('trimOutput keeps the tail of the test output', async () => {
+        const { trimOutput } = require('../main_scripts/queue');
+        const output = Array.from({ length: 100 }, (_, i) => `\u001b[31mline ${i + 1}\u001b[0m`).join('\r\n') + '\n';
+        const trimmed = trimOutput(output, 10);
+        const lines = trimmed.split('\n');
+        assert.strictEqual(lines[0], '... (90 earlier lines omitted)');
+        assert.strictEqual(lines[1], 'line 91');
+        assert.strictEqual(lines[lines.length - 1], 'line 100');
+        assert.ok(!trimmed.includes('\u001b'));
+
+        assert.strictEqual(trimOutput('ok'), 'ok');
+        assert.ok(trimOutput('x'.repeat(50) + '\n' + 'y'.repeat(50), 80, 60).endsWith('y'.repeat(50)));
+    });
+
+    await test('buildFixPrompt includes the command, status and output', async () => {
+        const { buildFixPrompt, DEFAULT_FIX_PROMPT } = require('../main_scripts/queue');
+        const prompt = buildFixPrompt({
+            command: 'npm test',
+            result: { passed: false, exitCode: 1, timedOut: false, output: 'FAIL login.test.js\n  expected 200, got 500', durationMs: 4200 },
+            iteration: 2,
+            maxIterations: 3
+        });
+        assert.ok(prompt.startsWith(DEFAULT_FIX_PROMPT));
+        assert.ok(prompt.includes('Command: `npm test` (exited with code 1, fix attempt 2/3)'));
+        assert.ok(prompt.includes('```\nFAIL login.test.js\n  expected 200, got 500\n```'));
+
+        const timedOut = buildFixPrompt({
+            command: 'make check',
+            result: { passed: false, exitCode: null, timedOut: true, output: '', durationMs: 60000 },
+            intro: 'Tests hang, find out why.',
+            iteration: 1,
+            maxIterations: 1
+        });
+        assert.ok(timedOut.startsWith('Tests hang, find out why.'));
+        assert.ok(timedOut.includes('timed out after 60s'));
+        assert.ok(timedOut.includes('(no output)'));
+    });
+
+    await test('runTestCommand reports exit codes, output and timeouts', async () => {
+        const { runTestCommand } = require('../main_scripts/queue');
+        const node = JSON.stringify(process.execPath);
+
+        const passing = await runTestCommand(`${node} -e "console.log('all good')"`, { timeoutMs: 20000 });
+        assert.strictEqual(passing.passed, true);
+        assert.strictEqual(passing.exitCode, 0);
+        assert.ok(passing.output.includes('all good'));
+
+        const failing = await runTestCommand(`${node} -e "console.error('1 failing'); process.exit(3)"`, { timeoutMs: 20000 });
+        assert.strictEqual(failing.passed, false);
+        assert.strictEqual(failing.exitCode, 3);
+        assert.ok(failing.output.includes('1 failing'));
+
+        const hanging = await runTestCommand(`${node} -e "setTimeout(() => {}, 60000)"`, { timeoutMs: 500 });
+        assert.strictEqual(hanging.passed, false);
+        assert.strictEqual(hanging.timedOut, true);
+        assert.ok(hanging.durationMs < 20000);
+
+        const controller = new AbortController();
+        const pending = runTestCommand(`${node} -e "setTimeout(() => {}, 60000)"`, { signal: controller.signal });
+        setTimeout(() => controller.abort(), 200);
+        const aborted = await pending;
+        assert.strictEqual(aborted.aborted, true);
+        assert.strictEqual(aborted.passed, false);
+    });
+
+    await test('findNewDiagnostics reports problems added in changed files', async () => {
+        const { snapshotDiagnostics, findNewDiagnostics } = require('../main_scripts/queue');
+        const uri = fsPath => ({ scheme: 'file', fsPath });
+        const diagnostic = (line, message, severity = 0) => ({ range: { start: { line, character: 4 } }, message, severity, source: 'ts', code: { value: 2304 } });
+
+        const before = snapshotDiagnostics([
+            [uri('/ws/a.ts'), [diagnostic(3, "Cannot find name 'x'.")]],
+            [uri('/ws/b.ts'), [diagnostic(1, 'Unused variable', 1)]]
+        ]);
+        const after = snapshotDiagnostics([
+            [uri('/ws/a.ts'), [diagnostic(9, "Cannot find name 'x'."), diagnostic(12, "Cannot find name 'y'.")]],
+            [uri('/ws/b.ts'), [diagnostic(1, 'Unused variable', 1), diagnostic(5, 'Type mismatch')]],
+            [uri('/ws/c.ts'), [diagnostic(0, 'Syntax error')]],
+            [{ scheme: 'git', fsPath: '/ws/a.ts' }, [diagnostic(0, 'Ignored')]]
+        ]);
+        assert.strictEqual(before.length, 2);
+        assert.strictEqual(after.length, 5);
+        assert.deepStrictEqual(after[0], { file: '/ws/a.ts', line: 10, column: 5, severity: 'error', message: "Cannot find name 'x'.", source: 'ts', code: '2304' });
+
+        // The moved error in a.ts is not new; c.ts was not changed by the task
+        const added = findNewDiagnostics(before, after, ['/ws/a.ts', '/ws/b.ts']);
+        assert.deepStrictEqual(added.map(d => `${d.file}:${d.line} ${d.message}`), ["/ws/a.ts:13 Cannot find name 'y'.", '/ws/b.ts:6 Type mismatch']);
+        assert.strictEqual(findNewDiagnostics(before, after).length, 3);
+
+        const errorsOnly = snapshotDiagnostics([[uri('/ws/b.ts'), [diagnostic(1, 'Unused variable', 1), diagnostic(5, 'Type mismatch')]]], 'error');
+        assert.deepStrictEqual(errorsOnly.map(d => d.message), ['Type mismatch']);
+    });
+
+    await test('buildDiagnosticsPrompt lists file:line with relative paths', async () => {
+        const path = require('path');
+        const { buildDiagnosticsPrompt, DEFAULT_DIAGNOSTICS_PROMPT } = require('../main_scripts/queue');
+        const root = path.join(path.sep, 'ws');
+        const entry = (file, line, message) => ({ file: path.join(root, file), line, column: 1, severity: 'error', message, source: 'eslint', code: 'no-undef' });
+        const prompt = buildDiagnosticsPrompt({
+            diagnostics: [entry('src/app.js', 4, "'foo' is not\n defined.")],
+            root,
+            iteration: 1,
+            maxIterations: 5
+        });
+        assert.strictEqual(prompt, `${DEFAULT_DIAGNOSTICS_PROMPT}\n\nNew problems (1, follow-up 1/5):\n- src/app.js:4:1 error: 'foo' is not defined. (eslint no-undef)`);
+
+        const many = buildDiagnosticsPrompt({
+            diagnostics: Array.from({ length: 60 }, (_, i) => entry('a.js', i + 1, 'Oops')),
+            root,
+            intro: 'Fix these.',
+            iteration: 2,
+            maxIterations: 2
+        });
+        assert.ok(many.startsWith('Fix these.'));
+        assert.ok(many.endsWith('- ... and 10 more'));
+    });
+
+    await test('applyQueueEdit inserts, appends and moves items by id', async () => {
+        const { applyQueueEdit } = require('../main_scripts/queue');
+        const items = normalizeQueueItems([{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }, { id: 'c', text: 'C' }]);
+        const ids = list => list.map(item => item.id);
+
+        const next = applyQueueEdit(items, { op: 'insertNext', item: 'Urgent' }, { currentId: 'b' });
+        assert.deepStrictEqual(ids(next.items), ['a', 'b', next.item.id, 'c']);
+        assert.strictEqual(next.item.text, 'Urgent');
+        assert.ok(next.item.id && next.item.enabled);
+        assert.deepStrictEqual(ids(items), ['a', 'b', 'c'], 'input list is not modified');
+
+        // Idle queue (or current item already gone): insertNext goes first
+        assert.strictEqual(applyQueueEdit(items, { op: 'insertNext', item: 'X' }).items[0].text, 'X');
+        assert.strictEqual(applyQueueEdit(items, { op: 'insertNext', item: 'X' }, { currentId: 'gone' }).items[0].text, 'X');
+
+        const appended = applyQueueEdit(items, { op: 'append', item: { text: 'D', title: 'Last' } });
+        assert.deepStrictEqual(appended.items.map(item => item.title || item.text), ['A', 'B', 'C', 'Last']);
+
+        assert.deepStrictEqual(ids(applyQueueEdit(items, { op: 'move', id: 'c', beforeId: 'a' }).items), ['c', 'a', 'b']);
+        assert.deepStrictEqual(ids(applyQueueEdit(items, { op: 'move', id: 'a', beforeId: null }).items), ['b', 'c', 'a']);
+        assert.deepStrictEqual(ids(applyQueueEdit(items, { op: 'move', id: 'a', toIndex: 1 }).items), ['b', 'a', 'c']);
+        assert.deepStrictEqual(ids(applyQueueEdit(items, { op: 'move', id: 'b', toIndex: 99 }).items), ['a', 'c', 'b']);
+    });
+
+    await test('applyQueueEdit updates and deletes by id and rejects bad edits', async () => {
+        const { applyQueueEdit } = require('../main_scripts/queue');
+        const items = normalizeQueueItems([{ id: 'a', text: 'A' }, { id: 'b', text: 'B', retryCount: 2 }]);
+
+        const updated = applyQueueEdit(items, { op: 'update', id: 'b', changes: { text: 'B2', enabled: false, id: 'other' } });
+        assert.strictEqual(updated.item.id, 'b');
+        assert.strictEqual(updated.item.text, 'B2');
+        assert.strictEqual(updated.item.enabled, false);
+        assert.strictEqual(updated.item.retryCount, 2, 'fields not in changes are kept');
+        assert.strictEqual(updated.items[1], updated.item);
+
+        const deleted = applyQueueEdit(items, { op: 'delete', id: 'a' });
+        assert.deepStrictEqual(deleted.items.map(item => item.id), ['b']);
+        assert.strictEqual(deleted.item.text, 'A');
+
+        assert.throws(() => applyQueueEdit(items, { op: 'delete', id: 'missing' }), /no item with id "missing"/);
+        assert.throws(() => applyQueueEdit(items, { op: 'move', id: 'a', beforeId: 'missing' }), /no item with id/);
+        assert.throws(() => applyQueueEdit(items, { op: 'update', id: 'a', changes: { text: '  ' } }), /empty text/);
+        assert.throws(() => applyQueueEdit(items, { op: 'append', item: '' }), /no text/);
+        assert.throws(() => applyQueueEdit(items, { op: 'shuffle' }), /unknown operation "shuffle"/);
+    });
+
+    await test('PromptArchive keeps newest entries first and persists them', async () => {
+        const { PromptArchive, PROMPT_ARCHIVE_KEY, createArchiveEntry } = require('../main_scripts/queue');
+        const store = new Map();
+        const storage = { get: (key, fallback) => store.has(key) ? store.get(key) : fallback, update: async (key, value) => { store.set(key, value); } };
+        const archive = new PromptArchive(storage, () => { }, 3);
+
+        const entry = createArchiveEntry({ id: 'a', text: 'Task A', enabled: true }, { queue: 'default', conversation: 'Chat', outcome: 'failed', error: 'Timed out', runId: 'run-1', sentAt: 5 });
+        assert.ok(entry.id.startsWith('arc-'));
+        assert.deepStrictEqual({ ...entry, id: null, archivedAt: null }, {
+            id: null, item: { id: 'a', text: 'Task A', enabled: true }, queue: 'default', conversation: 'Chat',
+            outcome: 'failed', error: 'Timed out', runId: 'run-1', sentAt: 5, archivedAt: null, commit: null
+        });
+
+        await archive.add([entry]);
+        await archive.add(['B', 'C', 'D'].map(text => createArchiveEntry({ id: text, text: `Task ${text}` })));
+        assert.deepStrictEqual(archive.getEntries().map(e => e.item.id), ['D', 'C', 'B'], 'newest first, oldest dropped');
+        assert.strictEqual(store.get(PROMPT_ARCHIVE_KEY).length, 3);
+        assert.strictEqual(new PromptArchive(storage).getEntries().length, 3, 'reloaded from storage');
+
+        const removed = await archive.remove([archive.getEntries()[1].id, 'missing']);
+        assert.deepStrictEqual(removed.map(e => e.item.id), ['C']);
+        assert.strictEqual(archive.find(removed[0].id), null);
+        await archive.clear();
+        assert.deepStrictEqual(store.get(PROMPT_ARCHIVE_KEY), []);
+    });
+
+    await test('searchArchive matches every word across text, title, conversation and outcome', async () => {
+        const { searchArchive, createArchiveEntry } = require('../main_scripts/queue');
+        const entries = [
+            createArchiveEntry({ id: 'a', text: 'Refactor the Parser', title: 'Parser' }, { conversation: 'Backend', outcome: 'completed' }),
+            createArchiveEntry({ id: 'b', text: 'Write parser tests' }, { queue: 'qa', outcome: 'failed' }),
+            createArchiveEntry({ id: 'c', text: 'Update docs' }, { outcome: 'reset' })
+        ];
+        const ids = query => searchArchive(entries, query).map(e => e.item.id);
+        assert.deepStrictEqual(ids(''), ['a', 'b', 'c']);
+        assert.deepStrictEqual(ids('parser'), ['a', 'b']);
+        assert.deepStrictEqual(ids('PARSER failed'), ['b']);
+        assert.deepStrictEqual(ids('backend'), ['a']);
+        assert.deepStrictEqual(ids('qa'), ['b']);
+        assert.deepStrictEqual(ids('reset docs'), ['c']);
+        assert.deepStrictEqual(ids('nothing'), []);
+    });
+
+    await test('HistoryStore tracks the prompt lifecycle and persists to disk', async () => {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        const { HistoryStore } = require('../main_scripts/queue');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+        const file = path.join(dir, 'nested', 'prompt-history.json');
+        try {
+            const store = new HistoryStore(file, () => { }, 3);
+            const entry = store.add({ text: 'Task A '.repeat(40), conversation: 'Chat', queue: 'default', runId: 'run-1', itemId: 'a', attempts: 2 });
+            assert.strictEqual(entry.status, 'sent');
+            assert.strictEqual(entry.text.length, 280, 'full text is kept');
+            store.update(entry, { clicks: 4, blocked: 1 });
+            store.finish(entry, 'completed');
+            assert.strictEqual(entry.status, 'completed');
+            assert.ok(entry.durationMs >= 0 && entry.finishedAt >= entry.timestamp);
+            store.finish(entry, 'cancelled');
+            assert.strictEqual(entry.status, 'completed', 'a final status is not overwritten');
+
+            for (const text of ['B', 'C', 'D']) store.add({ text });
+            assert.deepStrictEqual(store.query().entries.map(e => e.text), ['D', 'C', 'B'], 'oldest dropped beyond the limit');
+
+            await store.flush();
+            const reloaded = new HistoryStore(file);
+            assert.strictEqual(reloaded.query().total, 3);
+            assert.strictEqual(reloaded.query({ text: 'c' }).entries[0].text, 'C');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    await test('filterHistory, paging and export', async () => {
+        const { HistoryStore, filterHistory, exportHistory } = require('../main_scripts/queue');
+        const store = new HistoryStore(null);
+        const day = Date.UTC(2026, 0, 10);
+        const seed = [
+            { text: 'Refactor parser', status: 'completed', queue: 'default', timestamp: day },
+            { text: 'Write "quoted", tests', status: 'failed', error: 'Timed out', queue: 'qa', timestamp: day + 3600000 },
+            { text: 'Docs\nupdate', status: 'skipped', queue: 'default', timestamp: day + 86400000 }
+        ];
+        for (const fields of seed) Object.assign(store.add(fields), { timestamp: fields.timestamp });
+
+        const texts = filter => filterHistory(store.entries, filter).map(e => e.text);
+        assert.deepStrictEqual(texts({ text: 'PARSER' }), ['Refactor parser']);
+        assert.deepStrictEqual(texts({ text: 'timed out' }), ['Write "quoted", tests'], 'errors are searched too');
+        assert.deepStrictEqual(texts({ status: ['completed', 'skipped'] }), ['Docs\nupdate', 'Refactor parser']);
+        assert.deepStrictEqual(texts({ queue: 'qa' }), ['Write "quoted", tests']);
+        assert.deepStrictEqual(texts({ since: '2026-01-10T00:30:00Z', until: day + 86400000 }), ['Write "quoted", tests']);
+
+        const page = store.query({ offset: 1, limit: 1 });
+        assert.deepStrictEqual({ total: page.total, offset: page.offset, limit: page.limit }, { total: 3, offset: 1, limit: 1 });
+        assert.strictEqual(page.entries[0].text, 'Write "quoted", tests');
+
+        const csv = store.export('csv', { status: 'failed' }).split('\r\n');
+        assert.ok(csv[0].startsWith('id,timestamp,finishedAt,durationMs,status,'));
+        assert.ok(csv[1].includes(',2026-01-10T01:00:00.000Z,'));
+        assert.ok(csv[1].endsWith(',Timed out,"Write ""quoted"", tests"'));
+        assert.strictEqual(csv.length, 3, 'header, one row, trailing newline');
+        assert.strictEqual(JSON.parse(exportHistory(store.entries, 'json')).length, 3);
+        assert.throws(() => exportHistory([], 'xml'), /Unknown history export format "xml"/);
+    });
+
+    await test('getLoopStopReason checks the marker, iterations and time budget', async () => {
+        const { getLoopStopReason, compileCompletionMarker, isLoopingMode } = require('../main_scripts/queue');
+        const config = { marker: 'ALL TASKS (COMPLETE|DONE)', maxIterations: 3, maxMinutes: 30 };
+        const startedAt = Date.UTC(2026, 0, 10, 9, 0);
+        const state = { response: 'Still working on task 2', cycle: 1, startedAt, now: startedAt + 10 * 60000 };
+
+        assert.strictEqual(getLoopStopReason(config, state), null);
+        assert.strictEqual(getLoopStopReason(config, { ...state, response: 'Done. ALL TASKS DONE' }), 'completion marker /ALL TASKS (COMPLETE|DONE)/ matched');
+        assert.strictEqual(getLoopStopReason(config, { ...state, response: 'all tasks complete' }), null, 'marker is case-sensitive');
+        assert.strictEqual(getLoopStopReason(config, { ...state, cycle: 3 }), 'reached 3 iterations');
+        assert.strictEqual(getLoopStopReason(config, { ...state, now: startedAt + 30 * 60000 }), 'time budget of 30 minutes used up');
+        assert.strictEqual(getLoopStopReason({ marker: '', maxIterations: 0, maxMinutes: 0 }, { ...state, cycle: 99, now: startedAt + 1e9 }), null, '0 = no limit');
+
+        assert.strictEqual(compileCompletionMarker(''), null);
+        assert.throws(() => compileCompletionMarker('ALL (TASKS'), /Invalid loop completion marker/);
+        assert.ok(isLoopingMode('loop') && isLoopingMode('loopUntil') && !isLoopingMode('consume'));
+    });
+
+    await test('Execution windows cross midnight and find the next opening', async () => {
+        const { parseExecutionWindows, isWithinWindows, getNextWindowStart } = require('../main_scripts/schedule');
+        const { windows, errors } = parseExecutionWindows([
+            { days: 'MON-FRI', start: '22:00', end: '07:00' },
+            { days: ['sat'], start: '10:00', end: '12:30' },
+            { days: 'FUNDAY', start: '10:00', end: '11:00' },
+            { start: '25:00', end: '11:00' }
+        ]);
+        assert.strictEqual(windows.length, 2);
+        assert.strictEqual(errors.length, 2);
+        assert.ok(errors[0].startsWith('Window 3:') && errors[1].startsWith('Window 4:'));
+
+        // 2026-01-12 is a Monday (local time)
+        const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute);
+        assert.ok(!isWithinWindows(windows, at(12, 21, 59)));
+        assert.ok(isWithinWindows(windows, at(12, 22, 0)));
+        assert.ok(isWithinWindows(windows, at(13, 6, 59)), 'Monday night continues into Tuesday');
+        assert.ok(!isWithinWindows(windows, at(13, 7, 0)));
+        assert.ok(isWithinWindows(windows, at(17, 6, 0)), 'Friday night ends Saturday morning');
+        assert.ok(isWithinWindows(windows, at(17, 11, 0)));
+        assert.ok(!isWithinWindows(windows, at(18, 6, 0)), 'no Sunday night window');
+        assert.ok(isWithinWindows([], at(18, 6, 0)), 'no windows = no restriction');
+
+        assert.strictEqual(getNextWindowStart(windows, at(13, 9, 0)).getTime(), at(13, 22, 0).getTime());
+        assert.strictEqual(getNextWindowStart(windows, at(17, 13, 0)).getTime(), at(19, 22, 0).getTime(), 'Saturday afternoon waits for Monday night');
+        assert.strictEqual(getNextWindowStart(windows, at(12, 23, 0)).getTime(), at(12, 23, 0).getTime(), 'inside a window = now');
+
+        const allDay = parseExecutionWindows([{ days: 'SUN', start: '00:00', end: '00:00' }]).windows;
+        assert.ok(isWithinWindows(allDay, at(18, 23, 59)) && !isWithinWindows(allDay, at(19, 0, 0)));
+    });
+
+    await test('Escalation ladder steps through once the time budget is used up', async () => {
+        const { normalizeEscalationSteps, getDueEscalation, buildRunReport, formatRunReportMarkdown } = require('../main_scripts/queue');
+        assert.deepStrictEqual(normalizeEscalationSteps(undefined), ['nudge', 'continue', 'skip', 'stop']);
+        assert.deepStrictEqual(normalizeEscalationSteps(['nudge', 'retry', 'stop', 'skip']), ['nudge', 'stop'], 'unknown steps and steps after stop are dropped');
+        assert.deepStrictEqual(normalizeEscalationSteps([]), ['nudge', 'continue', 'skip', 'stop'], 'an empty ladder falls back to the default');
+        assert.deepStrictEqual(normalizeEscalationSteps(['retry']), ['nudge', 'continue', 'skip', 'stop']);
+
+        const steps = ['nudge', 'continue', 'skip'];
+        const state = { durationMs: 60000, budgetMs: 600000, level: 0, lastEscalationAt: 0, intervalMs: 120000, now: 1e6 };
+        assert.strictEqual(getDueEscalation(steps, state), null, 'within budget');
+        assert.strictEqual(getDueEscalation(steps, { ...state, budgetMs: null, durationMs: 1e9 }), null, 'no budget');
+        assert.strictEqual(getDueEscalation(steps, { ...state, durationMs: 600001 }), 'nudge');
+        const after = { ...state, durationMs: 700000, level: 1, lastEscalationAt: 1e6 - 60000 };
+        assert.strictEqual(getDueEscalation(steps, after), null, 'waits for the interval');
+        assert.strictEqual(getDueEscalation(steps, { ...after, lastEscalationAt: 1e6 - 120000 }), 'continue');
+        assert.strictEqual(getDueEscalation(steps, { ...after, level: 3, lastEscalationAt: 0 }), null, 'ladder exhausted');
+
+        const run = {
+            runId: 'run-e', status: 'stopped', startedAt: 0, endedAt: 1000, queueMode: 'consume',
+            items: [{ type: 'task', id: 'a', text: 'Refactor', index: 0, item: {}, status: 'failed', error: 'Time budget of 600s exceeded (skipped by escalation)',
+                escalations: [{ step: 'nudge', at: 1, sent: true }, { step: 'continue', at: 2, sent: false }, { step: 'skip', at: 3, sent: true }] }]
+        };
+        const report = buildRunReport(run, { queueName: 'default' });
+        assert.deepStrictEqual(report.items[0].escalations, ['nudge', 'continue', 'skip']);
+        assert.strictEqual(report.totals.escalations, 3);
+        assert.ok(formatRunReportMarkdown(report).includes('escalated: nudge → continue → skip'));
+    });
+
+    await test('Deferred start picks the earliest relevant quota reset', async () => {
+        const { getEarliestQuotaReset, parseStartTime, formatCountdown, RESET_GRACE_MS } = require('../main_scripts/schedule');
+        const now = new Date(2026, 0, 12, 10, 0).getTime();
+        const model = (label, remainingFraction, minutes) => ({ label, remainingFraction, isExhausted: remainingFraction === 0, resetTime: new Date(now + minutes * 60000) });
+        const snapshot = { models: [model('Fast', 0.5, 30), model('Pro', 0, 120), model('Max', 0, 90), model('Old', 0, -5)] };
+
+        assert.deepStrictEqual(getEarliestQuotaReset(snapshot, now), { at: now + 90 * 60000 + RESET_GRACE_MS, model: 'Max' }, 'exhausted models first');
+        assert.deepStrictEqual(getEarliestQuotaReset({ models: [model('Fast', 0.5, 30), model('Full', 1, 10)] }, now), { at: now + 30 * 60000 + RESET_GRACE_MS, model: 'Fast' });
+        assert.strictEqual(getEarliestQuotaReset({ models: [model('Full', 1, 10)] }, now), null);
+        assert.strictEqual(getEarliestQuotaReset(null, now), null);
+
+        assert.strictEqual(parseStartTime('11:30', now), new Date(2026, 0, 12, 11, 30).getTime());
+        assert.strictEqual(parseStartTime('9:15', now), new Date(2026, 0, 13, 9, 15).getTime(), 'earlier time = tomorrow');
+        assert.strictEqual(parseStartTime('2026-02-01 06:00', now), new Date(2026, 1, 1, 6, 0).getTime());
+        assert.throws(() => parseStartTime('2026-01-11 06:00', now), /is in the past/);
+        assert.throws(() => parseStartTime('2026-02-30 06:00', now), /Invalid start time/);
+        assert.throws(() => parseStartTime('tomorrow', now), /use HH:MM or YYYY-MM-DD HH:MM/);
+
+        assert.strictEqual(formatCountdown(45500), '46s');
+        assert.strictEqual(formatCountdown(4 * 60000 + 9000), '4m 09s');
+        assert.strictEqual(formatCountdown(65 * 60000), '1h 05m');
+        assert.strictEqual(formatCountdown(51 * 3600000), '2d 3h');
+    });
+
+    await test('Quota exhaustion follows the model selected in the chat', async () => {
+        const { findQuotaModel, getQuotaState } = require('../main_scripts/antigravity/models');
+        const { getEarliestQuotaReset, RESET_GRACE_MS } = require('../main_scripts/schedule');
+        const now = Date.now();
+        const models = [
+            { label: 'Gemini 3 Pro (High)', isExhausted: true, remainingFraction: 0, resetTime: new Date(now + 3600000) },
+            { label: 'Claude Sonnet 4.5', isExhausted: false, remainingFraction: 0.6, resetTime: new Date(now + 600000) },
+            { label: 'Claude Sonnet 4.5 (Thinking)', isExhausted: true, remainingFraction: 0, resetTime: new Date(now + 7200000) }
+        ];
+        const snapshot = { models };
+
+        assert.strictEqual(findQuotaModel(models, 'claude sonnet 4.5'), models[1]);
+        assert.strictEqual(findQuotaModel(models, 'Claude Sonnet 4.5 Thinking'), models[2]);
+        assert.strictEqual(findQuotaModel(models, 'Gemini 3 Pro'), models[0], 'closest containing label');
+        assert.strictEqual(findQuotaModel(models, 'GPT-OSS 120B'), null);
+
+        assert.deepStrictEqual(getQuotaState(snapshot, 'Claude Sonnet 4.5'), { exhausted: false, model: models[1] });
+        assert.deepStrictEqual(getQuotaState(snapshot, 'Gemini 3 Pro (High)'), { exhausted: true, model: models[0] });
+        assert.deepStrictEqual(getQuotaState(snapshot, ''), { exhausted: true, model: null }, 'unknown model: any exhausted model counts');
+
+        assert.strictEqual(getEarliestQuotaReset(snapshot, now).model, 'Gemini 3 Pro (High)');
+        assert.deepStrictEqual(getEarliestQuotaReset(snapshot, now, 'Claude Sonnet 4.5 (Thinking)'), { at: now + 7200000 + RESET_GRACE_MS, model: 'Claude Sonnet 4.5 (Thinking)' });
+    });
+
+    await test('Quota history forecasts exhaustion from the burn rate', async () => {
+        const { QuotaHistory, forecastExhaustion, formatDurationShort, describeForecast } = require('../main_scripts/antigravity');
+        const now = Date.now();
+        const minutes = m => now - (60 - m) * 60000;
+        const history = new QuotaHistory(null);
+        // 10% per hour since the refill at minute 0; older samples before the refill are ignored
+        history.record({ timestamp: new Date(minutes(-120)), models: [{ label: 'Claude', remainingFraction: 0.05 }] });
+        for (let m = 0; m <= 60; m += 5) {
+            history.record({
+                timestamp: new Date(minutes(m)),
+                promptCredits: { available: 500 - m },
+                models: [{ label: 'Claude', remainingFraction: 0.8 - m / 600, resetTime: new Date(now + 10 * 3600000) }]
+            });
+        }
+        assert.strictEqual(history.getSeries('Claude').length, 14);
+        const forecast = history.forecast('Claude', now);
+        assert.ok(Math.abs(forecast.ratePerHour - 0.1) < 1e-9, `rate ${forecast.ratePerHour}`);
+        assert.strictEqual(forecast.msLeft, 7 * 3600000);
+        assert.strictEqual(forecast.resetsFirst, false);
+        assert.strictEqual(describeForecast(forecast), '~7h00m left at current rate');
+        assert.strictEqual(history.getSummary({ now }).credits.points.length, 13, 'the sample without credits has no credit point');
+
+        // Samples closer than 2 minutes replace the latest one
+        history.record({ timestamp: new Date(now + 30000), models: [{ label: 'Claude', remainingFraction: 0.69 }] });
+        history.record({ timestamp: new Date(now + 60000), models: [{ label: 'Claude', remainingFraction: 0.68 }] });
+        assert.strictEqual(history.getSeries('Claude').length, 15);
+
+        assert.strictEqual(forecastExhaustion([{ t: now - 60000, value: 0.5 }, { t: now, value: 0.4 }]), null, 'too little data');
+        const flat = forecastExhaustion([{ t: now - 3600000, value: 0.5 }, { t: now, value: 0.5 }], { now });
+        assert.strictEqual(describeForecast(flat), 'not draining');
+        const resets = forecastExhaustion([{ t: now - 3600000, value: 0.5 }, { t: now, value: 0.4 }], { now, resetAt: now + 3600000 });
+        assert.strictEqual(describeForecast(resets), '~4h00m left at current rate (resets first)');
+
+        assert.strictEqual(formatDurationShort(30000), '<1m');
+        assert.strictEqual(formatDurationShort(45 * 60000), '45m');
+        assert.strictEqual(formatDurationShort(135 * 60000), '2h15m');
+        assert.strictEqual(formatDurationShort(28 * 3600000), '1d4h');
+    });
+
+    await test('Quota alerts fire once per threshold and reset cycle', async () => {
+        const { checkQuotaAlerts, getModelThresholds, getLowQuotaAction } = require('../main_scripts/antigravity');
+        const reset = new Date(Date.now() + 3600000);
+        const snapshot = (claude, gemini, resetTime = reset) => ({
+            models: [
+                { label: 'Claude Sonnet 4.5', remainingFraction: claude, resetTime },
+                { label: 'Gemini 3 Pro (High)', remainingFraction: gemini, resetTime }
+            ]
+        });
+        const config = { thresholds: [50, 20, 5], modelThresholds: { 'gemini 3 pro high': [10] } };
+        assert.deepStrictEqual(getModelThresholds('Gemini 3 Pro (High)', config), [10]);
+        assert.deepStrictEqual(getModelThresholds('Claude Sonnet 4.5', { thresholds: [5, 'x', 150, 20] }), [20, 5]);
+
+        const fired = {};
+        assert.deepStrictEqual(checkQuotaAlerts(snapshot(0.6, 0.6), fired, config), []);
+        const first = checkQuotaAlerts(snapshot(0.15, 0.6), fired, config);
+        assert.deepStrictEqual(first.map(a => [a.model, a.threshold]), [['Claude Sonnet 4.5', 20]], 'only the lowest of the thresholds crossed at once');
+        assert.deepStrictEqual(checkQuotaAlerts(snapshot(0.12, 0.6), fired, config), [], 'no repeat within the cycle');
+        assert.deepStrictEqual(checkQuotaAlerts(snapshot(0.04, 0.08), fired, config).map(a => a.threshold), [5, 10]);
+
+        // The next cycle has a new reset time and alerts again
+        const next = new Date(reset.getTime() + 5 * 3600000);
+        assert.deepStrictEqual(checkQuotaAlerts(snapshot(0.4, 1, next), fired, config).map(a => a.threshold), [50]);
+        assert.strictEqual(Object.keys(fired).length, 1, 'past cycles are forgotten');
+
+        const low = snapshot(0.04, 0.6);
+        const [claude] = low.models;
+        assert.deepStrictEqual(getLowQuotaAction(low, claude, { pauseQueueAt: 0 }).action, 'none');
+        assert.deepStrictEqual(getLowQuotaAction(low, claude, { pauseQueueAt: 5 }), { action: 'pause', model: claude, fallback: null, exhausted: false });
+    });
+
+    await test('Model fallback picks the preferred model with quota and restores the original', async () => {
+        const { getLowQuotaAction } = require('../main_scripts/antigravity');
+        const models = [
+            { label: 'Claude Sonnet 4.5', remainingFraction: 0, isExhausted: true },
+            { label: 'Gemini 3 Pro (High)', remainingFraction: 0.03, isExhausted: false },
+            { label: 'Gemini 3 Flash', remainingFraction: 0.8, isExhausted: false }
+        ];
+        const [claude, geminiPro, flash] = models;
+        const config = { pauseQueueAt: 5, fallbackModels: ['Gemini 3 Pro', 'Gemini 3 Flash'] };
+
+        assert.deepStrictEqual(getLowQuotaAction({ models }, claude, {}), { action: 'pause', model: claude, fallback: null, exhausted: true });
+        assert.deepStrictEqual(getLowQuotaAction({ models }, claude, config), { action: 'fallback', model: claude, fallback: flash, exhausted: true }, 'skips a listed model that is low itself');
+        assert.strictEqual(getLowQuotaAction({ models }, null, config).action, 'pause', 'no switching when the model in use is unknown');
+        assert.strictEqual(getLowQuotaAction({ models }, flash, config, 'Claude Sonnet 4.5').action, 'none', 'original not reset yet');
+
+        // After the reset the original model comes back, and is the first choice when the fallback runs low
+        const reset = [{ ...claude, remainingFraction: 1, isExhausted: false }, geminiPro, flash];
+        assert.deepStrictEqual(getLowQuotaAction({ models: reset }, flash, config, 'Claude Sonnet 4.5'), { action: 'restore', model: reset[0], fallback: null, exhausted: false });
+        assert.deepStrictEqual(getLowQuotaAction({ models: reset }, geminiPro, config, 'Claude Sonnet 4.5'), { action: 'fallback', model: geminiPro, fallback: reset[0], exhausted: false });
+        assert.strictEqual(getLowQuotaAction({ models: reset }, reset[0], config, 'Claude Sonnet 4.5').action, 'none');
+    });
+
+    await test('Task cost is the quota used between two snapshots, summed per run', async () => {
+        const { RunJournal, HistoryStore, getTaskCost, formatTaskCost, buildRunReport, formatRunReportMarkdown, summarizeQuotaSnapshot } = require('../main_scripts/queue');
+        const snapshot = (credits, a, b) => summarizeQuotaSnapshot({
+            timestamp: new Date(),
+            promptCredits: { available: credits, monthly: 1000 },
+            models: [
+                { label: 'Model A', modelId: 'a', remainingPercentage: a },
+                { label: 'Model B', modelId: 'b', remainingPercentage: b }
+            ]
+        });
+
+        const first = getTaskCost(snapshot(600, 80, 50), snapshot(597, 76.5, 50));
+        assert.deepStrictEqual(first, { credits: 3, models: [{ label: 'Model A', used: 3.5 }], reset: false });
+        assert.strictEqual(formatTaskCost(first), '3 credits, Model A 3.5%');
+        const reset = getTaskCost(snapshot(597, 76.5, 50), snapshot(596, 100, 48));
+        assert.deepStrictEqual(reset, { credits: 1, models: [{ label: 'Model B', used: 2 }], reset: true }, 'a refilled model is left out');
+        assert.strictEqual(formatTaskCost(getTaskCost(snapshot(1, 50, 50), snapshot(1, 50, 50))), 'none');
+        assert.strictEqual(getTaskCost(null, snapshot(1, 50, 50)), null);
+
+        const journal = new RunJournal(null);
+        await journal.begin([
+            { type: 'task', id: 'a', text: 'Build it', index: 0, item: {} },
+            { type: 'task', id: 'b', text: 'Ship it', index: 1, item: {} }
+        ]);
+        await journal.recordItem(0, { cost: first });
+        await journal.recordItem(1, { cost: reset });
+        await journal.finish('completed');
+        const report = buildRunReport(journal.getRun());
+        assert.deepStrictEqual(report.totals.cost, { credits: 4, models: [{ label: 'Model A', used: 3.5 }, { label: 'Model B', used: 2 }], reset: true });
+        const markdown = formatRunReportMarkdown(report);
+        assert.ok(markdown.includes('| 3 credits, Model A 3.5% |'));
+        assert.ok(markdown.includes('**Per-task cost total:** 4 credits, Model A 3.5%, Model B 2.0% (quota reset meanwhile)'));
+
+        const history = new HistoryStore(null);
+        history.update(history.add({ text: 'Build it', runId: 'run-1' }), { cost: first });
+        history.add({ text: 'Ship it', runId: 'run-1', cost: reset });
+        history.add({ text: 'Other', runId: 'run-2' });
+        assert.strictEqual(history.query({ runId: 'run-1' }).cost.credits, 4);
+        assert.strictEqual(history.query({ runId: 'run-2' }).cost, null);
+        assert.ok(history.export('csv').includes(',"3 credits, Model A 3.5%",'));
+    });
+
+    await test('Spending budget stops once a run or day limit is used up', async () => {
+        const { normalizeBudget, isBudgetEnabled, getBudgetState, describeBudgetRemaining, describeBudgetStop, getStartOfDay } = require('../main_scripts/queue');
+        assert.deepStrictEqual(normalizeBudget({ unit: 'tokens', perRun: '20', perDay: -5 }), { unit: 'credits', perRun: 20, perDay: 0, model: '' });
+        assert.strictEqual(isBudgetEnabled(normalizeBudget({})), false);
+        assert.strictEqual(new Date(getStartOfDay(new Date(2026, 9, 19, 15, 30).getTime())).getHours(), 0);
+
+        const runCost = { credits: 12, models: [{ label: 'Claude Sonnet 4.5', used: 6 }, { label: 'Gemini 3 Flash', used: 1.5 }], reset: false };
+        const dayCost = { credits: 45, models: [{ label: 'Claude Sonnet 4.5', used: 18 }, { label: 'Gemini 3 Flash', used: 22 }], reset: false };
+
+        const credits = getBudgetState(normalizeBudget({ perRun: 20, perDay: 50 }), { runCost, dayCost });
+        assert.deepStrictEqual(credits.run, { limit: 20, spent: 12, remaining: 8 });
+        assert.strictEqual(credits.remaining, 5, 'the lower of both limits');
+        assert.strictEqual(credits.exceeded, null);
+        assert.deepStrictEqual(describeBudgetRemaining(credits), ['Run budget: 8 of 20 credits left', 'Daily budget: 5 of 50 credits left']);
+
+        const spent = getBudgetState(normalizeBudget({ perRun: 20, perDay: 45 }), { runCost, dayCost });
+        assert.strictEqual(spent.exceeded, 'day');
+        assert.strictEqual(describeBudgetStop(spent), 'Daily budget of 45 credits reached (45 credits spent)');
+
+        // Percent budgets follow budget.model, else the model in use, else the model that lost the most
+        const inUse = getBudgetState(normalizeBudget({ unit: 'percent', perDay: 20 }), { runCost, dayCost, model: 'Claude Sonnet 4.5' });
+        assert.deepStrictEqual([inUse.model, inUse.day.spent, inUse.exceeded], ['Claude Sonnet 4.5', 18, null]);
+        const pinned = getBudgetState(normalizeBudget({ unit: 'percent', perRun: 5, model: 'claude sonnet' }), { runCost, dayCost, model: 'Gemini 3 Flash' });
+        assert.strictEqual(pinned.exceeded, 'run');
+        assert.strictEqual(describeBudgetStop(pinned), 'Run budget of 5.0% of claude sonnet reached (6.0% spent)');
+        const unknown = getBudgetState(normalizeBudget({ unit: 'percent', perDay: 30 }), { dayCost });
+        assert.deepStrictEqual(unknown.day, { limit: 30, spent: 22, remaining: 8 });
+        assert.deepStrictEqual(getBudgetState(normalizeBudget({ perRun: 10 }), {}).run, { limit: 10, spent: 0, remaining: 10 });
+    });
+
+    await test('Daily spending counts overlapping task costs of parallel queues once', async () => {
+        const { trackDailySpend, getTaskCost, sumTaskCosts, getBudgetState, normalizeBudget, summarizeQuotaSnapshot } = require('../main_scripts/queue');
+        const quota = credits => summarizeQuotaSnapshot({ timestamp: new Date(), promptCredits: { available: credits, monthly: 1000 }, models: [] });
+        const now = new Date(2026, 9, 19, 10, 0).getTime();
+
+        // Queue A runs 500 → 490 while queue B runs 495 → 485: each task cost includes the other's usage
+        const costA = getTaskCost(quota(500), quota(490));
+        const costB = getTaskCost(quota(495), quota(485));
+        assert.strictEqual(sumTaskCosts([costA, costB]).credits, 20, 'the task costs overlap');
+
+        let day = trackDailySpend(null, quota(520), { running: false, now });
+        day = trackDailySpend(day, quota(500), { running: true, now }); // idle usage before the queues started is not counted
+        for (const credits of [495, 490, 485]) day = trackDailySpend(day, quota(credits), { running: true, now });
+        assert.strictEqual(day.spent.credits, 15, 'the same drop in quota is counted once');
+        const budget = normalizeBudget({ perDay: 18 });
+        assert.strictEqual(getBudgetState(budget, { dayCost: day.spent }).exceeded, null);
+        assert.strictEqual(getBudgetState(budget, { dayCost: sumTaskCosts([costA, costB]) }).exceeded, 'day', 'summing task costs would have stopped early');
+
+        // A reset in between only moves the baseline; unknown quota changes nothing
+        day = trackDailySpend(day, quota(1000), { running: true, now });
+        day = trackDailySpend(day, quota(992), { running: false, now });
+        assert.strictEqual(trackDailySpend(day, null, { running: true, now }), day);
+        day = trackDailySpend(day, quota(950), { running: true, now });
+        assert.deepStrictEqual([day.spent.credits, day.spent.reset], [23, true], 'usage after the queues stopped is not counted');
+
+        const tomorrow = trackDailySpend(day, quota(940), { running: true, now: now + 24 * 3600000 });
+        assert.deepStrictEqual([tomorrow.spent, tomorrow.counting], [null, true], 'a new day starts from nothing');
+    });
+
     // Results
     console.log(`\n=== Results: ${passed} passed, ${failed} failed ===\n`);
 